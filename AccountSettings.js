@@ -0,0 +1,658 @@
+// src/components/AccountSettings.js
+import { getStyles } from './styles.js';
+import { userService } from './userService.js';
+import { phoneVerification } from './phoneVerification.js';
+import { PASSWORD_REQUIREMENTS, validatePassword } from './validation.js';
+import { i18nService, t } from './i18n.js';
+
+/**
+ * Account settings component for CASL Key Verification
+ * Shown by casl-user-dashboard. Lets the signed-in user edit their profile
+ * (a new email or phone number only takes effect once verified), change
+ * their password and delete their account.
+ * Changes are reported with a casl-account-settings event:
+ * { type: 'profile-updated', data: profile }, { type: 'account-deleted' } or { type: 'closed' }.
+ */
+export class AccountSettings extends HTMLElement {
+  /**
+   * Constructor initializes the component
+   */
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    
+    this.profile = null;
+    // Section being edited: 'email', 'phone', 'password' or 'delete'
+    this.editing = null;
+    // New email waiting for its code, and where the code went
+    this.newEmail = null;
+    this.emailDestination = null;
+    this.isLoading = false;
+    this.error = null;
+    this.notice = null;
+    
+    this.boundHandlePhoneTimer = () => {
+      if (this.editing === 'phone') this.render();
+    };
+    
+    this.render();
+    this.setupEventListeners();
+  }
+  
+  /**
+   * When the element is added to the DOM
+   */
+  connectedCallback() {
+    document.addEventListener('phoneVerificationTimerExpired', this.boundHandlePhoneTimer);
+    this.loadProfile();
+  }
+  
+  /**
+   * When the element is removed from the DOM
+   */
+  disconnectedCallback() {
+    document.removeEventListener('phoneVerificationTimerExpired', this.boundHandlePhoneTimer);
+    
+    if (this.editing === 'phone') {
+      phoneVerification.reset();
+    }
+  }
+  
+  /**
+   * Load the profile
+   */
+  async loadProfile() {
+    this.isLoading = true;
+    this.error = null;
+    this.render();
+    
+    try {
+      this.profile = await userService.getProfile();
+    } catch (error) {
+      console.error('Error loading profile:', error);
+      this.error = error.message || t('account.loadError');
+    } finally {
+      this.isLoading = false;
+      this.render();
+    }
+  }
+  
+  /**
+   * Render the component
+   */
+  render() {
+    let content;
+    if (!this.profile) {
+      content = this.isLoading ? `
+        <div class="loading-container">
+          <div class="loading-spinner"></div>
+          <p>${t('app.loading')}</p>
+        </div>
+      ` : this.renderMessages();
+    } else {
+      content = `
+        ${this.renderMessages()}
+        ${this.renderProfile()}
+        ${this.renderPasswordSection()}
+        ${this.renderDeleteSection()}
+      `;
+    }
+    
+    this.shadowRoot.innerHTML = `
+      <style>${getStyles()}</style>
+      <div class="account-settings" dir="${i18nService.getLanguageInfo(i18nService.currentLanguage)?.direction || 'ltr'}">
+        <div class="dashboard-header">
+          <h1>${t('account.title')}</h1>
+          <button 
+            class="btn-secondary" 
+            onclick="this.getRootNode().host.close()" 
+          >
+            ${t('account.back')}
+          </button>
+        </div>
+        
+        ${content}
+      </div>
+    `;
+    
+    // Profile values are set as properties, never parsed as markup
+    const address = this.shadowRoot.getElementById('account-address');
+    if (address) address.value = this.profile.address || '';
+  }
+  
+  /**
+   * Render error and notice messages
+   */
+  renderMessages() {
+    return `
+      ${this.error ? `
+        <div class="alert alert-error" role="alert">
+          ${this.error}
+        </div>
+      ` : ''}
+      
+      ${this.notice ? `
+        <div class="alert alert-success" role="status">
+          ${this.notice}
+        </div>
+      ` : ''}
+    `;
+  }
+  
+  /**
+   * Render the profile fields
+   */
+  renderProfile() {
+    const { profile } = this;
+    
+    return `
+      <div class="settings-section">
+        <h2>${t('account.profile')}</h2>
+        
+        <div class="settings-row">
+          <span class="settings-label">${t('auth.username')}</span>
+          <span>${profile.username}</span>
+        </div>
+        
+        <div class="settings-row">
+          <span class="settings-label">${t('auth.email')}</span>
+          <span>
+            ${profile.email}
+            ${profile.emailVerified ? `<span class="settings-verified">${t('account.verified')}</span>` : ''}
+            ${profile.pendingEmail ? `<span class="settings-pending">${t('account.emailPending', { email: profile.pendingEmail })}</span>` : ''}
+          </span>
+          ${this.editing !== 'email' ? this.renderEditButton('email') : ''}
+        </div>
+        ${this.editing === 'email' ? this.renderEmailEditor() : ''}
+        
+        <div class="settings-row">
+          <span class="settings-label">${t('account.phone')}</span>
+          <span>
+            ${profile.phoneNumber ? phoneVerification.formatPhoneNumber(profile.phoneNumber) : t('account.notSet')}
+            ${profile.phoneVerified ? `<span class="settings-verified">${t('account.verified')}</span>` : ''}
+          </span>
+          ${this.editing !== 'phone' ? this.renderEditButton('phone') : ''}
+        </div>
+        ${this.editing === 'phone' ? this.renderPhoneEditor() : ''}
+        
+        <form id="address-form">
+          <div class="form-group">
+            <label for="account-address">${t('account.address')}</label>
+            <input 
+              type="text" 
+              id="account-address" 
+              name="address" 
+              maxlength="200" 
+              autocomplete="street-address" 
+            />
+          </div>
+          
+          <div class="form-actions">
+            <button 
+              type="submit" 
+              class="btn-primary" 
+              ${this.isLoading ? 'disabled' : ''} 
+            >
+              ${t('account.saveAddress')}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the button that opens a section's editor
+   * @param {string} section - Section name
+   */
+  renderEditButton(section) {
+    return `
+      <button 
+        type="button" 
+        class="btn-link" 
+        onclick="this.getRootNode().host.edit('${section}')" 
+      >
+        ${t('account.change')}
+      </button>
+    `;
+  }
+  
+  /**
+   * Render the cancel button of an open editor
+   */
+  renderCancelButton() {
+    return `
+      <button 
+        type="button" 
+        class="btn-link" 
+        onclick="this.getRootNode().host.edit(null)" 
+      >
+        ${t('account.cancel')}
+      </button>
+    `;
+  }
+  
+  /**
+   * Render the email change: new address first, then the code sent to it
+   */
+  renderEmailEditor() {
+    if (this.newEmail) {
+      return `
+        <form id="email-verify-form" class="settings-editor">
+          <p>${t('account.emailCodeSent', { destination: this.emailDestination || this.newEmail })}</p>
+          
+          <div class="form-group">
+            <label for="email-code">${t('auth.reset.code')}</label>
+            <input 
+              type="text" 
+              id="email-code" 
+              name="code" 
+              inputmode="numeric" 
+              autocomplete="one-time-code" 
+              required 
+            />
+          </div>
+          
+          <div class="form-actions">
+            <button 
+              type="submit" 
+              class="btn-primary" 
+              ${this.isLoading ? 'disabled' : ''} 
+            >
+              ${t('account.verifyEmail')}
+            </button>
+            ${this.renderCancelButton()}
+          </div>
+        </form>
+      `;
+    }
+    
+    return `
+      <form id="email-form" class="settings-editor">
+        <p>${t('account.emailDescription')}</p>
+        
+        <div class="form-group">
+          <label for="new-email">${t('account.newEmail')}</label>
+          <input type="email" id="new-email" name="email" autocomplete="email" required />
+        </div>
+        
+        <div class="form-actions">
+          <button 
+            type="submit" 
+            class="btn-primary" 
+            ${this.isLoading ? 'disabled' : ''} 
+          >
+            ${t('account.sendEmailCode')}
+          </button>
+          ${this.renderCancelButton()}
+        </div>
+      </form>
+    `;
+  }
+  
+  /**
+   * Render the phone change, verified by SMS through phoneVerification
+   */
+  renderPhoneEditor() {
+    return `
+      <div class="settings-editor">
+        ${phoneVerification.renderPhoneVerificationComponent(this.profile.username)}
+        <div class="form-actions">
+          ${this.renderCancelButton()}
+        </div>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the password change
+   */
+  renderPasswordSection() {
+    return `
+      <div class="settings-section">
+        <h2>${t('account.password')}</h2>
+        
+        ${this.editing !== 'password' ? `
+          <button 
+            type="button" 
+            class="btn-secondary" 
+            onclick="this.getRootNode().host.edit('password')" 
+          >
+            ${t('account.changePassword')}
+          </button>
+        ` : `
+          <form id="password-form" class="settings-editor">
+            <div class="form-group">
+              <label for="current-password">${t('account.currentPassword')}</label>
+              <input 
+                type="password" 
+                id="current-password" 
+                name="currentPassword" 
+                autocomplete="current-password" 
+                required 
+              />
+            </div>
+            
+            <div class="form-group">
+              <label for="new-password">${t('auth.reset.newPassword')}</label>
+              <input 
+                type="password" 
+                id="new-password" 
+                name="newPassword" 
+                autocomplete="new-password" 
+                aria-describedby="password-requirements" 
+                required 
+              />
+              <ul id="password-requirements" class="password-requirements">
+                ${Object.keys(PASSWORD_REQUIREMENTS).map(rule => `
+                  <li data-rule="${rule}">${t(`auth.passwordRule.${rule}`)}</li>
+                `).join('')}
+              </ul>
+            </div>
+            
+            <div class="form-group">
+              <label for="confirm-new-password">${t('auth.confirmPassword')}</label>
+              <input 
+                type="password" 
+                id="confirm-new-password" 
+                name="confirmPassword" 
+                autocomplete="new-password" 
+                required 
+              />
+            </div>
+            
+            <div class="form-actions">
+              <button 
+                type="submit" 
+                class="btn-primary" 
+                ${this.isLoading ? 'disabled' : ''} 
+              >
+                ${t('account.changePassword')}
+              </button>
+              ${this.renderCancelButton()}
+            </div>
+          </form>
+        `}
+      </div>
+    `;
+  }
+  
+  /**
+   * Render account deletion, which asks for the password as confirmation
+   */
+  renderDeleteSection() {
+    return `
+      <div class="settings-section danger-zone">
+        <h2>${t('account.deleteTitle')}</h2>
+        <p>${t('account.deleteDescription')}</p>
+        
+        ${this.editing !== 'delete' ? `
+          <button 
+            type="button" 
+            class="btn-danger" 
+            onclick="this.getRootNode().host.edit('delete')" 
+          >
+            ${t('account.deleteAccount')}
+          </button>
+        ` : `
+          <form id="delete-form" class="settings-editor">
+            <div class="alert alert-error" role="alert">
+              ${t('account.deleteWarning')}
+            </div>
+            
+            <div class="form-group">
+              <label for="delete-password">${t('account.confirmWithPassword')}</label>
+              <input 
+                type="password" 
+                id="delete-password" 
+                name="password" 
+                autocomplete="current-password" 
+                required 
+              />
+            </div>
+            
+            <div class="form-actions">
+              <button 
+                type="submit" 
+                class="btn-danger" 
+                ${this.isLoading ? 'disabled' : ''} 
+              >
+                ${t('account.deletePermanently')}
+              </button>
+              ${this.renderCancelButton()}
+            </div>
+          </form>
+        `}
+      </div>
+    `;
+  }
+  
+  /**
+   * Open a section's editor, or close it with null
+   * @param {string|null} section - Section name
+   */
+  edit(section) {
+    // The phone service is shared with the verification flow
+    if (section === 'phone' || this.editing === 'phone') {
+      phoneVerification.reset();
+    }
+    
+    this.editing = section;
+    this.newEmail = null;
+    this.emailDestination = null;
+    this.error = null;
+    this.notice = null;
+    this.render();
+  }
+  
+  /**
+   * Handle form submissions
+   * @param {Event} event - Form submission event
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const formData = new FormData(form);
+    
+    // Password rules are checked before anything is sent
+    if (form.id === 'password-form') {
+      const problem = this.checkNewPassword(formData);
+      if (problem) {
+        this.error = problem;
+        this.notice = null;
+        this.render();
+        return;
+      }
+    }
+    
+    this.isLoading = true;
+    this.error = null;
+    this.notice = null;
+    this.render();
+    
+    try {
+      switch (form.id) {
+        case 'address-form':
+          this.updateProfile(await userService.updateProfile({ address: formData.get('address').trim() }));
+          this.notice = t('account.addressSaved');
+          break;
+        
+        case 'email-form': {
+          const email = formData.get('email').trim();
+          const { destination } = await userService.requestEmailChange(email);
+          this.newEmail = email;
+          this.emailDestination = destination;
+          this.profile = { ...this.profile, pendingEmail: email };
+          break;
+        }
+        
+        case 'email-verify-form':
+          this.updateProfile(await userService.confirmEmailChange(formData.get('code').trim()));
+          this.editing = null;
+          this.newEmail = null;
+          this.notice = t('account.emailChanged');
+          break;
+        
+        case 'password-form':
+          await userService.changePassword(formData.get('currentPassword'), formData.get('newPassword'));
+          this.editing = null;
+          this.notice = t('account.passwordChanged');
+          break;
+        
+        case 'delete-form':
+          await userService.deleteAccount(formData.get('password'));
+          this.dispatchSettingsEvent('account-deleted');
+          return;
+      }
+    } catch (error) {
+      console.error('Account settings error:', error);
+      this.error = error.message || t('account.genericError');
+    } finally {
+      this.isLoading = false;
+      this.render();
+    }
+  }
+  
+  /**
+   * Check the new password fields
+   * @param {FormData} formData - Form data
+   * @returns {string|null} Problem to show, or null if the password is acceptable
+   */
+  checkNewPassword(formData) {
+    const newPassword = formData.get('newPassword') || '';
+    
+    if (!validatePassword(newPassword).isValid) {
+      return t('auth.reset.requirementsNotMet');
+    }
+    
+    if (newPassword !== formData.get('confirmPassword')) {
+      return t('auth.passwordsDoNotMatch');
+    }
+    
+    if (newPassword === formData.get('currentPassword')) {
+      return t('account.samePassword');
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Send the SMS code (called by the phoneVerification form)
+   * @param {string} userId - User ID
+   */
+  async requestPhoneVerification(userId) {
+    const phoneNumber = this.shadowRoot.getElementById('phone-input')?.value.trim();
+    if (!phoneNumber) return;
+    
+    this.error = null;
+    this.notice = null;
+    
+    // The service keeps its own error, shown inside its form
+    const request = phoneVerification.requestVerificationCode(phoneNumber, userId);
+    this.render();
+    await request;
+    this.render();
+  }
+  
+  /**
+   * Send another SMS code (called by the phoneVerification form)
+   * @param {string} userId - User ID
+   */
+  async resendVerificationCode(userId) {
+    phoneVerification.clearTimer();
+    
+    const request = phoneVerification.requestVerificationCode(phoneVerification.phoneNumber, userId);
+    this.render();
+    await request;
+    this.render();
+  }
+  
+  /**
+   * Check the SMS code and save the verified number (called by the phoneVerification form)
+   * @param {string} userId - User ID
+   */
+  async verifyPhoneCode(userId) {
+    const code = this.shadowRoot.getElementById('verification-code')?.value.trim();
+    if (!code) return;
+    
+    const verification = phoneVerification.verifyCode(code, userId);
+    this.render();
+    const result = await verification;
+    
+    if (result?.verified) {
+      try {
+        this.updateProfile(await userService.updatePhoneNumber(phoneVerification.phoneNumber, phoneVerification.verificationId));
+        this.edit(null);
+        this.notice = t('account.phoneChanged');
+      } catch (error) {
+        console.error('Error saving phone number:', error);
+        this.error = error.message || t('account.genericError');
+      }
+    }
+    
+    this.render();
+  }
+  
+  /**
+   * Keep the new profile and tell the dashboard
+   * @param {Object} profile - Updated profile
+   */
+  updateProfile(profile) {
+    this.profile = profile;
+    this.dispatchSettingsEvent('profile-updated', profile);
+  }
+  
+  /**
+   * Tick off the requirements the new password meets
+   * @param {string} password - Password typed so far
+   */
+  updateRequirements(password) {
+    const { requirements } = validatePassword(password);
+    
+    this.shadowRoot.querySelectorAll('[data-rule]').forEach(item => {
+      item.classList.toggle('met', requirements[item.dataset.rule]);
+    });
+  }
+  
+  /**
+   * Leave the settings
+   */
+  close() {
+    this.dispatchSettingsEvent('closed');
+  }
+  
+  /**
+   * Dispatch account settings event
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  dispatchSettingsEvent(type, data = null) {
+    const event = new CustomEvent('casl-account-settings', {
+      detail: {
+        type,
+        data
+      },
+      bubbles: true,
+      composed: true
+    });
+    
+    this.dispatchEvent(event);
+  }
+  
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Delegated, so forms survive re-rendering
+    this.shadowRoot.addEventListener('submit', this.handleSubmit.bind(this));
+    this.shadowRoot.addEventListener('input', (event) => {
+      if (event.target.id === 'new-password') {
+        this.updateRequirements(event.target.value);
+      }
+    });
+  }
+}
+
+// Register the custom element
+customElements.define('casl-account-settings', AccountSettings);
@@ -1,12 +1,21 @@
 // src/components/Authentication.js
 import { getStyles } from './Styles.js';
 import { apiSecurity } from './apiSecurity.js';
-import { userService } from './userService.js';
+import { userService, MFA_CHALLENGES } from './userService.js';
+import { authSession, SESSION_EVENTS } from './authSession.js';
 import { i18nService, t } from './i18n.js';
+import { renderQrSvg } from './qrCode.js';
+import { isWebAuthnSupported } from './webauthn.js';
+import './PasswordReset.js';
+
+// Issuer shown by authenticator apps
+const TOTP_ISSUER = 'CASL Key';
 
 /**
  * Authentication component for CASL Key Verification
- * Handles user registration, login, and authentication state
+ * Handles user registration, login, password resets, multi-factor
+ * challenges, and authentication state. With mode="mfa-setup" it enrols the signed-in user's
+ * authenticator app instead.
  */
 export class Authentication extends HTMLElement {
   /**
@@ -32,8 +41,18 @@ export class Authentication extends HTMLElement {
     this.isAuthenticated = false;
     this.isRegistering = false;
     this.error = null;
+    this.notice = null;
     this.user = null;
     
+    // Password reset in progress (see PasswordReset.start):
+    // { mode: 'forgot' | 'new-password', username, session }
+    this.passwordReset = null;
+    
+    // Multi-factor step in progress:
+    // { step: 'challenge' | 'setup' | 'recovery-codes', challenge, session,
+    //   username, destination, secretCode, recoveryCodes, useRecoveryCode }
+    this.mfa = null;
+    
     // Check if user is already authenticated
     this.checkAuthentication();
   }
@@ -47,6 +66,11 @@ export class Authentication extends HTMLElement {
       if (authState.isAuthenticated) {
         this.isAuthenticated = true;
         this.user = authState.user;
+        
+        if (this.getAttribute('mode') === 'mfa-setup') {
+          this.mfa = { step: 'setup', username: this.user?.username };
+          this.startTotpSetup();
+        }
       }
     } catch (error) {
       console.error('Authentication check failed:', error);
@@ -60,6 +84,57 @@ export class Authentication extends HTMLElement {
    */
   connectedCallback() {
     console.log('Authentication component connected');
+    
+    // Follow logins and logouts from other tabs and expired sessions
+    this.unsubscribeSession = authSession.subscribe(this.handleSessionChange.bind(this));
+  }
+  
+  /**
+   * When the element is removed from the DOM
+   */
+  disconnectedCallback() {
+    if (this.unsubscribeSession) {
+      this.unsubscribeSession();
+      this.unsubscribeSession = null;
+    }
+  }
+  
+  /**
+   * Handle a session change
+   * Local logins are already handled by handleLogin; logouts can come from
+   * anywhere, including a refresh token the server no longer accepts.
+   * @param {Object} change - { type, remote }
+   */
+  handleSessionChange({ type, remote }) {
+    if (type === SESSION_EVENTS.LOGOUT) {
+      this.showLoggedOut();
+    } else if (type === SESSION_EVENTS.LOGIN && remote) {
+      this.isAuthenticated = true;
+      this.user = authSession.user;
+      this.error = null;
+      this.mfa = null;
+      this.passwordReset = null;
+      this.render();
+    }
+  }
+  
+  /**
+   * Switch to the login form after the session ends
+   */
+  showLoggedOut() {
+    if (!this.isAuthenticated) return;
+    
+    // Update state
+    this.isAuthenticated = false;
+    this.user = null;
+    this.mfa = null;
+    this.passwordReset = null;
+    
+    // Dispatch logout event
+    this.dispatchAuthEvent('logged-out');
+    
+    // Render login form
+    this.render();
   }
   
   /**
@@ -68,7 +143,13 @@ export class Authentication extends HTMLElement {
   render() {
     // Determine which screen to show
     let content;
-    if (this.isAuthenticated) {
+    if (this.mfa) {
+      // Stays ahead of the authenticated state until the user has seen
+      // their recovery codes
+      content = this.renderMfaStep();
+    } else if (this.passwordReset) {
+      content = `<casl-password-reset></casl-password-reset>`;
+    } else if (this.isAuthenticated) {
       // User is logged in, dispatch event to show dashboard
       this.dispatchAuthEvent('authenticated', this.user);
       content = this.renderAuthenticatedState();
@@ -84,6 +165,11 @@ export class Authentication extends HTMLElement {
         ${content}
       </div>
     `;
+    
+    const passwordReset = this.shadowRoot.querySelector('casl-password-reset');
+    if (passwordReset) {
+      passwordReset.start(this.passwordReset);
+    }
   }
   
   /**
@@ -109,6 +195,7 @@ export class Authentication extends HTMLElement {
           >
             ${t('auth.returningUser')}
           </button>
+          ${this.renderPasskeyButton('btn-secondary')}
         </div>
       </div>
     `;
@@ -128,6 +215,12 @@ export class Authentication extends HTMLElement {
           </div>
         ` : ''}
         
+        ${this.notice ? `
+          <div class="alert alert-success" role="status">
+            ${this.notice}
+          </div>
+        ` : ''}
+        
         <form id="login-form">
           <div class="form-group">
             <label for="username">${t('auth.username')}</label>
@@ -148,6 +241,16 @@ export class Authentication extends HTMLElement {
               ${this.isLoading ? t('auth.loggingIn') : t('auth.login')}
             </button>
             
+            ${this.renderPasskeyButton('btn-secondary')}
+            
+            <button 
+              type="button" 
+              class="btn-link" 
+              onclick="this.getRootNode().host.showForgotPassword()"
+            >
+              ${t('auth.forgotPassword')}
+            </button>
+            
             <button 
               type="button" 
               class="btn-link" 
@@ -161,6 +264,25 @@ export class Authentication extends HTMLElement {
     `;
   }
   
+  /**
+   * Render the passkey sign-in button, if the browser supports passkeys
+   * @param {string} className - Button class
+   */
+  renderPasskeyButton(className) {
+    if (!isWebAuthnSupported()) return '';
+    
+    return `
+      <button 
+        type="button" 
+        class="${className}" 
+        onclick="this.getRootNode().host.handlePasskeyLogin()"
+        ${this.isLoading ? 'disabled' : ''}
+      >
+        ${t('auth.passkey.signIn')}
+      </button>
+    `;
+  }
+  
   /**
    * Render the registration form
    */
@@ -238,6 +360,281 @@ export class Authentication extends HTMLElement {
     `;
   }
   
+  /**
+   * Render the current multi-factor step
+   */
+  renderMfaStep() {
+    switch (this.mfa.step) {
+      case 'setup':
+        return this.renderTotpSetup();
+      case 'recovery-codes':
+        return this.renderRecoveryCodes();
+      default:
+        return this.renderMfaChallenge();
+    }
+  }
+  
+  /**
+   * Render the SMS or authenticator code prompt
+   */
+  renderMfaChallenge() {
+    const { challenge, destination, useRecoveryCode } = this.mfa;
+    const isSms = challenge === MFA_CHALLENGES.SMS;
+    
+    let prompt;
+    if (useRecoveryCode) {
+      prompt = t('auth.mfa.recoveryPrompt');
+    } else if (isSms) {
+      prompt = destination ? t('auth.mfa.smsPrompt', { destination }) : t('auth.mfa.smsPromptNoDestination');
+    } else {
+      prompt = t('auth.mfa.totpPrompt');
+    }
+    
+    return `
+      <div class="auth-form">
+        <h2>${t('auth.mfa.title')}</h2>
+        <p>${prompt}</p>
+        
+        ${this.error ? `
+          <div class="alert alert-error" role="alert">
+            ${this.error}
+          </div>
+        ` : ''}
+        
+        <form id="mfa-challenge-form">
+          ${useRecoveryCode ? `
+            <div class="form-group">
+              <label for="mfa-recovery-code">${t('auth.mfa.recoveryCode')}</label>
+              <input type="text" id="mfa-recovery-code" name="recoveryCode" autocomplete="off" spellcheck="false" required />
+            </div>
+          ` : `
+            <div class="form-group">
+              <label for="mfa-code">${t('auth.mfa.code')}</label>
+              <input 
+                type="text" 
+                id="mfa-code" 
+                name="code" 
+                inputmode="numeric" 
+                autocomplete="one-time-code" 
+                pattern="[0-9]{6}" 
+                maxlength="6" 
+                required 
+              />
+            </div>
+          `}
+          
+          <div class="checkbox-container">
+            <input type="checkbox" id="mfa-remember-device" name="rememberDevice" />
+            <label for="mfa-remember-device" class="checkbox-label">${t('auth.mfa.rememberDevice')}</label>
+          </div>
+          
+          <div class="form-actions">
+            <button 
+              type="submit" 
+              class="btn-primary" 
+              ${this.isLoading ? 'disabled' : ''}
+            >
+              ${this.isLoading ? t('auth.mfa.verifying') : t('auth.mfa.verify')}
+            </button>
+            
+            <button 
+              type="button" 
+              class="btn-link" 
+              onclick="this.getRootNode().host.toggleRecoveryCode(${!useRecoveryCode})"
+            >
+              ${useRecoveryCode ? t('auth.mfa.useCode') : t('auth.mfa.useRecoveryCode')}
+            </button>
+            
+            <button 
+              type="button" 
+              class="btn-link" 
+              onclick="this.getRootNode().host.cancelMfa()"
+            >
+              ${t('auth.mfa.cancel')}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render authenticator app enrollment: QR code, manual key and first code
+   */
+  renderTotpSetup() {
+    const { secretCode, username } = this.mfa;
+    
+    if (this.mfa.needsPassword) {
+      return `
+        <div class="auth-form">
+          <h2>${t('auth.mfa.setupTitle')}</h2>
+          <p>${t('auth.mfa.reauthPrompt')}</p>
+          
+          ${this.error ? `
+            <div class="alert alert-error" role="alert">
+              ${this.error}
+            </div>
+          ` : ''}
+          
+          <form id="mfa-reauth-form">
+            <div class="form-group">
+              <label for="mfa-reauth-password">${t('auth.password')}</label>
+              <input 
+                type="password" 
+                id="mfa-reauth-password" 
+                name="password" 
+                autocomplete="current-password" 
+                required 
+              />
+            </div>
+            
+            <div class="form-actions">
+              <button 
+                type="submit" 
+                class="btn-primary" 
+                ${this.isLoading ? 'disabled' : ''}
+              >
+                ${this.isLoading ? t('app.loading') : t('auth.mfa.reauthContinue')}
+              </button>
+              
+              <button 
+                type="button" 
+                class="btn-link" 
+                onclick="this.getRootNode().host.cancelMfa()"
+              >
+                ${t('auth.mfa.cancel')}
+              </button>
+            </div>
+          </form>
+        </div>
+      `;
+    }
+    
+    if (!secretCode) {
+      return `
+        <div class="auth-form">
+          <h2>${t('auth.mfa.setupTitle')}</h2>
+          
+          ${this.error ? `
+            <div class="alert alert-error" role="alert">
+              ${this.error}
+            </div>
+            
+            <div class="form-actions">
+              <button type="button" class="btn-primary" onclick="this.getRootNode().host.startTotpSetup()">
+                ${t('auth.mfa.retry')}
+              </button>
+              <button type="button" class="btn-link" onclick="this.getRootNode().host.cancelMfa()">
+                ${t('auth.mfa.cancel')}
+              </button>
+            </div>
+          ` : `<p>${t('app.loading')}</p>`}
+        </div>
+      `;
+    }
+    
+    return `
+      <div class="auth-form">
+        <h2>${t('auth.mfa.setupTitle')}</h2>
+        <p>${t('auth.mfa.setupScan')}</p>
+        
+        <div class="mfa-qr">
+          ${renderQrSvg(this.getTotpUri(secretCode, username), { label: t('auth.mfa.qrLabel') })}
+        </div>
+        
+        <p>${t('auth.mfa.setupManual')}</p>
+        <p class="mfa-secret">${secretCode.match(/.{1,4}/g).join(' ')}</p>
+        
+        ${this.error ? `
+          <div class="alert alert-error" role="alert">
+            ${this.error}
+          </div>
+        ` : ''}
+        
+        <form id="mfa-setup-form">
+          <div class="form-group">
+            <label for="mfa-setup-code">${t('auth.mfa.setupCode')}</label>
+            <input 
+              type="text" 
+              id="mfa-setup-code" 
+              name="code" 
+              inputmode="numeric" 
+              autocomplete="one-time-code" 
+              pattern="[0-9]{6}" 
+              maxlength="6" 
+              required 
+            />
+          </div>
+          
+          <div class="form-actions">
+            <button 
+              type="submit" 
+              class="btn-primary" 
+              ${this.isLoading ? 'disabled' : ''}
+            >
+              ${this.isLoading ? t('auth.mfa.verifying') : t('auth.mfa.enable')}
+            </button>
+            
+            <button 
+              type="button" 
+              class="btn-link" 
+              onclick="this.getRootNode().host.cancelMfa()"
+            >
+              ${t('auth.mfa.cancel')}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the recovery codes issued on enrollment
+   */
+  renderRecoveryCodes() {
+    return `
+      <div class="auth-form">
+        <h2>${t('auth.mfa.recoveryTitle')}</h2>
+        <div class="alert alert-warning" role="alert">
+          ${t('auth.mfa.recoveryWarning')}
+        </div>
+        
+        <ul class="mfa-recovery-codes">
+          ${this.mfa.recoveryCodes.map(code => `<li>${code}</li>`).join('')}
+        </ul>
+        
+        <div class="form-actions">
+          <button 
+            type="button" 
+            class="btn-secondary" 
+            onclick="this.getRootNode().host.copyRecoveryCodes()"
+          >
+            ${t('auth.mfa.copyCodes')}
+          </button>
+          
+          <button 
+            type="button" 
+            class="btn-primary" 
+            onclick="this.getRootNode().host.finishMfa()"
+          >
+            ${t('auth.mfa.savedCodes')}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+  
+  /**
+   * Build the otpauth:// link authenticator apps read from the QR code
+   * @param {string} secretCode - Base32 secret
+   * @param {string} username - Account name
+   * @returns {string} Key URI
+   */
+  getTotpUri(secretCode, username) {
+    const issuer = encodeURIComponent(TOTP_ISSUER);
+    return `otpauth://totp/${issuer}:${encodeURIComponent(username || '')}?secret=${secretCode}&issuer=${issuer}`;
+  }
+  
   /**
    * Toggle between login and registration forms
    * @param {boolean} isRegistering - Whether to show registration form
@@ -245,6 +642,40 @@ export class Authentication extends HTMLElement {
   toggleRegistration(isRegistering) {
     this.isRegistering = isRegistering;
     this.error = null;
+    this.notice = null;
+    this.render();
+  }
+  
+  /**
+   * Show the forgot-password journey, starting from the username typed so far
+   */
+  showForgotPassword() {
+    this.passwordReset = {
+      mode: 'forgot',
+      username: this.shadowRoot.getElementById('username')?.value.trim() || ''
+    };
+    this.error = null;
+    this.notice = null;
+    this.render();
+  }
+  
+  /**
+   * Handle the outcome of a password reset
+   * @param {CustomEvent} event - casl-password-reset event
+   */
+  handlePasswordResetEvent(event) {
+    const { type, data } = event.detail;
+    this.passwordReset = null;
+    this.error = null;
+    
+    if (type === 'signed-in') {
+      this.isAuthenticated = true;
+      this.user = data;
+      this.dispatchAuthEvent('authenticated', data);
+    } else if (type === 'reset') {
+      this.notice = t('auth.reset.success');
+    }
+    
     this.render();
   }
   
@@ -255,15 +686,22 @@ export class Authentication extends HTMLElement {
   async handleSubmit(event) {
     event.preventDefault();
     
+    const form = event.target;
+    const formData = new FormData(form);
+    
     this.isLoading = true;
     this.error = null;
+    this.notice = null;
     this.render();
     
-    const form = event.target;
-    const formData = new FormData(form);
-    
     try {
-      if (this.isRegistering) {
+      if (form.id === 'mfa-challenge-form') {
+        await this.handleMfaChallenge(formData);
+      } else if (form.id === 'mfa-setup-form') {
+        await this.handleTotpSetup(formData);
+      } else if (form.id === 'mfa-reauth-form') {
+        await this.startTotpSetup(formData.get('password'));
+      } else if (this.isRegistering) {
         await this.handleRegistration(formData);
       } else {
         await this.handleLogin(formData);
@@ -271,14 +709,12 @@ export class Authentication extends HTMLElement {
     } catch (error) {
       console.error('Authentication error:', error);
       
-      // 🚨 UPDATED: Handle password challenge differently
-      if (error.isChallenge && error.challengeData) {
-        console.log('🔄 Password challenge detected, modal should appear...');
-        // Don't show error - the password reset handler will take over
-        // Just set loading to false and return
-        this.isLoading = false;
-        this.render();
-        return;
+      if (error.isChallenge && error.challengeData?.challenge) {
+        // Second factor required: switch to the MFA screens
+        this.startMfa(error.challengeData);
+      } else if (error.isChallenge && error.challengeData) {
+        // NEW_PASSWORD_REQUIRED: the password reset component takes over
+        this.passwordReset = { mode: 'new-password', ...error.challengeData };
       } else {
         // Handle other login errors normally
         this.error = error.message || t('auth.genericError');
@@ -321,38 +757,192 @@ export class Authentication extends HTMLElement {
   }
   
   /**
-   * Handle user login - UPDATED to handle password challenge
+   * Handle user login
    * @param {FormData} formData - Form data
    */
   async handleLogin(formData) {
     const username = formData.get('username');
     const password = formData.get('password');
     
+    // Log in user with Cognito; challenges (new password, MFA) are thrown
+    // to handleSubmit
+    const user = await userService.loginUser(username, password);
+    
+    // Update state
+    this.isAuthenticated = true;
+    this.user = user;
+    
+    // Dispatch authentication event
+    this.dispatchAuthEvent('authenticated', user);
+    
+    // Render authenticated state
+    this.render();
+  }
+  
+  /**
+   * Sign in with a passkey
+   * A username typed into the login form narrows the browser's choice to
+   * that account's passkeys; without one the browser lists them all.
+   */
+  async handlePasskeyLogin() {
+    const username = this.shadowRoot.getElementById('username')?.value.trim();
+    
+    this.isLoading = true;
+    this.isRegistering = false;
+    this.error = null;
+    this.notice = null;
+    this.render();
+    
     try {
-      // Log in user with Cognito
-      const user = await userService.loginUser(username, password);
+      const user = await userService.loginWithPasskey(username || undefined);
       
-      // Update state
       this.isAuthenticated = true;
       this.user = user;
-      
-      // Dispatch authentication event
       this.dispatchAuthEvent('authenticated', user);
-      
-      // Render authenticated state
+    } catch (error) {
+      // NotAllowedError: the user dismissed the browser prompt or it timed out
+      this.error = error.name === 'NotAllowedError'
+        ? t('auth.passkey.cancelled')
+        : error.message || t('auth.passkey.error');
+    } finally {
+      this.isLoading = false;
       this.render();
+    }
+  }
+  
+  /**
+   * Show the screen for a multi-factor challenge returned by login
+   * @param {Object} challengeData - { challenge, session, username, destination }
+   */
+  startMfa(challengeData) {
+    this.mfa = { ...challengeData, step: 'challenge', useRecoveryCode: false };
+    
+    if (challengeData.challenge === MFA_CHALLENGES.SETUP) {
+      this.mfa.step = 'setup';
+      this.startTotpSetup();
+    }
+  }
+  
+  /**
+   * Answer the SMS or authenticator challenge
+   * @param {FormData} formData - Form data
+   */
+  async handleMfaChallenge(formData) {
+    const { session, username, challenge } = this.mfa;
+    
+    const user = await userService.respondToMfaChallenge({
+      session,
+      username,
+      challenge,
+      code: formData.get('code')?.trim(),
+      recoveryCode: formData.get('recoveryCode')?.trim(),
+      rememberDevice: formData.get('rememberDevice') === 'on'
+    });
+    
+    this.mfa = null;
+    this.isAuthenticated = true;
+    this.user = user;
+    this.dispatchAuthEvent('authenticated', user);
+    this.render();
+  }
+  
+  /**
+   * Fetch a new authenticator secret to enrol
+   * @param {string} [password] - Current password, when replacing an authenticator
+   */
+  async startTotpSetup(password) {
+    this.error = null;
+    
+    try {
+      const { secretCode, session } = await userService.beginTotpSetup({
+        session: this.isAuthenticated ? null : this.mfa.session,
+        password
+      });
+      if (!this.mfa) return;
+      
+      this.mfa.secretCode = secretCode;
+      this.mfa.session = session;
+      this.mfa.needsPassword = false;
     } catch (error) {
-      // 🚨 UPDATED: Handle password challenge differently
-      if (error.isChallenge && error.challengeData) {
-        console.log('🔄 Password challenge detected, modal should appear...');
-        // Don't show error - the password reset handler will take over
-        // Just re-throw the error so the parent handleSubmit can handle it
-        throw error;
+      if (error.data?.code === 'reauthentication_required' && this.mfa) {
+        // Already enrolled: replacing the authenticator needs the password
+        if (password) this.error = error.message || t('auth.mfa.setupError');
+        this.mfa.needsPassword = true;
       } else {
-        // Handle other login errors normally
-        throw error;
+        this.error = error.message || t('auth.mfa.setupError');
       }
     }
+    
+    this.render();
+  }
+  
+  /**
+   * Confirm enrollment with the first authenticator code
+   * @param {FormData} formData - Form data
+   */
+  async handleTotpSetup(formData) {
+    const { recoveryCodes, user } = await userService.confirmTotpSetup({
+      session: this.isAuthenticated ? null : this.mfa.session,
+      username: this.mfa.username,
+      code: formData.get('code').trim()
+    });
+    
+    // Signing in through MFA_SETUP; authenticated once the codes are saved
+    if (user) {
+      this.user = user;
+    }
+    
+    this.mfa = { step: 'recovery-codes', recoveryCodes };
+  }
+  
+  /**
+   * Switch between the one-time code and a recovery code
+   * @param {boolean} useRecoveryCode - Whether to ask for a recovery code
+   */
+  toggleRecoveryCode(useRecoveryCode) {
+    this.mfa.useRecoveryCode = useRecoveryCode;
+    this.error = null;
+    this.render();
+  }
+  
+  /**
+   * Copy the recovery codes to the clipboard
+   */
+  async copyRecoveryCodes() {
+    try {
+      await navigator.clipboard.writeText(this.mfa.recoveryCodes.join('\n'));
+    } catch (error) {
+      console.warn('Could not copy recovery codes:', error.message);
+    }
+  }
+  
+  /**
+   * Leave the recovery codes screen
+   */
+  finishMfa() {
+    const enrolling = this.isAuthenticated;
+    
+    this.mfa = null;
+    this.error = null;
+    
+    if (enrolling) {
+      this.dispatchAuthEvent('mfa-enabled');
+    } else {
+      this.isAuthenticated = !!this.user;
+    }
+    
+    // Reports the authenticated state, which returns to the dashboard
+    this.render();
+  }
+  
+  /**
+   * Abandon the MFA step
+   * Returns to the login form, or to the dashboard when enrolling while signed in.
+   */
+  cancelMfa() {
+    this.mfa = null;
+    this.error = null;
+    this.render();
   }
   
   /**
@@ -362,15 +952,8 @@ export class Authentication extends HTMLElement {
     try {
       await userService.logoutUser();
       
-      // Update state
-      this.isAuthenticated = false;
-      this.user = null;
-      
-      // Dispatch logout event
-      this.dispatchAuthEvent('logged-out');
-      
-      // Render login form
-      this.render();
+      // Usually done already by the session listener
+      this.showLoggedOut();
     } catch (error) {
       console.error('Logout error:', error);
       this.error = error.message || t('auth.logoutError');
@@ -416,18 +999,9 @@ export class Authentication extends HTMLElement {
    * Setup event listeners
    */
   setupEventListeners() {
-    // Add form submission handlers after render
-    setTimeout(() => {
-      const loginForm = this.shadowRoot.getElementById('login-form');
-      if (loginForm) {
-        loginForm.addEventListener('submit', this.handleSubmit.bind(this));
-      }
-      
-      const registrationForm = this.shadowRoot.getElementById('registration-form');
-      if (registrationForm) {
-        registrationForm.addEventListener('submit', this.handleSubmit.bind(this));
-      }
-    }, 0);
+    // Delegated, so forms survive re-rendering
+    this.shadowRoot.addEventListener('submit', this.handleSubmit.bind(this));
+    this.shadowRoot.addEventListener('casl-password-reset', this.handlePasswordResetEvent.bind(this));
   }
 }
 
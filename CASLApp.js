@@ -109,6 +109,9 @@ export class CASLApp extends HTMLElement {
       case 'verification-details':
         content = this.renderVerificationDetails();
         break;
+      case 'mfa-setup':
+        content = this.renderMfaSetup();
+        break;
       default:
         content = this.renderError('Invalid view');
     }
@@ -178,6 +181,13 @@ export class CASLApp extends HTMLElement {
     return `<casl-user-dashboard></casl-user-dashboard>`;
   }
   
+  /**
+   * Render authenticator app enrollment for the signed-in user
+   */
+  renderMfaSetup() {
+    return `<casl-authentication mode="mfa-setup"></casl-authentication>`;
+  }
+  
   /**
    * Render verification view
    */
@@ -594,6 +604,10 @@ export class CASLApp extends HTMLElement {
       case 'registration-pending':
         this.showNotification(`Registration successful! Please check your email to confirm your account.`);
         break;
+      
+      case 'mfa-enabled':
+        this.showNotification(t('auth.mfa.enabled'));
+        break;
     }
   }
   
@@ -613,10 +627,24 @@ export class CASLApp extends HTMLElement {
         this.navigateTo('verification-details', data);
         break;
       
+      case 'renew-verification':
+        this.startRenewal(data.verification);
+        break;
+      
       case 'purchase-package':
         this.handlePackagePurchase(data);
         break;
       
+      case 'setup-mfa':
+        this.navigateTo('mfa-setup');
+        break;
+      
+      case 'account-deleted':
+        this.user = null;
+        this.navigateTo('auth');
+        this.showNotification(t('account.deleted'));
+        break;
+      
       case 'logout':
         this.user = null;
         this.navigateTo('auth');
@@ -640,6 +668,26 @@ export class CASLApp extends HTMLElement {
     }, 2000);
   }
   
+  /**
+   * Open the verification form to renew an earlier verification
+   * @param {Object} verification - History entry being renewed
+   */
+  async startRenewal(verification) {
+    let record = verification;
+    
+    if (verification.verificationId) {
+      try {
+        record = await userService.getVerification(verification.verificationId);
+      } catch (error) {
+        // The history entry still has the CASL Key ID and platform to start from
+        console.warn('Could not load the verification being renewed:', error);
+      }
+    }
+    
+    this.navigateTo('verification');
+    this.shadowRoot.querySelector('casl-verification')?.startRenewal(record);
+  }
+  
   /**
    * Handle package purchase
    * @param {Object} data - Package data
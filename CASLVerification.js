@@ -1,13 +1,14 @@
 // src/components/CASLVerification.js
 import { getStyles } from './styles.js';
 import { renderProgressSteps } from './ProgressSteps.js';
-import { renderAlerts, renderTrustPreview, renderScreenReaderAnnouncement } from './Alerts.js';
+import { renderAlerts, renderTrustPreview, renderScreenReaderAnnouncement, renderQueuedRequests, renderRenewalNotice } from './Alerts.js';
 import { renderNavigationButtons } from './NavigationButtons.js';
 import { renderUserIdentification } from './UserIdentification.js';
 import { renderBookingInfo } from './BookingInfo.js';
 import { renderStayIntent } from './StayIntent.js';
 import { renderAgreement } from './Agreement.js';
 import { renderResults } from './ResultsView.js';
+import { renderWhatIfPanel } from './WhatIfPanel.js';
 
 import { 
   validateUserIdentification, 
@@ -26,6 +27,8 @@ import { formHelper } from './FormHelper.js';
 import { accessibilityMessages } from './accessibilityMessages.js';
 
 import { apiService } from './api.js';
+import { offlineQueue } from './offlineQueue.js';
+import { statusChannel, STATUS_TOPICS } from './statusChannel.js';
 import { apiSecurity } from './apiSecurity.js';
 import { i18nService, t } from './i18n.js';
 import { governmentIdVerification } from './governmentIdVerification.js';
@@ -37,8 +40,26 @@ import {
   calculateScore,
   getTrustLevel,
   getResultMessage,
-  generateHostSummary
+  generateHostSummary,
+  getScoreRange
 } from './scoreCalculator.js';
+import { scoringRulesService } from './scoringRules.js';
+import { scoringProfilesService } from './scoringProfiles.js';
+import { simulateScoreImprovements } from './scoreSimulator.js';
+import { badgeService } from './badgeService.js';
+import { bookingMatchService } from './bookingMatch.js';
+import { getNormalizedLinkIds } from './listingLinks.js';
+import { getReapplyCooldown } from './reapplyPolicy.js';
+import { authSession } from './authSession.js';
+import './ReapplyCooldown.js';
+import { isAppealable } from './appealService.js';
+import './VerificationAppeal.js';
+import {
+  getCompletedIdentityChecks,
+  getReusableChecks,
+  getRenewalFormData,
+  getRenewalVerificationState
+} from './reverification.js';
 
 import {
   renderVerificationMethodSelector,
@@ -186,7 +207,8 @@ export class CASLVerification extends HTMLElement {
     // Track render count for performance monitoring
     this._renderCount = 0;
     this._validationTimer = null;
-    this._verificationPollInterval = null;
+    this._unsubscribeVerificationStatus = null;
+    this._unsubscribeGovernmentIdStatus = null;
     this._prevRenderState = null;
     this._trustPreviewCache = {};
     
@@ -264,10 +286,12 @@ export class CASLVerification extends HTMLElement {
     // Subscribe to UI state
     this.unsubscribeHandlers.push(
       stateManager.subscribe('ui', state => {
-        // Only update if loading or alert status changed
-        if (this.isLoading !== state.loading || this.apiError !== state.alert) {
+        // Only update if loading, alert or offline queue status changed
+        if (this.isLoading !== state.loading || this.apiError !== state.alert ||
+            this.queuedRequests !== state.queuedRequests) {
           this.isLoading = state.loading;
           this.apiError = state.alert;
+          this.queuedRequests = state.queuedRequests;
           this.updateButtonStates(); // Update buttons immediately when loading state changes
           this.render();
         }
@@ -284,11 +308,18 @@ export class CASLVerification extends HTMLElement {
           this.trustLevel = state.trustLevel;
           this.message = state.message;
           this.adjustments = state.adjustments;
+          this.ruleSetVersion = state.ruleSetVersion;
+          this.scoringProfile = state.scoringProfile;
           this.render();
         }
       })
     );
     
+    // Finish submissions that were queued while offline
+    this.unsubscribeHandlers.push(
+      offlineQueue.subscribe(event => this.handleOfflineQueueEvent(event))
+    );
+    
     // Set local state that isn't in global state manager
     this.currentStep = stateManager.getState('formData').currentStep || 0;
     this.showScreenshotUpload = false;
@@ -297,6 +328,19 @@ export class CASLVerification extends HTMLElement {
     this.showRestoredMessage = false;
     this.showVerificationMethods = false;
     this.selectedVerificationMethod = null;
+    this.showScoreSimulator = false;
+    this.scoreSimulation = null;
+    
+    // Earlier verification being renewed, and the checks it carries over
+    this.renewal = null;
+    this.reusedChecks = [];
+    
+    // Set while a not-eligible result keeps the guest from reapplying ({ until, caslKeyId, verificationId })
+    this.reapplyCooldown = null;
+    
+    // Appeal of a manual-review or not-eligible result, and whether it is open
+    this.appeal = null;
+    this.showAppeal = false;
     
     // Get initial form data from state manager
     this.formData = stateManager.getState('formData');
@@ -308,6 +352,7 @@ export class CASLVerification extends HTMLElement {
     const uiState = stateManager.getState('ui');
     this.isLoading = uiState.loading;
     this.apiError = uiState.alert;
+    this.queuedRequests = uiState.queuedRequests || 0;
     
     // Get results state
     const resultsState = stateManager.getState('results');
@@ -316,6 +361,8 @@ export class CASLVerification extends HTMLElement {
     this.trustLevel = resultsState.trustLevel;
     this.message = resultsState.message;
     this.adjustments = resultsState.adjustments;
+    this.ruleSetVersion = resultsState.ruleSetVersion;
+    this.scoringProfile = resultsState.scoringProfile;
     
     // Initialize errors object
     this.errors = {};
@@ -380,10 +427,18 @@ export class CASLVerification extends HTMLElement {
       isLoading: this.isLoading,
       apiError: this.apiError !== null,
       submitted: this.submitted,
+      reapplyCooldown: !!this.reapplyCooldown,
+      showAppeal: this.showAppeal,
+      appealId: this.appeal?.appealId || null,
+      queuedRequests: this.queuedRequests,
       showScreenshotUpload: this.showScreenshotUpload,
       verificationStatus: this.verificationStatus,
       errorCount: Object.keys(this.errors).length,
-      showVerificationMethods: this.showVerificationMethods
+      showVerificationMethods: this.showVerificationMethods,
+      showScoreSimulator: this.showScoreSimulator,
+      scoreSimulation: this.showScoreSimulator && this.scoreSimulation
+        ? this.scoreSimulation.actions.map(action => `${action.id}:${action.pointGain}`).join(',')
+        : null
     };
     
     // Simple deep comparison of previous and current state
@@ -481,6 +536,12 @@ export class CASLVerification extends HTMLElement {
       // Initialize i18n service
       await i18nService.init();
       
+      // Load the active scoring rule set
+      await scoringRulesService.init();
+      
+      // Signed-in guests learn about a reapply cooldown before filling in the form
+      await this.checkReapplyCooldown();
+      
       // Check for saved form data
       this.loadSavedData();
     } catch (error) {
@@ -527,11 +588,13 @@ export class CASLVerification extends HTMLElement {
     clearTimeout(this._validationTimer);
     clearTimeout(this._saveFormDataTimer);
     
-    // Clear polling intervals if any are active
-    if (this._verificationPollInterval) {
-      clearInterval(this._verificationPollInterval);
-      this._verificationPollInterval = null;
-    }
+    // Stop following any pending verification statuses
+    this.stopWatchingVerificationStatus();
+    this.stopWatchingGovernmentIdStatus();
+    this.stopWatchingBackgroundCheck();
+    
+    // Abort this component's in-flight requests
+    apiService.cancelRequests(this.componentId);
     
     // Clear any other resources
     this.screenshotData = null;
@@ -648,7 +711,12 @@ export class CASLVerification extends HTMLElement {
     performanceMonitor.startTimer('render');
     performance.mark('render_start');
     
-    const content = this.submitted ? this.renderResults() : this.renderForm();
+    let content;
+    if (this.reapplyCooldown) {
+      content = this.renderReapplyCooldown();
+    } else {
+      content = this.submitted ? this.renderResults() : this.renderForm();
+    }
     
     let html = `
       <style>${getStyles()}</style>
@@ -662,6 +730,7 @@ export class CASLVerification extends HTMLElement {
         </div>
         
         <main id="verification-main-content" tabindex="-1">
+          ${renderQueuedRequests(this.queuedRequests)}
           ${content}
         </main>
       </div>
@@ -675,6 +744,27 @@ export class CASLVerification extends HTMLElement {
     
     this.shadowRoot.innerHTML = html;
     
+    // Guest details for the support request are set as properties, never parsed as markup
+    const cooldownElement = this.shadowRoot.querySelector('casl-reapply-cooldown');
+    if (cooldownElement) {
+      if (this.formData.email) cooldownElement.setAttribute('email', this.formData.email);
+      cooldownElement.context = {
+        platform: this.formData.platform || null,
+        listingLink: this.formData.listingLink || null
+      };
+    }
+    
+    // The result being appealed, and the appeal once sent
+    const appealElement = this.shadowRoot.querySelector('casl-verification-appeal');
+    if (appealElement) {
+      appealElement.verification = {
+        verificationId: stateManager.getState('results').verificationId,
+        caslKeyId: this.userIdentification.caslKeyId,
+        adjustments: this.adjustments
+      };
+      appealElement.appeal = this.appeal;
+    }
+    
     // Announce status changes to screen readers
     this.announceStatusChanges();
     
@@ -699,6 +789,21 @@ export class CASLVerification extends HTMLElement {
     }
   }
   
+  /**
+   * Render the countdown shown instead of the form during a reapply cooldown
+   */
+  renderReapplyCooldown() {
+    const { until, caslKeyId, verificationId } = this.reapplyCooldown;
+    
+    return `
+      <casl-reapply-cooldown 
+        until="${until.toISOString()}" 
+        casl-key-id="${caslKeyId || ''}" 
+        verification-id="${verificationId || ''}"
+      ></casl-reapply-cooldown>
+    `;
+  }
+  
   /**
    * Render the form based on current step
    */
@@ -726,8 +831,10 @@ export class CASLVerification extends HTMLElement {
     return `
       ${renderProgressSteps(this.currentStep)}
       ${renderAlerts(this.showRestoredMessage, this.apiError)}
+      ${this.renewal ? renderRenewalNotice(this.renewal.caslKeyId, this.reusedChecks) : ''}
       ${this.renderCurrentStep()}
       ${this.trustPreview ? renderTrustPreview(this.trustPreview) : ''}
+      ${this.trustPreview ? renderWhatIfPanel(this.scoreSimulation, this.showScoreSimulator) : ''}
       ${renderNavigationButtons(this.currentStep, this.isFormValid, this.isLoading)}
     `;
   }
@@ -761,13 +868,33 @@ export class CASLVerification extends HTMLElement {
    * Render verification results
    */
   renderResults() {
-    return renderResults(
-      this.userIdentification,
-      this.trustLevel,
-      this.score,
-      this.message,
-      this.adjustments
-    );
+    const { verificationId, badgeToken } = stateManager.getState('results');
+    const canAppeal = isAppealable({ verificationId, trustLevel: this.trustLevel }) && !this.showAppeal;
+    
+    return `
+      ${renderResults(
+        this.userIdentification,
+        this.trustLevel,
+        this.score,
+        this.message,
+        this.adjustments,
+        this.ruleSetVersion,
+        scoringProfilesService.getProfile(this.scoringProfile),
+        badgeToken,
+        canAppeal ? { appealId: this.appeal?.appealId || null } : null
+      )}
+      ${this.showAppeal ? '<casl-verification-appeal></casl-verification-appeal>' : ''}
+    `;
+  }
+  
+  /**
+   * Open the appeal of the result (or the appeal already sent)
+   */
+  openAppeal() {
+    this.showAppeal = true;
+    this.render();
+    
+    this.shadowRoot.querySelector('casl-verification-appeal')?.scrollIntoView?.({ behavior: 'smooth' });
   }
   
   /**
@@ -827,6 +954,11 @@ export class CASLVerification extends HTMLElement {
       updatedFormData.zipCode = '';
     }
     
+    // Keep canonical platform IDs in sync with the pasted links
+    if (name === 'listingLink' || name === 'airbnbProfile' || name === 'vrboProfile') {
+      Object.assign(updatedFormData, getNormalizedLinkIds(updatedFormData));
+    }
+    
     // Update global state
     stateManager.updateFormData(updatedFormData);
     
@@ -975,19 +1107,8 @@ export class CASLVerification extends HTMLElement {
     if (!file) return;
     
     try {
-      // Validate file type
-      const allowedTypes = configManager.getAllowedImageTypes();
-      if (!allowedTypes.includes(file.type)) {
-        throw errorHandler.createValidationError(t('errors.invalidImageType'));
-      }
-      
-      // Validate file size
-      const maxSize = configManager.get('MAX_SCREENSHOT_SIZE');
-      if (file.size > maxSize) {
-        throw errorHandler.createValidationError(
-          t('errors.imageTooLarge', { size: Math.floor(maxSize / (1024 * 1024)) })
-        );
-      }
+      // Validate file type and size
+      apiService.validateImageFile(file);
       
       // Read the file as data URL
       const reader = new FileReader();
@@ -1114,8 +1235,15 @@ export class CASLVerification extends HTMLElement {
       // Call API to upload screenshot
       const result = await apiService.uploadScreenshot(this.screenshotData, userId);
       
-      // Start polling for verification status
-      this.startVerificationStatusPolling(userId);
+      if (result.queued) {
+        // Status is followed once the queued upload is sent (see handleOfflineQueueEvent)
+        stateManager.setLoading(false);
+        accessibilityHelper.announce(accessibilityMessages.requestQueued, 'polite');
+        return true;
+      }
+      
+      // Follow the verification status until it is final
+      this.watchVerificationStatus(userId);
       
       return true;
     } catch (error) {
@@ -1135,78 +1263,92 @@ export class CASLVerification extends HTMLElement {
   }
   
   /**
-   * Start polling for verification status
+   * Follow the screenshot verification status until it is final
    * @param {string} userId - User ID for verification
    */
-  startVerificationStatusPolling(userId) {
-    // Clear any existing polling interval
-    if (this._verificationPollInterval) {
-      clearInterval(this._verificationPollInterval);
-    }
-    
-    // Poll interval from config
-    const pollInterval = configManager.get('VERIFICATION_POLL_INTERVAL', 3000);
+  watchVerificationStatus(userId) {
+    this.stopWatchingVerificationStatus();
     
-    // Create interval for polling
-    this._verificationPollInterval = setInterval(async () => {
-      performanceMonitor.startTimer('api_status_check');
-      try {
-        const result = await apiService.checkVerificationStatus(userId);
-        
+    this._unsubscribeVerificationStatus = statusChannel.subscribe({
+      topic: STATUS_TOPICS.SCREENSHOT,
+      id: userId,
+      poll: options => apiService.checkVerificationStatus(userId, options),
+      isFinal: result => result.status !== VERIFICATION_STATUSES.PROCESSING,
+      onUpdate: (result, { final }) => {
         // Update the verification status
         this.verificationStatus = result.status;
         
-        // If verification is complete (not processing), stop polling
-        if (result.status !== VERIFICATION_STATUSES.PROCESSING) {
-          clearInterval(this._verificationPollInterval);
-          this._verificationPollInterval = null;
-          stateManager.setLoading(false);
-          
-          // If verified, update user identification
-          if (result.status === VERIFICATION_STATUSES.VERIFIED) {
-            stateManager.setVerification({
-              ...this.userIdentification,
-              isVerified: true,
-              verificationType: 'screenshot',
-              platformData: result.verificationDetails || null
-            });
-            
-            // Update trust preview
-            this.updateTrustPreview();
-            
-            // Announce success to screen readers
-            accessibilityHelper.announce(accessibilityMessages.verificationSuccess, 'polite');
-          } else {
-            // Announce failure or review status
-            if (result.status === VERIFICATION_STATUSES.MANUAL_REVIEW) {
-              accessibilityHelper.announce(t('accessibility.manualReviewRequired'), 'polite');
-            } else {
-              accessibilityHelper.announce(t('accessibility.verificationFailed'), 'assertive');
-            }
-          }
+        if (final) {
+          this._unsubscribeVerificationStatus = null;
+          this.handleVerificationStatus(result);
         }
-      } catch (error) {
+      },
+      onError: error => {
+        this._unsubscribeVerificationStatus = null;
         errorHandler.handleError(error);
-        clearInterval(this._verificationPollInterval);
-        this._verificationPollInterval = null;
         stateManager.showAlert(errorHandler.getUserFriendlyMessage(error));
         
         // Announce error to screen readers
         accessibilityHelper.announce(`Error checking verification status: ${errorHandler.getUserFriendlyMessage(error)}`, 'assertive');
         
         stateManager.setLoading(false);
-      } finally {
-        performanceMonitor.endTimer('api_status_check');
       }
-    }, pollInterval);
+    });
+  }
+  
+  /**
+   * Apply the final screenshot verification status
+   * @param {Object} result - Status check result
+   */
+  handleVerificationStatus(result) {
+    stateManager.setLoading(false);
+    
+    // If verified, update user identification
+    if (result.status === VERIFICATION_STATUSES.VERIFIED) {
+      stateManager.setVerification({
+        ...this.userIdentification,
+        isVerified: true,
+        verificationType: 'screenshot',
+        platformData: result.verificationDetails || null
+      });
+      
+      // Update trust preview
+      this.updateTrustPreview();
+      
+      // Announce success to screen readers
+      accessibilityHelper.announce(accessibilityMessages.verificationSuccess, 'polite');
+    } else if (result.status === VERIFICATION_STATUSES.MANUAL_REVIEW) {
+      // Announce review status to screen readers
+      accessibilityHelper.announce(t('accessibility.manualReviewRequired'), 'polite');
+    } else {
+      // Announce failure to screen readers
+      accessibilityHelper.announce(t('accessibility.verificationFailed'), 'assertive');
+    }
+  }
+  
+  /**
+   * Stop following the screenshot verification status
+   */
+  stopWatchingVerificationStatus() {
+    if (this._unsubscribeVerificationStatus) {
+      this._unsubscribeVerificationStatus();
+      this._unsubscribeVerificationStatus = null;
+    }
   }
   
   /**
    * Update the trust preview with caching
    */
   updateTrustPreview() {
+    const profile = this.getScoringProfile();
+    
+    // Keep an open what-if panel in sync with the latest answers
+    if (this.showScoreSimulator) {
+      this.updateScoreSimulation(profile);
+    }
+    
     // Generate cache key from relevant form & user data
-    const cacheKey = `${this.formData.travelingNearHome}_${this.formData.totalGuests}_${this.formData.usedSTRBefore}_${!!this.userIdentification.backgroundCheckStatus}`;
+    const cacheKey = `${profile.id}_${this.formData.travelingNearHome}_${this.formData.totalGuests}_${this.formData.usedSTRBefore}_${this.userIdentification.backgroundCheckStatus || 'none'}`;
     
     // Return cached result if available
     if (this._trustPreviewCache && this._trustPreviewCache[cacheKey]) {
@@ -1215,16 +1357,14 @@ export class CASLVerification extends HTMLElement {
     }
     
     // Calculate initial score based on current data
-    const result = calculateScore(this.formData, this.userIdentification);
-    const trustLevel = getTrustLevel(result.score);
+    const result = calculateScore(this.formData, this.userIdentification, { profile });
+    const trustLevel = getTrustLevel(result.score, profile);
     
     // Generate a host-facing summary
     const previewData = {
       caslKeyId: this.userIdentification.caslKeyId || 'Pending',
       trustLevel,
-      scoreRange: result.score >= 85 ? '85-100' : 
-                 result.score >= 70 ? '70-84' : 
-                 result.score >= 50 ? '50-69' : 'Below 50',
+      scoreRange: getScoreRange(result.score, profile),
       flags: {
         localBooking: this.formData.travelingNearHome || false,
         highGuestCount: this.formData.totalGuests > 5 || false,
@@ -1242,6 +1382,50 @@ export class CASLVerification extends HTMLElement {
     this.trustPreview = previewData;
   }
   
+  /**
+   * Rerun the score against what-if scenarios for the guest
+   * @param {Object} [profile] - Scoring profile (resolved if omitted)
+   * @returns {Object} Simulation with actions ranked by point gain
+   */
+  updateScoreSimulation(profile = this.getScoringProfile()) {
+    performanceMonitor.startTimer('score_simulation');
+    this.scoreSimulation = simulateScoreImprovements(this.formData, this.userIdentification, { profile });
+    performanceMonitor.endTimer('score_simulation');
+    
+    return this.scoreSimulation;
+  }
+  
+  /**
+   * Toggle the "what would raise my score?" panel
+   * @param {boolean} show - Whether to show the panel
+   */
+  toggleScoreSimulator(show = false) {
+    this.showScoreSimulator = show;
+    
+    if (show) {
+      const simulation = this.updateScoreSimulation();
+      accessibilityHelper.announce(accessibilityMessages.scoreSimulation(simulation.actions), 'polite');
+    } else {
+      accessibilityHelper.announce(accessibilityMessages.scoreSimulationClosed, 'polite');
+    }
+    
+    this.render();
+  }
+  
+  /**
+   * Resolve the scoring profile for this verification
+   * Hosts select a profile with the scoring-profile attribute, or by assigning
+   * one to their host ID (host-id attribute) or listing.
+   * @returns {Object} Scoring profile
+   */
+  getScoringProfile() {
+    return scoringProfilesService.resolveProfile({
+      profileId: this.getAttribute('scoring-profile'),
+      hostId: this.getAttribute('host-id'),
+      listingId: this.formData?.listingLink
+    });
+  }
+  
   /**
    * Load trust preview from storage
    */
@@ -1489,6 +1673,25 @@ export class CASLVerification extends HTMLElement {
       // Check user status with API
       const userIdentification = await apiService.checkUserStatus(userData);
       
+      // A renewal keeps its CASL Key ID and the checks carried over from the earlier verification
+      if (this.renewal) {
+        Object.assign(userIdentification, getRenewalVerificationState(this.renewal));
+      }
+      
+      // A recent not-eligible result means waiting out the cooldown before starting again
+      if (userIdentification.reapplyAfter && new Date(userIdentification.reapplyAfter) > new Date()) {
+        stateManager.setVerification({
+          ...userIdentification,
+          isChecking: false
+        });
+        this.showReapplyCooldown({
+          until: new Date(userIdentification.reapplyAfter),
+          caslKeyId: userIdentification.caslKeyId,
+          verificationId: null
+        });
+        return false;
+      }
+      
       // Update with verification status from screenshot if we already verified them
       const isVerified = this.verificationStatus === VERIFICATION_STATUSES.VERIFIED || 
                          this.verificationStatus === VERIFICATION_STATUSES.MANUAL_REVIEW;
@@ -1564,17 +1767,11 @@ export class CASLVerification extends HTMLElement {
       const result = await backgroundCheckService.initiateBackgroundCheck(userData);
       
       // Update user identification with background check status
-      stateManager.setVerification({
-        ...this.userIdentification,
-        backgroundCheckStatus: result.passed ? 'passed' : 'failed',
-        isVerified: this.userIdentification.isVerified || result.passed
-      });
+      this.applyBackgroundCheckResult(result);
       
-      // Announce result to screen readers
-      if (result.passed) {
-        accessibilityHelper.announce(accessibilityMessages.backgroundCheckComplete, 'polite');
-      } else {
-        accessibilityHelper.announce('Background check could not be completed. You may try another verification method.', 'assertive');
+      // Keep following checks the provider has not finished yet
+      if (result.passed === null) {
+        this.watchBackgroundCheck(result.checkId);
       }
     } catch (error) {
       errorHandler.handleError(error);
@@ -1590,6 +1787,71 @@ export class CASLVerification extends HTMLElement {
     }
   }
   
+  /**
+   * Store a neutral background check result on the verification state
+   * @param {Object} result - Neutral result from backgroundCheckService
+   */
+  applyBackgroundCheckResult(result) {
+    const status = backgroundCheckService.toVerificationStatus(result);
+    
+    stateManager.setVerification({
+      ...this.userIdentification,
+      backgroundCheckId: result.checkId,
+      backgroundCheckStatus: status,
+      backgroundCheckCompletedAt: status === 'pending' ? null : new Date().toISOString(),
+      isVerified: this.userIdentification.isVerified || result.passed === true
+    });
+    
+    // Announce result to screen readers
+    if (status === 'passed') {
+      accessibilityHelper.announce(accessibilityMessages.backgroundCheckComplete, 'polite');
+    } else if (status === 'pending') {
+      accessibilityHelper.announce(accessibilityMessages.backgroundCheckPending, 'polite');
+    } else {
+      accessibilityHelper.announce('Background check could not be completed. You may try another verification method.', 'assertive');
+    }
+    
+    this.updateTrustPreview();
+  }
+  
+  /**
+   * Follow a pending background check until the provider reports pass/fail
+   * Results arrive over the status channel (relayed provider webhooks) or
+   * from polling the provider while the channel is down.
+   * @param {string} checkId - Background check ID
+   */
+  watchBackgroundCheck(checkId) {
+    this.stopWatchingBackgroundCheck();
+    
+    this._unsubscribeBackgroundCheck = statusChannel.subscribe({
+      topic: STATUS_TOPICS.BACKGROUND_CHECK,
+      id: checkId,
+      poll: options => backgroundCheckService.checkStatus(checkId, options),
+      parseMessage: payload => backgroundCheckService.ingestWebhookResult(payload),
+      isFinal: result => result.passed !== null,
+      onUpdate: (result, { final }) => {
+        if (!final) return;
+        
+        this._unsubscribeBackgroundCheck = null;
+        this.applyBackgroundCheckResult(result);
+      },
+      onError: error => {
+        this._unsubscribeBackgroundCheck = null;
+        errorHandler.handleError(error);
+      }
+    });
+  }
+  
+  /**
+   * Stop following a pending background check
+   */
+  stopWatchingBackgroundCheck() {
+    if (this._unsubscribeBackgroundCheck) {
+      this._unsubscribeBackgroundCheck();
+      this._unsubscribeBackgroundCheck = null;
+    }
+  }
+  
   /**
    * Handle Government ID verification
    * @param {Event} event - File input event
@@ -1678,26 +1940,13 @@ export class CASLVerification extends HTMLElement {
     try {
       const result = await governmentIdVerification.verifyId(userId);
       
-      if (result && result.status === 'verified') {
-        // Update user identification
-        stateManager.setVerification({
-          ...this.userIdentification,
-          idVerificationData: {
-            verified: true,
-            method: 'government-id',
-            timestamp: new Date().toISOString()
-          }
-        });
-        
-        // Update trust preview
-        this.updateTrustPreview();
-        
-        // Announce success to screen readers
-        accessibilityHelper.announce(accessibilityMessages.verificationMethod.success('government ID'), 'polite');
-      } else {
-        // Announce failure to screen readers
-        accessibilityHelper.announce(accessibilityMessages.verificationMethod.failed('government ID'), 'assertive');
+      // Longer checks finish in the background; follow them until they are final
+      if (result && result.status === 'processing') {
+        this.watchGovernmentIdStatus(userId);
+        return;
       }
+      
+      this.handleGovernmentIdResult(result);
     } catch (error) {
       errorHandler.handleError(error);
       stateManager.showAlert(errorHandler.getUserFriendlyMessage(error));
@@ -1710,6 +1959,81 @@ export class CASLVerification extends HTMLElement {
     }
   }
   
+  /**
+   * Apply a government ID verification result
+   * @param {Object|null} result - Verification result
+   */
+  handleGovernmentIdResult(result) {
+    if (result && result.status === 'verified') {
+      // Update user identification
+      stateManager.setVerification({
+        ...this.userIdentification,
+        idVerificationData: {
+          verified: true,
+          method: 'government-id',
+          timestamp: new Date().toISOString()
+        }
+      });
+      
+      // Update trust preview
+      this.updateTrustPreview();
+      
+      // Announce success to screen readers
+      accessibilityHelper.announce(accessibilityMessages.verificationMethod.success('government ID'), 'polite');
+    } else {
+      // Announce failure to screen readers
+      accessibilityHelper.announce(accessibilityMessages.verificationMethod.failed('government ID'), 'assertive');
+    }
+  }
+  
+  /**
+   * Follow a government ID verification that is still processing
+   * @param {string} userId - User ID
+   */
+  watchGovernmentIdStatus(userId) {
+    this.stopWatchingGovernmentIdStatus();
+    
+    this._unsubscribeGovernmentIdStatus = statusChannel.subscribe({
+      topic: STATUS_TOPICS.GOVERNMENT_ID,
+      id: userId,
+      poll: options => apiService.checkGovernmentIdStatus(userId, options),
+      isFinal: result => result.status !== 'processing',
+      onUpdate: (result, { final }) => {
+        if (!final) return;
+        
+        this._unsubscribeGovernmentIdStatus = null;
+        governmentIdVerification.updateStatus(result);
+        this.handleGovernmentIdResult(result);
+        
+        // The ID step shows the service's status, so force a refresh
+        this._prevRenderState = null;
+        this.render();
+      },
+      onError: error => {
+        this._unsubscribeGovernmentIdStatus = null;
+        governmentIdVerification.updateStatus({ status: 'error' });
+        governmentIdVerification.error = errorHandler.getUserFriendlyMessage(error);
+        errorHandler.handleError(error);
+        
+        // Announce error to screen readers
+        accessibilityHelper.announce(`Government ID verification error: ${errorHandler.getUserFriendlyMessage(error)}`, 'assertive');
+        
+        this._prevRenderState = null;
+        this.render();
+      }
+    });
+  }
+  
+  /**
+   * Stop following a government ID verification
+   */
+  stopWatchingGovernmentIdStatus() {
+    if (this._unsubscribeGovernmentIdStatus) {
+      this._unsubscribeGovernmentIdStatus();
+      this._unsubscribeGovernmentIdStatus = null;
+    }
+  }
+  
   /**
    * Request phone verification
    * @param {string} userId - User ID
@@ -1962,8 +2286,10 @@ export class CASLVerification extends HTMLElement {
     try {
       // Calculate score and get trust level results
       performanceMonitor.startTimer('score_calculation');
-      const result = calculateScore(this.formData, this.userIdentification);
-      const trustLevel = getTrustLevel(result.score);
+      const profile = this.getScoringProfile();
+      const bookingMatch = await this.verifyBookingMatch();
+      const result = calculateScore(this.formData, this.userIdentification, { profile, bookingMatch });
+      const trustLevel = getTrustLevel(result.score, profile);
       const message = getResultMessage(trustLevel);
       performanceMonitor.endTimer('score_calculation');
       
@@ -1973,6 +2299,8 @@ export class CASLVerification extends HTMLElement {
         trustLevel,
         message,
         adjustments: result.adjustments,
+        ruleSetVersion: result.ruleSetVersion,
+        scoringProfile: profile.id,
         isSubmitted: false // Will be set to true after API call
       });
       
@@ -1994,11 +2322,18 @@ export class CASLVerification extends HTMLElement {
           phoneVerificationStatus: this.userIdentification.phoneVerificationData?.verified || false,
           socialVerificationStatus: this.userIdentification.socialVerificationData?.verified || false,
           adjustments: result.adjustments,
+          ruleSetVersion: result.ruleSetVersion,
+          scoringProfile: profile.id,
+          bookingMatch,
+          renewalOf: this.userIdentification.renewalOf || null,
+          identityChecks: getCompletedIdentityChecks(this.userIdentification),
           verificationDate: new Date().toISOString()
         },
         booking: {
+          reservationId: this.getAttribute('reservation-id') || null,
           platform: this.formData.platform,
           listingLink: this.formData.listingLink,
+          listingId: this.formData.listingId,
           checkInDate: this.formData.checkInDate,
           checkOutDate: this.formData.checkOutDate
         },
@@ -2016,27 +2351,39 @@ export class CASLVerification extends HTMLElement {
       
       // Generate host summary
       performanceMonitor.startTimer('host_summary');
-      const hostSummary = generateHostSummary(verificationData);
+      const hostSummary = generateHostSummary(verificationData, profile);
       performanceMonitor.endTimer('host_summary');
       
       // Submit verification data to API
       performanceMonitor.startTimer('api_submit_verification');
-      await apiService.submitVerification({
+      const submission = await apiService.submitVerification({
         ...verificationData,
         hostSummary
       });
       performanceMonitor.endTimer('api_submit_verification');
       
+      // Get the signed badge hosts can verify. Queued submissions get their badge once they are sent.
+      const badgeToken = submission.queued ? null : await this.issueBadge(submission?.verificationId);
+      
       // Mark as submitted
       stateManager.setResults({
         score: result.score,
         trustLevel,
         message,
         adjustments: result.adjustments,
+        ruleSetVersion: result.ruleSetVersion,
+        scoringProfile: profile.id,
         isSubmitted: true,
-        hostSummary
+        isQueued: !!submission.queued,
+        verificationId: submission.verificationId || null,
+        hostSummary,
+        badgeToken
       });
       
+      if (submission.queued) {
+        accessibilityHelper.announce(accessibilityMessages.requestQueued, 'polite');
+      }
+      
       // Clear saved form data
       this.clearSavedData();
       
@@ -2064,6 +2411,16 @@ export class CASLVerification extends HTMLElement {
       });
       this.dispatchEvent(event);
     } catch (error) {
+      // The backend enforces the reapply cooldown as well
+      if (error.data?.reapplyAfter) {
+        this.showReapplyCooldown({
+          until: new Date(error.data.reapplyAfter),
+          caslKeyId: this.userIdentification.caslKeyId,
+          verificationId: error.data.verificationId || null
+        });
+        return;
+      }
+      
       errorHandler.handleError(error);
       stateManager.showAlert(errorHandler.getUserFriendlyMessage(error));
       
@@ -2078,6 +2435,142 @@ export class CASLVerification extends HTMLElement {
     }
   }
   
+  /**
+   * Look for a reapply cooldown in a signed-in guest's history
+   * Guests who are not signed in are checked when the identification step
+   * looks them up, and the backend refuses submissions during a cooldown.
+   */
+  async checkReapplyCooldown() {
+    if (!authSession.hasSession()) return;
+    
+    try {
+      const { verifications = [] } = await apiService.request('verification-history', 'GET');
+      const cooldown = getReapplyCooldown(verifications);
+      
+      if (cooldown) {
+        this.showReapplyCooldown({
+          until: cooldown.until,
+          caslKeyId: cooldown.verification.caslKeyId,
+          verificationId: cooldown.verification.verificationId || null
+        });
+      }
+    } catch (error) {
+      console.warn('Could not check for a reapply cooldown:', error.message);
+    }
+  }
+  
+  /**
+   * Replace the form with the reapply countdown
+   * @param {Object} cooldown - { until, caslKeyId, verificationId }
+   */
+  showReapplyCooldown(cooldown) {
+    this.reapplyCooldown = cooldown;
+    
+    accessibilityHelper.announce(t('cooldown.announcement', {
+      date: i18nService.formatDate(cooldown.until)
+    }), 'assertive');
+    
+    this._prevRenderState = null;
+    this.render();
+  }
+  
+  /**
+   * Finish work that was waiting on a request queued while offline
+   * @param {Object} event - Offline queue event ({ type, entry, result, error })
+   */
+  async handleOfflineQueueEvent({ type, entry, result, error }) {
+    if (type === 'failed') {
+      stateManager.showAlert(errorHandler.getUserFriendlyMessage(error));
+      return;
+    }
+    
+    if (type !== 'sent') return;
+    
+    if (entry.endpoint === 'upload') {
+      this.watchVerificationStatus(entry.data.userId);
+    } else if (entry.endpoint === 'verify') {
+      const badgeToken = await this.issueBadge(result?.verificationId);
+      
+      stateManager.setResults({ isQueued: false, verificationId: result?.verificationId || null, badgeToken });
+      accessibilityHelper.announce(accessibilityMessages.queuedSubmissionSent, 'polite');
+      
+      // Results view shows the badge, so force a refresh
+      this._prevRenderState = null;
+      this.render();
+    }
+  }
+  
+  /**
+   * Compare the guest's booking with the host's reservation record
+   * Hosts can pin a specific reservation with the reservation-id attribute.
+   * @returns {Promise<Object>} Booking-match result ({ result, reasons, checkedAt })
+   */
+  async verifyBookingMatch() {
+    performanceMonitor.startTimer('booking_match');
+    
+    const bookingMatch = await bookingMatchService.verifyBooking({
+      platform: this.formData.platform,
+      listingLink: this.formData.listingLink,
+      listingId: this.formData.listingId,
+      checkInDate: this.formData.checkInDate,
+      checkOutDate: this.formData.checkOutDate
+    }, {
+      reservationId: this.getAttribute('reservation-id')
+    });
+    
+    performanceMonitor.endTimer('booking_match');
+    
+    stateManager.setVerification({
+      ...this.userIdentification,
+      bookingMatch
+    });
+    
+    return bookingMatch;
+  }
+  
+  /**
+   * Request a signed badge for a submitted verification
+   * A badge failure never blocks the results; the guest can still share their CASL Key ID.
+   * The backend only signs badges for the verification's signed-in owner.
+   * @param {string} verificationId - Verification the backend stored
+   * @returns {Promise<string|null>} Badge token or null
+   */
+  async issueBadge(verificationId) {
+    if (!verificationId || !authSession.hasSession()) return null;
+    
+    performanceMonitor.startTimer('api_issue_badge');
+    try {
+      const { token } = await badgeService.issueBadge(verificationId);
+      return token || null;
+    } catch (error) {
+      errorHandler.handleError(error);
+      return null;
+    } finally {
+      performanceMonitor.endTimer('api_issue_badge');
+    }
+  }
+  
+  /**
+   * Copy the signed badge token to the clipboard
+   */
+  async copyBadgeToken() {
+    const { badgeToken } = stateManager.getState('results');
+    if (!badgeToken) return;
+    
+    try {
+      await navigator.clipboard.writeText(badgeToken);
+      accessibilityHelper.announce(accessibilityMessages.badgeCopied, 'polite');
+    } catch (error) {
+      // Fall back to selecting the token so the guest can copy it manually
+      const field = this.shadowRoot.getElementById('badge-token');
+      if (field) {
+        field.focus();
+        field.select();
+      }
+      accessibilityHelper.announce(accessibilityMessages.badgeCopyFailed, 'assertive');
+    }
+  }
+  
   /**
    * Print verification results
    */
@@ -2104,6 +2597,8 @@ export class CASLVerification extends HTMLElement {
       trustLevel: this.trustLevel,
       message: this.message,
       adjustments: this.adjustments,
+      ruleSetVersion: this.ruleSetVersion,
+      scoringProfile: this.scoringProfile,
       verificationDate: new Date().toISOString()
     };
     
@@ -2290,6 +2785,30 @@ export class CASLVerification extends HTMLElement {
     performanceMonitor.endTimer('print_results');
   }
   
+  /**
+   * Start renewing an earlier verification
+   * The guest's details are prefilled from the earlier record and identity
+   * checks that are still valid are carried over, so only the new booking
+   * and any lapsed checks need to be completed.
+   * @param {Object} record - Verification record (or history entry) being renewed
+   */
+  startRenewal(record) {
+    this.handleReset();
+    
+    this.renewal = record;
+    this.reusedChecks = getReusableChecks(record);
+    
+    stateManager.updateFormData(getRenewalFormData(record));
+    stateManager.setVerification(getRenewalVerificationState(record));
+    
+    this.validateFormWithButtonUpdate();
+    
+    accessibilityHelper.announce(t('verification.renewal.notice', { caslKeyId: record.caslKeyId }), 'polite');
+    
+    this._prevRenderState = null;
+    this.render();
+  }
+  
   /**
    * Reset the form with enhanced accessibility and performance monitoring
    */
@@ -2307,6 +2826,9 @@ export class CASLVerification extends HTMLElement {
     governmentIdVerification.reset();
     phoneVerification.reset();
     socialVerification.reset();
+    this.stopWatchingVerificationStatus();
+    this.stopWatchingGovernmentIdStatus();
+    this.stopWatchingBackgroundCheck();
     
     // Reset local state
     this.currentStep = 0;
@@ -2316,6 +2838,12 @@ export class CASLVerification extends HTMLElement {
     this.showRestoredMessage = false;
     this.showVerificationMethods = false;
     this.selectedVerificationMethod = null;
+    this.showScoreSimulator = false;
+    this.scoreSimulation = null;
+    this.renewal = null;
+    this.reusedChecks = [];
+    this.appeal = null;
+    this.showAppeal = false;
     
     // Reset trust preview
     this.trustPreview = null;
@@ -2380,6 +2908,9 @@ export class CASLVerification extends HTMLElement {
    * Load saved form data from storage
    */
   loadSavedData() {
+    // A renewal starts from the earlier verification, not from a draft
+    if (this.renewal) return;
+    
     performanceMonitor.startTimer('load_saved_data');
     
     try {
@@ -2485,6 +3016,26 @@ export class CASLVerification extends HTMLElement {
       }
     });
     
+    // The form comes back once the reapply cooldown is over
+    this.shadowRoot.addEventListener('casl-reapply-cooldown', (event) => {
+      if (event.detail.type === 'ended') {
+        this.reapplyCooldown = null;
+        this._prevRenderState = null;
+        this.render();
+      }
+    });
+    
+    // Keep the appeal when its element is re-rendered, and close it on request
+    this.shadowRoot.addEventListener('casl-appeal', (event) => {
+      const { type, data } = event.detail;
+      if (type === 'closed') {
+        this.showAppeal = false;
+      } else {
+        this.appeal = data;
+      }
+      this.render();
+    });
+    
     // Listen for phone verification timer expiration
     document.addEventListener('phoneVerificationTimerExpired', () => {
       this.render();
@@ -2583,6 +3134,13 @@ export class CASLVerification extends HTMLElement {
       (_, target) => this.selectVerificationMethod(target.getAttribute('data-method'))
     );
     
+    // Register what-if panel handler
+    eventManager.registerHandler(
+      this.componentId,
+      'toggleScoreSimulator',
+      (_, target) => this.toggleScoreSimulator(target?.getAttribute('data-show') === 'true')
+    );
+    
     // Register ID verification handlers
     eventManager.registerHandler(
       this.componentId,
@@ -2646,6 +3204,20 @@ export class CASLVerification extends HTMLElement {
       (_, target) => this.verifySocialProfile(target.getAttribute('data-user-id'))
     );
     
+    // Register badge copy handler
+    eventManager.registerHandler(
+      this.componentId,
+      'copyBadgeToken',
+      this.copyBadgeToken.bind(this)
+    );
+    
+    // Register appeal handler
+    eventManager.registerHandler(
+      this.componentId,
+      'openAppeal',
+      this.openAppeal.bind(this)
+    );
+    
     // Register print handler
     eventManager.registerHandler(
       this.componentId,
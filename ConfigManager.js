@@ -16,6 +16,9 @@ class ConfigManager {
       AUTH_COOKIE_SECURE: window.location.protocol === 'https:',
       AUTH_COOKIE_MAX_AGE: 7 * 24 * 60 * 60, // 7 days in seconds
       REFRESH_TOKEN_COOKIE_NAME: 'casl_refresh_token',
+      TOKEN_STORAGE: 'memory', // 'memory', 'cookie' (HttpOnly, set by the backend) or 'localStorage' (readable by scripts)
+      SESSION_REFRESH_LEAD: 60000, // refresh the access token 1 minute before it expires
+      SESSION_REFRESH_RETRY: 30000, // 30 seconds
       USER_DATA_KEY: 'casl_user_data',
       STORAGE_PREFIX: 'casl_',
       LOCALIZATION_KEY: 'casl_language',
@@ -23,18 +26,42 @@ class ConfigManager {
       FORM_AUTO_SAVE: true,
       ENABLE_ANALYTICS: false,
       VERIFICATION_EXPIRY_DAYS: 365,
+      VERIFICATION_RENEWAL_REMINDER_DAYS: 30,
+      IDENTITY_CHECK_VALIDITY_DAYS: null, // per check, e.g. { 'background-check': 90 }
       VERIFICATION_MIN_SCORE: 50,
+      REAPPLY_COOLDOWN_DAYS: 90, // after a not-eligible result
+      APPEAL_MAX_ATTACHMENTS: 3,
+      REVIEW_SLA_HOURS: 48, // manual-review cases waiting longer are flagged to reviewers
       MAX_SCREENSHOT_SIZE: 5 * 1024 * 1024, // 5MB
       VERIFICATION_METHODS: ['screenshot', 'government-id', 'phone', 'social', 'background-check'],
       ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
       VERIFICATION_POLL_INTERVAL: 3000, // 3 seconds
+      STATUS_CHANNEL_TRANSPORT: 'auto', // 'auto', 'websocket', 'sse' or 'polling'
+      STATUS_CHANNEL_RECONNECT_ATTEMPTS: 5,
+      STATUS_POLL_MAX_INTERVAL: 30000, // 30 seconds
+      STATUS_POLL_MAX_FAILURES: 3,
+      STATUS_MAX_DURATION: 10 * 60 * 1000, // 10 minutes; background checks and appeals have no limit
       COGNITO_REGION: 'us-east-2',
       COGNITO_USER_POOL_ID: 'us-east-2_wxVzxzC7V',
       COGNITO_CLIENT_ID: '6eihn0891v31dsovg33g2e1h90',
-      REQUIRE_SECURE_CONTEXT: true
+      REQUIRE_SECURE_CONTEXT: true,
+      SCORING_RULES: null,
+      SCORING_RULES_REMOTE: true,
+      SCORING_PROFILES: null,
+      SCORING_PROFILE_ASSIGNMENTS: null,
+      BACKGROUND_CHECK_PROVIDER: 'api',
+      BACKGROUND_CHECK_MOCK_SCENARIO: 'passed',
+      BACKGROUND_CHECK_MOCK_DELAY: 1500,
+      BADGE_JWKS: null,
+      BADGE_JWKS_PATH: '.well-known/jwks.json',
+      BADGE_JWKS_CACHE_SECONDS: 3600,
+      REQUEST_TIMEOUT: 30000,
+      REQUEST_POLICIES: null
     };
 
     this.config = {};
+    // Stored API_BASE_URL, honoured only in debug mode (see loadFromLocalStorage)
+    this.apiBaseUrlOverride = null;
     this.init();
   }
 
@@ -86,12 +113,23 @@ class ConfigManager {
 
   loadFromLocalStorage() {
     try {
+      // Debug mode as the page set it, before stored values are applied
+      const pageDebugMode = this.config.DEBUG_MODE === true ||
+        (typeof this.config.DEBUG_MODE === 'string' && this.parseBoolean(this.config.DEBUG_MODE));
+
       const configStr = localStorage.getItem('casl_config');
       if (configStr) {
-        const storedConfig = JSON.parse(configStr);
+        const { API_BASE_URL: storedApiBaseUrl, ...storedConfig } = JSON.parse(configStr);
         Object.keys(storedConfig).forEach(key => {
           this.config[key] = storedConfig[key];
         });
+
+        // Any script on the origin can write localStorage, so it may only
+        // redirect API traffic (e.g. to the local mock server) when the page
+        // itself turned on debug mode
+        if (pageDebugMode && storedApiBaseUrl && storedApiBaseUrl !== this.defaults.API_BASE_URL) {
+          this.apiBaseUrlOverride = storedApiBaseUrl;
+        }
       }
     } catch (error) {
       console.warn('Could not load config from local storage:', error);
@@ -113,7 +151,8 @@ class ConfigManager {
       'AUTH_COOKIE_SECURE',
       'FORM_AUTO_SAVE',
       'ENABLE_ANALYTICS',
-      'REQUIRE_SECURE_CONTEXT'
+      'REQUIRE_SECURE_CONTEXT',
+      'SCORING_RULES_REMOTE'
     ];
 
     booleanKeys.forEach(key => {
@@ -124,10 +163,23 @@ class ConfigManager {
 
     const numberKeys = [
       'AUTH_COOKIE_MAX_AGE',
+      'SESSION_REFRESH_LEAD',
+      'SESSION_REFRESH_RETRY',
       'VERIFICATION_EXPIRY_DAYS',
+      'VERIFICATION_RENEWAL_REMINDER_DAYS',
       'VERIFICATION_MIN_SCORE',
+      'REAPPLY_COOLDOWN_DAYS',
+      'APPEAL_MAX_ATTACHMENTS',
+      'REVIEW_SLA_HOURS',
       'MAX_SCREENSHOT_SIZE',
-      'VERIFICATION_POLL_INTERVAL'
+      'VERIFICATION_POLL_INTERVAL',
+      'STATUS_CHANNEL_RECONNECT_ATTEMPTS',
+      'STATUS_POLL_MAX_INTERVAL',
+      'STATUS_POLL_MAX_FAILURES',
+      'STATUS_MAX_DURATION',
+      'BACKGROUND_CHECK_MOCK_DELAY',
+      'BADGE_JWKS_CACHE_SECONDS',
+      'REQUEST_TIMEOUT'
     ];
 
     numberKeys.forEach(key => {
@@ -161,12 +213,44 @@ class ConfigManager {
   }
 
   getApiBaseUrl() {
+    // The page's configuration is authoritative; only a debug-mode override comes first
+    if (this.apiBaseUrlOverride) {
+      return this.apiBaseUrlOverride;
+    }
     if (typeof window !== 'undefined' && window.CASL_CONFIG?.api?.baseUrl) {
       return window.CASL_CONFIG.api.baseUrl;
     }
     return this.get('API_BASE_URL');
   }
 
+  getScoringRules() {
+    // Rule sets are nested objects, so read them before flattenConfig splits them up
+    if (typeof window !== 'undefined' && window.CASL_CONFIG?.scoring?.rules) {
+      return window.CASL_CONFIG.scoring.rules;
+    }
+    const rules = this.get('SCORING_RULES');
+    return typeof rules === 'string' ? this.parseValue(rules) : rules;
+  }
+
+  getScoringProfiles() {
+    const scoring = typeof window !== 'undefined' ? window.CASL_CONFIG?.scoring : null;
+    const parse = value => (typeof value === 'string' ? this.parseValue(value) : value);
+
+    return {
+      profiles: scoring?.profiles || parse(this.get('SCORING_PROFILES')),
+      assignments: scoring?.assignments || parse(this.get('SCORING_PROFILE_ASSIGNMENTS'))
+    };
+  }
+
+  getRequestPolicies() {
+    // Per-endpoint policies are nested objects keyed by endpoint, so read them unflattened
+    if (typeof window !== 'undefined' && window.CASL_CONFIG?.api?.requestPolicies) {
+      return window.CASL_CONFIG.api.requestPolicies;
+    }
+    const policies = this.get('REQUEST_POLICIES');
+    return typeof policies === 'string' ? this.parseValue(policies) : policies;
+  }
+
   isDebugMode() {
     return this.get('DEBUG_MODE', false);
   }
@@ -219,10 +303,13 @@ class ConfigManager {
       const storableConfig = {};
       const sensitiveKeys = ['API_KEY', 'AWS_ACCESS_KEY', 'AWS_SECRET_KEY', 'STRIPE_KEY'];
       Object.keys(this.config).forEach(key => {
-        if (!sensitiveKeys.includes(key)) {
+        if (!sensitiveKeys.includes(key) && key !== 'API_BASE_URL') {
           storableConfig[key] = this.config[key];
         }
       });
+      if (this.apiBaseUrlOverride) {
+        storableConfig.API_BASE_URL = this.apiBaseUrlOverride;
+      }
       localStorage.setItem('casl_config', JSON.stringify(storableConfig));
     } catch (error) {
       console.warn('Could not save config to local storage:', error);
@@ -231,6 +318,7 @@ class ConfigManager {
 
   reset() {
     this.config = { ...this.defaults };
+    this.apiBaseUrlOverride = null;
     this.saveToLocalStorage();
   }
 }
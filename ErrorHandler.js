@@ -46,6 +46,11 @@ class ErrorHandler {
   categorizeError(error) {
     if (!error) return this.errorCategories.UNKNOWN;
     
+    // Malformed responses are server errors, whatever words the endpoint name contains
+    if (error.code === 'RESPONSE_CONTRACT') {
+      return this.errorCategories.API;
+    }
+    
     // Network errors
     if (error.name === 'NetworkError' || 
         error.message.includes('network') || 
@@ -237,6 +242,18 @@ class ErrorHandler {
     return error;
   }
   
+  /**
+   * Create an ApiError for a response that does not match its contract
+   * @param {string} endpoint - "METHOD path" of the request
+   * @param {Array<string>} problems - Contract problems
+   * @returns {Error} API error object
+   */
+  createContractError(endpoint, problems) {
+    const error = this.createApiError(`Unexpected response from ${endpoint}`, null, { endpoint, problems });
+    error.code = 'RESPONSE_CONTRACT';
+    return error;
+  }
+  
   /**
    * Add an error listener
    * @param {Function} listener - Error listener function
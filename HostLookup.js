@@ -0,0 +1,356 @@
+// src/components/HostLookup.js
+import { getStyles } from './styles.js';
+import { i18nService, t } from './i18n.js';
+import { apiService } from './api.js';
+import { badgeService, BADGE_STATUSES } from './badgeService.js';
+import { getHostRecommendation } from './scoreCalculator.js';
+import { isValidCASLKeyId } from './idGenerator.js';
+import { TRUST_LEVEL_DISPLAY, HOST_FLAG_DESCRIPTIONS } from './constants.js';
+import { BOOKING_MATCH_REASONS } from './bookingMatch.js';
+import { isCancelled } from './httpClient.js';
+
+/**
+ * Host Lookup component for CASL Key Verification
+ * Lets hosts paste a CASL Key ID or badge token and see the guest's
+ * neutral host summary. Never shows the guest's personal details.
+ */
+export class HostLookup extends HTMLElement {
+  /**
+   * Constructor initializes the component
+   */
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    
+    // Initialize state
+    this.initializeState();
+    
+    // Render
+    this.render();
+  }
+  
+  /**
+   * Initialize component state
+   */
+  initializeState() {
+    this.query = '';
+    this.isLoading = false;
+    this.error = null;
+    
+    // { status, hostSummary, expiresAt } for the last lookup
+    this.result = null;
+    
+    // Aborts the lookup in flight
+    this.lookupController = null;
+  }
+  
+  /**
+   * When the element is added to the DOM
+   */
+  connectedCallback() {
+    // Allow hosts to prefill the lookup, e.g. <casl-host-lookup value="CK7Q2MX">
+    const initialValue = this.getAttribute('value');
+    if (initialValue) {
+      this.query = initialValue.trim();
+      this.handleLookup();
+    }
+  }
+  
+  /**
+   * When the element is removed from the DOM
+   */
+  disconnectedCallback() {
+    // Abort any lookup still in flight
+    if (this.lookupController) {
+      this.lookupController.abort();
+      this.lookupController = null;
+    }
+  }
+  
+  /**
+   * Look up the entered CASL Key ID or badge token
+   */
+  async handleLookup() {
+    const input = this.shadowRoot.getElementById('host-lookup-input');
+    if (input) {
+      this.query = input.value.trim();
+    }
+    
+    this.error = null;
+    this.result = null;
+    
+    if (!this.query) {
+      this.error = t('hostLookup.emptyInput');
+      this.render();
+      return;
+    }
+    
+    const isToken = this.query.split('.').length === 3;
+    if (!isToken && !isValidCASLKeyId(this.query)) {
+      this.error = t('hostLookup.invalidInput');
+      this.render();
+      return;
+    }
+    
+    // A new lookup replaces one still in flight
+    if (this.lookupController) {
+      this.lookupController.abort();
+    }
+    const controller = new AbortController();
+    this.lookupController = controller;
+    
+    this.isLoading = true;
+    this.render();
+    
+    try {
+      const result = isToken
+        ? await this.lookupBadge(this.query)
+        : await this.lookupCASLKeyId(this.query.toUpperCase(), controller.signal);
+      
+      // Ignore results of a lookup that was replaced
+      if (this.lookupController === controller) {
+        this.result = result;
+      }
+    } catch (error) {
+      if (isCancelled(error) || this.lookupController !== controller) return;
+      console.error('Error looking up CASL Key:', error);
+      this.error = error.message || t('hostLookup.lookupError');
+    } finally {
+      if (this.lookupController === controller) {
+        this.lookupController = null;
+        this.isLoading = false;
+        this.render();
+        this.dispatchLookupEvent();
+      }
+    }
+  }
+  
+  /**
+   * Verify a badge token and build a summary from its claims
+   * @param {string} token - Badge token
+   * @returns {Promise<Object>} Lookup result
+   */
+  async lookupBadge(token) {
+    const verification = await badgeService.verifyBadge(token, { checkRevocation: true });
+    
+    // Only signed claims may be shown; tampered or unverifiable tokens show nothing
+    const trusted = [BADGE_STATUSES.VALID, BADGE_STATUSES.EXPIRED, BADGE_STATUSES.REVOKED];
+    if (!trusted.includes(verification.status)) {
+      return { status: verification.status, hostSummary: null, expiresAt: null };
+    }
+    
+    const { claims } = verification;
+    
+    return {
+      status: verification.status,
+      expiresAt: verification.expiresAt,
+      hostSummary: {
+        caslKeyId: claims.caslKeyId,
+        trustLevel: claims.trustLevel,
+        scoreRange: claims.scoreRange,
+        flags: claims.flags || {},
+        bookingMatch: claims.bookingMatch,
+        bookingMatchReasons: claims.bookingMatchReasons || [],
+        ...getHostRecommendation(claims.trustLevel)
+      }
+    };
+  }
+  
+  /**
+   * Fetch the host summary for a CASL Key ID
+   * @param {string} caslKeyId - CASL Key ID
+   * @param {AbortSignal} [signal] - Cancels the lookup
+   * @returns {Promise<Object>} Lookup result
+   */
+  async lookupCASLKeyId(caslKeyId, signal) {
+    const result = await apiService.getHostSummary(caslKeyId, { signal });
+    
+    if (!result?.hostSummary) {
+      throw new Error(t('hostLookup.notFound'));
+    }
+    
+    let status = BADGE_STATUSES.VALID;
+    if (result.revoked) {
+      status = BADGE_STATUSES.REVOKED;
+    } else if (result.expiresAt && new Date(result.expiresAt).getTime() <= Date.now()) {
+      status = BADGE_STATUSES.EXPIRED;
+    }
+    
+    return {
+      status,
+      expiresAt: result.expiresAt || null,
+      hostSummary: result.hostSummary
+    };
+  }
+  
+  /**
+   * Clear the lookup
+   */
+  handleClear() {
+    if (this.lookupController) {
+      this.lookupController.abort();
+    }
+    this.initializeState();
+    this.render();
+  }
+  
+  /**
+   * Render the component
+   */
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>${getStyles()}</style>
+      <div class="container" dir="${i18nService.getLanguageInfo(i18nService.currentLanguage)?.direction || 'ltr'}">
+        <div class="host-lookup">
+          <h2>${t('hostLookup.title')}</h2>
+          <p>${t('hostLookup.instructions')}</p>
+          
+          <form class="host-lookup-form" onsubmit="event.preventDefault(); this.getRootNode().host.handleLookup()">
+            <label for="host-lookup-input">${t('hostLookup.inputLabel')}</label>
+            <textarea
+              id="host-lookup-input"
+              rows="2"
+              autocomplete="off"
+              spellcheck="false"
+              ${this.isLoading ? 'disabled' : ''}
+            ></textarea>
+            <div class="host-lookup-actions">
+              <button type="submit" class="btn-primary" ${this.isLoading ? 'disabled' : ''}>
+                ${this.isLoading ? t('hostLookup.checking') : t('hostLookup.lookup')}
+              </button>
+              <button
+                type="button"
+                class="btn-secondary"
+                onclick="this.getRootNode().host.handleClear()"
+              >
+                ${t('hostLookup.clear')}
+              </button>
+            </div>
+          </form>
+          
+          <div aria-live="polite">
+            ${this.error ? `<div class="alert alert-error" role="alert">${this.error}</div>` : ''}
+            ${this.result ? this.renderResult() : ''}
+          </div>
+        </div>
+      </div>
+    `;
+    
+    // Keep the pasted value across re-renders (set as a property so it is never parsed as HTML)
+    const input = this.shadowRoot.getElementById('host-lookup-input');
+    if (input) {
+      input.value = this.query;
+    }
+  }
+  
+  /**
+   * Render the lookup result
+   */
+  renderResult() {
+    const { status, hostSummary, expiresAt } = this.result;
+    
+    if (!hostSummary) {
+      return `
+        <div class="alert alert-error host-lookup-status" role="alert">
+          <strong>${t('hostLookup.unverifiedTitle')}</strong>
+          <p>${t('hostLookup.unverified')}</p>
+        </div>
+      `;
+    }
+    
+    const formattedExpiry = expiresAt ? i18nService.formatDate(new Date(expiresAt)) : '';
+    
+    if (status === BADGE_STATUSES.REVOKED) {
+      return `
+        <div class="alert alert-error host-lookup-status" role="alert">
+          <strong>${t('hostLookup.revokedTitle')}</strong>
+          <p>${t('hostLookup.revoked', { caslKeyId: hostSummary.caslKeyId })}</p>
+        </div>
+      `;
+    }
+    
+    return `
+      ${status === BADGE_STATUSES.EXPIRED ? `
+        <div class="alert alert-warning host-lookup-status" role="alert">
+          <strong>${t('hostLookup.expiredTitle')}</strong>
+          <p>${t('hostLookup.expired', { date: formattedExpiry })}</p>
+        </div>
+      ` : ''}
+      ${this.renderSummary(hostSummary, status === BADGE_STATUSES.EXPIRED)}
+      ${status === BADGE_STATUSES.VALID && formattedExpiry ? `
+        <p class="host-lookup-expiry">${t('hostLookup.validUntil', { date: formattedExpiry })}</p>
+      ` : ''}
+    `;
+  }
+  
+  /**
+   * Render the neutral host summary
+   * @param {Object} hostSummary - Summary from generateHostSummary (or badge claims)
+   * @param {boolean} isExpired - Whether the summary is no longer current
+   */
+  renderSummary(hostSummary, isExpired) {
+    const display = TRUST_LEVEL_DISPLAY[hostSummary.trustLevel];
+    if (!display) {
+      return `<div class="alert alert-error" role="alert">${t('hostLookup.lookupError')}</div>`;
+    }
+    
+    const raisedFlags = Object.entries(hostSummary.flags || {})
+      .filter(([flag, raised]) => raised && HOST_FLAG_DESCRIPTIONS[flag])
+      .map(([flag]) => HOST_FLAG_DESCRIPTIONS[flag]);
+    
+    const bookingMatchReasons = (hostSummary.bookingMatchReasons || [])
+      .map(code => Object.values(BOOKING_MATCH_REASONS).find(reason => reason.code === code)?.message)
+      .filter(Boolean);
+    
+    return `
+      <div class="host-summary ${isExpired ? 'host-summary-expired' : ''}">
+        <div class="host-summary-header">
+          <div class="trust-badge" style="background-color: ${display.badgeColor}">
+            <span aria-hidden="true">${display.icon}</span> ${display.label}
+          </div>
+          <span class="casl-key-id">CASL Key ID: ${hostSummary.caslKeyId}</span>
+        </div>
+        
+        <p>${display.description}</p>
+        ${hostSummary.scoreRange ? `<p><strong>${t('hostLookup.scoreRange')}</strong> ${hostSummary.scoreRange}</p>` : ''}
+        ${hostSummary.recommendation ? `<p><strong>${hostSummary.recommendation}</strong></p>` : ''}
+        ${hostSummary.summary ? `<p>${hostSummary.summary}</p>` : ''}
+        ${hostSummary.bookingMatch ? `
+          <p><strong>${t('hostLookup.bookingMatch')}</strong> ${t(`hostLookup.bookingMatch.${hostSummary.bookingMatch}`)}</p>
+          ${bookingMatchReasons.length > 0 ? `
+            <ul class="host-summary-flags">
+              ${bookingMatchReasons.map(message => `<li>${message}</li>`).join('')}
+            </ul>
+          ` : ''}
+        ` : ''}
+        
+        <h3>${t('hostLookup.flagsTitle')}</h3>
+        ${raisedFlags.length > 0 ? `
+          <ul class="host-summary-flags">
+            ${raisedFlags.map(description => `<li>${description}</li>`).join('')}
+          </ul>
+        ` : `<p>${t('hostLookup.noFlags')}</p>`}
+      </div>
+    `;
+  }
+  
+  /**
+   * Dispatch lookup event so host pages can react to the result
+   */
+  dispatchLookupEvent() {
+    const event = new CustomEvent('casl-host-lookup', {
+      detail: {
+        status: this.result?.status || null,
+        hostSummary: this.result?.hostSummary || null,
+        error: this.error
+      },
+      bubbles: true,
+      composed: true
+    });
+    
+    this.dispatchEvent(event);
+  }
+}
+
+// Register the custom element
+customElements.define('casl-host-lookup', HostLookup);
@@ -0,0 +1,537 @@
+// src/components/PasswordReset.js
+import { getStyles } from './styles.js';
+import { userService } from './userService.js';
+import { PASSWORD_REQUIREMENTS, validatePassword } from './validation.js';
+import { i18nService, t } from './i18n.js';
+
+// Seconds before another reset code can be requested
+const RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * Check whether the backend refused a request for being too frequent
+ * Cognito's LimitExceededException / TooManyRequestsException reach the app as 429.
+ * @param {Error} error - API error
+ * @returns {boolean} Whether the request was rate limited
+ */
+function isRateLimited(error) {
+  return error?.status === 429 ||
+    /LimitExceeded|TooManyRequests|attempt limit/i.test(`${error?.data?.code || ''} ${error?.message || ''}`);
+}
+
+/**
+ * Password reset component for CASL Key Verification
+ * Shown by casl-authentication for two journeys:
+ * - forgot: send a reset code, then set a new password with it
+ * - new-password: answer Cognito's NEW_PASSWORD_REQUIRED challenge, which signs the user in
+ * The outcome is reported with a casl-password-reset event: { type: 'reset',
+ * data: { username } }, { type: 'signed-in', data: user } or { type: 'cancelled' }.
+ */
+export class PasswordReset extends HTMLElement {
+  /**
+   * Constructor initializes the component
+   */
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    
+    this.step = 'request';
+    this.username = '';
+    this.session = null;
+    this.code = '';
+    this.isLoading = false;
+    this.error = null;
+    this.notice = null;
+    this.resendAvailableAt = 0;
+    this.cooldownTimer = null;
+    
+    this.render();
+    this.setupEventListeners();
+  }
+  
+  /**
+   * Start a journey
+   * @param {Object} options - { mode: 'forgot' | 'new-password', username, session }
+   *   (session is the NEW_PASSWORD_REQUIRED challenge session)
+   */
+  start({ mode = 'forgot', username = '', session = null } = {}) {
+    this.step = mode === 'new-password' ? 'new-password' : 'request';
+    this.username = username || '';
+    this.session = session;
+    this.code = '';
+    this.error = null;
+    this.notice = null;
+    this.render();
+  }
+  
+  /**
+   * When the element is removed from the DOM
+   */
+  disconnectedCallback() {
+    clearInterval(this.cooldownTimer);
+    this.cooldownTimer = null;
+  }
+  
+  /**
+   * Render the component
+   */
+  render() {
+    let content;
+    switch (this.step) {
+      case 'confirm':
+        content = this.renderConfirmStep();
+        break;
+      case 'new-password':
+        content = this.renderNewPasswordStep();
+        break;
+      default:
+        content = this.renderRequestStep();
+    }
+    
+    this.shadowRoot.innerHTML = `
+      <style>${getStyles()}</style>
+      <div dir="${i18nService.getLanguageInfo(i18nService.currentLanguage)?.direction || 'ltr'}">
+        ${content}
+      </div>
+    `;
+    
+    // Typed values survive re-rendering; set as properties, never parsed as markup
+    const username = this.shadowRoot.getElementById('reset-username');
+    if (username) username.value = this.username;
+    
+    const code = this.shadowRoot.getElementById('reset-code');
+    if (code) code.value = this.code;
+  }
+  
+  /**
+   * Render error and notice messages
+   */
+  renderMessages() {
+    return `
+      ${this.error ? `
+        <div class="alert alert-error" role="alert">
+          ${this.error}
+        </div>
+      ` : ''}
+      
+      ${this.notice ? `
+        <div class="alert alert-success" role="status">
+          ${this.notice}
+        </div>
+      ` : ''}
+    `;
+  }
+  
+  /**
+   * Render the username prompt that sends the reset code
+   */
+  renderRequestStep() {
+    return `
+      <div class="auth-form">
+        <h2>${t('auth.reset.title')}</h2>
+        <p>${t('auth.reset.requestDescription')}</p>
+        
+        ${this.renderMessages()}
+        
+        <form id="reset-request-form">
+          <div class="form-group">
+            <label for="reset-username">${t('auth.username')}</label>
+            <input type="text" id="reset-username" name="username" autocomplete="username" required />
+          </div>
+          
+          <div class="form-actions">
+            <button 
+              type="submit" 
+              class="btn-primary" 
+              ${this.isLoading ? 'disabled' : ''} 
+            >
+              ${this.isLoading ? t('auth.reset.sending') : t('auth.reset.sendCode')}
+            </button>
+            
+            <button 
+              type="button" 
+              class="btn-link" 
+              onclick="this.getRootNode().host.cancel()" 
+            >
+              ${t('auth.reset.backToLogin')}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the code and new password form
+   */
+  renderConfirmStep() {
+    return `
+      <div class="auth-form">
+        <h2>${t('auth.reset.title')}</h2>
+        <p>${t('auth.reset.codeSent')}</p>
+        
+        ${this.renderMessages()}
+        
+        <form id="reset-confirm-form">
+          <div class="form-group">
+            <label for="reset-code">${t('auth.reset.code')}</label>
+            <input 
+              type="text" 
+              id="reset-code" 
+              name="code" 
+              inputmode="numeric" 
+              autocomplete="one-time-code" 
+              required 
+            />
+          </div>
+          
+          ${this.renderPasswordFields()}
+          
+          <div class="form-actions">
+            <button 
+              type="submit" 
+              class="btn-primary" 
+              ${this.isLoading ? 'disabled' : ''} 
+            >
+              ${this.isLoading ? t('auth.reset.resetting') : t('auth.reset.resetPassword')}
+            </button>
+            
+            <button 
+              type="button" 
+              id="resend-code" 
+              class="btn-link" 
+              onclick="this.getRootNode().host.resendCode()" 
+              ${this.isLoading || this.getCooldownSeconds() > 0 ? 'disabled' : ''} 
+            >
+              ${this.getResendLabel()}
+            </button>
+            
+            <button 
+              type="button" 
+              class="btn-link" 
+              onclick="this.getRootNode().host.cancel()" 
+            >
+              ${t('auth.reset.backToLogin')}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the NEW_PASSWORD_REQUIRED form
+   */
+  renderNewPasswordStep() {
+    return `
+      <div class="auth-form">
+        <h2>${t('auth.reset.newPasswordTitle')}</h2>
+        <p>${t('auth.reset.newPasswordDescription')}</p>
+        
+        ${this.renderMessages()}
+        
+        <form id="new-password-form">
+          ${this.renderPasswordFields()}
+          
+          <div class="form-actions">
+            <button 
+              type="submit" 
+              class="btn-primary" 
+              ${this.isLoading ? 'disabled' : ''} 
+            >
+              ${this.isLoading ? t('auth.reset.saving') : t('auth.reset.setPassword')}
+            </button>
+            
+            <button 
+              type="button" 
+              class="btn-link" 
+              onclick="this.getRootNode().host.cancel()" 
+            >
+              ${t('auth.reset.backToLogin')}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the new password fields with the live requirements checklist
+   */
+  renderPasswordFields() {
+    return `
+      <div class="form-group">
+        <label for="new-password">${t('auth.reset.newPassword')}</label>
+        <input 
+          type="password" 
+          id="new-password" 
+          name="newPassword" 
+          autocomplete="new-password" 
+          aria-describedby="password-requirements" 
+          required 
+        />
+        <ul id="password-requirements" class="password-requirements">
+          ${Object.keys(PASSWORD_REQUIREMENTS).map(rule => `
+            <li data-rule="${rule}">${t(`auth.passwordRule.${rule}`)}</li>
+          `).join('')}
+        </ul>
+      </div>
+      
+      <div class="form-group">
+        <label for="confirm-new-password">${t('auth.confirmPassword')}</label>
+        <input 
+          type="password" 
+          id="confirm-new-password" 
+          name="confirmPassword" 
+          autocomplete="new-password" 
+          required 
+        />
+      </div>
+    `;
+  }
+  
+  /**
+   * Handle form submissions
+   * @param {Event} event - Form submission event
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const formData = new FormData(form);
+    
+    if (form.id === 'reset-confirm-form') {
+      this.code = formData.get('code').trim();
+    }
+    
+    // Password rules are checked before anything is sent
+    if (form.id !== 'reset-request-form') {
+      const problem = this.checkNewPassword(formData);
+      if (problem) {
+        this.error = problem;
+        this.notice = null;
+        this.render();
+        return;
+      }
+    }
+    
+    this.isLoading = true;
+    this.error = null;
+    this.notice = null;
+    this.render();
+    
+    try {
+      if (form.id === 'reset-request-form') {
+        await this.requestCode(formData.get('username').trim());
+      } else if (form.id === 'reset-confirm-form') {
+        await this.confirmReset(formData.get('newPassword'));
+      } else {
+        await this.setNewPassword(formData.get('newPassword'));
+      }
+    } catch (error) {
+      console.error('Password reset error:', error);
+      this.error = this.describeError(error);
+    } finally {
+      this.isLoading = false;
+      this.render();
+    }
+  }
+  
+  /**
+   * Check the new password fields
+   * @param {FormData} formData - Form data
+   * @returns {string|null} Problem to show, or null if the password is acceptable
+   */
+  checkNewPassword(formData) {
+    const newPassword = formData.get('newPassword') || '';
+    
+    if (!validatePassword(newPassword).isValid) {
+      return t('auth.reset.requirementsNotMet');
+    }
+    
+    if (newPassword !== formData.get('confirmPassword')) {
+      return t('auth.passwordsDoNotMatch');
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Send the reset code and move on to the confirm step
+   * @param {string} username - Username
+   */
+  async requestCode(username) {
+    this.username = username;
+    
+    await userService.requestPasswordReset(username);
+    this.step = 'confirm';
+    this.startCooldown();
+  }
+  
+  /**
+   * Send another reset code
+   */
+  async resendCode() {
+    if (this.isLoading || this.getCooldownSeconds() > 0) return;
+    
+    // Keep a code typed so far
+    this.code = this.shadowRoot.getElementById('reset-code')?.value.trim() || '';
+    this.isLoading = true;
+    this.error = null;
+    this.notice = null;
+    this.render();
+    
+    try {
+      await userService.requestPasswordReset(this.username);
+      this.notice = t('auth.reset.codeResent');
+      this.startCooldown();
+    } catch (error) {
+      console.error('Password reset resend error:', error);
+      this.error = this.describeError(error);
+    } finally {
+      this.isLoading = false;
+      this.render();
+    }
+  }
+  
+  /**
+   * Set the new password with the reset code
+   * @param {string} newPassword - New password
+   */
+  async confirmReset(newPassword) {
+    await userService.confirmPasswordReset({
+      username: this.username,
+      code: this.code,
+      newPassword
+    });
+    
+    this.dispatchResetEvent('reset', { username: this.username });
+  }
+  
+  /**
+   * Answer the NEW_PASSWORD_REQUIRED challenge
+   * @param {string} newPassword - New password
+   */
+  async setNewPassword(newPassword) {
+    const user = await userService.setNewPassword(this.session, this.username, newPassword);
+    
+    this.dispatchResetEvent('signed-in', user);
+  }
+  
+  /**
+   * Turn a failed request into a message for the user
+   * Rate limiting also holds back the resend button for as long as the backend asks.
+   * @param {Error} error - Error
+   * @returns {string} Message
+   */
+  describeError(error) {
+    if (!isRateLimited(error)) {
+      return error.message || t('auth.reset.genericError');
+    }
+    
+    const retryAfter = Number(error.data?.retryAfter);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+      this.startCooldown(retryAfter);
+      return t('auth.reset.rateLimitedFor', { minutes: Math.ceil(retryAfter / 60) });
+    }
+    
+    return t('auth.reset.rateLimited');
+  }
+  
+  /**
+   * Hold back the resend button
+   * @param {number} seconds - Seconds until another code may be requested
+   */
+  startCooldown(seconds = RESEND_COOLDOWN_SECONDS) {
+    this.resendAvailableAt = Date.now() + seconds * 1000;
+    
+    clearInterval(this.cooldownTimer);
+    this.cooldownTimer = setInterval(() => this.updateResendButton(), 1000);
+  }
+  
+  /**
+   * Seconds left before another code may be requested
+   * @returns {number} Seconds (0 when available)
+   */
+  getCooldownSeconds() {
+    return Math.max(0, Math.ceil((this.resendAvailableAt - Date.now()) / 1000));
+  }
+  
+  /**
+   * Label for the resend button
+   * @returns {string} Label
+   */
+  getResendLabel() {
+    const seconds = this.getCooldownSeconds();
+    return seconds > 0 ? t('auth.reset.resendIn', { seconds }) : t('auth.reset.resendCode');
+  }
+  
+  /**
+   * Tick the resend countdown without re-rendering the form
+   */
+  updateResendButton() {
+    const seconds = this.getCooldownSeconds();
+    if (seconds === 0) {
+      clearInterval(this.cooldownTimer);
+      this.cooldownTimer = null;
+    }
+    
+    const button = this.shadowRoot.getElementById('resend-code');
+    if (button) {
+      button.disabled = this.isLoading || seconds > 0;
+      button.textContent = this.getResendLabel();
+    }
+  }
+  
+  /**
+   * Tick off the requirements the new password meets
+   * @param {string} password - Password typed so far
+   */
+  updateRequirements(password) {
+    const { requirements } = validatePassword(password);
+    
+    this.shadowRoot.querySelectorAll('[data-rule]').forEach(item => {
+      item.classList.toggle('met', requirements[item.dataset.rule]);
+    });
+  }
+  
+  /**
+   * Leave without changing the password
+   */
+  cancel() {
+    this.dispatchResetEvent('cancelled');
+  }
+  
+  /**
+   * Dispatch password reset event
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  dispatchResetEvent(type, data = null) {
+    const event = new CustomEvent('casl-password-reset', {
+      detail: {
+        type,
+        data
+      },
+      bubbles: true,
+      composed: true
+    });
+    
+    this.dispatchEvent(event);
+  }
+  
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Delegated, so forms survive re-rendering
+    this.shadowRoot.addEventListener('submit', this.handleSubmit.bind(this));
+    this.shadowRoot.addEventListener('input', (event) => {
+      if (event.target.id === 'new-password') {
+        this.updateRequirements(event.target.value);
+      }
+    });
+  }
+}
+
+// Register the custom element
+customElements.define('casl-password-reset', PasswordReset);
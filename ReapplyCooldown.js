@@ -0,0 +1,290 @@
+// src/components/ReapplyCooldown.js
+import { getStyles } from './styles.js';
+import { configManager } from './ConfigManager.js';
+import { authSession } from './authSession.js';
+import { supportService, SUPPORT_TOPICS } from './supportService.js';
+import { getCooldownRemaining } from './reapplyPolicy.js';
+import { i18nService, t } from './i18n.js';
+
+// How often the countdown is redrawn
+const COUNTDOWN_INTERVAL = 60 * 1000;
+
+/**
+ * Reapply cooldown component for CASL Key Verification
+ * Shown instead of a new verification while a not-eligible result's cooldown
+ * runs, with a countdown to the reapply date and a way to contact support or
+ * appeal. Attributes: until (ISO date, required), casl-key-id,
+ * verification-id and email (reply address for guests who are not signed in).
+ * Hosts can set a context property with more details for the review team.
+ * Reports a casl-reapply-cooldown event:
+ * { type: 'ended' } once the cooldown is over, or { type: 'support-requested', data: request }.
+ */
+export class ReapplyCooldown extends HTMLElement {
+  /**
+   * Constructor initializes the component
+   */
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    
+    this.context = {};
+    this.showSupportForm = false;
+    this.supportRequest = null;
+    // What the guest typed, kept across re-renders
+    this.draft = { email: null, message: '' };
+    this.isLoading = false;
+    this.error = null;
+    this.countdownTimer = null;
+    
+    this.setupEventListeners();
+  }
+  
+  /**
+   * When the element is added to the DOM
+   */
+  connectedCallback() {
+    this.render();
+    
+    this.countdownTimer = setInterval(() => this.updateCountdown(), COUNTDOWN_INTERVAL);
+  }
+  
+  /**
+   * When the element is removed from the DOM
+   */
+  disconnectedCallback() {
+    clearInterval(this.countdownTimer);
+  }
+  
+  /**
+   * End of the cooldown
+   * @returns {Date} Reapply date
+   */
+  get until() {
+    return new Date(this.getAttribute('until'));
+  }
+  
+  /**
+   * Render component
+   */
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>${getStyles()}</style>
+      <div 
+        class="reapply-cooldown" 
+        role="region" 
+        aria-labelledby="cooldown-heading" 
+        dir="${i18nService.getLanguageInfo(i18nService.currentLanguage)?.direction || 'ltr'}" 
+      >
+        <h2 id="cooldown-heading">${t('cooldown.title')}</h2>
+        <p>${t('cooldown.description', { days: configManager.get('REAPPLY_COOLDOWN_DAYS', 90) })}</p>
+        
+        <p class="cooldown-countdown">
+          <span id="cooldown-remaining">${this.formatRemaining()}</span>
+          <span class="cooldown-date">${t('cooldown.reapplyOn', { date: i18nService.formatDate(this.until) })}</span>
+        </p>
+        
+        ${this.renderSupport()}
+      </div>
+    `;
+    
+    // Typed values are set as properties, never parsed as markup
+    const email = this.shadowRoot.getElementById('support-email');
+    if (email) email.value = this.draft.email ?? (this.getAttribute('email') || '');
+    
+    const message = this.shadowRoot.getElementById('support-message');
+    if (message) message.value = this.draft.message;
+  }
+  
+  /**
+   * Render the contact support / appeal section
+   */
+  renderSupport() {
+    if (this.supportRequest) {
+      return `
+        <div class="alert alert-success" role="status">
+          ${t('cooldown.support.sent', { requestId: this.supportRequest.requestId })}
+        </div>
+      `;
+    }
+    
+    if (!this.showSupportForm) {
+      return `
+        <button 
+          type="button" 
+          class="btn-secondary" 
+          onclick="this.getRootNode().host.toggleSupportForm(true)" 
+        >
+          ${t('cooldown.support.open')}
+        </button>
+      `;
+    }
+    
+    return `
+      <form id="support-form" class="cooldown-support">
+        <h3>${t('cooldown.support.title')}</h3>
+        <p>${t('cooldown.support.description')}</p>
+        
+        ${this.error ? `
+          <div class="alert alert-error" role="alert">
+            ${this.error}
+          </div>
+        ` : ''}
+        
+        ${authSession.hasSession() ? '' : `
+          <div class="form-group">
+            <label for="support-email">${t('cooldown.support.email')}</label>
+            <input 
+              type="email" 
+              id="support-email" 
+              name="email" 
+              autocomplete="email" 
+              required 
+            />
+          </div>
+        `}
+        
+        <div class="form-group">
+          <label for="support-message">${t('cooldown.support.message')}</label>
+          <textarea 
+            id="support-message" 
+            name="message" 
+            rows="5" 
+            maxlength="2000" 
+            required 
+          ></textarea>
+        </div>
+        
+        <div class="form-actions">
+          <button 
+            type="submit" 
+            class="btn-primary" 
+            ${this.isLoading ? 'disabled' : ''} 
+          >
+            ${this.isLoading ? t('cooldown.support.sending') : t('cooldown.support.send')}
+          </button>
+          <button 
+            type="button" 
+            class="btn-link" 
+            onclick="this.getRootNode().host.toggleSupportForm(false)" 
+          >
+            ${t('cooldown.support.cancel')}
+          </button>
+        </div>
+      </form>
+    `;
+  }
+  
+  /**
+   * Time left, e.g. "42 days, 5 hours" or "3 hours, 12 minutes" on the last day
+   * @returns {string} Countdown text
+   */
+  formatRemaining() {
+    const { days, hours, minutes } = getCooldownRemaining(this.until);
+    const unit = (value, name) => i18nService.formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'long' });
+    
+    return days > 0
+      ? t('cooldown.remaining', { first: unit(days, 'day'), second: unit(hours, 'hour') })
+      : t('cooldown.remaining', { first: unit(hours, 'hour'), second: unit(minutes, 'minute') });
+  }
+  
+  /**
+   * Redraw the countdown, and report the end of the cooldown once it is over
+   */
+  updateCountdown() {
+    if (getCooldownRemaining(this.until).total === 0) {
+      clearInterval(this.countdownTimer);
+      this.dispatchCooldownEvent('ended');
+      return;
+    }
+    
+    const remaining = this.shadowRoot.getElementById('cooldown-remaining');
+    if (remaining) remaining.textContent = this.formatRemaining();
+  }
+  
+  /**
+   * Show or hide the contact support form
+   * @param {boolean} show - Whether to show it
+   */
+  toggleSupportForm(show) {
+    this.showSupportForm = show;
+    this.error = null;
+    this.render();
+    
+    if (show) {
+      this.shadowRoot.getElementById('support-message')?.focus();
+    }
+  }
+  
+  /**
+   * Send the support request with the context the review team needs
+   * @param {Event} event - Form submission event
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+    
+    const formData = new FormData(event.target);
+    const message = String(formData.get('message') || '').trim();
+    this.draft = { email: formData.get('email'), message };
+    
+    if (!message) {
+      this.error = t('cooldown.support.messageRequired');
+      this.render();
+      return;
+    }
+    
+    this.isLoading = true;
+    this.error = null;
+    this.render();
+    
+    try {
+      this.supportRequest = await supportService.createRequest({
+        topic: SUPPORT_TOPICS.REAPPLY_COOLDOWN,
+        message,
+        email: formData.get('email') || null,
+        context: {
+          ...this.context,
+          caslKeyId: this.getAttribute('casl-key-id'),
+          verificationId: this.getAttribute('verification-id'),
+          reapplyAfter: this.until.toISOString()
+        }
+      });
+      
+      this.dispatchCooldownEvent('support-requested', this.supportRequest);
+    } catch (error) {
+      console.error('Error sending support request:', error);
+      this.error = error.message || t('cooldown.support.error');
+    } finally {
+      this.isLoading = false;
+      this.render();
+    }
+  }
+  
+  /**
+   * Dispatch cooldown event
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  dispatchCooldownEvent(type, data = null) {
+    const event = new CustomEvent('casl-reapply-cooldown', {
+      detail: {
+        type,
+        data
+      },
+      bubbles: true,
+      composed: true
+    });
+    
+    this.dispatchEvent(event);
+  }
+  
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Delegated, so the form survives re-rendering
+    this.shadowRoot.addEventListener('submit', this.handleSubmit.bind(this));
+  }
+}
+
+// Register the custom element
+customElements.define('casl-reapply-cooldown', ReapplyCooldown);
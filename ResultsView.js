@@ -1,5 +1,5 @@
 // src/components/ResultsView.js
-import { TRUST_LEVEL_DISPLAY } from './constants.js';
+import { TRUST_LEVEL_DISPLAY, SCORE_RANGES, buildScoreRanges } from './constants.js';
 
 /**
  * Renders the verification results view with enhanced accessibility
@@ -8,15 +8,22 @@ import { TRUST_LEVEL_DISPLAY } from './constants.js';
  * @param {number} score - Calculated trust score
  * @param {string} message - Result message
  * @param {Array} adjustments - Score adjustments (bonuses/deductions)
+ * @param {string} [ruleSetVersion] - Version of the scoring rules that produced the score
+ * @param {Object} [profile] - Scoring profile the score was evaluated under
+ * @param {string} [badgeToken] - Signed badge token hosts can verify
+ * @param {Object} [appeal] - Set when the result can be appealed ({ appealId } once an appeal exists)
  * @returns {string} HTML string for results view
  */
-export function renderResults(userIdentification, trustLevel, score, message, adjustments) {
+export function renderResults(userIdentification, trustLevel, score, message, adjustments, ruleSetVersion, profile, badgeToken, appeal) {
   // Get display data for the trust level
   const trustLevelData = TRUST_LEVEL_DISPLAY[trustLevel] || {
     badgeColor: '#4CAF50',
     icon: '✅',
     label: 'Verified'
   };
+  
+  // Score range for this trust level under the host's profile
+  const scoreRange = profile ? buildScoreRanges(profile.thresholds)[trustLevel] : SCORE_RANGES[trustLevel];
 
   return `
     <div class="results-container" role="region" aria-labelledby="results-heading">
@@ -46,6 +53,12 @@ export function renderResults(userIdentification, trustLevel, score, message, ad
           <span class="score-max">/100</span>
         </div>
         
+        ${scoreRange ? `
+          <p class="score-range">
+            Host score range: ${scoreRange}${profile && profile.id !== 'standard' ? ` (${profile.label} standards)` : ''}
+          </p>
+        ` : ''}
+        
         <p 
           class="result-message" 
           aria-live="polite"
@@ -79,14 +92,58 @@ export function renderResults(userIdentification, trustLevel, score, message, ad
           ` : `
             <p style="color: #666">No score adjustments applied.</p>
           `}
+          
+          ${ruleSetVersion ? `
+            <p class="rule-set-version" style="color: #666; font-size: 0.85em">
+              Scored with rule set version ${ruleSetVersion}
+            </p>
+          ` : ''}
         </div>
         
+        ${appeal ? `
+          <div class="appeal-prompt" style="margin-top: 30px;">
+            <h3>Disagree with this result?</h3>
+            <p>
+              ${appeal.appealId
+                ? `Your appeal (reference ${appeal.appealId}) is with our review team.`
+                : 'You can appeal it: dispute the score factors you think are wrong and send documents that back you up.'}
+            </p>
+            <button 
+              data-event-click="openAppeal" 
+              class="neutral"
+            >
+              ${appeal.appealId ? 'View Appeal' : 'Appeal This Result'}
+            </button>
+          </div>
+        ` : ''}
+        
         <div class="trust-badge-info" style="margin-top: 30px;">
           <h3>Trust Badge Information</h3>
           <p>
             Your trust badge is valid for 12 months. Future hosts will see your verification status, 
             but never your personal details.
           </p>
+          
+          ${badgeToken ? `
+            <label for="badge-token">Signed badge token</label>
+            <textarea 
+              id="badge-token" 
+              class="badge-token" 
+              readonly 
+              rows="3"
+              aria-describedby="badge-token-help"
+            >${badgeToken}</textarea>
+            <p id="badge-token-help" style="color: #666; font-size: 0.85em">
+              Hosts can paste this token into CASL Key to confirm your badge is genuine and current.
+            </p>
+            <button 
+              data-event-click="copyBadgeToken" 
+              aria-label="Copy signed badge token"
+              class="neutral"
+            >
+              Copy Badge Token
+            </button>
+          ` : ''}
         </div>
         
         <div class="action-buttons" style="display: flex; justify-content: center; gap: 15px; margin-top: 30px">
@@ -0,0 +1,795 @@
+// src/components/ReviewConsole.js
+import { getStyles } from './styles.js';
+import { configManager } from './ConfigManager.js';
+import { TRUST_LEVEL_DISPLAY, FORM_STEPS } from './constants.js';
+import { BOOKING_MATCH_REASONS, BOOKING_MATCH_RESULTS } from './bookingMatch.js';
+import { IDENTITY_CHECKS } from './reverification.js';
+import {
+  reviewService,
+  REVIEW_DECISIONS,
+  REVIEW_REASON_CODES,
+  isReviewOpen,
+  isNoteRequired
+} from './reviewService.js';
+import { isCancelled } from './httpClient.js';
+import { i18nService, t } from './i18n.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Reviewer console component for CASL Key Verification
+ * For the review team deciding manual-review results (scores of 50-69): a
+ * queue of open cases, each shown with the guest's answers from the form
+ * steps next to what the verification methods found, the score adjustments,
+ * and the decisions made so far. Reviewers approve, reject or ask the guest
+ * for more information, always with a reason code; every decision is kept
+ * in an audit trail. Needs a reviewer session.
+ * Reports a casl-review event: { type: 'decided', data: case }.
+ */
+export class ReviewConsole extends HTMLElement {
+  /**
+   * Constructor initializes the component
+   */
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    
+    // 'queue' or 'audit'
+    this.view = 'queue';
+    this.cases = [];
+    this.selectedCase = null;
+    this.decisions = [];
+    // Decision being drafted, kept across re-renders
+    this.draft = { decision: '', reasonCode: '', note: '' };
+    this.isLoading = false;
+    this.isDeciding = false;
+    this.accessDenied = false;
+    this.error = null;
+    this.notice = null;
+    // Guest and server text for the current render, filled in by restoreValues
+    this.texts = [];
+    // Aborts the case being loaded
+    this.caseController = null;
+    
+    this.setupEventListeners();
+  }
+  
+  /**
+   * When the element is added to the DOM
+   */
+  connectedCallback() {
+    this.render();
+    this.loadQueue();
+  }
+  
+  /**
+   * When the element is removed from the DOM
+   */
+  disconnectedCallback() {
+    if (this.caseController) {
+      this.caseController.abort();
+      this.caseController = null;
+    }
+  }
+  
+  /**
+   * Render component
+   */
+  render() {
+    this.texts = [];
+    
+    this.shadowRoot.innerHTML = `
+      <style>${getStyles()}</style>
+      <div 
+        class="review-console" 
+        role="region" 
+        aria-labelledby="review-heading" 
+        dir="${i18nService.getLanguageInfo(i18nService.currentLanguage)?.direction || 'ltr'}" 
+      >
+        <div class="review-console-header">
+          <h2 id="review-heading">${t('review.title')}</h2>
+          ${this.accessDenied ? '' : `
+            <div class="review-console-tabs">
+              <button 
+                type="button" 
+                class="${this.view === 'queue' ? 'active' : ''}" 
+                aria-pressed="${this.view === 'queue'}" 
+                onclick="this.getRootNode().host.showView('queue')" 
+              >
+                ${t('review.queue.tab', { count: this.cases.length })}
+              </button>
+              <button 
+                type="button" 
+                class="${this.view === 'audit' ? 'active' : ''}" 
+                aria-pressed="${this.view === 'audit'}" 
+                onclick="this.getRootNode().host.showView('audit')" 
+              >
+                ${t('review.audit.tab')}
+              </button>
+              <button 
+                type="button" 
+                class="btn-secondary" 
+                onclick="this.getRootNode().host.refresh()" 
+                ${this.isLoading ? 'disabled' : ''} 
+              >
+                ${t('review.refresh')}
+              </button>
+            </div>
+          `}
+        </div>
+        
+        <div aria-live="polite">
+          ${this.error ? `
+            <div class="alert alert-error" role="alert">
+              ${this.error}
+            </div>
+          ` : ''}
+          ${this.notice ? `
+            <div class="alert alert-success" role="status">
+              ${this.notice}
+            </div>
+          ` : ''}
+        </div>
+        
+        ${this.renderContent()}
+      </div>
+    `;
+    
+    this.restoreValues();
+  }
+  
+  /**
+   * Render the queue and selected case, or the audit log
+   */
+  renderContent() {
+    if (this.accessDenied) {
+      return `
+        <div class="alert alert-warning" role="alert">
+          ${t('review.accessDenied')}
+        </div>
+      `;
+    }
+    
+    if (this.view === 'audit') {
+      return this.renderAuditLog();
+    }
+    
+    return `
+      <div class="review-console-layout">
+        ${this.renderQueue()}
+        
+        <section class="review-case" aria-label="${t('review.case.label')}">
+          ${this.selectedCase ? this.renderCase() : `
+            <p class="review-empty">${this.isLoading ? t('review.loading') : t('review.case.none')}</p>
+          `}
+        </section>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the queue of open cases, longest waiting first
+   */
+  renderQueue() {
+    const slaHours = configManager.get('REVIEW_SLA_HOURS', 48);
+    
+    return `
+      <nav class="review-queue" aria-labelledby="review-queue-heading">
+        <h3 id="review-queue-heading">${t('review.queue.title')}</h3>
+        
+        ${this.cases.length === 0 ? `
+          <p class="review-empty">${this.isLoading ? t('review.loading') : t('review.queue.empty')}</p>
+        ` : `
+          <ul>
+            ${this.cases.map(entry => {
+              const selected = entry.verificationId === this.selectedCase?.verificationId;
+              const overdue = Date.now() - new Date(entry.submittedAt).getTime() > slaHours * HOUR_MS;
+              
+              return `
+                <li>
+                  <button 
+                    type="button" 
+                    class="review-queue-item ${selected ? 'selected' : ''} ${overdue ? 'overdue' : ''}" 
+                    data-case="${entry.verificationId}" 
+                    aria-current="${selected}" 
+                    onclick="this.getRootNode().host.selectCase(this.dataset.case)" 
+                  >
+                    <span class="review-queue-title">
+                      <strong>${entry.caslKeyId}</strong>
+                      <span class="review-status-badge ${entry.status}">${t(`review.status.${entry.status}`)}</span>
+                    </span>
+                    ${entry.guestName ? this.textSlot(entry.guestName) : ''}
+                    <span class="review-queue-meta">
+                      ${t('review.score', { score: entry.score ?? '—' })}
+                      · ${this.formatWaiting(entry.submittedAt)}
+                      ${overdue ? `· ${t('review.queue.overdue')}` : ''}
+                      ${entry.appeal ? `· ${t('review.queue.appealed')}` : ''}
+                    </span>
+                  </button>
+                </li>
+              `;
+            }).join('')}
+          </ul>
+        `}
+      </nav>
+    `;
+  }
+  
+  /**
+   * Render the selected case
+   */
+  renderCase() {
+    const reviewCase = this.selectedCase;
+    const display = TRUST_LEVEL_DISPLAY[reviewCase.trustLevel];
+    
+    return `
+      <div class="review-case-header">
+        <h3>${t('review.case.title', { caslKeyId: reviewCase.caslKeyId })}</h3>
+        <p>
+          <span class="review-status-badge ${reviewCase.status}">${t(`review.status.${reviewCase.status}`)}</span>
+          ${t('review.case.summary', {
+            score: reviewCase.score ?? '—',
+            trustLevel: display?.label || reviewCase.trustLevel,
+            date: this.formatDateTime(reviewCase.submittedAt)
+          })}
+        </p>
+        ${reviewCase.ruleSetVersion ? `
+          <p class="rule-set-version">
+            ${t('review.case.ruleSet', { version: reviewCase.ruleSetVersion, profile: reviewCase.scoringProfile || '—' })}
+          </p>
+        ` : ''}
+        ${reviewCase.appeal ? `
+          <div class="alert alert-info">
+            ${t('review.case.appeal', { appealId: reviewCase.appeal.appealId, status: t(`appeal.status.${reviewCase.appeal.status}`) })}
+          </div>
+        ` : ''}
+      </div>
+      
+      <div class="review-comparison">
+        <section aria-labelledby="review-form-heading">
+          <h4 id="review-form-heading">${t('review.form.title')}</h4>
+          ${this.renderFormAnswers(reviewCase)}
+        </section>
+        <section aria-labelledby="review-methods-heading">
+          <h4 id="review-methods-heading">${t('review.methods.title')}</h4>
+          ${this.renderMethods(reviewCase)}
+        </section>
+      </div>
+      
+      ${this.renderAdjustments(reviewCase.adjustments)}
+      
+      ${isReviewOpen(reviewCase) ? this.renderDecisionForm() : ''}
+      
+      ${this.renderCaseDecisions(reviewCase.decisions)}
+    `;
+  }
+  
+  /**
+   * Render what the guest entered, grouped by form step
+   * @param {Object} reviewCase - Case with user, booking and stayDetails
+   */
+  renderFormAnswers({ user, booking, stayDetails }) {
+    const steps = [
+      [FORM_STEPS[0], [
+        ['name', user?.name],
+        ['email', user?.email],
+        ['phone', user?.phone],
+        ['address', user?.address]
+      ]],
+      [FORM_STEPS[1], [
+        ['platform', booking?.platform],
+        ['listingLink', booking?.listingLink],
+        ['checkIn', booking?.checkInDate],
+        ['checkOut', booking?.checkOutDate]
+      ]],
+      [FORM_STEPS[2], [
+        ['purpose', stayDetails?.purpose],
+        ['totalGuests', stayDetails?.totalGuests],
+        ['childrenUnder12', stayDetails?.childrenUnder12],
+        ['nonOvernightGuests', stayDetails?.nonOvernightGuests],
+        ['travelingNearHome', stayDetails?.travelingNearHome],
+        ['zipCode', stayDetails?.zipCode],
+        ['previousExperience', stayDetails?.previousExperience],
+        ['previousStayLinks', stayDetails?.previousStayLinks]
+      ]]
+    ];
+    
+    return steps.map(([step, fields]) => `
+      <h5>${step}</h5>
+      <dl class="review-details">
+        ${fields.map(([field, value]) => `
+          <dt>${t(`review.field.${field}`)}</dt>
+          <dd>${this.textSlot(this.formatValue(value))}</dd>
+        `).join('')}
+      </dl>
+    `).join('');
+  }
+  
+  /**
+   * Render what the verification methods found
+   * @param {Object} reviewCase - Case with methods and identityChecks
+   */
+  renderMethods({ methods, identityChecks }) {
+    const checks = [
+      [IDENTITY_CHECKS.GOVERNMENT_ID, methods.idVerificationStatus],
+      [IDENTITY_CHECKS.PHONE, methods.phoneVerificationStatus],
+      [IDENTITY_CHECKS.SOCIAL, methods.socialVerificationStatus],
+      [IDENTITY_CHECKS.BACKGROUND_CHECK, methods.backgroundCheckStatus === 'passed', methods.backgroundCheckStatus]
+    ];
+    
+    const bookingMatch = methods.bookingMatch?.result || BOOKING_MATCH_RESULTS.UNVERIFIED;
+    const bookingMatchReasons = (methods.bookingMatch?.reasons || [])
+      .map(reason => Object.values(BOOKING_MATCH_REASONS).find(known => known.code === reason.code)?.message)
+      .filter(Boolean);
+    
+    return `
+      <h5>${t('review.methods.identity')}</h5>
+      <dl class="review-details">
+        <dt>${t('review.methods.verificationType')}</dt>
+        <dd>${this.textSlot(this.formatValue(methods.verificationType))}</dd>
+        ${checks.map(([type, passed, status]) => {
+          const completed = identityChecks.find(check => check.type === type);
+          
+          return `
+            <dt>${t(`verification.renewal.check.${type}`)}</dt>
+            <dd class="${passed ? 'review-passed' : 'review-failed'}">
+              ${passed
+                ? (completed ? t('review.methods.passedOn', { date: this.formatDateTime(completed.completedAt) }) : t('review.methods.passed'))
+                : t('review.methods.notPassed')}
+              ${!passed && status ? `(${this.textSlot(status)})` : ''}
+            </dd>
+          `;
+        }).join('')}
+      </dl>
+      
+      <h5>${t('review.methods.bookingMatch')}</h5>
+      <p class="review-booking-match ${bookingMatch}">${t(`review.bookingMatch.${bookingMatch}`)}</p>
+      ${bookingMatchReasons.length > 0 ? `
+        <ul class="review-booking-reasons">
+          ${bookingMatchReasons.map(message => `<li>${message}</li>`).join('')}
+        </ul>
+      ` : ''}
+    `;
+  }
+  
+  /**
+   * Render the score adjustments behind the result
+   * @param {Array} adjustments - { ruleId, reason, points }
+   */
+  renderAdjustments(adjustments) {
+    return `
+      <div class="adjustments-list" aria-labelledby="review-adjustments-heading">
+        <h4 id="review-adjustments-heading">${t('review.adjustments.title')}</h4>
+        
+        ${adjustments.length > 0 ? adjustments.map(adj => `
+          <div class="adjustment-item">
+            ${this.textSlot(adj.reason)}
+            <span class="adjustment-points ${adj.points > 0 ? 'adjustment-positive' : 'adjustment-negative'}">
+              ${adj.points > 0 ? '+' : ''}${adj.points}
+            </span>
+          </div>
+        `).join('') : `
+          <p>${t('review.adjustments.none')}</p>
+        `}
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the form for deciding the selected case
+   */
+  renderDecisionForm() {
+    const { decision, reasonCode } = this.draft;
+    const reasonCodes = REVIEW_REASON_CODES[decision] || [];
+    const noteRequired = isNoteRequired(decision, reasonCode);
+    
+    return `
+      <form id="review-decision-form" class="review-decision">
+        <fieldset>
+          <legend>${t('review.decision.legend')}</legend>
+          ${Object.values(REVIEW_DECISIONS).map(option => `
+            <label class="review-decision-option">
+              <input 
+                type="radio" 
+                name="decision" 
+                value="${option}" 
+                ${decision === option ? 'checked' : ''} 
+                required 
+              />
+              ${t(`review.decision.${option}`)}
+            </label>
+          `).join('')}
+        </fieldset>
+        
+        <div class="form-group">
+          <label for="review-reason">${t('review.reason.label')}</label>
+          <select 
+            id="review-reason" 
+            name="reasonCode" 
+            required 
+            ${reasonCodes.length > 0 ? '' : 'disabled'} 
+          >
+            <option value="">${t('review.reason.placeholder')}</option>
+            ${reasonCodes.map(code => `
+              <option value="${code}" ${reasonCode === code ? 'selected' : ''}>${t(`review.reasonCode.${code}`)}</option>
+            `).join('')}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="review-note">${noteRequired ? t('review.note.requiredLabel') : t('review.note.label')}</label>
+          <textarea 
+            id="review-note" 
+            name="note" 
+            rows="3" 
+            maxlength="2000" 
+            ${noteRequired ? 'required' : ''} 
+          ></textarea>
+          ${decision === REVIEW_DECISIONS.REQUEST_INFO ? `
+            <p class="field-hint">${t('review.note.guestHint')}</p>
+          ` : ''}
+        </div>
+        
+        <button 
+          type="submit" 
+          class="btn-primary" 
+          ${this.isDeciding ? 'disabled' : ''} 
+        >
+          ${this.isDeciding ? t('review.decision.saving') : t('review.decision.save')}
+        </button>
+      </form>
+    `;
+  }
+  
+  /**
+   * Render the decisions made on the selected case, oldest first
+   * @param {Array} decisions - Audit entries
+   */
+  renderCaseDecisions(decisions) {
+    return `
+      <section class="review-audit" aria-labelledby="review-case-audit-heading">
+        <h4 id="review-case-audit-heading">${t('review.audit.caseTitle')}</h4>
+        
+        ${decisions.length > 0 ? `
+          <ol class="appeal-timeline">
+            ${decisions.map(entry => `
+              <li>
+                <strong>${t(`review.decision.${entry.decision}`)}</strong>
+                ${t(`review.reasonCode.${entry.reasonCode}`)}
+                <time datetime="${entry.at}">${this.formatDateTime(entry.at)}</time>
+                <span class="review-reviewer">${this.textSlot(entry.reviewer)}</span>
+                ${entry.note ? `<p class="appeal-note">${this.textSlot(entry.note)}</p>` : ''}
+              </li>
+            `).join('')}
+          </ol>
+        ` : `
+          <p>${t('review.audit.caseEmpty')}</p>
+        `}
+      </section>
+    `;
+  }
+  
+  /**
+   * Render the audit log of decisions across all cases
+   */
+  renderAuditLog() {
+    if (this.decisions.length === 0) {
+      return `
+        <p class="review-empty">${this.isLoading ? t('review.loading') : t('review.audit.empty')}</p>
+      `;
+    }
+    
+    return `
+      <table class="review-audit-table">
+        <caption>${t('review.audit.title')}</caption>
+        <thead>
+          <tr>
+            <th scope="col">${t('review.audit.when')}</th>
+            <th scope="col">${t('review.audit.case')}</th>
+            <th scope="col">${t('review.audit.decision')}</th>
+            <th scope="col">${t('review.audit.reason')}</th>
+            <th scope="col">${t('review.audit.reviewer')}</th>
+            <th scope="col">${t('review.audit.note')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.decisions.map(entry => `
+            <tr>
+              <td><time datetime="${entry.at}">${this.formatDateTime(entry.at)}</time></td>
+              <td>
+                <button 
+                  type="button" 
+                  class="btn-link" 
+                  data-case="${entry.verificationId}" 
+                  onclick="this.getRootNode().host.openCase(this.dataset.case)" 
+                >
+                  ${entry.caslKeyId || entry.verificationId}
+                </button>
+              </td>
+              <td>${t(`review.decision.${entry.decision}`)}</td>
+              <td>${t(`review.reasonCode.${entry.reasonCode}`)}</td>
+              <td>${this.textSlot(entry.reviewer)}</td>
+              <td>${entry.note ? this.textSlot(entry.note) : ''}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+  
+  /**
+   * Placeholder for guest or server text, filled in by restoreValues
+   * @param {string} value - Text to show
+   * @returns {string} Placeholder markup
+   */
+  textSlot(value) {
+    this.texts.push(String(value));
+    return `<span data-review-text="${this.texts.length - 1}"></span>`;
+  }
+  
+  /**
+   * Put text and the draft note back after rendering
+   * Set as properties, never parsed as markup.
+   */
+  restoreValues() {
+    this.shadowRoot.querySelectorAll('[data-review-text]').forEach(element => {
+      element.textContent = this.texts[element.dataset.reviewText];
+    });
+    
+    const note = this.shadowRoot.getElementById('review-note');
+    if (note) note.value = this.draft.note;
+  }
+  
+  /**
+   * Show a form answer
+   * @param {*} value - Answer
+   * @returns {string} Display text
+   */
+  formatValue(value) {
+    if (value === null || value === undefined || value === '') return t('review.notProvided');
+    if (typeof value === 'boolean') return value ? t('review.yes') : t('review.no');
+    return String(value);
+  }
+  
+  /**
+   * Format a date and time
+   * @param {string} value - ISO date
+   * @returns {string} Formatted date
+   */
+  formatDateTime(value) {
+    return i18nService.formatDate(new Date(value), { dateStyle: 'medium', timeStyle: 'short' });
+  }
+  
+  /**
+   * How long a case has been waiting, e.g. "waiting 3 days"
+   * @param {string} submittedAt - ISO date the verification was submitted
+   * @returns {string} Waiting time
+   */
+  formatWaiting(submittedAt) {
+    const hours = Math.max(0, Math.floor((Date.now() - new Date(submittedAt).getTime()) / HOUR_MS));
+    const unit = (value, name) => i18nService.formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'long' });
+    
+    return t('review.queue.waiting', {
+      time: hours >= 24 ? unit(Math.floor(hours / 24), 'day') : unit(hours, 'hour')
+    });
+  }
+  
+  /**
+   * Switch between the queue and the audit log
+   * @param {string} view - 'queue' or 'audit'
+   */
+  showView(view) {
+    this.view = view;
+    this.error = null;
+    this.notice = null;
+    this.render();
+    
+    if (view === 'audit') {
+      this.loadDecisions();
+    }
+  }
+  
+  /**
+   * Reload the current view
+   */
+  async refresh() {
+    if (this.view === 'audit') {
+      await this.loadDecisions();
+      return;
+    }
+    
+    await this.loadQueue();
+    if (this.selectedCase) {
+      await this.selectCase(this.selectedCase.verificationId);
+    }
+  }
+  
+  /**
+   * Load the queue of open cases
+   */
+  async loadQueue() {
+    await this.load(async () => {
+      this.cases = await reviewService.listQueue();
+    }, t('review.queue.error'));
+  }
+  
+  /**
+   * Load the audit log
+   */
+  async loadDecisions() {
+    await this.load(async () => {
+      this.decisions = await reviewService.listDecisions();
+    }, t('review.audit.error'));
+  }
+  
+  /**
+   * Run a load with the loading state; 401 and 403 mean the session is not a reviewer's
+   * @param {Function} action - Async work
+   * @param {string} fallbackError - Message when the error has none
+   */
+  async load(action, fallbackError) {
+    this.isLoading = true;
+    this.error = null;
+    this.render();
+    
+    try {
+      await action();
+      this.accessDenied = false;
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        this.accessDenied = true;
+      } else {
+        console.error('Error loading review data:', error);
+        this.error = error.message || fallbackError;
+      }
+    } finally {
+      this.isLoading = false;
+      this.render();
+    }
+  }
+  
+  /**
+   * Open a case from the queue
+   * @param {string} verificationId - Verification under review
+   */
+  async selectCase(verificationId) {
+    // Opening another case replaces one still loading
+    if (this.caseController) {
+      this.caseController.abort();
+    }
+    const controller = new AbortController();
+    this.caseController = controller;
+    
+    if (this.selectedCase?.verificationId !== verificationId) {
+      this.draft = { decision: '', reasonCode: '', note: '' };
+    }
+    this.isLoading = true;
+    this.error = null;
+    this.render();
+    
+    try {
+      const reviewCase = await reviewService.getCase(verificationId, { signal: controller.signal });
+      if (this.caseController === controller) {
+        this.selectedCase = reviewCase;
+      }
+    } catch (error) {
+      if (isCancelled(error) || this.caseController !== controller) return;
+      console.error('Error loading review case:', error);
+      this.error = error.message || t('review.case.error');
+    } finally {
+      if (this.caseController === controller) {
+        this.caseController = null;
+        this.isLoading = false;
+        this.render();
+      }
+    }
+  }
+  
+  /**
+   * Open a case from the audit log
+   * @param {string} verificationId - Verification under review
+   */
+  openCase(verificationId) {
+    this.view = 'queue';
+    this.notice = null;
+    this.selectCase(verificationId);
+  }
+  
+  /**
+   * Record the drafted decision on the selected case
+   */
+  async handleDecision() {
+    const { verificationId, caslKeyId } = this.selectedCase;
+    const { decision } = this.draft;
+    
+    this.isDeciding = true;
+    this.error = null;
+    this.notice = null;
+    this.render();
+    
+    try {
+      this.selectedCase = await reviewService.decide(verificationId, this.draft);
+      this.draft = { decision: '', reasonCode: '', note: '' };
+      this.notice = t('review.decision.saved', { decision: t(`review.decision.${decision}`), caslKeyId });
+      this.updateQueueEntry(this.selectedCase);
+      this.dispatchReviewEvent('decided', this.selectedCase);
+    } catch (error) {
+      console.error('Error saving review decision:', error);
+      this.error = error.message || t('review.decision.error');
+      
+      // Another reviewer decided it first; show their decision
+      if (error.status === 409) {
+        try {
+          this.selectedCase = await reviewService.getCase(verificationId);
+          this.updateQueueEntry(this.selectedCase);
+        } catch (refreshError) {
+          console.warn('Could not reload review case:', refreshError.message);
+        }
+      }
+    } finally {
+      this.isDeciding = false;
+      this.render();
+    }
+  }
+  
+  /**
+   * Keep the queue in step with a decided case
+   * @param {Object} reviewCase - Case from the backend
+   */
+  updateQueueEntry(reviewCase) {
+    this.cases = isReviewOpen(reviewCase)
+      ? this.cases.map(entry => (entry.verificationId === reviewCase.verificationId ? { ...entry, status: reviewCase.status } : entry))
+      : this.cases.filter(entry => entry.verificationId !== reviewCase.verificationId);
+  }
+  
+  /**
+   * Dispatch review event
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  dispatchReviewEvent(type, data = null) {
+    const event = new CustomEvent('casl-review', {
+      detail: {
+        type,
+        data
+      },
+      bubbles: true,
+      composed: true
+    });
+    
+    this.dispatchEvent(event);
+  }
+  
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Delegated, so the decision form survives re-rendering
+    this.shadowRoot.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (event.target.id === 'review-decision-form') {
+        this.handleDecision();
+      }
+    });
+    
+    this.shadowRoot.addEventListener('input', (event) => {
+      if (event.target.id === 'review-note') {
+        this.draft.note = event.target.value;
+      }
+    });
+    
+    // The reason codes and whether a note is required depend on the choices
+    this.shadowRoot.addEventListener('change', (event) => {
+      if (event.target.name === 'decision') {
+        this.draft = { ...this.draft, decision: event.target.value, reasonCode: '' };
+        this.render();
+      } else if (event.target.id === 'review-reason') {
+        this.draft.reasonCode = event.target.value;
+        this.render();
+      }
+    });
+  }
+}
+
+// Register the custom element
+customElements.define('casl-review-console', ReviewConsole);
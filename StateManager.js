@@ -27,7 +27,11 @@ class StateManager {
         error: null,
         platformData: null,
         idVerificationData: null,
-        backgroundCheckStatus: null
+        backgroundCheckStatus: null,
+        backgroundCheckId: null,
+        backgroundCheckCompletedAt: null,
+        bookingMatch: null,
+        renewalOf: null
       },
       
       // Form data - FIXED STRUCTURE: Flat instead of nested
@@ -48,10 +52,13 @@ class StateManager {
         airbnbProfile: '',
         vrboProfile: '',
         otherPlatformProfile: '',
+        airbnbProfileId: null,
+        vrboProfileId: null,
         
         // Booking Info fields
         platform: '',
         listingLink: '',
+        listingId: null,
         checkInDate: '',
         checkOutDate: '',
         
@@ -80,7 +87,8 @@ class StateManager {
         notifications: [],
         modal: null,
         alert: null,
-        loading: false
+        loading: false,
+        queuedRequests: 0
       },
       
       // Verification results
@@ -89,8 +97,13 @@ class StateManager {
         trustLevel: '',
         message: '',
         adjustments: [],
+        ruleSetVersion: null,
+        scoringProfile: null,
         isSubmitted: false,
-        hostSummary: null
+        isQueued: false,
+        verificationId: null,
+        hostSummary: null,
+        badgeToken: null
       }
     };
     
@@ -320,7 +333,11 @@ class StateManager {
         error: null,
         platformData: null,
         idVerificationData: null,
-        backgroundCheckStatus: null
+        backgroundCheckStatus: null,
+        backgroundCheckId: null,
+        backgroundCheckCompletedAt: null,
+        bookingMatch: null,
+        renewalOf: null
       },
       
       // UPDATED: Flat formData structure to match validation expectations
@@ -341,10 +358,13 @@ class StateManager {
         airbnbProfile: '',
         vrboProfile: '',
         otherPlatformProfile: '',
+        airbnbProfileId: null,
+        vrboProfileId: null,
         
         // Booking Info fields
         platform: '',
         listingLink: '',
+        listingId: null,
         checkInDate: '',
         checkOutDate: '',
         
@@ -372,7 +392,8 @@ class StateManager {
         notifications: [],
         modal: null,
         alert: null,
-        loading: false
+        loading: false,
+        queuedRequests: 0
       },
       
       results: {
@@ -380,8 +401,13 @@ class StateManager {
         trustLevel: '',
         message: '',
         adjustments: [],
+        ruleSetVersion: null,
+        scoringProfile: null,
         isSubmitted: false,
-        hostSummary: null
+        isQueued: false,
+        verificationId: null,
+        hostSummary: null,
+        badgeToken: null
       }
     };
   }
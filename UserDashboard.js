@@ -1,8 +1,29 @@
 // src/components/UserDashboard.js
 import { getStyles } from './styles.js';
 import { userService } from './userService.js';
+import { authSession, SESSION_EVENTS } from './authSession.js';
 import { i18nService, t } from './i18n.js';
-import { API_BASE_URL } from './constants.js';
+import { apiService } from './api.js';
+import { configManager } from './ConfigManager.js';
+import { isWebAuthnSupported } from './webauthn.js';
+import {
+  HISTORY_SORTS,
+  EXPIRY_STATUSES,
+  getHistoryPlatforms,
+  getExpiryStatus,
+  getVerificationExpiry,
+  getRenewalCandidates,
+  filterVerifications,
+  sortVerifications,
+  paginate,
+  exportVerifications
+} from './verificationHistory.js';
+import { getReapplyCooldown } from './reapplyPolicy.js';
+import { appealService, isAppealable } from './appealService.js';
+import { TRUST_LEVELS } from './constants.js';
+import './AccountSettings.js';
+import './ReapplyCooldown.js';
+import './VerificationAppeal.js';
 
 /**
  * User Dashboard component for CASL Key Verification
@@ -33,11 +54,33 @@ export class UserDashboard extends HTMLElement {
     this.user = null;
     this.verificationHistory = [];
     this.packages = [];
+    this.passkeys = [];
+    this.passkeyError = null;
+    this.showSettings = false;
+    this.appeals = [];
+    // Appeal being written or tracked ({ verification, appeal })
+    this.appealView = null;
+    this.dismissedReminders = this.loadDismissedReminders();
+    this.resetHistoryView();
     
     // Load data
     this.loadDashboardData();
   }
   
+  /**
+   * Reset the history's search, filters, sort order and page
+   */
+  resetHistoryView() {
+    this.historyFilters = {
+      query: '',
+      platform: '',
+      trustLevel: '',
+      expiry: '',
+      sort: HISTORY_SORTS.NEWEST
+    };
+    this.historyPage = 1;
+  }
+  
   /**
    * When the element is added to the DOM
    */
@@ -45,7 +88,11 @@ export class UserDashboard extends HTMLElement {
     console.log('UserDashboard component connected');
     
     // Listen for authentication events
-    document.addEventListener('casl-auth', this.handleAuthEvent.bind(this));
+    this.boundHandleAuthEvent = this.handleAuthEvent.bind(this);
+    document.addEventListener('casl-auth', this.boundHandleAuthEvent);
+    
+    // Follow logins and logouts from other tabs and expired sessions
+    this.unsubscribeSession = authSession.subscribe(this.handleSessionChange.bind(this));
   }
   
   /**
@@ -53,7 +100,46 @@ export class UserDashboard extends HTMLElement {
    */
   disconnectedCallback() {
     // Remove event listeners
-    document.removeEventListener('casl-auth', this.handleAuthEvent.bind(this));
+    document.removeEventListener('casl-auth', this.boundHandleAuthEvent);
+    
+    if (this.unsubscribeSession) {
+      this.unsubscribeSession();
+      this.unsubscribeSession = null;
+    }
+  }
+  
+  /**
+   * Handle a session change
+   * @param {Object} change - { type, remote }
+   */
+  handleSessionChange({ type, remote }) {
+    if (type === SESSION_EVENTS.LOGOUT) {
+      this.showLoggedOut();
+    } else if (type === SESSION_EVENTS.LOGIN && remote) {
+      // Another tab signed in, possibly as someone else
+      this.user = authSession.user;
+      this.loadDashboardData();
+    }
+  }
+  
+  /**
+   * Leave the dashboard after the session ends
+   */
+  showLoggedOut() {
+    if (!this.user) return;
+    
+    this.user = null;
+    this.verificationHistory = [];
+    this.packages = [];
+    this.passkeys = [];
+    this.passkeyError = null;
+    this.showSettings = false;
+    this.appeals = [];
+    this.appealView = null;
+    this.resetHistoryView();
+    
+    // Redirect back to authentication
+    this.dispatchDashboardEvent('logout');
   }
   
   /**
@@ -97,6 +183,12 @@ export class UserDashboard extends HTMLElement {
       
       // Load available packages
       await this.loadPackages();
+      
+      // Passkeys are optional; failing to list them leaves the rest usable
+      await this.loadPasskeys();
+      
+      // So are appeals
+      await this.loadAppeals();
     } catch (error) {
       console.error('Error loading dashboard data:', error);
       this.error = error.message || t('dashboard.loadError');
@@ -110,21 +202,13 @@ export class UserDashboard extends HTMLElement {
    * Load user's verification history
    */
   async loadVerificationHistory() {
-    const headers = {
-      'Content-Type': 'application/json',
-      ...userService.getAuthHeaders()
-    };
-    
-    const response = await fetch(`${API_BASE_URL}/verification-history`, {
-      method: 'GET',
-      headers
-    });
-    
-    if (!response.ok) {
+    let result;
+    try {
+      result = await apiService.request('verification-history', 'GET');
+    } catch (error) {
       throw new Error(t('dashboard.historyLoadError'));
     }
     
-    const result = await response.json();
     this.verificationHistory = result.verifications || [];
   }
   
@@ -132,32 +216,55 @@ export class UserDashboard extends HTMLElement {
    * Load available packages
    */
   async loadPackages() {
-    // ✅ FIXED: Added authentication headers like loadVerificationHistory() does
-    const headers = {
-      'Content-Type': 'application/json',
-      ...userService.getAuthHeaders()
-    };
-
-    const response = await fetch(`${API_BASE_URL}/packages`, {
-      method: 'GET',
-      headers
-    });
-    
-    if (!response.ok) {
+    let result;
+    try {
+      result = await apiService.request('packages', 'GET');
+    } catch (error) {
       throw new Error(t('dashboard.packagesLoadError'));
     }
     
-    const result = await response.json();
     this.packages = result.packages || [];
   }
   
+  /**
+   * Load the user's passkeys
+   */
+  async loadPasskeys() {
+    if (!isWebAuthnSupported()) return;
+    
+    try {
+      this.passkeys = await userService.listPasskeys();
+      this.passkeyError = null;
+    } catch (error) {
+      console.error('Error loading passkeys:', error);
+      this.passkeys = [];
+      this.passkeyError = t('auth.passkey.loadError');
+    }
+  }
+  
+  /**
+   * Load the user's appeals
+   */
+  async loadAppeals() {
+    try {
+      this.appeals = await appealService.listAppeals();
+    } catch (error) {
+      console.error('Error loading appeals:', error);
+      this.appeals = [];
+    }
+  }
+  
   /**
    * Render the component
    */
   render() {
     let content;
     
-    if (this.isLoading) {
+    if (this.showSettings) {
+      content = `<casl-account-settings></casl-account-settings>`;
+    } else if (this.appealView) {
+      content = `<casl-verification-appeal></casl-verification-appeal>`;
+    } else if (this.isLoading) {
       content = this.renderLoading();
     } else if (this.error) {
       content = this.renderError();
@@ -171,6 +278,31 @@ export class UserDashboard extends HTMLElement {
         ${content}
       </div>
     `;
+    
+    // Typed search survives re-rendering; set as a property, never parsed as markup
+    const search = this.shadowRoot.getElementById('history-search');
+    if (search) search.value = this.historyFilters.query;
+    this.fillInfoRequests();
+    
+    // Details for the review team, should the guest contact support about the cooldown
+    const cooldownElement = this.shadowRoot.querySelector('casl-reapply-cooldown');
+    const cooldown = getReapplyCooldown(this.verificationHistory);
+    if (cooldownElement && cooldown) {
+      const { verification } = cooldown;
+      cooldownElement.context = {
+        trustLevel: verification.trustLevel,
+        score: verification.score ?? null,
+        verificationDate: verification.verificationDate,
+        platform: verification.booking?.platform || null
+      };
+    }
+    
+    // The verification being appealed, or the appeal being tracked
+    const appealElement = this.shadowRoot.querySelector('casl-verification-appeal');
+    if (appealElement && this.appealView) {
+      appealElement.verification = this.appealView.verification;
+      appealElement.appeal = this.appealView.appeal;
+    }
   }
   
   /**
@@ -208,10 +340,24 @@ export class UserDashboard extends HTMLElement {
    * Render dashboard content
    */
   renderDashboard() {
+    const cooldown = getReapplyCooldown(this.verificationHistory);
+    
     return `
       <div class="dashboard">
         <div class="dashboard-header">
           <h1>${t('dashboard.welcome', { username: this.user?.username || 'User' })}</h1>
+          <button 
+            class="btn-secondary" 
+            onclick="this.getRootNode().host.dispatchDashboardEvent('setup-mfa')"
+          >
+            ${t('auth.mfa.setup')}
+          </button>
+          <button 
+            class="btn-secondary" 
+            onclick="this.getRootNode().host.openSettings()"
+          >
+            ${t('account.settings')}
+          </button>
           <button 
             class="btn-secondary" 
             onclick="this.getRootNode().host.handleLogout()"
@@ -221,14 +367,18 @@ export class UserDashboard extends HTMLElement {
         </div>
         
         <div class="dashboard-content">
+          ${cooldown ? this.renderReapplyCooldown(cooldown) : this.renderRenewalReminders()}
+          ${this.renderAppeals()}
           ${this.renderVerificationHistory()}
           ${this.renderPackages()}
+          ${this.renderPasskeys()}
         </div>
         
         <div class="dashboard-actions">
           <button 
             class="btn-primary" 
             onclick="this.getRootNode().host.startNewVerification()"
+            ${cooldown ? 'disabled' : ''}
           >
             ${t('dashboard.newVerification')}
           </button>
@@ -255,13 +405,211 @@ export class UserDashboard extends HTMLElement {
     return `
       <div class="verification-history">
         <h2>${t('dashboard.verificationHistory')}</h2>
-        <div class="verification-cards">
-          ${this.verificationHistory.map(verification => this.renderVerificationCard(verification)).join('')}
+        ${this.renderHistoryControls()}
+        <div id="history-results" aria-live="polite">
+          ${this.renderHistoryResults()}
         </div>
       </div>
     `;
   }
   
+  /**
+   * Render the history's search, sort, filters and export buttons
+   */
+  renderHistoryControls() {
+    const { sort, platform, trustLevel, expiry } = this.historyFilters;
+    const option = (value, label, selected) => `
+      <option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>
+    `;
+    
+    return `
+      <div class="history-controls">
+        <div class="form-group">
+          <label for="history-search">${t('dashboard.history.search')}</label>
+          <input 
+            type="search" 
+            id="history-search" 
+            data-history-filter="query" 
+            placeholder="${t('dashboard.history.searchPlaceholder')}" 
+          />
+        </div>
+        
+        <div class="form-group">
+          <label for="history-sort">${t('dashboard.history.sort')}</label>
+          <select id="history-sort" data-history-filter="sort">
+            ${option(HISTORY_SORTS.NEWEST, t('dashboard.history.sortNewest'), sort)}
+            ${option(HISTORY_SORTS.OLDEST, t('dashboard.history.sortOldest'), sort)}
+            ${option(HISTORY_SORTS.HIGHEST_SCORE, t('dashboard.history.sortHighestScore'), sort)}
+            ${option(HISTORY_SORTS.LOWEST_SCORE, t('dashboard.history.sortLowestScore'), sort)}
+            ${option(HISTORY_SORTS.TRUST_LEVEL, t('dashboard.history.sortTrustLevel'), sort)}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="history-platform">${t('dashboard.history.platform')}</label>
+          <select id="history-platform" data-history-filter="platform">
+            ${option('', t('dashboard.history.all'), platform)}
+            ${getHistoryPlatforms(this.verificationHistory).map(name => option(name, name, platform)).join('')}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="history-trust-level">${t('dashboard.history.status')}</label>
+          <select id="history-trust-level" data-history-filter="trustLevel">
+            ${option('', t('dashboard.history.all'), trustLevel)}
+            ${Object.values(TRUST_LEVELS).map(level => option(level, this.getTrustLevelLabel(level), trustLevel)).join('')}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label for="history-expiry">${t('dashboard.history.expiry')}</label>
+          <select id="history-expiry" data-history-filter="expiry">
+            ${option('', t('dashboard.history.all'), expiry)}
+            ${Object.values(EXPIRY_STATUSES).map(status => option(status, t(`dashboard.history.expiry.${status}`), expiry)).join('')}
+          </select>
+        </div>
+        
+        <div class="history-export">
+          <button 
+            class="btn-link" 
+            onclick="this.getRootNode().host.exportHistory('csv')"
+          >
+            ${t('dashboard.history.exportCsv')}
+          </button>
+          <button 
+            class="btn-link" 
+            onclick="this.getRootNode().host.exportHistory('json')"
+          >
+            ${t('dashboard.history.exportJson')}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the current page of matching verifications and the pager
+   */
+  renderHistoryResults() {
+    const matches = this.getVisibleHistory();
+    
+    if (matches.length === 0) {
+      return `
+        <div class="empty-state">
+          <p>${t('dashboard.history.noMatches')}</p>
+        </div>
+      `;
+    }
+    
+    const { items, page, pageCount } = paginate(matches, this.historyPage);
+    this.historyPage = page;
+    
+    return `
+      <div class="verification-cards">
+        ${items.map(verification => this.renderVerificationCard(verification)).join('')}
+      </div>
+      
+      ${pageCount > 1 ? `
+        <nav class="history-pager" aria-label="${t('dashboard.history.pages')}">
+          <button 
+            class="btn-secondary" 
+            onclick="this.getRootNode().host.goToHistoryPage(${page - 1})"
+            ${page === 1 ? 'disabled' : ''}
+          >
+            ${t('dashboard.history.previous')}
+          </button>
+          <span>${t('dashboard.history.pageOf', { page, pageCount, total: matches.length })}</span>
+          <button 
+            class="btn-secondary" 
+            onclick="this.getRootNode().host.goToHistoryPage(${page + 1})"
+            ${page === pageCount ? 'disabled' : ''}
+          >
+            ${t('dashboard.history.next')}
+          </button>
+        </nav>
+      ` : ''}
+    `;
+  }
+  
+  /**
+   * Label for a trust level ('manual_review' is translated as trustLevel.manualReview)
+   * @param {string} trustLevel - TRUST_LEVELS value
+   * @returns {string} Label
+   */
+  getTrustLevelLabel(trustLevel) {
+    const key = `trustLevel.${String(trustLevel).replace(/_([a-z])/g, (_, letter) => letter.toUpperCase())}`;
+    const label = t(key);
+    return label === key ? trustLevel : label;
+  }
+  
+  /**
+   * Verifications matching the search and filters, in the chosen order
+   * @returns {Array} Verifications
+   */
+  getVisibleHistory() {
+    const { sort, ...filters } = this.historyFilters;
+    return sortVerifications(filterVerifications(this.verificationHistory, filters), sort);
+  }
+  
+  /**
+   * Change a search, filter or sort value and go back to the first page
+   * @param {string} name - Key of historyFilters
+   * @param {string} value - New value
+   */
+  setHistoryFilter(name, value) {
+    this.historyFilters = { ...this.historyFilters, [name]: value };
+    this.historyPage = 1;
+    this.updateHistoryResults();
+  }
+  
+  /**
+   * Show another page of the history
+   * @param {number} page - 1-based page
+   */
+  goToHistoryPage(page) {
+    this.historyPage = page;
+    this.updateHistoryResults();
+    this.shadowRoot.querySelector('.verification-history')?.scrollIntoView({ block: 'start' });
+  }
+  
+  /**
+   * Re-render only the results, so the search field keeps focus while typing
+   */
+  updateHistoryResults() {
+    const results = this.shadowRoot.getElementById('history-results');
+    if (results) {
+      results.innerHTML = this.renderHistoryResults();
+      this.fillInfoRequests();
+    }
+  }
+  
+  /**
+   * Put the review team's notes into the history cards; set as text, never parsed as markup
+   */
+  fillInfoRequests() {
+    this.shadowRoot.querySelectorAll('[data-info-request]').forEach(item => {
+      const verification = this.verificationHistory.find(v => v.verificationId === item.dataset.infoRequest);
+      item.textContent = verification?.infoRequest?.note || '';
+    });
+  }
+  
+  /**
+   * Download the matching verifications (all pages)
+   * @param {string} format - 'csv' or 'json'
+   */
+  exportHistory(format) {
+    const { filename, mimeType, content } = exportVerifications(this.getVisibleHistory(), format);
+    
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    this.shadowRoot.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+  
   /**
    * Render a verification card
    * @param {Object} verification - Verification data
@@ -270,9 +618,14 @@ export class UserDashboard extends HTMLElement {
     // Format date
     const date = new Date(verification.verificationDate);
     const formattedDate = i18nService.formatDate(date);
+    const expiryStatus = getExpiryStatus(verification);
+    const expiry = getVerificationExpiry(verification);
+    const expiryLabel = this.getExpiryLabel(expiryStatus, expiry);
+    const canRenew = this.getRenewableVerification(verification.caslKeyId) === verification;
+    const appeal = this.getAppeal(verification.verificationId);
     
     // Get trust level display data
-    const trustLevelLabel = t(`trustLevel.${verification.trustLevel}`) || verification.trustLevel;
+    const trustLevelLabel = this.getTrustLevelLabel(verification.trustLevel);
     const score = verification.score || 0;
     
     // Determine badge color based on trust level
@@ -304,10 +657,17 @@ export class UserDashboard extends HTMLElement {
           
           <div class="verification-details">
             <p class="casl-key-id">CASL Key ID: ${verification.caslKeyId}</p>
+            <p class="verification-expiry ${expiryStatus}">${expiryLabel}</p>
             <p class="booking-info">
               ${verification.booking?.platform ? `${verification.booking.platform}` : ''}
               ${verification.booking?.checkInDate ? ` | Check-in: ${i18nService.formatDate(new Date(verification.booking.checkInDate))}` : ''}
             </p>
+            ${verification.infoRequest && !appeal ? `
+              <div class="info-request" role="status">
+                <p>${t('dashboard.review.infoRequested')}</p>
+                <p class="appeal-note" data-info-request="${verification.verificationId}"></p>
+              </div>
+            ` : ''}
           </div>
         </div>
         
@@ -318,11 +678,266 @@ export class UserDashboard extends HTMLElement {
           >
             ${t('dashboard.viewDetails')}
           </button>
+          ${canRenew ? `
+            <button 
+              class="btn-secondary" 
+              onclick="this.getRootNode().host.renewVerification('${verification.caslKeyId}')"
+            >
+              ${t('dashboard.renewal.renew')}
+            </button>
+          ` : ''}
+          ${appeal ? `
+            <button 
+              class="btn-link" 
+              onclick="this.getRootNode().host.viewAppeal('${appeal.appealId}')"
+            >
+              ${t('dashboard.appeals.view', { status: t(`appeal.status.${appeal.status}`) })}
+            </button>
+          ` : isAppealable(verification) ? `
+            <button 
+              class="btn-secondary" 
+              onclick="this.getRootNode().host.openAppeal('${verification.verificationId}')"
+            >
+              ${t('dashboard.appeals.appeal')}
+            </button>
+          ` : ''}
         </div>
       </div>
     `;
   }
   
+  /**
+   * Describe when a verification expires, e.g. "Expiring soon · expires Oct 30, 2026"
+   * @param {string} expiryStatus - EXPIRY_STATUSES value
+   * @param {Date|null} expiry - Expiry
+   * @returns {string} Label
+   */
+  getExpiryLabel(expiryStatus, expiry) {
+    const status = t(`dashboard.history.expiry.${expiryStatus}`);
+    if (!expiry) return status;
+    
+    const date = i18nService.formatDate(expiry);
+    return expiryStatus === EXPIRY_STATUSES.EXPIRED
+      ? t('dashboard.renewal.expiredOn', { date })
+      : `${status} · ${t('dashboard.renewal.expiresOn', { date })}`;
+  }
+  
+  /**
+   * Render the countdown until a not-eligible guest can reapply
+   * @param {Object} cooldown - { until, verification } from getReapplyCooldown
+   */
+  renderReapplyCooldown({ until, verification }) {
+    return `
+      <casl-reapply-cooldown 
+        until="${until.toISOString()}" 
+        casl-key-id="${verification.caslKeyId}" 
+        verification-id="${verification.verificationId || ''}"
+      ></casl-reapply-cooldown>
+    `;
+  }
+  
+  /**
+   * Render reminders for verifications that are expiring or have expired
+   */
+  renderRenewalReminders() {
+    const reminders = getRenewalCandidates(this.verificationHistory)
+      .filter(verification => !this.dismissedReminders.includes(this.getReminderKey(verification)));
+    
+    if (reminders.length === 0) {
+      return '';
+    }
+    
+    return `
+      <section class="renewal-reminders" aria-label="${t('dashboard.renewal.title')}">
+        ${reminders.map(verification => {
+          const status = getExpiryStatus(verification);
+          const expiry = getVerificationExpiry(verification);
+          
+          return `
+            <div class="alert ${status === EXPIRY_STATUSES.EXPIRED ? 'alert-error' : 'alert-warning'} renewal-reminder" role="status">
+              <span>
+                ${t(`dashboard.renewal.${status}Reminder`, {
+                  caslKeyId: verification.caslKeyId,
+                  date: expiry ? i18nService.formatDate(expiry) : '-'
+                })}
+              </span>
+              <div class="renewal-reminder-actions">
+                <button 
+                  class="btn-primary" 
+                  onclick="this.getRootNode().host.renewVerification('${verification.caslKeyId}')"
+                >
+                  ${t('dashboard.renewal.renew')}
+                </button>
+                <button 
+                  class="btn-link" 
+                  onclick="this.getRootNode().host.dismissReminder('${verification.caslKeyId}')"
+                >
+                  ${t('dashboard.renewal.dismiss')}
+                </button>
+              </div>
+            </div>
+          `;
+        }).join('')}
+      </section>
+    `;
+  }
+  
+  /**
+   * The verification to renew for a CASL Key ID, if it needs renewing
+   * @param {string} caslKeyId - CASL Key ID
+   * @returns {Object|undefined} Newest verification of the CASL Key ID
+   */
+  getRenewableVerification(caslKeyId) {
+    // Nothing can be renewed while a not-eligible result's cooldown runs
+    if (getReapplyCooldown(this.verificationHistory)) return undefined;
+    
+    return getRenewalCandidates(this.verificationHistory).find(v => v.caslKeyId === caslKeyId);
+  }
+  
+  /**
+   * Key a dismissed reminder is remembered by
+   * The expiry status is part of it, so a dismissed "expiring soon" reminder
+   * comes back once the verification has expired.
+   * @param {Object} verification - Verification data
+   * @returns {string} Reminder key
+   */
+  getReminderKey(verification) {
+    return `${verification.verificationId || verification.caslKeyId}:${getExpiryStatus(verification)}`;
+  }
+  
+  /**
+   * Load the reminders dismissed on this device
+   * @returns {string[]} Reminder keys
+   */
+  loadDismissedReminders() {
+    try {
+      const prefix = configManager.get('STORAGE_PREFIX', 'casl_');
+      return JSON.parse(localStorage.getItem(`${prefix}dismissed_renewal_reminders`)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  /**
+   * Hide the renewal reminder for a CASL Key ID
+   * @param {string} caslKeyId - CASL Key ID
+   */
+  dismissReminder(caslKeyId) {
+    const verification = this.getRenewableVerification(caslKeyId);
+    if (!verification) return;
+    
+    this.dismissedReminders = [...this.dismissedReminders, this.getReminderKey(verification)];
+    
+    try {
+      const prefix = configManager.get('STORAGE_PREFIX', 'casl_');
+      localStorage.setItem(`${prefix}dismissed_renewal_reminders`, JSON.stringify(this.dismissedReminders));
+    } catch (error) {
+      console.warn('Could not save dismissed reminders:', error);
+    }
+    
+    this.render();
+  }
+  
+  /**
+   * Renew the newest verification of a CASL Key ID
+   * @param {string} caslKeyId - CASL Key ID
+   */
+  renewVerification(caslKeyId) {
+    const verification = this.getRenewableVerification(caslKeyId);
+    if (!verification) return;
+    
+    this.dispatchDashboardEvent('renew-verification', { verification });
+  }
+  
+  /**
+   * Render the user's appeals and where each one stands
+   */
+  renderAppeals() {
+    if (this.appeals.length === 0) {
+      return '';
+    }
+    
+    return `
+      <section class="appeals-section" aria-labelledby="appeals-heading">
+        <h2 id="appeals-heading">${t('dashboard.appeals.title')}</h2>
+        <ul class="appeal-list">
+          ${this.appeals.map(appeal => `
+            <li>
+              <span>${t('dashboard.appeals.item', { caslKeyId: appeal.caslKeyId || '-', date: i18nService.formatDate(new Date(appeal.createdAt)) })}</span>
+              <span class="appeal-status-badge ${appeal.status}">${t(`appeal.status.${appeal.status}`)}</span>
+              <button 
+                class="btn-link" 
+                onclick="this.getRootNode().host.viewAppeal('${appeal.appealId}')"
+              >
+                ${t('dashboard.appeals.track')}
+              </button>
+            </li>
+          `).join('')}
+        </ul>
+      </section>
+    `;
+  }
+  
+  /**
+   * The newest appeal of a verification
+   * @param {string} verificationId - Verification ID
+   * @returns {Object|undefined} Appeal
+   */
+  getAppeal(verificationId) {
+    return verificationId ? this.appeals.find(appeal => appeal.verificationId === verificationId) : undefined;
+  }
+  
+  /**
+   * Start an appeal of a verification result
+   * History entries carry no score adjustments, so the full record is fetched.
+   * @param {string} verificationId - Verification ID
+   */
+  async openAppeal(verificationId) {
+    const entry = this.verificationHistory.find(v => v.verificationId === verificationId);
+    if (!isAppealable(entry)) return;
+    
+    let verification = entry;
+    try {
+      verification = await userService.getVerification(verificationId);
+    } catch (error) {
+      // Without the adjustments the guest can still explain their appeal
+      console.warn('Could not load verification details:', error.message);
+    }
+    
+    this.appealView = { verification, appeal: null };
+    this.render();
+  }
+  
+  /**
+   * Track an appeal
+   * @param {string} appealId - Appeal reference
+   */
+  viewAppeal(appealId) {
+    const appeal = this.appeals.find(a => a.appealId === appealId);
+    if (!appeal) return;
+    
+    this.appealView = { verification: null, appeal };
+    this.render();
+  }
+  
+  /**
+   * Handle appeal events
+   * @param {CustomEvent} event - casl-appeal event
+   */
+  handleAppealEvent(event) {
+    const { type, data } = event.detail;
+    
+    if (type === 'closed') {
+      this.appealView = null;
+      this.render();
+      return;
+    }
+    
+    // Newest first, replacing the earlier version of the same appeal
+    this.appeals = [data, ...this.appeals.filter(appeal => appeal.appealId !== data.appealId)];
+    this.appealView = { ...this.appealView, appeal: data };
+  }
+  
   /**
    * Render available packages
    */
@@ -375,6 +990,109 @@ export class UserDashboard extends HTMLElement {
     `;
   }
   
+  /**
+   * Render the passkey list with add and remove actions
+   */
+  renderPasskeys() {
+    if (!isWebAuthnSupported()) {
+      return '';
+    }
+    
+    return `
+      <div class="passkeys-section">
+        <h2>${t('auth.passkey.title')}</h2>
+        <p>${t('auth.passkey.description')}</p>
+        
+        ${this.passkeyError ? `
+          <div class="alert alert-error" role="alert">
+            ${this.passkeyError}
+          </div>
+        ` : ''}
+        
+        ${this.passkeys.length === 0 ? `
+          <p>${t('auth.passkey.none')}</p>
+        ` : `
+          <ul class="passkey-list">
+            ${this.passkeys.map(passkey => this.renderPasskey(passkey)).join('')}
+          </ul>
+        `}
+        
+        <button 
+          class="btn-secondary" 
+          onclick="this.getRootNode().host.addPasskey()"
+        >
+          ${t('auth.passkey.add')}
+        </button>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render one passkey
+   * @param {Object} passkey - Passkey data
+   */
+  renderPasskey(passkey) {
+    const lastUsed = passkey.lastUsedAt
+      ? t('auth.passkey.lastUsed', { date: i18nService.formatDate(new Date(passkey.lastUsedAt)) })
+      : t('auth.passkey.neverUsed');
+    
+    return `
+      <li class="passkey-item">
+        <div>
+          <strong>${passkey.name || t('auth.passkey.defaultName')}</strong>
+          <span class="passkey-meta">${lastUsed}</span>
+        </div>
+        <button 
+          class="btn-link" 
+          onclick="this.getRootNode().host.removePasskey('${passkey.id}')"
+        >
+          ${t('auth.passkey.remove')}
+        </button>
+      </li>
+    `;
+  }
+  
+  /**
+   * Create a passkey on this device and add it to the list
+   */
+  async addPasskey() {
+    this.passkeyError = null;
+    
+    try {
+      const passkey = await userService.registerPasskey();
+      this.passkeys = [...this.passkeys, passkey];
+    } catch (error) {
+      // NotAllowedError: the user dismissed the browser prompt;
+      // InvalidStateError: this device already holds one of the user's passkeys
+      if (error.name === 'InvalidStateError') {
+        this.passkeyError = t('auth.passkey.alreadyRegistered');
+      } else if (error.name !== 'NotAllowedError') {
+        this.passkeyError = error.message || t('auth.passkey.addError');
+      }
+    }
+    
+    this.render();
+  }
+  
+  /**
+   * Remove a passkey after confirmation
+   * @param {string} passkeyId - Passkey ID
+   */
+  async removePasskey(passkeyId) {
+    if (!window.confirm(t('auth.passkey.confirmRemove'))) return;
+    
+    this.passkeyError = null;
+    
+    try {
+      await userService.removePasskey(passkeyId);
+      this.passkeys = this.passkeys.filter(passkey => passkey.id !== passkeyId);
+    } catch (error) {
+      this.passkeyError = error.message || t('auth.passkey.removeError');
+    }
+    
+    this.render();
+  }
+  
   /**
    * View verification details
    * @param {string} caslKeyId - CASL Key ID
@@ -401,6 +1119,12 @@ export class UserDashboard extends HTMLElement {
    * Start a new verification
    */
   startNewVerification() {
+    // Not-eligible guests wait out the cooldown; rendering shows the countdown
+    if (getReapplyCooldown(this.verificationHistory)) {
+      this.render();
+      return;
+    }
+    
     // Check if user has available verifications
     const hasAvailableVerifications = this.verificationHistory.length === 0 || 
                                      this.hasUnusedVerificationSlots();
@@ -466,14 +1190,46 @@ export class UserDashboard extends HTMLElement {
     this.loadDashboardData();
   }
   
+  /**
+   * Show the account settings
+   */
+  openSettings() {
+    this.showSettings = true;
+    this.render();
+  }
+  
+  /**
+   * Handle account settings events
+   * @param {CustomEvent} event - casl-account-settings event
+   */
+  handleSettingsEvent(event) {
+    const { type, data } = event.detail;
+    
+    switch (type) {
+      case 'profile-updated':
+        this.user = { ...this.user, email: data.email };
+        break;
+      
+      case 'closed':
+        this.showSettings = false;
+        this.render();
+        break;
+      
+      case 'account-deleted':
+        // Tell the app first: ending the session sends it back to sign-in
+        // with a plain logout
+        this.dispatchDashboardEvent('account-deleted');
+        userService.clearSession();
+        break;
+    }
+  }
+  
   /**
    * Handle logout
    */
   handleLogout() {
-    userService.logoutUser().then(() => {
-      // Dispatch logout event
-      this.dispatchDashboardEvent('logout');
-    });
+    // Usually done already by the session listener
+    userService.logoutUser().then(() => this.showLoggedOut());
   }
   
   /**
@@ -498,6 +1254,26 @@ export class UserDashboard extends HTMLElement {
    * Setup event listeners
    */
   setupEventListeners() {
+    this.shadowRoot.addEventListener('casl-account-settings', this.handleSettingsEvent.bind(this));
+    this.shadowRoot.addEventListener('casl-appeal', this.handleAppealEvent.bind(this));
+    
+    // New verifications are allowed again once the reapply cooldown ends
+    this.shadowRoot.addEventListener('casl-reapply-cooldown', (event) => {
+      if (event.detail.type === 'ended') this.render();
+    });
+    
+    // History search, sort and filters
+    // (typing fires input, selects fire change)
+    const handleHistoryControl = (event) => {
+      const name = event.target.dataset?.historyFilter;
+      const isSelect = event.target.tagName === 'SELECT';
+      if (name && isSelect === (event.type === 'change')) {
+        this.setHistoryFilter(name, event.target.value);
+      }
+    };
+    this.shadowRoot.addEventListener('input', handleHistoryControl);
+    this.shadowRoot.addEventListener('change', handleHistoryControl);
+    
     // Listen for package purchase success
     window.addEventListener('casl-package-purchased', (event) => {
       this.handlePackagePurchased(event.detail);
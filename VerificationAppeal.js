@@ -0,0 +1,639 @@
+// src/components/VerificationAppeal.js
+import { getStyles } from './styles.js';
+import { configManager } from './ConfigManager.js';
+import { apiService } from './api.js';
+import { authSession } from './authSession.js';
+import { statusChannel, STATUS_TOPICS } from './statusChannel.js';
+import {
+  appealService,
+  APPEAL_STATUSES,
+  getDisputableAdjustments,
+  isAppealClosed
+} from './appealService.js';
+import { i18nService, t } from './i18n.js';
+
+/**
+ * Read a file as a data URL
+ * @param {File} file - File to read
+ * @returns {Promise<string>} Data URL
+ */
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Appeal component for CASL Key Verification
+ * Lets a guest appeal a manual-review or not-eligible result: dispute
+ * specific score adjustments, explain why, and attach supporting documents.
+ * Once submitted it shows the appeal's status history, follows it over the
+ * status channel, and takes the guest's answer when the review team asks for
+ * more information.
+ * Properties: verification ({ verificationId, caslKeyId, adjustments }) to
+ * start an appeal, or appeal to track one. Only the signed-in owner of a
+ * result can appeal it; guests who are not signed in are asked to sign in.
+ * Reports a casl-appeal event:
+ * { type: 'submitted' | 'updated', data: appeal } or { type: 'closed' }.
+ */
+export class VerificationAppeal extends HTMLElement {
+  /**
+   * Constructor initializes the component
+   */
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    
+    this._verification = null;
+    this._appeal = null;
+    // What the guest typed, kept across re-renders; disputes maps ruleId -> explanation
+    this.draft = { disputes: {}, statement: '', message: '' };
+    this.attachments = [];
+    this.isLoading = false;
+    this.error = null;
+    this.unsubscribeStatus = null;
+    
+    this.setupEventListeners();
+  }
+  
+  /**
+   * When the element is added to the DOM
+   */
+  connectedCallback() {
+    this.render();
+    this.followAppeal();
+  }
+  
+  /**
+   * When the element is removed from the DOM
+   */
+  disconnectedCallback() {
+    this.stopFollowingAppeal();
+  }
+  
+  /**
+   * Verification to appeal
+   */
+  get verification() {
+    return this._verification;
+  }
+  
+  set verification(verification) {
+    this._verification = verification;
+    if (this.isConnected) this.render();
+  }
+  
+  /**
+   * Appeal being tracked
+   */
+  get appeal() {
+    return this._appeal;
+  }
+  
+  set appeal(appeal) {
+    this._appeal = appeal;
+    if (this.isConnected) {
+      this.render();
+      this.followAppeal();
+    }
+  }
+  
+  /**
+   * Render component
+   */
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>${getStyles()}</style>
+      <div 
+        class="verification-appeal" 
+        role="region" 
+        aria-labelledby="appeal-heading" 
+        dir="${i18nService.getLanguageInfo(i18nService.currentLanguage)?.direction || 'ltr'}" 
+      >
+        <h2 id="appeal-heading">${t('appeal.title')}</h2>
+        
+        ${this.error ? `
+          <div class="alert alert-error" role="alert">
+            ${this.error}
+          </div>
+        ` : ''}
+        
+        ${this.appeal ? this.renderStatus() : this.renderForm()}
+      </div>
+    `;
+    
+    this.restoreValues();
+  }
+  
+  /**
+   * Render the form for a new appeal
+   */
+  renderForm() {
+    if (!this.verification) return '';
+    
+    // Appeals are tied to the account that owns the result
+    if (!authSession.hasSession()) {
+      return `
+        <p>${t('appeal.signInRequired')}</p>
+        <div class="form-actions">
+          <button 
+            type="button" 
+            class="btn-link" 
+            onclick="this.getRootNode().host.close()" 
+          >
+            ${t('appeal.cancel')}
+          </button>
+        </div>
+      `;
+    }
+    
+    const adjustments = getDisputableAdjustments(this.verification.adjustments);
+    
+    return `
+      <form id="appeal-form" class="appeal-form">
+        <p>${t('appeal.description', { caslKeyId: this.verification.caslKeyId })}</p>
+        
+        <fieldset class="appeal-disputes">
+          <legend>${t('appeal.disputes.legend')}</legend>
+          ${adjustments.length > 0 ? adjustments.map(adj => `
+            <div class="appeal-dispute">
+              <label>
+                <input 
+                  type="checkbox" 
+                  name="dispute" 
+                  value="${adj.ruleId}" 
+                />
+                <span>${adj.reason}</span>
+                <span class="adjustment-points adjustment-negative">${adj.points}</span>
+              </label>
+              ${adj.ruleId in this.draft.disputes ? `
+                <label for="explanation-${adj.ruleId}">${t('appeal.disputes.explanation')}</label>
+                <textarea 
+                  id="explanation-${adj.ruleId}" 
+                  data-dispute-explanation="${adj.ruleId}" 
+                  rows="3" 
+                  maxlength="1000" 
+                  required 
+                ></textarea>
+              ` : ''}
+            </div>
+          `).join('') : `
+            <p>${t('appeal.disputes.none')}</p>
+          `}
+        </fieldset>
+        
+        <div class="form-group">
+          <label for="appeal-statement">${t('appeal.statement')}</label>
+          <textarea 
+            id="appeal-statement" 
+            name="statement" 
+            data-draft="statement" 
+            rows="4" 
+            maxlength="2000" 
+          ></textarea>
+        </div>
+        
+        ${this.renderAttachments()}
+        
+        <div class="form-actions">
+          <button 
+            type="submit" 
+            class="btn-primary" 
+            ${this.isLoading ? 'disabled' : ''} 
+          >
+            ${this.isLoading ? t('appeal.submitting') : t('appeal.submit')}
+          </button>
+          <button 
+            type="button" 
+            class="btn-link" 
+            onclick="this.getRootNode().host.close()" 
+          >
+            ${t('appeal.cancel')}
+          </button>
+        </div>
+      </form>
+    `;
+  }
+  
+  /**
+   * Render the supporting documents picker
+   */
+  renderAttachments() {
+    const max = configManager.get('APPEAL_MAX_ATTACHMENTS', 3);
+    const maxSize = Math.floor(configManager.get('MAX_SCREENSHOT_SIZE') / (1024 * 1024));
+    
+    return `
+      <div class="form-group appeal-attachments">
+        <label for="appeal-attachments">${t('appeal.attachments.label')}</label>
+        <input 
+          type="file" 
+          id="appeal-attachments" 
+          accept="${configManager.getAllowedImageTypes().join(',')}" 
+          multiple 
+          ${this.attachments.length >= max ? 'disabled' : ''} 
+          aria-describedby="appeal-attachments-hint" 
+        />
+        <p id="appeal-attachments-hint" class="field-hint">
+          ${t('appeal.attachments.hint', { max, size: maxSize })}
+        </p>
+        
+        ${this.attachments.length > 0 ? `
+          <ul class="appeal-attachment-list">
+            ${this.attachments.map((attachment, index) => `
+              <li>
+                <span data-attachment-name="${index}"></span>
+                <button 
+                  type="button" 
+                  class="btn-link" 
+                  onclick="this.getRootNode().host.removeAttachment(${index})" 
+                >
+                  ${t('appeal.attachments.remove')}
+                </button>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the status of a submitted appeal
+   */
+  renderStatus() {
+    const { appealId, status, history = [], decision } = this.appeal;
+    const closed = isAppealClosed(this.appeal);
+    
+    return `
+      <div class="appeal-status">
+        <p class="appeal-reference">${t('appeal.reference', { appealId })}</p>
+        
+        <p class="appeal-status-badge ${status}" role="status">
+          ${t(`appeal.status.${status}`)}
+        </p>
+        <p>${t(`appeal.statusDescription.${status}`)}</p>
+        
+        ${status === APPEAL_STATUSES.ACCEPTED && typeof decision?.revisedScore === 'number' ? `
+          <p class="appeal-decision">${t('appeal.revisedScore', { score: decision.revisedScore })}</p>
+        ` : ''}
+        
+        <ol class="appeal-timeline" aria-label="${t('appeal.history')}">
+          ${history.map((entry, index) => `
+            <li>
+              <strong>${t(`appeal.status.${entry.status}`)}</strong>
+              <time datetime="${entry.at}">${i18nService.formatDate(new Date(entry.at), { dateStyle: 'medium', timeStyle: 'short' })}</time>
+              ${entry.note ? `<p class="appeal-note" data-history-note="${index}"></p>` : ''}
+            </li>
+          `).join('')}
+        </ol>
+        
+        ${status === APPEAL_STATUSES.INFO_REQUESTED ? this.renderResponseForm() : ''}
+        
+        <div class="form-actions">
+          ${closed ? '' : `
+            <button 
+              type="button" 
+              class="btn-secondary" 
+              onclick="this.getRootNode().host.refreshAppeal()" 
+              ${this.isLoading ? 'disabled' : ''} 
+            >
+              ${t('appeal.refresh')}
+            </button>
+          `}
+          <button 
+            type="button" 
+            class="btn-link" 
+            onclick="this.getRootNode().host.close()" 
+          >
+            ${t('appeal.close')}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render the form for answering a request for more information
+   */
+  renderResponseForm() {
+    return `
+      <form id="appeal-response-form" class="appeal-form">
+        <div class="form-group">
+          <label for="appeal-message">${t('appeal.response.message')}</label>
+          <textarea 
+            id="appeal-message" 
+            name="message" 
+            data-draft="message" 
+            rows="4" 
+            maxlength="2000" 
+            required 
+          ></textarea>
+        </div>
+        
+        ${this.renderAttachments()}
+        
+        <button 
+          type="submit" 
+          class="btn-primary" 
+          ${this.isLoading ? 'disabled' : ''} 
+        >
+          ${this.isLoading ? t('appeal.submitting') : t('appeal.response.send')}
+        </button>
+      </form>
+    `;
+  }
+  
+  /**
+   * Put typed values, file names and review notes back after rendering
+   * Set as properties, never parsed as markup.
+   */
+  restoreValues() {
+    const root = this.shadowRoot;
+    
+    root.querySelectorAll('input[name="dispute"]').forEach(checkbox => {
+      checkbox.checked = checkbox.value in this.draft.disputes;
+    });
+    root.querySelectorAll('[data-dispute-explanation]').forEach(field => {
+      field.value = this.draft.disputes[field.dataset.disputeExplanation] || '';
+    });
+    
+    const statement = root.getElementById('appeal-statement');
+    if (statement) statement.value = this.draft.statement;
+    
+    const message = root.getElementById('appeal-message');
+    if (message) message.value = this.draft.message;
+    
+    root.querySelectorAll('[data-attachment-name]').forEach(item => {
+      item.textContent = this.attachments[item.dataset.attachmentName]?.name || '';
+    });
+    root.querySelectorAll('[data-history-note]').forEach(item => {
+      item.textContent = this.appeal?.history?.[item.dataset.historyNote]?.note || '';
+    });
+  }
+  
+  /**
+   * Select or unselect an adjustment to dispute
+   * @param {string} ruleId - Rule that made the adjustment
+   * @param {boolean} selected - Whether it is disputed
+   */
+  toggleDispute(ruleId, selected) {
+    const disputes = { ...this.draft.disputes };
+    if (selected) {
+      disputes[ruleId] = disputes[ruleId] || '';
+    } else {
+      delete disputes[ruleId];
+    }
+    this.draft = { ...this.draft, disputes };
+    this.render();
+    
+    if (selected) {
+      this.shadowRoot.getElementById(`explanation-${ruleId}`)?.focus();
+    }
+  }
+  
+  /**
+   * Add supporting documents, checked like every other image upload
+   * @param {FileList} files - Picked files
+   */
+  async addAttachments(files) {
+    const max = configManager.get('APPEAL_MAX_ATTACHMENTS', 3);
+    this.error = null;
+    
+    for (const file of Array.from(files)) {
+      if (this.attachments.length >= max) {
+        this.error = t('appeal.attachments.tooMany', { max });
+        break;
+      }
+      
+      try {
+        apiService.validateImageFile(file);
+        const data = await readAsDataUrl(file);
+        this.attachments = [...this.attachments, { name: file.name, type: file.type, data }];
+      } catch (error) {
+        this.error = error.message;
+        break;
+      }
+    }
+    
+    this.render();
+  }
+  
+  /**
+   * Remove a supporting document
+   * @param {number} index - Position in the list
+   */
+  removeAttachment(index) {
+    this.attachments = this.attachments.filter((_, i) => i !== index);
+    this.render();
+  }
+  
+  /**
+   * Submit the appeal
+   */
+  async handleSubmit() {
+    const adjustments = getDisputableAdjustments(this.verification.adjustments);
+    const disputes = adjustments
+      .filter(adj => adj.ruleId in this.draft.disputes)
+      .map(({ ruleId, reason, points }) => ({
+        ruleId,
+        reason,
+        points,
+        explanation: this.draft.disputes[ruleId].trim()
+      }));
+    const statement = this.draft.statement.trim();
+    
+    if (disputes.some(dispute => !dispute.explanation)) {
+      this.error = t('appeal.disputes.explanationRequired');
+    } else if (disputes.length === 0 && !statement) {
+      this.error = t('appeal.required');
+    } else {
+      this.error = null;
+    }
+    
+    if (this.error) {
+      this.render();
+      return;
+    }
+    
+    await this.send(async () => {
+      const appeal = await appealService.createAppeal({
+        verificationId: this.verification.verificationId,
+        disputes,
+        statement,
+        attachments: this.attachments
+      });
+      
+      this.draft = { disputes: {}, statement: '', message: '' };
+      this.attachments = [];
+      this.appeal = appeal;
+      this.dispatchAppealEvent('submitted', appeal);
+    });
+  }
+  
+  /**
+   * Send the answer to a request for more information
+   */
+  async handleRespond() {
+    const message = this.draft.message.trim();
+    
+    if (!message) {
+      this.error = t('appeal.response.required');
+      this.render();
+      return;
+    }
+    
+    await this.send(async () => {
+      const appeal = await appealService.respond(this.appeal.appealId, {
+        message,
+        attachments: this.attachments
+      });
+      
+      this.draft = { ...this.draft, message: '' };
+      this.attachments = [];
+      this.appeal = appeal;
+      this.dispatchAppealEvent('updated', appeal);
+    });
+  }
+  
+  /**
+   * Run a request with the loading state and error display
+   * @param {Function} action - Async work
+   */
+  async send(action) {
+    this.isLoading = true;
+    this.error = null;
+    this.render();
+    
+    try {
+      await action();
+    } catch (error) {
+      console.error('Error sending appeal:', error);
+      this.error = error.message || t('appeal.error');
+    } finally {
+      this.isLoading = false;
+      this.render();
+    }
+  }
+  
+  /**
+   * Fetch the appeal's current status
+   */
+  async refreshAppeal() {
+    await this.send(async () => {
+      this.updateAppeal(await appealService.getAppeal(this.appeal.appealId));
+      this.followAppeal();
+    });
+  }
+  
+  /**
+   * Show a newer version of the appeal
+   * @param {Object} appeal - Appeal from the backend
+   */
+  updateAppeal(appeal) {
+    const changed = JSON.stringify(appeal) !== JSON.stringify(this._appeal);
+    this._appeal = appeal;
+    
+    if (changed) {
+      this.render();
+      this.dispatchAppealEvent('updated', appeal);
+    }
+  }
+  
+  /**
+   * Follow the appeal's status until the review team decides it
+   */
+  followAppeal() {
+    this.stopFollowingAppeal();
+    if (!this.isConnected || !this.appeal || isAppealClosed(this.appeal)) return;
+    
+    const { appealId } = this.appeal;
+    this.unsubscribeStatus = statusChannel.subscribe({
+      topic: STATUS_TOPICS.APPEAL,
+      id: appealId,
+      poll: options => appealService.getAppeal(appealId, options),
+      isFinal: isAppealClosed,
+      onUpdate: (appeal, { final }) => {
+        if (final) this.unsubscribeStatus = null;
+        this.updateAppeal(appeal);
+      },
+      onError: error => {
+        // Reviews take days; the guest can refresh or come back later
+        this.unsubscribeStatus = null;
+        console.warn('Stopped following appeal status:', error.message);
+      }
+    });
+  }
+  
+  /**
+   * Stop following the appeal's status
+   */
+  stopFollowingAppeal() {
+    if (this.unsubscribeStatus) {
+      this.unsubscribeStatus();
+      this.unsubscribeStatus = null;
+    }
+  }
+  
+  /**
+   * Leave the appeal
+   */
+  close() {
+    this.dispatchAppealEvent('closed');
+  }
+  
+  /**
+   * Dispatch appeal event
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  dispatchAppealEvent(type, data = null) {
+    const event = new CustomEvent('casl-appeal', {
+      detail: {
+        type,
+        data
+      },
+      bubbles: true,
+      composed: true
+    });
+    
+    this.dispatchEvent(event);
+  }
+  
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Delegated, so the forms survive re-rendering
+    this.shadowRoot.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (event.target.id === 'appeal-form') {
+        this.handleSubmit();
+      } else if (event.target.id === 'appeal-response-form') {
+        this.handleRespond();
+      }
+    });
+    
+    this.shadowRoot.addEventListener('input', (event) => {
+      const { draft, disputeExplanation } = event.target.dataset || {};
+      if (disputeExplanation) {
+        this.draft.disputes[disputeExplanation] = event.target.value;
+      } else if (draft) {
+        this.draft[draft] = event.target.value;
+      }
+    });
+    
+    this.shadowRoot.addEventListener('change', (event) => {
+      if (event.target.name === 'dispute') {
+        this.toggleDispute(event.target.value, event.target.checked);
+      } else if (event.target.id === 'appeal-attachments') {
+        this.addAttachments(event.target.files);
+      }
+    });
+  }
+}
+
+// Register the custom element
+customElements.define('casl-verification-appeal', VerificationAppeal);
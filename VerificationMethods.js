@@ -12,10 +12,12 @@ import { socialVerification } from './socialVerification.js';
 export function renderVerificationMethodSelector(userIdentification) {
   const t = (key, params = {}) => i18n.translate(key, params);
   
-  // Determine which methods are already verified
+  // Determine which methods are already verified (including checks carried over by a renewal)
   const idVerified = userIdentification.idVerificationData?.verified;
-  const phoneVerified = phoneVerification.verificationStatus === 'verified';
-  const socialVerified = socialVerification.verificationStatus === 'verified';
+  const phoneVerified = phoneVerification.verificationStatus === 'verified' ||
+    userIdentification.phoneVerificationData?.verified;
+  const socialVerified = socialVerification.verificationStatus === 'verified' ||
+    userIdentification.socialVerificationData?.verified;
   
   return `
     <div class="verification-methods-selector">
@@ -0,0 +1,83 @@
+// src/components/WhatIfPanel.js
+import { TRUST_LEVEL_DISPLAY } from './constants.js';
+
+/**
+ * Renders the "what would raise my score?" panel
+ * @param {Object|null} simulation - Result of simulateScoreImprovements
+ * @param {boolean} isOpen - Whether the panel is expanded
+ * @returns {string} HTML string for the what-if panel
+ */
+export function renderWhatIfPanel(simulation, isOpen) {
+  if (!isOpen || !simulation) {
+    return `
+      <div class="score-simulator">
+        <button
+          data-event-click="toggleScoreSimulator"
+          data-show="true"
+          class="neutral"
+          aria-expanded="false"
+          aria-controls="score-simulator-panel"
+        >
+          What would raise my score?
+        </button>
+      </div>
+    `;
+  }
+
+  const currentLevel = TRUST_LEVEL_DISPLAY[simulation.trustLevel];
+
+  return `
+    <div class="score-simulator">
+      <button
+        data-event-click="toggleScoreSimulator"
+        data-show="false"
+        class="neutral"
+        aria-expanded="true"
+        aria-controls="score-simulator-panel"
+      >
+        Hide score suggestions
+      </button>
+
+      <div
+        id="score-simulator-panel"
+        class="score-simulator-panel"
+        role="region"
+        aria-labelledby="score-simulator-heading"
+      >
+        <h3 id="score-simulator-heading">What would raise my score?</h3>
+        <p>
+          Your current estimated score is <strong>${simulation.score}/100</strong>
+          ${currentLevel ? `(${currentLevel.label})` : ''}.
+        </p>
+
+        ${simulation.actions.length > 0 ? `
+          <ol class="score-simulator-actions">
+            ${simulation.actions.map(action => `
+              <li
+                class="score-simulator-action"
+                aria-label="${action.label}: plus ${action.pointGain} points, new score ${action.score}"
+              >
+                <div>
+                  <strong>${action.label}</strong>
+                  <p>${action.description}</p>
+                  ${action.raisesTrustLevel && TRUST_LEVEL_DISPLAY[action.trustLevel] ? `
+                    <p class="score-simulator-level">
+                      Would move you to: ${TRUST_LEVEL_DISPLAY[action.trustLevel].icon} ${TRUST_LEVEL_DISPLAY[action.trustLevel].label}
+                    </p>
+                  ` : ''}
+                </div>
+                <span class="adjustment-points adjustment-positive" aria-hidden="true">
+                  +${action.pointGain}
+                </span>
+              </li>
+            `).join('')}
+          </ol>
+        ` : `
+          <p>You're already receiving every bonus available for this booking.</p>
+        `}
+
+        <p><small>These are estimates. Nothing changes until you complete the step yourself.</small></p>
+      </div>
+    </div>
+  `;
+}
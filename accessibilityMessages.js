@@ -31,6 +31,8 @@ export const accessibilityMessages = {
   
   backgroundCheckComplete: "Background check completed successfully.",
   
+  backgroundCheckPending: "Background check submitted. We'll update your verification when the result is ready.",
+  
   // Method-specific messages
   verificationMethod: {
     success: (method) => `${method} verification successful! This will improve your trust score.`,
@@ -38,6 +40,22 @@ export const accessibilityMessages = {
     inProgress: (method) => `${method} verification in progress. Please wait.`
   },
   
+  // What-if score panel
+  scoreSimulation: (actions) => {
+    if (!actions || actions.length === 0) return "Score suggestions opened. You're already receiving every available bonus.";
+    const [top] = actions;
+    return `Score suggestions opened. ${actions.length} ${actions.length === 1 ? 'action' : 'actions'} could raise your score. The biggest gain is ${top.label}, plus ${top.pointGain} points.`;
+  },
+  scoreSimulationClosed: "Score suggestions closed.",
+  
+  // Signed badge
+  badgeCopied: "Badge token copied. Share it with your host so they can verify your CASL Key.",
+  badgeCopyFailed: "Could not copy the badge token automatically. It has been selected so you can copy it.",
+  
+  // Offline queue
+  requestQueued: "You appear to be offline. Your information has been saved and will be sent when your connection returns.",
+  queuedSubmissionSent: "You're back online. Your saved verification has been submitted.",
+  
   // Screenshot upload
   screenshotUploaded: "Screenshot uploaded successfully. Processing for verification.",
   screenshotRemoved: "Screenshot has been removed.",
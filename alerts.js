@@ -1,4 +1,5 @@
 // src/components/common/alerts.js
+import { i18nService, t } from './i18n.js';
 
 /**
  * Renders alert messages with enhanced accessibility
@@ -53,6 +54,62 @@ export function renderAlerts(showRestoredMessage, apiError) {
   return alertsHtml;
 }
 
+/**
+ * Renders the status of requests saved while offline
+ * @param {number} queuedCount - Number of requests waiting to be sent
+ * @returns {string} HTML string for the queued status banner
+ */
+export function renderQueuedRequests(queuedCount) {
+  if (!queuedCount) return '';
+  
+  return `
+    <div 
+      class="alert alert-warning" 
+      role="status" 
+      aria-live="polite"
+    >
+      <span>
+        Waiting for a connection. ${queuedCount === 1 ? '1 submission is' : `${queuedCount} submissions are`} saved on this device
+        and will be sent automatically when you're back online.
+      </span>
+    </div>
+  `;
+}
+
+/**
+ * Renders what a renewal starts from: the CASL Key ID being renewed and the
+ * identity checks carried over from the earlier verification
+ * @param {string} caslKeyId - CASL Key ID being renewed
+ * @param {Array} reusedChecks - Reusable checks ({ type, validUntil })
+ * @returns {string} HTML string for the renewal notice
+ */
+export function renderRenewalNotice(caslKeyId, reusedChecks) {
+  return `
+    <div 
+      class="alert alert-info renewal-notice" 
+      role="status" 
+      aria-live="polite"
+    >
+      <div>
+        <p>${t('verification.renewal.notice', { caslKeyId })}</p>
+        ${reusedChecks.length > 0 ? `
+          <p>${t('verification.renewal.reused')}</p>
+          <ul>
+            ${reusedChecks.map(check => `
+              <li>
+                ${t(`verification.renewal.check.${check.type}`)}:
+                ${t('verification.renewal.validUntil', { date: i18nService.formatDate(check.validUntil) })}
+              </li>
+            `).join('')}
+          </ul>
+        ` : `
+          <p>${t('verification.renewal.noReusedChecks')}</p>
+        `}
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Renders a tooltip with enhanced accessibility
  * @param {string} text - The tooltip text
@@ -2,16 +2,82 @@
 import { configManager } from './ConfigManager.js';
 import { generateCASLKeyId } from './idGenerator.js';
 import { apiSecurity } from './apiSecurity.js';
+import { authSession, SESSION_EVENTS } from './authSession.js';
 import { errorHandler } from './ErrorHandler.js';
 import { stateManager } from './StateManager.js';
+import { offlineQueue, isNetworkFailure } from './offlineQueue.js';
+import {
+  getRequestPolicy,
+  isRetryable,
+  getBackoffDelay,
+  isCancelled,
+  createCancelledError,
+  createAttemptSignal,
+  sleep
+} from './httpClient.js';
+import { parseResponse, checkRequest } from './apiContracts.js';
+import { t } from './i18n.js';
 
 /**
  * API service for CASL Verification with enhanced security and error handling
+ * The one HTTP transport for the app: every service goes through request()
+ * so the bearer token, token rotation, request headers and error handling
+ * behave the same everywhere.
  */
 class ApiService {
   constructor() {
-    this.baseUrl = configManager.getApiBaseUrl();
+    // Pending refresh-token call, shared by every request that hit a 401
+    this.refreshing = null;
+    
+    // Shared promises for identical in-flight GETs, keyed by endpoint
+    this.inFlight = new Map();
+    
+    // Cancellation group -> controllers of its in-flight requests
+    this.cancelGroups = new Map();
+    
     this.initializeApiSecurity();
+    this.initializeOfflineQueue();
+    
+    // Proactive (pre-expiry) refreshes use the same single-flight call as 401s
+    authSession.setRefresher(() => this.refreshSession());
+    
+    // The cookie token storage clears its HttpOnly cookies through us
+    authSession.setTransport((endpoint, data) => this.request(endpoint, 'POST', data, false, true, { auth: false }));
+  }
+  
+  /**
+   * Wire up the offline queue so queued requests replay through request()
+   * with the X-Request-ID they were first sent with, and only for the user
+   * who queued them
+   */
+  initializeOfflineQueue() {
+    offlineQueue.setOwnerProvider(() => authSession.user?.username || null);
+    offlineQueue.setSender(entry => this.request(
+      entry.endpoint,
+      entry.method,
+      entry.data,
+      entry.secure,
+      entry.includeCredentials,
+      { requestId: entry.requestId }
+    ));
+    
+    const updateQueuedCount = async () => {
+      stateManager.updateState('ui', { queuedRequests: await offlineQueue.count() });
+    };
+    
+    offlineQueue.subscribe(updateQueuedCount);
+    
+    // Requests kept while their owner was signed out go once they sign in
+    authSession.subscribe(({ type }) => {
+      if (type === SESSION_EVENTS.LOGIN && navigator.onLine !== false) {
+        offlineQueue.replay().catch(error => console.warn('Could not replay offline queue:', error.message));
+      }
+    });
+    
+    // Send anything left over from a previous visit
+    updateQueuedCount()
+      .then(() => (navigator.onLine !== false ? offlineQueue.replay() : null))
+      .catch(error => console.warn('Could not restore offline queue:', error.message));
   }
 
   /**
@@ -30,21 +96,121 @@ class ApiService {
 
   /**
    * Generic request method with error handling and enhanced security
+   * Identical GETs that are already in flight share one network call.
    * @param {string} endpoint - API endpoint
    * @param {string} method - HTTP method
    * @param {Object} data - Request body data
    * @param {boolean} secure - Whether to use secure headers and encryption
    * @param {boolean} includeCredentials - Whether to include credentials (cookies)
-   * @returns {Promise<Object>} Response data
+   * @param {Object} [options] - Request options
+   * @param {string} [options.requestId] - Reuse an X-Request-ID (idempotency key) when replaying
+   * @param {boolean} [options.queueIfOffline] - Queue the request for replay instead of failing when offline
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {string} [options.group] - Cancellation group (see cancelRequests)
+   * @param {boolean} [options.auth=true] - Send the session's bearer token and refresh it on 401
+   * @returns {Promise<Object>} Response data, or { queued: true, requestId } when queued
    */
-  async request(
+  request(
     endpoint, 
     method = 'GET', 
     data = null, 
     secure = true,
-    includeCredentials = true
+    includeCredentials = true,
+    options = {}
   ) {
-    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+    if (method !== 'GET' || options.requestId) {
+      return this.send(endpoint, method, data, secure, includeCredentials, options);
+    }
+    
+    const dedupeKey = `${endpoint}|${secure}|${includeCredentials}|${options.auth !== false}`;
+    let shared = this.inFlight.get(dedupeKey);
+    
+    if (!shared) {
+      const controller = new AbortController();
+      const entry = {
+        key: dedupeKey,
+        controller,
+        callers: 0
+      };
+      entry.promise = this.send(endpoint, method, data, secure, includeCredentials, {
+        ...options,
+        signal: controller.signal,
+        group: null
+      }).finally(() => this.forgetSharedRequest(entry));
+      
+      shared = entry;
+      this.inFlight.set(dedupeKey, shared);
+    }
+    
+    return this.joinSharedRequest(shared, options);
+  }
+  
+  /**
+   * Attach a caller to a shared in-flight GET
+   * Cancelling one caller only rejects that caller; the network call is
+   * aborted once every caller has cancelled.
+   * @param {Object} shared - In-flight request ({ key, controller, callers, promise })
+   * @param {Object} options - Caller's request options ({ signal, group })
+   * @returns {Promise<Object>} Response data
+   */
+  joinSharedRequest(shared, options) {
+    const controller = this.createRequestController(options);
+    shared.callers++;
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(createCancelledError());
+        shared.callers--;
+        if (shared.callers === 0) {
+          this.forgetSharedRequest(shared);
+          shared.controller.abort();
+        }
+      };
+      
+      if (controller.signal.aborted) {
+        onAbort();
+        return;
+      }
+      
+      controller.signal.addEventListener('abort', onAbort, { once: true });
+      shared.promise
+        .then(resolve, reject)
+        .finally(() => {
+          controller.signal.removeEventListener('abort', onAbort);
+          this.releaseRequestController(controller, options);
+        });
+    });
+  }
+  
+  /**
+   * Stop sharing an in-flight GET with new callers
+   * @param {Object} shared - In-flight request
+   */
+  forgetSharedRequest(shared) {
+    if (this.inFlight.get(shared.key) === shared) {
+      this.inFlight.delete(shared.key);
+    }
+  }
+  
+  /**
+   * Send a request, retrying transient failures with jittered exponential backoff
+   * A 401 on an authenticated request rotates the tokens once and replays it.
+   * @param {string} endpoint - API endpoint
+   * @param {string} method - HTTP method
+   * @param {Object} data - Request body data
+   * @param {boolean} secure - Whether to use secure headers and encryption
+   * @param {boolean} includeCredentials - Whether to include credentials (cookies)
+   * @param {Object} options - Request options (see request)
+   * @returns {Promise<Object>} Response data
+   */
+  async send(endpoint, method, data, secure, includeCredentials, options) {
+    const requestId = options.requestId || `req_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+    const policy = getRequestPolicy(endpoint, method);
+    const controller = this.createRequestController(options);
+    const auth = options.auth !== false;
+    let refreshed = false;
+    
+    checkRequest(method, endpoint, data);
     
     try {
       // Start request tracking
@@ -53,13 +219,96 @@ class ApiService {
         activeRequests: [...(ui.activeRequests || []), requestId]
       }));
       
-      const url = `${this.baseUrl}/${endpoint}`;
+      for (let attempt = 0; ; attempt++) {
+        const sentVersion = authSession.version;
+        
+        try {
+          return await this.attemptRequest(
+            endpoint, method, data, secure, includeCredentials, requestId, policy.timeout, controller.signal, auth
+          );
+        } catch (error) {
+          // Expired access token: rotate it (unless another request already
+          // has while this one was in flight) and replay with the new one
+          if (auth && !refreshed && error.status === 401 && authSession.canRefresh()) {
+            refreshed = true;
+            if (authSession.version === sentVersion) {
+              await this.refreshSession();
+            }
+            continue;
+          }
+          
+          if (attempt >= policy.retries || !isRetryable(error)) {
+            throw error;
+          }
+          
+          // Same X-Request-ID on every attempt so the backend can de-duplicate
+          await sleep(getBackoffDelay(attempt, policy), controller.signal);
+        }
+      }
+    } catch (error) {
+      // Cancellation is expected (e.g. component removed), not an error to report
+      if (isCancelled(error)) {
+        throw error;
+      }
+      
+      // Keep the request for later if the network is down
+      if (options.queueIfOffline && isNetworkFailure(error)) {
+        await offlineQueue.enqueue({
+          requestId,
+          endpoint,
+          method,
+          data,
+          secure,
+          includeCredentials
+        });
+        
+        return { queued: true, requestId };
+      }
+      
+      // Pass error to error handler
+      errorHandler.handleError(error);
+      throw error;
+    } finally {
+      this.releaseRequestController(controller, options);
+      
+      // End request tracking
+      stateManager.updateState('ui', ui => ({
+        ...ui,
+        activeRequests: (ui.activeRequests || []).filter(id => id !== requestId)
+      }));
+    }
+  }
+  
+  /**
+   * Make a single attempt at a request
+   * The attempt's AbortController covers both the fetch and the body read,
+   * so a timeout or cancellation tears down the underlying connection.
+   * @param {string} endpoint - API endpoint
+   * @param {string} method - HTTP method
+   * @param {Object} data - Request body data
+   * @param {boolean} secure - Whether to use secure headers and encryption
+   * @param {boolean} includeCredentials - Whether to include credentials (cookies)
+   * @param {string} requestId - X-Request-ID
+   * @param {number} timeout - Attempt timeout in milliseconds
+   * @param {AbortSignal} signal - Request cancellation signal
+   * @param {boolean} auth - Whether to send the session's bearer token
+   * @returns {Promise<Object>} Response data
+   */
+  async attemptRequest(endpoint, method, data, secure, includeCredentials, requestId, timeout, signal, auth) {
+    const attempt = createAttemptSignal(timeout, signal);
+    
+    try {
+      // Resolved per request so base URL overrides apply without a reload
+      const url = `${configManager.getApiBaseUrl()}/${endpoint}`;
       
       // Base headers
       let headers = {
         'Content-Type': 'application/json',
         'Accept-Language': this.getPreferredLanguage(),
-        'X-Request-ID': requestId
+        'X-Request-ID': requestId,
+        ...(auth ? authSession.getAuthHeaders() : {}),
+        // Sign-in responses then set HttpOnly cookies instead of returning tokens
+        ...(authSession.usesCookies() ? { 'X-Token-Delivery': 'cookie' } : {})
       };
       
       // Add authentication headers for secure requests
@@ -79,19 +328,20 @@ class ApiService {
         }
       }
       
-      const options = {
+      const fetchOptions = {
         method,
         headers,
-        body: processedData ? JSON.stringify(processedData) : undefined
+        body: processedData ? JSON.stringify(processedData) : undefined,
+        signal: attempt.signal
       };
       
-      // Include credentials (cookies) if needed
-      if (includeCredentials) {
-        options.credentials = 'include';
+      // Include credentials (cookies) if needed; HttpOnly-cookie sessions always
+      // do, so sign-in responses can set the cookies
+      if (includeCredentials || authSession.usesCookies()) {
+        fetchOptions.credentials = 'include';
       }
       
-      // Execute request with timeout
-      const response = await this.timeoutFetch(url, options);
+      const response = await fetch(url, fetchOptions);
       
       // Handle non-OK responses
       if (!response.ok) {
@@ -110,12 +360,12 @@ class ApiService {
         // Create appropriate error type
         if (response.status === 401 || response.status === 403) {
           throw errorHandler.createAuthError(
-            errorData?.message || `Authentication error: ${response.status}`,
+            errorData?.message || errorData?.error || `Authentication error: ${response.status}`,
             response.status
           );
         } else {
           throw errorHandler.createApiError(
-            errorData?.message || `API Error: ${response.status}`,
+            errorData?.message || errorData?.error || `API Error: ${response.status}`,
             response.status,
             errorData
           );
@@ -131,7 +381,7 @@ class ApiService {
         
         // Decrypt response if it's encrypted
         if (secure && responseData.encrypted) {
-          return apiSecurity.decryptData(responseData.payload);
+          responseData = apiSecurity.decryptData(responseData.payload);
         }
       } else {
         // Handle non-JSON responses
@@ -139,55 +389,134 @@ class ApiService {
         responseData = { data: text };
       }
       
-      return responseData;
+      // Reject malformed payloads before they reach StateManager
+      return parseResponse(method, endpoint, responseData);
     } catch (error) {
-      // Handle token expiration
-      if (
-        error.status === 401 || 
-        error.message?.includes('token expired') || 
-        error.message?.includes('unauthorized')
-      ) {
-        // Try to refresh token and retry the request
-        try {
-          const refreshed = await apiSecurity.refreshApiToken();
-          
-          if (refreshed) {
-            // Retry the request once
-            return this.request(endpoint, method, data, secure, includeCredentials);
-          }
-        } catch (refreshError) {
-          // If refresh fails, throw the original error
-          errorHandler.handleError(error);
-          throw error;
-        }
+      if (attempt.timedOut()) {
+        throw errorHandler.createApiError('Request timeout', 408);
+      }
+      if (signal?.aborted) {
+        throw createCancelledError();
       }
-      
-      // Pass error to error handler
-      errorHandler.handleError(error);
       throw error;
     } finally {
-      // End request tracking
-      stateManager.updateState('ui', ui => ({
-        ...ui,
-        activeRequests: (ui.activeRequests || []).filter(id => id !== requestId)
-      }));
+      attempt.clear();
+    }
+  }
+  
+  /**
+   * Exchange the refresh token for new tokens
+   * Concurrent 401s share one refresh call. A rejected refresh token ends the
+   * session; a network failure leaves it in place for the next attempt.
+   * @returns {Promise<void>}
+   */
+  refreshSession() {
+    if (!this.refreshing) {
+      this.refreshing = this.rotateTokens().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    
+    return this.refreshing;
+  }
+  
+  /**
+   * Rotate the tokens and store the result
+   * The call depends on the token storage (refresh-token with the refresh
+   * token, or auth/refresh with the HttpOnly cookie). Runs under a cross-tab
+   * lock; if another tab rotated the tokens in the meantime, its tokens are
+   * adopted instead.
+   * @returns {Promise<void>}
+   */
+  rotateTokens() {
+    return authSession.runExclusive(async () => {
+      if (this.adoptedTokensFromAnotherTab()) return;
+      
+      if (!authSession.canRefresh()) {
+        throw errorHandler.createAuthError('Your session has expired. Please log in again.', 401);
+      }
+      
+      const { endpoint, data, includeCredentials } = authSession.getRefreshRequest();
+      
+      try {
+        const result = await this.send(endpoint, 'POST', data, false, includeCredentials, { auth: false });
+        await authSession.applyRefresh(result);
+      } catch (error) {
+        // Another tab spent the refresh token first
+        if (this.adoptedTokensFromAnotherTab()) return;
+        
+        if (isRetryable(error)) {
+          throw error;
+        }
+        
+        authSession.clear();
+        throw errorHandler.createAuthError('Your session has expired. Please log in again.', 401);
+      }
+    });
+  }
+  
+  /**
+   * Pick up tokens another tab stored since this tab last looked
+   * @returns {boolean} Whether this tab now holds different, valid tokens
+   */
+  adoptedTokensFromAnotherTab() {
+    const change = authSession.syncFromStorage();
+    return change === SESSION_EVENTS.REFRESH || change === SESSION_EVENTS.LOGIN;
+  }
+  
+  /**
+   * Create the controller that cancels one caller's request
+   * Linked to the caller's signal and registered under its cancellation group.
+   * @param {Object} options - Request options ({ signal, group })
+   * @returns {AbortController} Request controller
+   */
+  createRequestController(options) {
+    const controller = new AbortController();
+    
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+    
+    if (options.group) {
+      if (!this.cancelGroups.has(options.group)) {
+        this.cancelGroups.set(options.group, new Set());
+      }
+      this.cancelGroups.get(options.group).add(controller);
+    }
+    
+    return controller;
+  }
+  
+  /**
+   * Forget a finished request's controller
+   * @param {AbortController} controller - Request controller
+   * @param {Object} options - Request options ({ group })
+   */
+  releaseRequestController(controller, options) {
+    const group = options.group && this.cancelGroups.get(options.group);
+    if (!group) return;
+    
+    group.delete(controller);
+    if (group.size === 0) {
+      this.cancelGroups.delete(options.group);
     }
   }
   
   /**
-   * Fetch with timeout
-   * @param {string} url - Request URL
-   * @param {Object} options - Fetch options
-   * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<Response>} Fetch response
+   * Cancel every in-flight request in a cancellation group
+   * Components pass their ID as the group and call this from disconnectedCallback.
+   * @param {string} group - Cancellation group
    */
-  async timeoutFetch(url, options, timeout = 30000) {
-    return Promise.race([
-      fetch(url, options),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(errorHandler.createApiError('Request timeout', 408)), timeout)
-      )
-    ]);
+  cancelRequests(group) {
+    const controllers = this.cancelGroups.get(group);
+    if (!controllers) return;
+    
+    this.cancelGroups.delete(group);
+    controllers.forEach(controller => controller.abort());
   }
   
   /**
@@ -258,6 +587,9 @@ class ApiService {
         };
       }
       
+      // Set while a not-eligible result keeps this guest from reapplying
+      verificationData.reapplyAfter = result.reapplyAfter || null;
+      
       // Update verification state
       stateManager.setVerification({
         ...verificationData,
@@ -293,7 +625,7 @@ class ApiService {
       return await this.request('upload', 'POST', {
         userId,
         imageData
-      });
+      }, true, true, { queueIfOffline: true });
     } finally {
       stateManager.updateState('ui', { loading: false });
     }
@@ -302,12 +634,23 @@ class ApiService {
   /**
    * Check verification status of a user
    * @param {string} userId - User ID to check
+   * @param {Object} [options] - Request options ({ signal, group })
    * @returns {Promise<Object>} Status check result
    */
-  async checkVerificationStatus(userId) {
-    return this.request(`status?userId=${encodeURIComponent(userId)}`, 'GET');
+  async checkVerificationStatus(userId, options = {}) {
+    return this.request(`status?userId=${encodeURIComponent(userId)}`, 'GET', null, true, true, options);
   }
 
+  /**
+   * Check the status of a government ID verification still being processed
+   * @param {string} userId - User ID to check
+   * @param {Object} [options] - Request options ({ signal, group })
+   * @returns {Promise<Object>} Status check result
+   */
+  async checkGovernmentIdStatus(userId, options = {}) {
+    return this.request(`verify-id/status?userId=${encodeURIComponent(userId)}`, 'GET', null, true, true, options);
+  }
+  
   /**
    * Submit verification data to the API
    * @param {Object} verificationData - Complete verification data
@@ -319,13 +662,12 @@ class ApiService {
     stateManager.updateState('results', { isSubmitted: false });
     
     try {
-      const result = await this.request('verify', 'POST', verificationData);
+      const result = await this.request('verify', 'POST', verificationData, true, true, { queueIfOffline: true });
       
-      // Update results state
-      stateManager.updateState('results', {
-        isSubmitted: true,
-        ...result
-      });
+      // Update results state (a queued submission is sent when the connection returns)
+      stateManager.updateState('results', result.queued
+        ? { isQueued: true }
+        : { isSubmitted: true, isQueued: false, ...result });
       
       return result;
     } finally {
@@ -433,6 +775,24 @@ class ApiService {
     return this.request('languages', 'GET', null, false);
   }
   
+  /**
+   * Look up the neutral host summary for a CASL Key ID
+   * @param {string} caslKeyId - CASL Key ID
+   * @param {Object} [options] - Request options ({ signal, group })
+   * @returns {Promise<Object>} { hostSummary, expiresAt, revoked }
+   */
+  async getHostSummary(caslKeyId, options = {}) {
+    return this.request(`host-summary?caslKeyId=${encodeURIComponent(caslKeyId)}`, 'GET', null, true, true, options);
+  }
+  
+  /**
+   * Get the published trust-score rule set
+   * @returns {Promise<Object>} Versioned scoring rule set
+   */
+  async getScoringRules() {
+    return this.request('scoring-rules', 'GET', null, false);
+  }
+  
   /**
    * Set preferred language for API responses
    * @param {string} languageCode - ISO language code
@@ -444,6 +804,25 @@ class ApiService {
     stateManager.updateState('ui', { language: languageCode });
   }
   
+  /**
+   * Validate an image file the user picked, before it is read
+   * @param {File} file - Selected or dropped file
+   * @throws {Error} If the file type is not allowed or the file is too large
+   */
+  validateImageFile(file) {
+    const allowedTypes = configManager.getAllowedImageTypes();
+    if (!allowedTypes.includes(file.type)) {
+      throw errorHandler.createValidationError(t('errors.invalidImageType'));
+    }
+    
+    const maxSize = configManager.get('MAX_SCREENSHOT_SIZE');
+    if (file.size > maxSize) {
+      throw errorHandler.createValidationError(
+        t('errors.imageTooLarge', { size: Math.floor(maxSize / (1024 * 1024)) })
+      );
+    }
+  }
+  
   /**
    * Validate image data for uploads
    * @param {string} imageData - Base64 encoded image data
@@ -0,0 +1,874 @@
+// src/services/apiContracts.js
+import { configManager } from './ConfigManager.js';
+import { errorHandler } from './ErrorHandler.js';
+import { VERIFICATION_STATUSES } from './constants.js';
+
+/**
+ * Request and response contracts for every backend endpoint
+ * Responses are checked at the ApiService boundary (and by the services that
+ * still call fetch directly) before anything reaches StateManager. Objects are
+ * narrowed to their declared fields, so unexpected keys never get spread into
+ * state; opaque vendor data is declared with passthrough.
+ */
+
+/**
+ * Schema builders
+ * A schema is a plain object ({ type, ... }); validate() interprets it.
+ */
+export const schema = {
+  string: () => ({ type: 'string' }),
+  number: () => ({ type: 'number' }),
+  boolean: () => ({ type: 'boolean' }),
+  oneOf: values => ({ type: 'enum', values }),
+  array: items => ({ type: 'array', items }),
+  // Declared fields only; { passthrough: true } keeps undeclared fields as-is
+  object: (fields = {}, { passthrough = false } = {}) => ({ type: 'object', fields, passthrough }),
+  optional: inner => ({ ...inner, optional: true }),
+  nullable: inner => ({ ...inner, nullable: true }),
+  // Cross-field rule: check(value) returns a problem string or ''
+  refine: (inner, check) => ({ ...inner, refinements: [...(inner.refinements || []), check] })
+};
+
+const { string, number, boolean, oneOf, array, object, optional, nullable, refine } = schema;
+
+// Opaque objects whose fields the client does not read individually
+const anyObject = () => object({}, { passthrough: true });
+
+/**
+ * Check a value against a schema
+ * @param {Object} definition - Schema
+ * @param {*} value - Value to check
+ * @param {string} [path] - Path used in problem messages
+ * @returns {Object} { value, problems } - value narrowed to the schema
+ */
+export function validate(definition, value, path = 'response') {
+  const problems = [];
+
+  if (value === undefined || value === null) {
+    if ((value === null && definition.nullable) || (value === undefined && definition.optional)) {
+      return { value, problems };
+    }
+    return { value, problems: [`${path} is missing`] };
+  }
+
+  let result = value;
+
+  switch (definition.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+      if (typeof value !== definition.type) {
+        problems.push(`${path} should be a ${definition.type}`);
+      }
+      break;
+
+    case 'enum':
+      if (!definition.values.includes(value)) {
+        problems.push(`${path} should be one of ${definition.values.join(', ')}`);
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        problems.push(`${path} should be an array`);
+        break;
+      }
+      result = value.map((item, index) => {
+        const checked = validate(definition.items, item, `${path}[${index}]`);
+        problems.push(...checked.problems);
+        return checked.value;
+      });
+      break;
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`${path} should be an object`);
+        break;
+      }
+      result = definition.passthrough ? { ...value } : {};
+      Object.entries(definition.fields).forEach(([key, fieldSchema]) => {
+        const checked = validate(fieldSchema, value[key], `${path}.${key}`);
+        problems.push(...checked.problems);
+        if (checked.value !== undefined) {
+          result[key] = checked.value;
+        }
+      });
+      break;
+
+    default:
+      break;
+  }
+
+  if (problems.length === 0 && definition.refinements) {
+    definition.refinements.forEach(check => {
+      const problem = check(value);
+      if (problem) problems.push(`${path}: ${problem}`);
+    });
+  }
+
+  return { value: result, problems };
+}
+
+// Shared shapes
+
+const hostSummarySchema = object({
+  caslKeyId: string(),
+  trustLevel: string(),
+  scoreRange: optional(nullable(string())),
+  scoringProfile: optional(string()),
+  platformVerified: optional(boolean()),
+  backgroundCheckStatus: optional(nullable(string())),
+  bookingMatch: optional(nullable(string())),
+  bookingMatchReasons: optional(array(string())),
+  flags: optional(object({}, { passthrough: true })),
+  recommendation: optional(string()),
+  summary: optional(string())
+});
+
+const bookingMatchRequestSchema = object({
+  reservationId: optional(nullable(string())),
+  platform: optional(nullable(string())),
+  listingId: optional(nullable(string())),
+  listingLink: optional(nullable(string())),
+  checkInDate: optional(nullable(string())),
+  checkOutDate: optional(nullable(string()))
+});
+
+const packageSchema = object({
+  id: string(),
+  name: string(),
+  description: optional(string()),
+  price: number(),
+  currency: optional(string()),
+  verificationCount: number(),
+  features: optional(array(string()))
+});
+
+const authTokensSchema = {
+  accessToken: optional(string()),
+  refreshToken: optional(string()),
+  expiresIn: optional(number()),
+  user: optional(object({
+    username: optional(string()),
+    email: optional(string())
+  }, { passthrough: true }))
+};
+
+// Passkey registered to the signed-in user
+const passkeySchema = object({
+  id: string(),
+  name: optional(string()),
+  createdAt: optional(string()),
+  lastUsedAt: optional(nullable(string()))
+});
+
+// WebAuthn credential descriptor; binary fields are base64url throughout
+const credentialDescriptorSchema = object({
+  id: string(),
+  type: string(),
+  transports: optional(array(string()))
+});
+
+// Serialized PublicKeyCredential (see webauthn.js serializeCredential)
+const publicKeyCredentialSchema = object({
+  id: string(),
+  rawId: string(),
+  type: string(),
+  response: anyObject()
+});
+
+// Account profile shown in the dashboard's settings
+const profileSchema = object({
+  username: string(),
+  email: string(),
+  emailVerified: optional(boolean()),
+  pendingEmail: optional(nullable(string())),
+  phoneNumber: optional(nullable(string())),
+  phoneVerified: optional(boolean()),
+  address: optional(nullable(string()))
+});
+
+// A successful sign-in must carry both tokens
+// With X-Token-Delivery: cookie the tokens arrive as HttpOnly cookies and
+// the body only says when the access token expires
+const requireTokens = result => {
+  if (!result.success) return '';
+  if (!!result.accessToken !== !!result.refreshToken) return 'tokens should come as a pair';
+  return result.accessToken || typeof result.expiresIn === 'number' ? '' : 'successful sign-in is missing its tokens';
+};
+
+const backgroundCheckSchema = object({
+  checkId: optional(string()),
+  status: optional(string()),
+  result: optional(string()),
+  passed: optional(nullable(boolean()))
+});
+
+// Identity check completed for a verification; reused by renewals while still valid
+const identityCheckSchema = object({
+  type: string(),
+  completedAt: string(),
+  details: optional(nullable(anyObject()))
+});
+
+// Score adjustment as produced by the scoring rules
+const adjustmentSchema = object({
+  ruleId: optional(string()),
+  reason: string(),
+  points: number()
+});
+
+const verificationRecordSchema = object({
+  verificationId: string(),
+  caslKeyId: string(),
+  verificationDate: string(),
+  expiresAt: optional(nullable(string())),
+  trustLevel: string(),
+  score: optional(nullable(number())),
+  renewalOf: optional(nullable(string())),
+  user: optional(nullable(anyObject())),
+  booking: optional(nullable(anyObject())),
+  stayDetails: optional(nullable(anyObject())),
+  identityChecks: optional(array(identityCheckSchema)),
+  adjustments: optional(array(adjustmentSchema))
+});
+
+// Appeal of a manual-review or not-eligible result, with its status history
+const appealSchema = object({
+  appealId: string(),
+  verificationId: string(),
+  caslKeyId: optional(nullable(string())),
+  status: string(),
+  disputes: array(object({
+    ruleId: string(),
+    reason: optional(string()),
+    points: optional(number())
+  })),
+  attachments: optional(array(object({
+    attachmentId: string(),
+    name: string(),
+    type: string()
+  }))),
+  history: array(object({
+    status: string(),
+    at: string(),
+    note: optional(nullable(string()))
+  })),
+  decision: optional(nullable(object({
+    revisedScore: optional(nullable(number())),
+    revisedTrustLevel: optional(nullable(string()))
+  }))),
+  createdAt: string()
+});
+
+const attachmentRequestSchema = object({ name: string(), type: string(), data: string() });
+
+// Decision on a manual-review case, as kept in the audit trail
+const reviewDecisionSchema = object({
+  decisionId: string(),
+  verificationId: string(),
+  caslKeyId: optional(nullable(string())),
+  decision: string(),
+  reasonCode: string(),
+  note: optional(nullable(string())),
+  reviewer: string(),
+  status: string(),
+  at: string()
+});
+
+// Manual-review case as listed in the reviewer queue
+const reviewCaseFields = {
+  verificationId: string(),
+  caslKeyId: string(),
+  status: string(),
+  trustLevel: string(),
+  score: optional(nullable(number())),
+  submittedAt: string(),
+  guestName: optional(nullable(string())),
+  platform: optional(nullable(string())),
+  appeal: optional(nullable(object({ appealId: string(), status: string() })))
+};
+
+// The full case: the guest's answers next to what the verification methods found
+const reviewCaseSchema = object({
+  ...reviewCaseFields,
+  user: optional(nullable(anyObject())),
+  booking: optional(nullable(anyObject())),
+  stayDetails: optional(nullable(anyObject())),
+  methods: object({
+    verificationType: optional(nullable(string())),
+    idVerificationStatus: optional(boolean()),
+    phoneVerificationStatus: optional(boolean()),
+    socialVerificationStatus: optional(boolean()),
+    backgroundCheckStatus: optional(nullable(string())),
+    bookingMatch: optional(nullable(anyObject()))
+  }),
+  identityChecks: array(identityCheckSchema),
+  adjustments: array(adjustmentSchema),
+  ruleSetVersion: optional(nullable(string())),
+  scoringProfile: optional(nullable(string())),
+  decisions: array(reviewDecisionSchema)
+});
+
+/**
+ * Contracts keyed by "METHOD path"; ":name" matches one path segment
+ * Query strings are ignored when matching.
+ */
+export const API_CONTRACTS = {
+  'GET casl-config': {
+    response: object({
+      auth: object({
+        region: optional(string()),
+        userPoolId: string(),
+        userPoolWebClientId: string()
+      })
+    }, { passthrough: true })
+  },
+
+  'GET languages': {
+    response: object({
+      languages: array(object({
+        code: string(),
+        name: string(),
+        direction: optional(oneOf(['ltr', 'rtl']))
+      }))
+    })
+  },
+
+  'GET scoring-rules': {
+    // Rule sets are checked in depth by validateRuleSet
+    response: anyObject()
+  },
+
+  // Authentication
+
+  'POST register': {
+    request: object({ username: string(), email: string(), password: string() }),
+    response: object({ success: optional(boolean()), requiresConfirmation: optional(boolean()) })
+  },
+
+  'POST confirm-registration': {
+    request: object({ username: string(), code: string() }),
+    response: object({ success: optional(boolean()) })
+  },
+
+  'POST login': {
+    // deviceKey skips the MFA challenge on a remembered device
+    request: object({ username: string(), password: string(), deviceKey: optional(string()) }),
+    response: refine(object({
+      success: optional(boolean()),
+      challenge: optional(string()),
+      session: optional(string()),
+      username: optional(string()),
+      // Masked phone number the SMS_MFA code was sent to
+      destination: optional(string()),
+      message: optional(string()),
+      error: optional(string()),
+      email: optional(string()),
+      userId: optional(string()),
+      ...authTokensSchema
+    }), requireTokens)
+  },
+
+  'POST set-new-password': {
+    request: object({ session: string(), username: string(), newPassword: string() }),
+    response: refine(object({
+      success: boolean(),
+      error: optional(string()),
+      ...authTokensSchema
+    }), requireTokens)
+  },
+
+  'POST forgot-password': {
+    request: object({ username: string() }),
+    // The same for every username; never says where the code was sent
+    response: object({
+      success: optional(boolean()),
+      deliveryMedium: optional(oneOf(['EMAIL', 'SMS']))
+    })
+  },
+
+  'POST confirm-forgot-password': {
+    request: object({ username: string(), code: string(), newPassword: string() }),
+    response: object({ success: optional(boolean()) })
+  },
+
+  // Multi-factor authentication
+
+  'POST mfa/respond': {
+    request: object({
+      session: string(),
+      username: string(),
+      challenge: oneOf(['SMS_MFA', 'SOFTWARE_TOKEN_MFA']),
+      code: optional(string()),
+      recoveryCode: optional(string()),
+      rememberDevice: optional(boolean())
+    }),
+    response: refine(object({
+      success: optional(boolean()),
+      error: optional(string()),
+      deviceKey: optional(string()),
+      ...authTokensSchema
+    }), requireTokens)
+  },
+
+  // session while answering an MFA_SETUP challenge, bearer token when signed in
+  // (plus the password when replacing an authenticator)
+  'POST mfa/totp/setup': {
+    request: object({ session: optional(string()), password: optional(string()) }),
+    response: object({ secretCode: string(), session: optional(string()) })
+  },
+
+  'POST mfa/totp/verify': {
+    request: object({ session: optional(string()), code: string() }),
+    response: refine(object({
+      success: boolean(),
+      recoveryCodes: array(string()),
+      ...authTokensSchema
+    }), result => (
+      !!result.accessToken !== !!result.refreshToken ? 'tokens should come as a pair' : ''
+    ))
+  },
+
+  // Passkeys (WebAuthn). Options are passed on to the browser as they come,
+  // so fields the client does not convert are kept (passthrough)
+
+  'POST passkeys/authenticate/options': {
+    request: object({ username: optional(string()) }),
+    response: object({
+      session: string(),
+      challenge: string(),
+      allowCredentials: optional(array(credentialDescriptorSchema))
+    }, { passthrough: true })
+  },
+
+  'POST passkeys/authenticate/verify': {
+    request: object({ session: string(), credential: publicKeyCredentialSchema }),
+    response: refine(object({
+      success: boolean(),
+      error: optional(string()),
+      ...authTokensSchema
+    }), requireTokens)
+  },
+
+  'POST passkeys/register/options': {
+    response: object({
+      challenge: string(),
+      rp: object({ name: string(), id: optional(string()) }),
+      user: object({ id: string(), name: string(), displayName: string() }),
+      pubKeyCredParams: array(object({ type: string(), alg: number() })),
+      excludeCredentials: optional(array(credentialDescriptorSchema))
+    }, { passthrough: true })
+  },
+
+  'POST passkeys/register/verify': {
+    request: object({ credential: publicKeyCredentialSchema, name: optional(string()) }),
+    response: object({ passkey: passkeySchema })
+  },
+
+  'GET passkeys': {
+    response: object({ passkeys: array(passkeySchema) })
+  },
+
+  'DELETE passkeys/:id': {
+    response: object({ success: optional(boolean()) })
+  },
+
+  // Account settings
+
+  'GET account': {
+    response: object({ profile: profileSchema })
+  },
+
+  'PUT account': {
+    request: object({ address: optional(string()) }),
+    response: object({ profile: profileSchema })
+  },
+
+  'DELETE account': {
+    request: object({ password: string() }),
+    response: object({ success: optional(boolean()) })
+  },
+
+  'POST account/email': {
+    request: object({ email: string() }),
+    response: object({ destination: optional(string()) })
+  },
+
+  'POST account/email/verify': {
+    request: object({ code: string() }),
+    response: object({ profile: profileSchema })
+  },
+
+  'PUT account/phone': {
+    request: object({ phoneNumber: string(), verificationId: string() }),
+    response: object({ profile: profileSchema })
+  },
+
+  'POST change-password': {
+    request: object({ currentPassword: string(), newPassword: string() }),
+    response: object({ success: optional(boolean()) })
+  },
+
+  'POST validate-token': {
+    response: anyObject()
+  },
+
+  'POST refresh-token': {
+    request: object({ refreshToken: string() }),
+    // Cognito only rotates the refresh token on some configurations
+    response: object({ accessToken: string(), refreshToken: optional(string()), expiresIn: optional(number()) })
+  },
+
+  // HttpOnly-cookie token storage (TOKEN_STORAGE: 'cookie'); sign-in responses set the cookies
+
+  'POST auth/refresh': {
+    response: object({ success: optional(boolean()), expiresIn: optional(number()) })
+  },
+
+  'POST auth/clear-cookie': {
+    response: object({ success: optional(boolean()) })
+  },
+
+  'POST logout': {
+    response: anyObject()
+  },
+
+  // Verification
+
+  'POST user-check': {
+    request: object({
+      email: string(),
+      name: optional(string()),
+      phone: optional(string()),
+      address: optional(string())
+    }),
+    response: refine(object({
+      found: boolean(),
+      reapplyAfter: optional(nullable(string())),
+      userData: optional(nullable(object({
+        caslKeyId: string(),
+        isVerified: boolean(),
+        platformData: optional(nullable(anyObject())),
+        idVerificationData: optional(nullable(anyObject()))
+      })))
+    }), result => (result.found && !result.userData ? 'userData is required when found is true' : ''))
+  },
+
+  'POST upload': {
+    request: object({ userId: string(), imageData: string() }),
+    response: object({
+      success: optional(boolean()),
+      userId: optional(string()),
+      status: optional(string())
+    })
+  },
+
+  'GET status': {
+    response: object({
+      status: oneOf(Object.values(VERIFICATION_STATUSES)),
+      verificationDetails: optional(nullable(anyObject()))
+    })
+  },
+
+  'POST verify': {
+    request: object({
+      caslKeyId: string(),
+      user: anyObject(),
+      verification: anyObject(),
+      booking: anyObject(),
+      stayDetails: anyObject(),
+      hostSummary: hostSummarySchema
+    }),
+    response: object({
+      success: optional(boolean()),
+      verificationId: optional(string()),
+      caslKeyId: optional(nullable(string()))
+    })
+  },
+
+  'POST verify-id': {
+    request: object({ userId: string(), idImageData: string(), selfieImageData: string() }),
+    response: object({ status: string() })
+  },
+
+  'GET verify-id/status': {
+    response: object({ status: string() })
+  },
+
+  'POST verify-phone/request': {
+    request: object({ userId: optional(string()), phoneNumber: string() }),
+    response: object({ verificationId: string(), expiresIn: optional(number()) })
+  },
+
+  'POST verify-phone/verify': {
+    request: object({ userId: optional(string()), verificationId: string(), code: string() }),
+    response: object({ verified: boolean(), message: optional(string()) })
+  },
+
+  'POST verify-social': {
+    request: object({
+      userId: optional(string()),
+      platform: string(),
+      profileUrl: optional(nullable(string())),
+      accessToken: optional(nullable(string()))
+    }),
+    response: object({ status: string() })
+  },
+
+  'POST background-check': {
+    request: object({
+      userId: optional(nullable(string())),
+      name: optional(string()),
+      email: optional(string()),
+      phone: optional(string()),
+      address: optional(string())
+    }),
+    response: backgroundCheckSchema
+  },
+
+  'GET background-check/status': {
+    response: backgroundCheckSchema
+  },
+
+  // The backend compares with the host's reservation and answers with the verdict only
+  'POST reservations/match': {
+    request: object({ booking: bookingMatchRequestSchema }),
+    response: object({
+      result: oneOf(['match', 'partial', 'mismatch', 'unverified']),
+      reasons: array(object({ code: string(), severity: optional(string()) }))
+    })
+  },
+
+  'GET verification-history': {
+    response: object({
+      verifications: array(object({
+        verificationId: optional(string()),
+        caslKeyId: string(),
+        verificationDate: string(),
+        expiresAt: optional(nullable(string())),
+        trustLevel: string(),
+        score: optional(nullable(number())),
+        booking: optional(nullable(anyObject())),
+        // Open request from the review team, on manual-review verifications
+        infoRequest: optional(nullable(object({
+          reasonCode: string(),
+          note: optional(nullable(string())),
+          at: string()
+        })))
+      }))
+    })
+  },
+
+  'GET verifications/:verificationId': {
+    response: object({ verification: verificationRecordSchema })
+  },
+
+  // Badges
+
+  'POST badges': {
+    request: object({ verificationId: string() }),
+    response: object({ token: string(), claims: optional(anyObject()) })
+  },
+
+  'GET .well-known/jwks.json': {
+    response: object({
+      keys: array(object({ kid: string(), kty: string() }, { passthrough: true }))
+    })
+  },
+
+  'GET badges/status': {
+    response: object({ revoked: optional(boolean()) })
+  },
+
+  'GET host-summary': {
+    response: object({
+      hostSummary: hostSummarySchema,
+      expiresAt: optional(nullable(string())),
+      revoked: optional(boolean())
+    })
+  },
+
+  // Support
+
+  'POST support/requests': {
+    request: object({
+      topic: string(),
+      message: string(),
+      email: optional(nullable(string())),
+      context: anyObject()
+    }),
+    response: object({
+      request: object({
+        requestId: string(),
+        topic: string(),
+        status: string(),
+        createdAt: optional(string())
+      })
+    })
+  },
+
+  // Appeals
+
+  'POST appeals': {
+    request: object({
+      verificationId: string(),
+      disputes: array(object({
+        ruleId: string(),
+        reason: string(),
+        points: number(),
+        explanation: string()
+      })),
+      statement: string(),
+      attachments: array(attachmentRequestSchema)
+    }),
+    response: object({ appeal: appealSchema })
+  },
+
+  'GET appeals': {
+    response: object({ appeals: array(appealSchema) })
+  },
+
+  'GET appeals/:appealId': {
+    response: object({ appeal: appealSchema })
+  },
+
+  'POST appeals/:appealId/responses': {
+    request: object({
+      message: string(),
+      attachments: array(attachmentRequestSchema)
+    }),
+    response: object({ appeal: appealSchema })
+  },
+
+  // Reviews (reviewer accounts only)
+
+  'GET review/cases': {
+    response: object({ cases: array(object(reviewCaseFields)) })
+  },
+
+  'GET review/cases/:verificationId': {
+    response: object({ case: reviewCaseSchema })
+  },
+
+  'POST review/cases/:verificationId/decisions': {
+    request: object({
+      decision: oneOf(['approve', 'reject', 'request_info']),
+      reasonCode: string(),
+      note: optional(nullable(string()))
+    }),
+    response: object({ case: reviewCaseSchema })
+  },
+
+  'GET review/decisions': {
+    response: object({ decisions: array(reviewDecisionSchema) })
+  },
+
+  // Payments
+
+  'GET packages': {
+    response: object({ packages: array(packageSchema) })
+  },
+
+  'GET packages/:id': {
+    response: packageSchema
+  },
+
+  'POST create-payment-intent': {
+    request: object({
+      packageId: string(),
+      userId: optional(string()),
+      amount: number(),
+      currency: string()
+    }),
+    response: object({ id: string() }, { passthrough: true })
+  },
+
+  'POST create-payment-url': {
+    request: object({ intentId: string(), packageId: string(), returnUrl: string() }),
+    response: object({ paymentUrl: string() })
+  },
+
+  'POST verify-payment': {
+    request: object({ intentId: string(), transactionId: optional(string()) }),
+    response: object({
+      success: optional(boolean()),
+      status: optional(string()),
+      transactionId: optional(string()),
+      expiryDate: optional(string())
+    })
+  },
+
+  'GET check-payment/:id': {
+    response: object({
+      status: string(),
+      transactionId: optional(string()),
+      expiryDate: optional(string()),
+      error: optional(string())
+    })
+  }
+};
+
+/**
+ * Find the contract for a request
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint (may include a query string)
+ * @returns {Object|null} Contract ({ request, response }) or null if undeclared
+ */
+export function getContract(method, endpoint) {
+  const path = endpoint.split('?')[0].replace(/^\/+/, '');
+  const exact = API_CONTRACTS[`${method} ${path}`];
+  if (exact) return exact;
+
+  const segments = path.split('/');
+  const match = Object.entries(API_CONTRACTS).find(([key]) => {
+    const [contractMethod, contractPath] = key.split(' ');
+    const contractSegments = contractPath.split('/');
+
+    return contractMethod === method &&
+      contractSegments.length === segments.length &&
+      contractSegments.every((segment, index) => segment.startsWith(':') || segment === segments[index]);
+  });
+
+  return match ? match[1] : null;
+}
+
+/**
+ * Check a response against its contract
+ * Endpoints without a contract are returned unchanged.
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint
+ * @param {*} data - Parsed response body
+ * @returns {*} Response narrowed to the contract
+ * @throws {Error} ApiError (code RESPONSE_CONTRACT) when the response does not match
+ */
+export function parseResponse(method, endpoint, data) {
+  const contract = getContract(method, endpoint);
+  if (!contract?.response) return data;
+
+  const { value, problems } = validate(contract.response, data);
+  if (problems.length > 0) {
+    throw errorHandler.createContractError(`${method} ${endpoint.split('?')[0]}`, problems);
+  }
+
+  return value;
+}
+
+/**
+ * Check an outgoing request body against its contract
+ * Only reported in debug mode; the backend remains the authority on requests.
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint
+ * @param {*} data - Request body
+ */
+export function checkRequest(method, endpoint, data) {
+  if (!configManager.isDebugMode()) return;
+
+  const contract = getContract(method, endpoint);
+  if (!contract?.request) return;
+
+  const { problems } = validate(contract.request, data, 'request');
+  if (problems.length > 0) {
+    console.warn(`Request to ${method} ${endpoint} does not match its contract:`, problems);
+  }
+}
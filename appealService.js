@@ -0,0 +1,132 @@
+// src/services/appealService.js
+import { apiService } from './api.js';
+import { configManager } from './ConfigManager.js';
+import { errorHandler } from './ErrorHandler.js';
+import { TRUST_LEVELS } from './constants.js';
+import { t } from './i18n.js';
+
+/**
+ * Where an appeal is in its review; ACCEPTED and DENIED are final
+ */
+export const APPEAL_STATUSES = {
+  SUBMITTED: 'submitted',
+  IN_REVIEW: 'in_review',
+  INFO_REQUESTED: 'info_requested',
+  ACCEPTED: 'accepted',
+  DENIED: 'denied'
+};
+
+// Results a guest can appeal: manual review, and not eligible (rejected)
+export const APPEALABLE_TRUST_LEVELS = [TRUST_LEVELS.MANUAL_REVIEW, TRUST_LEVELS.NOT_ELIGIBLE];
+
+/**
+ * Whether a verification's result can be appealed
+ * @param {Object} verification - Verification or history record
+ * @returns {boolean} Whether it can be appealed
+ */
+export function isAppealable(verification) {
+  return !!verification?.verificationId && APPEALABLE_TRUST_LEVELS.includes(verification.trustLevel);
+}
+
+/**
+ * Score adjustments a guest can dispute
+ * Only deductions made by scoring rules; cap adjustments follow from the others.
+ * @param {Array} adjustments - Score adjustments ({ ruleId, reason, points })
+ * @returns {Array} Disputable adjustments
+ */
+export function getDisputableAdjustments(adjustments = []) {
+  return adjustments.filter(adj => adj.points < 0 && adj.ruleId && !adj.ruleId.startsWith('cap:'));
+}
+
+/**
+ * Whether the review team has decided an appeal
+ * @param {Object} appeal - Appeal
+ * @returns {boolean} Whether the appeal is closed
+ */
+export function isAppealClosed(appeal) {
+  return appeal.status === APPEAL_STATUSES.ACCEPTED || appeal.status === APPEAL_STATUSES.DENIED;
+}
+
+/**
+ * Service for appealing verification results
+ * Appeals go to the same review team as support requests. Only the signed-in
+ * owner of a verification can appeal it or follow the appeal; the review
+ * team replies to the account's email.
+ */
+class AppealService {
+  /**
+   * Appeal a verification result
+   * @param {Object} appeal - Appeal details
+   * @param {string} appeal.verificationId - Verification being appealed
+   * @param {Array} [appeal.disputes] - Disputed adjustments ({ ruleId, reason, points, explanation })
+   * @param {string} [appeal.statement] - Anything else the guest wants the review team to know
+   * @param {Array} [appeal.attachments] - Supporting documents ({ name, type, data } with data URLs)
+   * @returns {Promise<Object>} Created appeal
+   */
+  async createAppeal({ verificationId, disputes = [], statement = '', attachments = [] }) {
+    this.validateAttachments(attachments);
+
+    const result = await apiService.request('appeals', 'POST', {
+      verificationId,
+      disputes,
+      statement,
+      attachments
+    }, false, true);
+
+    return result.appeal;
+  }
+
+  /**
+   * The signed-in guest's appeals
+   * @returns {Promise<Array>} Appeals, newest first
+   */
+  async listAppeals() {
+    const result = await apiService.request('appeals', 'GET', null, false, true);
+    return result.appeals || [];
+  }
+
+  /**
+   * Get an appeal with its status history
+   * @param {string} appealId - Appeal reference
+   * @param {Object} [options] - Request options ({ signal, group })
+   * @returns {Promise<Object>} Appeal
+   */
+  async getAppeal(appealId, options = {}) {
+    const result = await apiService.request(`appeals/${encodeURIComponent(appealId)}`, 'GET', null, false, true, options);
+    return result.appeal;
+  }
+
+  /**
+   * Answer the review team's request for more information
+   * @param {string} appealId - Appeal reference
+   * @param {Object} response - { message, attachments }
+   * @returns {Promise<Object>} Updated appeal
+   */
+  async respond(appealId, { message, attachments = [] }) {
+    this.validateAttachments(attachments);
+
+    const result = await apiService.request(`appeals/${encodeURIComponent(appealId)}/responses`, 'POST', {
+      message,
+      attachments
+    }, false, true);
+
+    return result.appeal;
+  }
+
+  /**
+   * Check supporting documents with the same rules as other image uploads
+   * @param {Array} attachments - { name, type, data }
+   * @throws {Error} If there are too many or one is not an allowed image
+   */
+  validateAttachments(attachments) {
+    const max = configManager.get('APPEAL_MAX_ATTACHMENTS', 3);
+    if (attachments.length > max) {
+      throw errorHandler.createValidationError(t('appeal.attachments.tooMany', { max }));
+    }
+
+    attachments.forEach(attachment => apiService.validateImageData(attachment.data));
+  }
+}
+
+// Export a singleton instance
+export const appealService = new AppealService();
@@ -0,0 +1,396 @@
+// src/services/authSession.js
+import { configManager } from './ConfigManager.js';
+import {
+  TOKEN_STORAGE_MODES,
+  createTokenStorage,
+  migrateLegacyTokens,
+  getSessionExpiry
+} from './tokenStorage.js';
+
+const SYNC_CHANNEL = 'casl-session';
+const REFRESH_LOCK = 'casl-token-refresh';
+
+/**
+ * Session changes reported to listeners and other tabs
+ */
+export const SESSION_EVENTS = {
+  LOGIN: 'login',
+  REFRESH: 'refresh',
+  LOGOUT: 'logout'
+};
+
+/**
+ * Holds the signed-in user's Cognito session
+ * The single source of truth for the bearer token: ApiService reads it for
+ * every request and rotates it on 401, userService writes it on login and
+ * logout. Where the tokens are kept is up to the TOKEN_STORAGE strategy
+ * (see tokenStorage.js).
+ *
+ * The access token is refreshed shortly before it expires, and every change
+ * is broadcast to the other open tabs, which re-read the shared storage
+ * rather than receiving tokens over the channel.
+ */
+class AuthSession {
+  constructor() {
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.user = null;
+    this.expiresAt = null;
+
+    // Bumped on every change, so a request can tell whether the session it
+    // was sent with is still current
+    this.version = 0;
+    this.listeners = [];
+
+    // Set by ApiService, which owns the refresh call and the transport
+    this.refresher = null;
+    this.transport = null;
+    this.refreshTimer = null;
+    this.channel = null;
+
+    this.storage = createTokenStorage(
+      configManager.get('TOKEN_STORAGE', TOKEN_STORAGE_MODES.MEMORY),
+      { request: (endpoint, data) => this.request(endpoint, data) }
+    );
+    migrateLegacyTokens(this.storage);
+
+    this.load();
+    this.initializeSync();
+    this.scheduleRefresh();
+  }
+
+  /**
+   * Restore the session stored by a previous visit (or another tab)
+   */
+  load() {
+    const { accessToken, refreshToken, user, expiresAt } = this.storage.load();
+
+    this.accessToken = accessToken;
+    this.refreshToken = refreshToken;
+    this.user = user;
+    this.expiresAt = expiresAt;
+  }
+
+  /**
+   * Get the session as a plain object
+   * @returns {Object} { accessToken, refreshToken, user, expiresAt }
+   */
+  getSnapshot() {
+    return {
+      accessToken: this.accessToken,
+      refreshToken: this.refreshToken,
+      user: this.user,
+      expiresAt: this.expiresAt
+    };
+  }
+
+  /**
+   * Listen for session changes made in other tabs
+   * BroadcastChannel where available, otherwise storage events (which only
+   * fire in the tabs that did not make the change).
+   */
+  initializeSync() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(SYNC_CHANNEL);
+      this.channel.onmessage = (event) => this.handleRemoteChange(event.data?.type);
+    } else if (typeof window !== 'undefined' && this.storage.shared) {
+      window.addEventListener('storage', (event) => {
+        if (event.key === null || this.storage.keys.includes(event.key)) {
+          this.syncFromStorage();
+        }
+      });
+    }
+  }
+
+  /**
+   * Apply a change broadcast by another tab
+   * Tabs cannot read each other's in-memory tokens, so with memory storage
+   * only logouts carry over.
+   * @param {string} type - SESSION_EVENTS change
+   */
+  handleRemoteChange(type) {
+    if (this.storage.shared) {
+      this.syncFromStorage();
+    } else if (type === SESSION_EVENTS.LOGOUT && this.hasSession()) {
+      this.storage.clear();
+      this.load();
+      this.version++;
+      this.scheduleRefresh();
+      this.notifyListeners({ type, remote: true });
+    }
+  }
+
+  /**
+   * Adopt the session another tab stored
+   * @returns {string|null} The SESSION_EVENTS change, or null if nothing changed
+   */
+  syncFromStorage() {
+    if (!this.storage.shared) return null;
+
+    const previous = {
+      active: this.hasSession(),
+      username: this.user?.username,
+      accessToken: this.accessToken,
+      expiresAt: this.expiresAt
+    };
+
+    this.load();
+
+    let type = null;
+    if (!this.hasSession()) {
+      type = previous.active ? SESSION_EVENTS.LOGOUT : null;
+    } else if (!previous.active || this.user?.username !== previous.username) {
+      type = SESSION_EVENTS.LOGIN;
+    } else if (this.accessToken !== previous.accessToken || this.expiresAt !== previous.expiresAt) {
+      type = SESSION_EVENTS.REFRESH;
+    }
+
+    if (type) {
+      this.version++;
+      this.scheduleRefresh();
+      this.notifyListeners({ type, remote: true });
+    }
+
+    return type;
+  }
+
+  /**
+   * Check whether a complete stored session exists
+   * The tokens may still have expired; ApiService finds out on the first 401.
+   * @returns {boolean} Whether a signed-in user and their credentials are present
+   */
+  hasSession() {
+    if (!this.user) return false;
+
+    // HttpOnly cookies cannot be seen from script; the backend answers for them
+    return this.storage.holdsTokens ? !!(this.accessToken && this.refreshToken) : true;
+  }
+
+  /**
+   * Check whether the session can be refreshed
+   * @returns {boolean} Whether a refresh token is available
+   */
+  canRefresh() {
+    return this.storage.holdsTokens ? !!this.refreshToken : !!this.user;
+  }
+
+  /**
+   * Check whether requests must carry cookies to authenticate
+   * @returns {boolean} Whether the tokens live in HttpOnly cookies
+   */
+  usesCookies() {
+    return !this.storage.holdsTokens;
+  }
+
+  /**
+   * Get the bearer header for the current access token
+   * @returns {Object} Authorization header, or an empty object when signed out
+   *   or when the token is in an HttpOnly cookie
+   */
+  getAuthHeaders() {
+    return this.accessToken ? { 'Authorization': `Bearer ${this.accessToken}` } : {};
+  }
+
+  /**
+   * Describe the call that rotates the tokens
+   * @returns {Object} { endpoint, data, includeCredentials }
+   */
+  getRefreshRequest() {
+    return this.storage.getRefreshRequest(this.getSnapshot());
+  }
+
+  /**
+   * Start a session after login
+   * @param {Object} session - { accessToken, refreshToken, user, expiresIn }
+   * @returns {Promise<void>}
+   */
+  async start({ accessToken, refreshToken, user, expiresIn }) {
+    await this.save({
+      accessToken,
+      refreshToken,
+      user,
+      expiresAt: getSessionExpiry({ accessToken, expiresIn })
+    });
+    this.commit(SESSION_EVENTS.LOGIN);
+  }
+
+  /**
+   * Store the result of a token refresh
+   * @param {Object} result - Refresh response ({ accessToken, refreshToken, expiresIn })
+   * @returns {Promise<void>}
+   */
+  async applyRefresh(result) {
+    await this.save(this.storage.applyRefresh(this.getSnapshot(), result));
+    this.commit(SESSION_EVENTS.REFRESH);
+  }
+
+  /**
+   * Replace the signed-in user's profile, e.g. after an email change
+   * @param {Object} user - Updated user
+   * @returns {Promise<void>}
+   */
+  async updateUser(user) {
+    await this.save({ ...this.getSnapshot(), user });
+    this.commit(SESSION_EVENTS.REFRESH);
+  }
+
+  /**
+   * End the session and forget the stored tokens
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const hadSession = !!(this.accessToken || this.refreshToken || this.user);
+
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.user = null;
+    this.expiresAt = null;
+
+    // Strategies wipe their local keys synchronously, so the storage is
+    // already empty when the other tabs re-read it
+    const cleared = this.storage.clear();
+
+    if (hadSession) {
+      this.commit(SESSION_EVENTS.LOGOUT);
+    } else {
+      this.scheduleRefresh();
+    }
+
+    await cleared;
+  }
+
+  /**
+   * Hand a session to the storage strategy and keep what it returns
+   * @param {Object} session - Session to store
+   * @returns {Promise<void>}
+   */
+  async save(session) {
+    const stored = await this.storage.save(session);
+
+    this.accessToken = stored.accessToken;
+    this.refreshToken = stored.refreshToken;
+    this.user = stored.user;
+    this.expiresAt = stored.expiresAt;
+  }
+
+  /**
+   * Reschedule the refresh and tell this tab and the others about a change
+   * @param {string} type - SESSION_EVENTS change
+   */
+  commit(type) {
+    this.version++;
+    this.scheduleRefresh();
+    this.channel?.postMessage({ type });
+    this.notifyListeners({ type, remote: false });
+  }
+
+  /**
+   * Set the function that rotates the tokens
+   * @param {Function} refresher - Returns a promise that settles once the tokens are rotated
+   */
+  setRefresher(refresher) {
+    this.refresher = refresher;
+  }
+
+  /**
+   * Set the function storage strategies use to reach the backend
+   * @param {Function} transport - (endpoint, data) => Promise
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Call the backend on behalf of a storage strategy
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} Response data
+   */
+  request(endpoint, data) {
+    if (!this.transport) {
+      return Promise.reject(new Error('Session transport is not ready'));
+    }
+
+    return this.transport(endpoint, data);
+  }
+
+  /**
+   * Refresh the access token SESSION_REFRESH_LEAD before it expires
+   * Sessions with no known expiry are only refreshed on 401.
+   * @param {number} [delay] - Override the delay (used to retry after a failure)
+   */
+  scheduleRefresh(delay) {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+
+    if (!this.expiresAt || !this.canRefresh()) return;
+
+    const lead = configManager.get('SESSION_REFRESH_LEAD', 60000);
+    const wait = delay ?? Math.max(0, this.expiresAt - lead - Date.now());
+
+    this.refreshTimer = setTimeout(() => this.refreshNow(), wait);
+  }
+
+  /**
+   * Refresh ahead of expiry
+   * A rejected refresh token ends the session (see ApiService.rotateTokens);
+   * anything else is retried after SESSION_REFRESH_RETRY.
+   */
+  async refreshNow() {
+    if (!this.refresher) return;
+
+    const version = this.version;
+    try {
+      await this.refresher();
+    } catch (error) {
+      console.warn('Proactive token refresh failed:', error.message);
+      if (this.hasSession() && this.version === version) {
+        this.scheduleRefresh(configManager.get('SESSION_REFRESH_RETRY', 30000));
+      }
+    }
+  }
+
+  /**
+   * Run the refresh under a cross-tab lock
+   * Tabs whose timers fire together refresh one at a time, so a later tab can
+   * pick up the tokens the first one stored instead of spending the refresh
+   * token again.
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  runExclusive(task) {
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+      return navigator.locks.request(REFRESH_LOCK, task);
+    }
+
+    return task();
+  }
+
+  /**
+   * Listen for session changes (login, token rotation, logout)
+   * @param {Function} listener - Called with { type, remote } after each change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Notify listeners of a session change
+   * @param {Object} change - { type, remote }
+   */
+  notifyListeners(change) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('Error in session listener:', error);
+      }
+    });
+  }
+}
+
+export const authSession = new AuthSession();
@@ -1,53 +1,70 @@
 // src/services/backgroundCheck.js
+import { configManager } from './ConfigManager.js';
+import { isCancelled } from './httpClient.js';
+import {
+  BACKGROUND_CHECK_STATUSES,
+  ApiBackgroundCheckProvider,
+  MockBackgroundCheckProvider
+} from './backgroundCheckProviders.js';
 
 /**
- * Service for handling background checks through a 3rd party provider (placeholder)
+ * Service for handling background checks through a provider adapter
+ * The provider is chosen with the BACKGROUND_CHECK_PROVIDER setting
+ * ('api' for the CASL backend, 'mock' for the local deterministic provider).
  */
 class BackgroundCheckService {
   constructor() {
-    // In a real implementation, you would configure your API keys
-    this.API_URL = 'https://api.checkr.com/v1'; // Example third-party service
-    this.API_KEY = process.env.CHECKR_API_KEY || 'placeholder_key';
+    this.provider = this.createProvider(configManager.get('BACKGROUND_CHECK_PROVIDER', 'api'));
+    
+    // Latest neutral result per check ID (pass/fail only)
+    this.results = new Map();
+    this.listeners = [];
+  }
+  
+  /**
+   * Create a provider adapter by name
+   * @param {string} name - Provider name
+   * @returns {BackgroundCheckProvider} Provider adapter
+   */
+  createProvider(name) {
+    switch (name) {
+      case 'mock':
+        return new MockBackgroundCheckProvider({
+          scenario: configManager.get('BACKGROUND_CHECK_MOCK_SCENARIO', BACKGROUND_CHECK_STATUSES.PASSED),
+          delay: configManager.get('BACKGROUND_CHECK_MOCK_DELAY', 1500)
+        });
+      case 'api':
+      default:
+        return new ApiBackgroundCheckProvider();
+    }
+  }
+  
+  /**
+   * Replace the provider adapter (used by tests and local development)
+   * @param {BackgroundCheckProvider} provider - Provider adapter
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.results.clear();
   }
   
   /**
    * Initiate a background check for a user
-   * This is a placeholder - in a real implementation, you would call your
-   * third-party background check service
-   * 
    * @param {Object} userData - User data for the background check
-   * @returns {Promise<Object>} The background check result
+   * @returns {Promise<Object>} Neutral result ({ checkId, status, outcome, passed })
    */
   async initiateBackgroundCheck(userData) {
     try {
-      console.log('Initiating background check for:', userData.name);
-      
-      // Simulate API call to background check service
-      // In a real implementation, this would be a fetch() or axios call
-      
-      // This is intentionally a placeholder - we only store that a check
-      // was completed and passed/failed, NOT any specific information.
-      const checkData = {
-        userId: userData.caslKeyId,
+      const result = await this.provider.initiate({
+        caslKeyId: userData.caslKeyId,
         name: userData.name,
         email: userData.email,
         phone: userData.phone,
         address: userData.address,
-        // Only include necessary and non-sensitive information
-      };
-      
-      // Simulate a background check response with a delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
+        mockScenario: userData.mockScenario
+      });
       
-      // Return a simulated response
-      // In a real implementation, this would be the parsed API response
-      return {
-        checkId: `check_${Date.now()}`,
-        status: 'complete',
-        passed: true,
-        // Note: We ONLY store pass/fail, not specific details
-        // about criminal records or other sensitive information
-      };
+      return this.recordResult(result);
     } catch (error) {
       console.error('Background check error:', error);
       throw new Error('Error initiating background check. Please try again.');
@@ -57,53 +74,114 @@ class BackgroundCheckService {
   /**
    * Check the status of a background check
    * @param {string} checkId - The ID of the background check
-   * @returns {Promise<Object>} The status check result
+   * @param {Object} [options] - Request options ({ signal, group })
+   * @returns {Promise<Object>} Neutral result
    */
-  async checkStatus(checkId) {
+  async checkStatus(checkId, options = {}) {
     try {
-      console.log('Checking status for background check:', checkId);
-      
-      // Simulate a delay
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      // Return a simulated response
-      return {
-        checkId,
-        status: 'complete',
-        passed: true
-      };
+      const result = await this.provider.pollStatus(checkId, options);
+      return this.recordResult(result);
     } catch (error) {
+      if (isCancelled(error)) throw error;
       console.error('Background check status error:', error);
       throw new Error('Error checking background check status.');
     }
   }
   
+  /**
+   * Ingest a result delivered by a provider webhook (relayed by the backend)
+   * @param {Object} payload - Webhook payload
+   * @returns {Object|null} Neutral result, or null if the payload was ignored
+   */
+  ingestWebhookResult(payload) {
+    const result = this.provider.parseWebhook(payload);
+    if (!result) {
+      console.warn('Ignoring unrecognized background check webhook payload');
+      return null;
+    }
+    
+    return this.recordResult(result);
+  }
+  
+  /**
+   * Store a neutral result and notify listeners when it changed
+   * @param {Object} result - Neutral result
+   * @returns {Object} The stored result
+   */
+  recordResult(result) {
+    const previous = this.results.get(result.checkId);
+    this.results.set(result.checkId, result);
+    
+    if (!previous || previous.outcome !== result.outcome) {
+      this.listeners.forEach(listener => {
+        try {
+          listener(result);
+        } catch (error) {
+          console.error('Error in background check listener:', error);
+        }
+      });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Subscribe to background check result changes
+   * @param {Function} listener - Called with each changed neutral result
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+  
   /**
    * Get background check results as a neutral summary
    * CRITICAL: We NEVER return specific details about criminal records
    * or other sensitive information, only a "meets standards" message.
-   * 
+   *
    * @param {string} checkId - The ID of the background check
    * @returns {Promise<Object>} A neutral summary of results
    */
   async getNeutralSummary(checkId) {
-    try {
-      // Simulate a delay
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Return a neutral summary
-      // This format avoids specific details and personal information
-      return {
-        backgroundCheckPassed: true,
-        summary: "Background check completed successfully.",
-        recommendation: "Meets CASL Key's recommended trust standards."
-      };
-    } catch (error) {
-      console.error('Background check summary error:', error);
-      throw new Error('Error retrieving background check summary.');
+    const result = this.results.get(checkId) || await this.checkStatus(checkId);
+    
+    switch (result.outcome) {
+      case BACKGROUND_CHECK_STATUSES.PASSED:
+        return {
+          backgroundCheckPassed: true,
+          summary: "Background check completed successfully.",
+          recommendation: "Meets CASL Key's recommended trust standards."
+        };
+      case BACKGROUND_CHECK_STATUSES.FAILED:
+        return {
+          backgroundCheckPassed: false,
+          summary: "Background check completed.",
+          recommendation: "Does not currently meet CASL Key's trust standards."
+        };
+      default:
+        // Pending and "consider" look the same from the outside
+        return {
+          backgroundCheckPassed: null,
+          summary: "Background check in progress.",
+          recommendation: "Results will be available once the check is complete."
+        };
     }
   }
   
+  /**
+   * Map a neutral result to the status stored on the verification state
+   * @param {Object} result - Neutral result
+   * @returns {string} 'passed', 'failed' or 'pending'
+   */
+  toVerificationStatus(result) {
+    if (result.passed === true) return 'passed';
+    if (result.passed === false) return 'failed';
+    return 'pending';
+  }
+  
   /**
    * Determine if a user should be prompted for a background check
    * based on their verification information and score
@@ -0,0 +1,222 @@
+// src/services/backgroundCheckProviders.js
+import { apiService } from './api.js';
+
+/**
+ * Neutral background check statuses
+ * Providers must map their own statuses onto these. "consider" means the
+ * provider flagged the report for adjudication; it is never shown to hosts.
+ */
+export const BACKGROUND_CHECK_STATUSES = {
+  PENDING: 'pending',
+  CONSIDER: 'consider',
+  PASSED: 'passed',
+  FAILED: 'failed'
+};
+
+/**
+ * Build a neutral result object
+ * CRITICAL: results only ever carry pass/fail - never report contents.
+ * @param {string} checkId - Check ID
+ * @param {string} status - One of BACKGROUND_CHECK_STATUSES
+ * @returns {Object} Neutral result
+ */
+export function createNeutralResult(checkId, status) {
+  const isFinal = status === BACKGROUND_CHECK_STATUSES.PASSED || status === BACKGROUND_CHECK_STATUSES.FAILED;
+
+  return {
+    checkId,
+    status: isFinal ? 'complete' : status,
+    outcome: status,
+    passed: isFinal ? status === BACKGROUND_CHECK_STATUSES.PASSED : null,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Base class for background check provider adapters
+ * Adapters implement initiate, pollStatus and parseWebhook; everything they
+ * return must be a neutral result built with createNeutralResult.
+ */
+export class BackgroundCheckProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Start a background check
+   * @param {Object} userData - Candidate data (caslKeyId, name, email, phone, address)
+   * @returns {Promise<Object>} Neutral result
+   */
+  async initiate(userData) {
+    throw new Error(`${this.name} provider does not implement initiate()`);
+  }
+
+  /**
+   * Poll the status of a background check
+   * @param {string} checkId - Check ID
+   * @param {Object} [options] - Request options ({ signal, group })
+   * @returns {Promise<Object>} Neutral result
+   */
+  async pollStatus(checkId, options = {}) {
+    throw new Error(`${this.name} provider does not implement pollStatus()`);
+  }
+
+  /**
+   * Convert a provider webhook payload into a neutral result
+   * @param {Object} payload - Webhook payload
+   * @returns {Object|null} Neutral result, or null if the payload is not a result
+   */
+  parseWebhook(payload) {
+    throw new Error(`${this.name} provider does not implement parseWebhook()`);
+  }
+}
+
+/**
+ * Adapter for the CASL backend, which holds the vendor credentials
+ * and relays results. The browser never talks to the vendor directly.
+ */
+export class ApiBackgroundCheckProvider extends BackgroundCheckProvider {
+  constructor() {
+    super('api');
+  }
+
+  async initiate(userData) {
+    const result = await apiService.request('background-check', 'POST', {
+      userId: userData.caslKeyId,
+      name: userData.name,
+      email: userData.email,
+      phone: userData.phone,
+      address: userData.address
+    });
+
+    return createNeutralResult(result.checkId, this.mapStatus(result));
+  }
+
+  async pollStatus(checkId, options = {}) {
+    const result = await apiService.request(
+      `background-check/status?checkId=${encodeURIComponent(checkId)}`,
+      'GET',
+      null,
+      true,
+      true,
+      options
+    );
+
+    return createNeutralResult(checkId, this.mapStatus(result));
+  }
+
+  parseWebhook(payload) {
+    const checkId = payload?.checkId || payload?.data?.object?.id;
+    if (!checkId) return null;
+
+    return createNeutralResult(checkId, this.mapStatus(payload.data?.object || payload));
+  }
+
+  /**
+   * Map a backend/vendor status to a neutral status
+   * @param {Object} result - Backend or vendor result
+   * @returns {string} Neutral status
+   */
+  mapStatus(result) {
+    if (result?.passed === true) return BACKGROUND_CHECK_STATUSES.PASSED;
+    if (result?.passed === false) return BACKGROUND_CHECK_STATUSES.FAILED;
+
+    switch (result?.result || result?.status) {
+      case 'clear':
+      case 'passed':
+        return BACKGROUND_CHECK_STATUSES.PASSED;
+      case 'consider':
+        return BACKGROUND_CHECK_STATUSES.CONSIDER;
+      case 'suspended':
+      case 'failed':
+        return BACKGROUND_CHECK_STATUSES.FAILED;
+      default:
+        return BACKGROUND_CHECK_STATUSES.PENDING;
+    }
+  }
+}
+
+/**
+ * Deterministic local provider for development and tests
+ * The scenario is picked, in order, from userData.mockScenario, an email
+ * sub-address (guest+bg-failed@example.com), or the provider default.
+ * Pending checks stay pending until resolve() or a webhook completes them.
+ */
+export class MockBackgroundCheckProvider extends BackgroundCheckProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.scenario] - Default scenario (pending, consider, passed, failed)
+   * @param {number} [options.delay] - Simulated latency in milliseconds
+   */
+  constructor({ scenario = BACKGROUND_CHECK_STATUSES.PASSED, delay = 0 } = {}) {
+    super('mock');
+    this.defaultScenario = scenario;
+    this.delay = delay;
+    this.checks = new Map();
+    this.counter = 0;
+  }
+
+  async initiate(userData) {
+    await this.wait();
+
+    const checkId = `mock_check_${++this.counter}`;
+    const status = this.pickScenario(userData);
+    this.checks.set(checkId, status);
+
+    return createNeutralResult(checkId, status);
+  }
+
+  async pollStatus(checkId) {
+    await this.wait();
+
+    if (!this.checks.has(checkId)) {
+      throw new Error(`Unknown background check: ${checkId}`);
+    }
+
+    return createNeutralResult(checkId, this.checks.get(checkId));
+  }
+
+  parseWebhook(payload) {
+    if (!payload?.checkId || !Object.values(BACKGROUND_CHECK_STATUSES).includes(payload.status)) {
+      return null;
+    }
+
+    this.checks.set(payload.checkId, payload.status);
+    return createNeutralResult(payload.checkId, payload.status);
+  }
+
+  /**
+   * Move a pending or "consider" check to a new status
+   * @param {string} checkId - Check ID
+   * @param {string} status - New status
+   */
+  resolve(checkId, status) {
+    this.checks.set(checkId, status);
+  }
+
+  /**
+   * Decide the scenario for a check
+   * @param {Object} userData - Candidate data
+   * @returns {string} Neutral status
+   */
+  pickScenario(userData = {}) {
+    const statuses = Object.values(BACKGROUND_CHECK_STATUSES);
+
+    if (statuses.includes(userData.mockScenario)) {
+      return userData.mockScenario;
+    }
+
+    const tag = (userData.email || '').match(/\+bg-([a-z]+)@/);
+    if (tag && statuses.includes(tag[1])) {
+      return tag[1];
+    }
+
+    return this.defaultScenario;
+  }
+
+  wait() {
+    return this.delay > 0
+      ? new Promise(resolve => setTimeout(resolve, this.delay))
+      : Promise.resolve();
+  }
+}
@@ -0,0 +1,242 @@
+// src/services/badgeService.js
+import { configManager } from './ConfigManager.js';
+import { apiService } from './api.js';
+
+/**
+ * Outcomes reported by verifyBadge
+ */
+export const BADGE_STATUSES = {
+  VALID: 'valid',
+  EXPIRED: 'expired',
+  TAMPERED: 'tampered',
+  MALFORMED: 'malformed',
+  UNKNOWN_KEY: 'unknown_key',
+  REVOKED: 'revoked'
+};
+
+const BADGE_ISSUER = 'casl-key';
+
+// WebCrypto parameters for the JWS algorithms we accept
+const JWS_ALGORITHMS = {
+  ES256: {
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-256' }
+  },
+  RS256: {
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    verifyParams: { name: 'RSASSA-PKCS1-v1_5' }
+  }
+};
+
+/**
+ * Decode a base64url string to bytes
+ * @param {string} value - base64url string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Decode a base64url JSON segment
+ * @param {string} segment - base64url encoded JSON
+ * @returns {Object} Parsed JSON
+ */
+function decodeJsonSegment(segment) {
+  const bytes = base64UrlToBytes(segment);
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Service for issuing and verifying signed CASL Key badges
+ * Badges are compact JWS tokens signed by the CASL backend. Anyone holding
+ * a token can verify it against the published key set (JWKS).
+ */
+class BadgeService {
+  constructor() {
+    this.keySet = null;
+    this.keySetFetchedAt = 0;
+  }
+
+  /**
+   * Ask the backend to sign a badge for a submitted verification
+   * The backend builds the claims from the verification it stored, so a
+   * client cannot choose its own trust level or expiry. Only the signed-in
+   * owner of the verification may ask.
+   * @param {string} verificationId - Verification to issue the badge for
+   * @returns {Promise<Object>} { token, claims }
+   */
+  async issueBadge(verificationId) {
+    const result = await apiService.request('badges', 'POST', { verificationId }, false, true);
+
+    return {
+      token: result.token,
+      claims: result.claims || null
+    };
+  }
+
+  /**
+   * Load the published key set
+   * Uses BADGE_JWKS from configuration when present, otherwise fetches
+   * the JWKS endpoint and caches it for BADGE_JWKS_CACHE_SECONDS.
+   * @param {boolean} [forceRefresh] - Ignore the cache
+   * @returns {Promise<Object>} JWKS ({ keys: [...] })
+   */
+  async getKeySet(forceRefresh = false) {
+    const configured = configManager.get('BADGE_JWKS');
+    if (configured) {
+      return typeof configured === 'string' ? JSON.parse(configured) : configured;
+    }
+
+    const maxAge = configManager.get('BADGE_JWKS_CACHE_SECONDS', 3600) * 1000;
+    if (!forceRefresh && this.keySet && Date.now() - this.keySetFetchedAt < maxAge) {
+      return this.keySet;
+    }
+
+    this.keySet = await apiService.request(configManager.get('BADGE_JWKS_PATH', '.well-known/jwks.json'), 'GET', null, false);
+    this.keySetFetchedAt = Date.now();
+
+    return this.keySet;
+  }
+
+  /**
+   * Decode a badge without verifying it
+   * @param {string} token - Compact JWS
+   * @returns {Object|null} { header, claims } or null if malformed
+   */
+  decodeBadge(token) {
+    const parts = (token || '').trim().split('.');
+    if (parts.length !== 3) return null;
+
+    try {
+      const header = decodeJsonSegment(parts[0]);
+      const claims = decodeJsonSegment(parts[1]);
+
+      // Segments such as "null" or "[]" parse but are not a JOSE header or a claim set
+      const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+      return isObject(header) && isObject(claims) ? { header, claims } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Verify a badge token
+   * @param {string} token - Compact JWS
+   * @param {Object} [options] - Verification options
+   * @param {boolean} [options.checkRevocation] - Also ask the backend whether the badge was revoked
+   * @returns {Promise<Object>} { valid, status, claims, expiresAt }
+   */
+  async verifyBadge(token, { checkRevocation = false } = {}) {
+    const decoded = this.decodeBadge(token);
+    if (!decoded) {
+      return { valid: false, status: BADGE_STATUSES.MALFORMED, claims: null, expiresAt: null };
+    }
+
+    const { header, claims } = decoded;
+    const expiresAt = claims.exp ? new Date(claims.exp * 1000).toISOString() : null;
+    const algorithm = JWS_ALGORITHMS[header.alg];
+
+    if (!algorithm || claims.iss !== BADGE_ISSUER) {
+      return { valid: false, status: BADGE_STATUSES.MALFORMED, claims, expiresAt };
+    }
+
+    let jwk = await this.findKey(header.kid);
+    if (!jwk) {
+      // The key may have been rotated since the cache was filled
+      jwk = await this.findKey(header.kid, true);
+    }
+
+    if (!jwk) {
+      return { valid: false, status: BADGE_STATUSES.UNKNOWN_KEY, claims, expiresAt };
+    }
+
+    const signatureValid = await this.verifySignature(token, jwk, algorithm);
+    if (!signatureValid) {
+      return { valid: false, status: BADGE_STATUSES.TAMPERED, claims, expiresAt };
+    }
+
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+      return { valid: false, status: BADGE_STATUSES.EXPIRED, claims, expiresAt };
+    }
+
+    if (checkRevocation && await this.isRevoked(claims)) {
+      return { valid: false, status: BADGE_STATUSES.REVOKED, claims, expiresAt };
+    }
+
+    return { valid: true, status: BADGE_STATUSES.VALID, claims, expiresAt };
+  }
+
+  /**
+   * Ask the backend whether a badge has been revoked
+   * A failed lookup counts as "not revoked" so an outage does not invalidate
+   * every badge; signature and expiry checks still apply.
+   * @param {Object} claims - Badge claims
+   * @returns {Promise<boolean>} Whether the badge is revoked
+   */
+  async isRevoked(claims) {
+    const query = new URLSearchParams({ caslKeyId: claims.caslKeyId });
+    if (claims.jti) query.set('jti', claims.jti);
+
+    try {
+      const result = await apiService.request(`badges/status?${query.toString()}`, 'GET', null, false);
+      return !!result?.revoked;
+    } catch (error) {
+      console.warn('Could not check badge revocation:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Find a key in the published key set
+   * @param {string} kid - Key ID from the token header
+   * @param {boolean} [forceRefresh] - Refetch the key set
+   * @returns {Promise<Object|null>} JWK or null
+   */
+  async findKey(kid, forceRefresh = false) {
+    try {
+      const keySet = await this.getKeySet(forceRefresh);
+      return (keySet?.keys || []).find(key => key.kid === kid) || null;
+    } catch (error) {
+      console.warn('Could not load badge key set:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Verify a JWS signature with WebCrypto
+   * @param {string} token - Compact JWS
+   * @param {Object} jwk - Public key
+   * @param {Object} algorithm - Entry from JWS_ALGORITHMS
+   * @returns {Promise<boolean>} Whether the signature matches
+   */
+  async verifySignature(token, jwk, algorithm) {
+    const [header, payload, signature] = token.trim().split('.');
+
+    try {
+      const key = await crypto.subtle.importKey('jwk', jwk, algorithm.importParams, false, ['verify']);
+      return await crypto.subtle.verify(
+        algorithm.verifyParams,
+        key,
+        base64UrlToBytes(signature),
+        new TextEncoder().encode(`${header}.${payload}`)
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+export const badgeService = new BadgeService();
+
+/**
+ * Verify a CASL Key badge token
+ * @param {string} token - Compact JWS badge
+ * @param {Object} [options] - { checkRevocation }
+ * @returns {Promise<Object>} { valid, status, claims, expiresAt }
+ */
+export const verifyBadge = (token, options) => badgeService.verifyBadge(token, options);
@@ -0,0 +1,88 @@
+// src/services/bookingMatch.js
+import { apiService } from './api.js';
+
+/**
+ * Outcomes of comparing a guest's booking with the host's reservation record
+ * "unverified" means no reservation record was available to compare against.
+ */
+export const BOOKING_MATCH_RESULTS = {
+  MATCH: 'match',
+  PARTIAL: 'partial',
+  MISMATCH: 'mismatch',
+  UNVERIFIED: 'unverified'
+};
+
+/**
+ * Reasons a booking does not fully match
+ * Major reasons make the result a mismatch; minor reasons make it partial.
+ */
+export const BOOKING_MATCH_REASONS = {
+  DIFFERENT_LISTING: {
+    code: 'different_listing',
+    severity: 'major',
+    message: 'The listing does not match the host\'s reservation.'
+  },
+  DATES_DO_NOT_OVERLAP: {
+    code: 'dates_do_not_overlap',
+    severity: 'major',
+    message: 'The stay dates do not overlap the host\'s reservation.'
+  },
+  WRONG_CHECK_IN: {
+    code: 'wrong_check_in',
+    severity: 'minor',
+    message: 'The check-in date differs from the host\'s reservation.'
+  },
+  WRONG_CHECK_OUT: {
+    code: 'wrong_check_out',
+    severity: 'minor',
+    message: 'The check-out date differs from the host\'s reservation.'
+  },
+  DIFFERENT_PLATFORM: {
+    code: 'different_platform',
+    severity: 'minor',
+    message: 'The booking platform differs from the host\'s reservation.'
+  }
+};
+
+/**
+ * Service that checks a guest's booking against the host's reservation record
+ * Hosts upload reservation records to the CASL backend, which compares the
+ * guest's booking with the record for the reservation ID (when the host
+ * shared one) or the listing. Only the verdict comes back; the record itself
+ * stays with the backend, which compares again when the verification is
+ * submitted.
+ */
+class BookingMatchService {
+  /**
+   * Verify a guest's booking against the host reservation record
+   * Failures are reported as "unverified" rather than blocking the guest.
+   * @param {Object} booking - Guest booking ({ platform, listingLink, listingId, checkInDate, checkOutDate })
+   * @param {Object} [options] - { reservationId }
+   * @returns {Promise<Object>} { result, reasons: [{ code, severity, message }], checkedAt }
+   */
+  async verifyBooking(booking, { reservationId = null } = {}) {
+    let verdict = { result: BOOKING_MATCH_RESULTS.UNVERIFIED, reasons: [] };
+
+    try {
+      const result = await apiService.request('reservations/match', 'POST', {
+        booking: { ...booking, reservationId }
+      });
+      verdict = {
+        result: result.result,
+        reasons: result.reasons
+          .map(({ code }) => Object.values(BOOKING_MATCH_REASONS).find(reason => reason.code === code))
+          .filter(Boolean)
+      };
+    } catch (error) {
+      console.warn('Could not match booking with the host reservation:', error.message);
+    }
+
+    return {
+      ...verdict,
+      checkedAt: new Date().toISOString()
+    };
+  }
+}
+
+// Export singleton instance
+export const bookingMatchService = new BookingMatchService();
@@ -14,16 +14,37 @@ export const TRUST_LEVELS = {
   REVIEW: 'review',        // Score 70-84: Additional context needed
   MANUAL_REVIEW: 'manual_review', // Score 50-69: Manual review required
   NOT_ELIGIBLE: 'not_eligible'   // Score below 50: Not eligible at this time
+  // (cut-offs above are the default profile; see DEFAULT_TRUST_THRESHOLDS)
 };
 
-// Score ranges for different trust levels
-export const SCORE_RANGES = {
-  [TRUST_LEVELS.VERIFIED]: '85-100',
-  [TRUST_LEVELS.REVIEW]: '70-84',
-  [TRUST_LEVELS.MANUAL_REVIEW]: '50-69',
-  [TRUST_LEVELS.NOT_ELIGIBLE]: 'Below 50'
+// Minimum score for each trust level (default scoring profile)
+export const DEFAULT_TRUST_THRESHOLDS = {
+  [TRUST_LEVELS.VERIFIED]: 85,
+  [TRUST_LEVELS.REVIEW]: 70,
+  [TRUST_LEVELS.MANUAL_REVIEW]: 50
 };
 
+/**
+ * Build the score range labels for a set of trust thresholds
+ * @param {Object} thresholds - Minimum score per trust level
+ * @returns {Object} Score range label per trust level
+ */
+export function buildScoreRanges(thresholds = DEFAULT_TRUST_THRESHOLDS) {
+  const verified = thresholds[TRUST_LEVELS.VERIFIED];
+  const review = thresholds[TRUST_LEVELS.REVIEW];
+  const manualReview = thresholds[TRUST_LEVELS.MANUAL_REVIEW];
+  
+  return {
+    [TRUST_LEVELS.VERIFIED]: `${verified}-100`,
+    [TRUST_LEVELS.REVIEW]: `${review}-${verified - 1}`,
+    [TRUST_LEVELS.MANUAL_REVIEW]: `${manualReview}-${review - 1}`,
+    [TRUST_LEVELS.NOT_ELIGIBLE]: `Below ${manualReview}`
+  };
+}
+
+// Score ranges for different trust levels (default scoring profile)
+export const SCORE_RANGES = buildScoreRanges(DEFAULT_TRUST_THRESHOLDS);
+
 // Trust level display data (badge color, icon, message)
 export const TRUST_LEVEL_DISPLAY = {
   [TRUST_LEVELS.VERIFIED]: {
@@ -52,6 +73,14 @@ export const TRUST_LEVEL_DISPLAY = {
   }
 };
 
+// Plain-language descriptions of the neutral host summary flags
+export const HOST_FLAG_DESCRIPTIONS = {
+  localBooking: 'The guest lives within 20 miles of the listing.',
+  highGuestCount: 'The booking is for 6 or more guests.',
+  noSTRHistory: 'This is the guest\'s first short-term rental stay.',
+  lastMinuteBooking: 'The booking was made within 48 hours of check-in.'
+};
+
 export const FORM_STEPS = [
   'User Identification',
   'Booking Info',
@@ -122,6 +122,15 @@ class GovernmentIdVerification {
     }
   }
   
+  /**
+   * Apply a status update for a verification that was still processing
+   * @param {Object} result - Status check result
+   */
+  updateStatus(result) {
+    this.verificationResult = result;
+    this.verificationStatus = result.status;
+  }
+  
   /**
    * Render Government ID verification component
    * @param {string} userId - User ID
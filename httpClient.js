@@ -0,0 +1,172 @@
+// src/services/httpClient.js
+import { configManager } from './ConfigManager.js';
+
+/**
+ * Per-endpoint timeout and retry policies
+ * Keys are endpoint prefixes (the longest matching prefix wins). Retries only
+ * apply to idempotent methods; a policy can opt POSTs in with retryUnsafe when
+ * the backend de-duplicates them by X-Request-ID.
+ */
+export const DEFAULT_REQUEST_POLICY = {
+  timeout: 30000,
+  retries: 0,
+  baseDelay: 500,
+  maxDelay: 8000,
+  retryUnsafe: false
+};
+
+export const REQUEST_POLICIES = {
+  // Status polling is cheap and frequent: fail fast, retry a few times
+  'status': { timeout: 10000, retries: 3 },
+  'background-check/status': { timeout: 10000, retries: 3 },
+  'verify-id/status': { timeout: 10000, retries: 3 },
+  'badges/status': { timeout: 10000, retries: 2 },
+  'host-summary': { timeout: 15000, retries: 2 },
+  // Booking match only compares, so it is safe to retry
+  'reservations/match': { timeout: 15000, retries: 2, retryUnsafe: true },
+  'scoring-rules': { timeout: 10000, retries: 2 },
+  'languages': { timeout: 10000, retries: 2 },
+  '.well-known/jwks.json': { timeout: 10000, retries: 2 },
+
+  // Image uploads are large and the ID checks run synchronously on the backend
+  'upload': { timeout: 60000 },
+  'verify-id': { timeout: 90000 },
+  'verify': { timeout: 45000 }
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Statuses worth retrying: timeout, rate limiting and transient gateway errors
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+/**
+ * Resolve the policy for an endpoint
+ * Configured policies (api.requestPolicies / REQUEST_POLICIES) override the defaults.
+ * @param {string} endpoint - API endpoint (may include a query string)
+ * @param {string} method - HTTP method
+ * @returns {Object} Request policy
+ */
+export function getRequestPolicy(endpoint, method = 'GET') {
+  const policies = { ...REQUEST_POLICIES, ...(configManager.getRequestPolicies() || {}) };
+  const path = endpoint.split('?')[0];
+
+  const prefix = Object.keys(policies)
+    .filter(key => path === key || path.startsWith(`${key}/`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  const policy = {
+    ...DEFAULT_REQUEST_POLICY,
+    timeout: configManager.get('REQUEST_TIMEOUT', DEFAULT_REQUEST_POLICY.timeout),
+    ...(prefix ? policies[prefix] : {})
+  };
+
+  // Only retry calls that are safe to repeat
+  if (!IDEMPOTENT_METHODS.includes(method.toUpperCase()) && !policy.retryUnsafe) {
+    policy.retries = 0;
+  }
+
+  return policy;
+}
+
+/**
+ * Check whether a failed attempt may be retried
+ * @param {Error} error - Error from the attempt
+ * @returns {boolean} Whether the error is transient
+ */
+export function isRetryable(error) {
+  if (isCancelled(error)) return false;
+
+  // fetch() rejects with a TypeError when the network is unreachable
+  return error instanceof TypeError || RETRYABLE_STATUSES.includes(error?.status);
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} policy - Request policy
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Create the error thrown when a request is cancelled
+ * @returns {Error} Cancellation error
+ */
+export function createCancelledError() {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Check whether an error is a cancellation
+ * @param {Error} error - Error to check
+ * @returns {boolean} Whether the request was cancelled
+ */
+export function isCancelled(error) {
+  return !!error?.cancelled;
+}
+
+/**
+ * Wait before a retry, giving up early if the request is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create the signal for a single attempt
+ * Aborts when the attempt times out or the parent request is cancelled, so
+ * the underlying fetch (and body read) is actually torn down.
+ * @param {number} timeout - Attempt timeout in milliseconds
+ * @param {AbortSignal} [parentSignal] - Request cancellation signal
+ * @returns {Object} { signal, timedOut(), clear() }
+ */
+export function createAttemptSignal(timeout, parentSignal) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  const onAbort = () => controller.abort();
+  if (parentSignal?.aborted) {
+    controller.abort();
+  } else {
+    parentSignal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    clear: () => {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
@@ -123,6 +123,324 @@ class I18nService {
           'auth.welcomeDescription': 'Verify your identity to get your CASL Key',
           'auth.firstTime': 'First time user',
           'auth.returningUser': 'Returning user',
+          'auth.forgotPassword': 'Forgot your password?',
+          
+          // Passkeys
+          'auth.passkey.signIn': 'Sign in with a passkey',
+          'auth.passkey.cancelled': 'Passkey sign-in was cancelled.',
+          'auth.passkey.error': 'Passkey sign-in failed. Please try again or use your password.',
+          'auth.passkey.title': 'Passkeys',
+          'auth.passkey.description': 'Sign in with your fingerprint, face or device PIN instead of your password.',
+          'auth.passkey.none': 'You have not added a passkey yet.',
+          'auth.passkey.add': 'Add a passkey',
+          'auth.passkey.remove': 'Remove',
+          'auth.passkey.defaultName': 'Passkey',
+          'auth.passkey.lastUsed': 'Last used {date}',
+          'auth.passkey.neverUsed': 'Not used yet',
+          'auth.passkey.confirmRemove': 'Remove this passkey? You will no longer be able to sign in with it.',
+          'auth.passkey.alreadyRegistered': 'This device already has a passkey for your account.',
+          'auth.passkey.loadError': 'Could not load your passkeys.',
+          'auth.passkey.addError': 'Could not add the passkey.',
+          'auth.passkey.removeError': 'Could not remove the passkey.',
+          
+          // Verification history
+          'dashboard.history.search': 'Search',
+          'dashboard.history.searchPlaceholder': 'CASL Key ID or listing',
+          'dashboard.history.sort': 'Sort by',
+          'dashboard.history.sortNewest': 'Newest first',
+          'dashboard.history.sortOldest': 'Oldest first',
+          'dashboard.history.sortHighestScore': 'Highest score',
+          'dashboard.history.sortLowestScore': 'Lowest score',
+          'dashboard.history.sortTrustLevel': 'Trust level',
+          'dashboard.history.platform': 'Platform',
+          'dashboard.history.status': 'Status',
+          'dashboard.history.expiry': 'Expiry',
+          'dashboard.history.all': 'All',
+          'dashboard.history.expiry.active': 'Active',
+          'dashboard.history.expiry.expiring': 'Expiring soon',
+          'dashboard.history.expiry.expired': 'Expired',
+          'dashboard.history.exportCsv': 'Export CSV',
+          'dashboard.history.exportJson': 'Export JSON',
+          'dashboard.history.noMatches': 'No verifications match your search.',
+          'dashboard.history.pages': 'Verification history pages',
+          'dashboard.history.previous': 'Previous',
+          'dashboard.history.next': 'Next',
+          'dashboard.history.pageOf': 'Page {page} of {pageCount} ({total} verifications)',
+          
+          // Renewals
+          'dashboard.renewal.title': 'Renewal reminders',
+          'dashboard.renewal.expiresOn': 'expires {date}',
+          'dashboard.renewal.expiredOn': 'Expired on {date}',
+          'dashboard.renewal.expiringReminder': 'Your verification for CASL Key ID {caslKeyId} expires on {date}. Renew it to keep your badge active.',
+          'dashboard.renewal.expiredReminder': 'Your verification for CASL Key ID {caslKeyId} expired on {date}. Renew it to get a new badge.',
+          'dashboard.renewal.renew': 'Renew',
+          'dashboard.renewal.dismiss': 'Dismiss',
+          'verification.renewal.notice': 'You are renewing the verification for CASL Key ID {caslKeyId}. Your details have been filled in from it; please check them and add your new booking.',
+          'verification.renewal.reused': 'These checks are still valid and will not be repeated:',
+          'verification.renewal.noReusedChecks': 'None of your earlier identity checks are still valid, so they will need to be completed again.',
+          'verification.renewal.validUntil': 'valid until {date}',
+          'verification.renewal.check.government-id': 'Government ID',
+          'verification.renewal.check.phone': 'Phone number',
+          'verification.renewal.check.social': 'Social media profile',
+          'verification.renewal.check.background-check': 'Background check',
+          
+          // Reapply cooldown
+          'cooldown.title': 'You can reapply soon',
+          'cooldown.description': 'Your last verification was not eligible. You can start a new verification once the {days}-day waiting period is over.',
+          'cooldown.remaining': '{first}, {second} left',
+          'cooldown.reapplyOn': 'You can reapply on {date}.',
+          'cooldown.announcement': 'You can start a new verification on {date}.',
+          'cooldown.support.open': 'Contact support / appeal',
+          'cooldown.support.title': 'Contact support',
+          'cooldown.support.description': 'Think this result is wrong, or has something changed? Tell us and the review team will look into it. Details of your last verification are included.',
+          'cooldown.support.email': 'Email for our reply',
+          'cooldown.support.message': 'Your message',
+          'cooldown.support.messageRequired': 'Please tell us what you need help with.',
+          'cooldown.support.send': 'Send',
+          'cooldown.support.sending': 'Sending...',
+          'cooldown.support.cancel': 'Cancel',
+          'cooldown.support.sent': 'Thanks, we received your request (reference {requestId}). The review team will reply by email.',
+          'cooldown.support.error': 'Your request could not be sent. Please try again.',
+          
+          // Appeals
+          'dashboard.appeals.title': 'Your appeals',
+          'dashboard.appeals.item': 'CASL Key ID {caslKeyId}, appealed {date}',
+          'dashboard.appeals.appeal': 'Appeal',
+          'dashboard.appeals.view': 'Appeal: {status}',
+          'dashboard.appeals.track': 'Track',
+          'dashboard.review.infoRequested': 'The review team needs more information to decide this verification. Reply by appealing the result:',
+          'appeal.title': 'Appeal this result',
+          'appeal.description': 'Tell the review team what they got wrong in the verification for CASL Key ID {caslKeyId}. Choose the score factors you disagree with and explain why; documents that back you up help.',
+          'appeal.disputes.legend': 'Score factors you dispute',
+          'appeal.disputes.none': 'No score factors can be disputed for this result. Explain your appeal below.',
+          'appeal.disputes.explanation': 'Why is this wrong?',
+          'appeal.disputes.explanationRequired': 'Please explain why each score factor you chose is wrong.',
+          'appeal.statement': 'Anything else the review team should know (optional)',
+          'appeal.attachments.label': 'Supporting documents',
+          'appeal.attachments.hint': 'Up to {max} images of {size}MB or less, such as a lease or utility bill showing your address.',
+          'appeal.attachments.remove': 'Remove',
+          'appeal.attachments.tooMany': 'You can attach up to {max} documents.',
+          'appeal.signInRequired': 'Sign in to appeal this result, with the account or email address you verified with.',
+          'appeal.required': 'Choose a score factor to dispute or explain your appeal.',
+          'appeal.submit': 'Submit appeal',
+          'appeal.submitting': 'Sending...',
+          'appeal.cancel': 'Cancel',
+          'appeal.close': 'Close',
+          'appeal.refresh': 'Check for updates',
+          'appeal.error': 'Your appeal could not be sent. Please try again.',
+          'appeal.reference': 'Appeal reference: {appealId}',
+          'appeal.history': 'Appeal history',
+          'appeal.revisedScore': 'Your trust score has been revised to {score}.',
+          'appeal.status.submitted': 'Submitted',
+          'appeal.status.in_review': 'In review',
+          'appeal.status.info_requested': 'More information needed',
+          'appeal.status.accepted': 'Accepted',
+          'appeal.status.denied': 'Denied',
+          'appeal.statusDescription.submitted': 'We received your appeal. A reviewer will pick it up shortly.',
+          'appeal.statusDescription.in_review': 'A reviewer is looking at your appeal. This typically takes 24-48 hours.',
+          'appeal.statusDescription.info_requested': 'The reviewer needs more information to decide your appeal. Please answer below.',
+          'appeal.statusDescription.accepted': 'Your appeal was accepted and your result has been updated.',
+          'appeal.statusDescription.denied': 'Your appeal was reviewed and the original result stands.',
+          'appeal.response.message': 'Your answer',
+          'appeal.response.required': 'Please answer the reviewer\'s question.',
+          'appeal.response.send': 'Send answer',
+          
+          // Review console
+          'review.title': 'Manual review',
+          'review.refresh': 'Refresh',
+          'review.loading': 'Loading...',
+          'review.accessDenied': 'Sign in with a reviewer account to review verifications.',
+          'review.score': 'Score {score}',
+          'review.notProvided': 'Not provided',
+          'review.yes': 'Yes',
+          'review.no': 'No',
+          'review.status.pending': 'Pending',
+          'review.status.info_requested': 'Waiting for guest',
+          'review.status.approved': 'Approved',
+          'review.status.rejected': 'Rejected',
+          'review.queue.tab': 'Queue ({count})',
+          'review.queue.title': 'Cases to review',
+          'review.queue.empty': 'No cases are waiting for review.',
+          'review.queue.waiting': 'waiting {time}',
+          'review.queue.overdue': 'overdue',
+          'review.queue.appealed': 'appealed',
+          'review.queue.error': 'The review queue could not be loaded. Please try again.',
+          'review.case.label': 'Selected case',
+          'review.case.none': 'Choose a case from the queue.',
+          'review.case.title': 'CASL Key ID {caslKeyId}',
+          'review.case.summary': 'Score {score} ({trustLevel}), submitted {date}',
+          'review.case.ruleSet': 'Scored with rule set version {version}, {profile} profile',
+          'review.case.appeal': 'The guest has appealed this result (appeal {appealId}, {status}).',
+          'review.case.error': 'This case could not be loaded. Please try again.',
+          'review.form.title': 'What the guest told us',
+          'review.field.name': 'Name',
+          'review.field.email': 'Email',
+          'review.field.phone': 'Phone',
+          'review.field.address': 'Address',
+          'review.field.platform': 'Platform',
+          'review.field.listingLink': 'Listing',
+          'review.field.checkIn': 'Check-in',
+          'review.field.checkOut': 'Check-out',
+          'review.field.purpose': 'Purpose of stay',
+          'review.field.totalGuests': 'Guests',
+          'review.field.childrenUnder12': 'Children under 12',
+          'review.field.nonOvernightGuests': 'Visitors not staying overnight',
+          'review.field.travelingNearHome': 'Traveling near home',
+          'review.field.zipCode': 'Home ZIP code',
+          'review.field.previousExperience': 'Stayed in a short-term rental before',
+          'review.field.previousStayLinks': 'Previous stays',
+          'review.methods.title': 'What the verification found',
+          'review.methods.identity': 'Identity checks',
+          'review.methods.verificationType': 'Verification method',
+          'review.methods.passed': 'Passed',
+          'review.methods.passedOn': 'Passed {date}',
+          'review.methods.notPassed': 'Not passed',
+          'review.methods.bookingMatch': 'Booking match',
+          'review.bookingMatch.match': 'Matches the host\'s reservation.',
+          'review.bookingMatch.partial': 'Partially matches the host\'s reservation.',
+          'review.bookingMatch.mismatch': 'Does not match the host\'s reservation.',
+          'review.bookingMatch.unverified': 'No reservation record was available to compare.',
+          'review.adjustments.title': 'Score adjustments',
+          'review.adjustments.none': 'No score adjustments applied.',
+          'review.decision.legend': 'Decision',
+          'review.decision.approve': 'Approve',
+          'review.decision.reject': 'Reject',
+          'review.decision.request_info': 'Request information',
+          'review.decision.required': 'Choose a decision.',
+          'review.decision.save': 'Record decision',
+          'review.decision.saving': 'Saving...',
+          'review.decision.saved': '{decision} recorded for CASL Key ID {caslKeyId}.',
+          'review.decision.error': 'The decision could not be saved. Please try again.',
+          'review.reason.label': 'Reason',
+          'review.reason.placeholder': 'Select a reason',
+          'review.reason.required': 'Choose a reason for the decision.',
+          'review.reasonCode.identity_confirmed': 'Identity confirmed',
+          'review.reasonCode.booking_confirmed': 'Booking confirmed with the host',
+          'review.reasonCode.flags_explained': 'Flagged details explained',
+          'review.reasonCode.identity_not_confirmed': 'Identity could not be confirmed',
+          'review.reasonCode.booking_not_confirmed': 'Booking could not be confirmed',
+          'review.reasonCode.suspected_fraud': 'Suspected fraud',
+          'review.reasonCode.stay_risk': 'Stay details indicate a risk to the host',
+          'review.reasonCode.proof_of_address': 'Proof of address',
+          'review.reasonCode.booking_confirmation': 'Booking confirmation',
+          'review.reasonCode.government_id': 'Government ID',
+          'review.reasonCode.stay_purpose': 'Purpose of stay',
+          'review.reasonCode.other': 'Other',
+          'review.note.label': 'Note (optional)',
+          'review.note.requiredLabel': 'Note',
+          'review.note.required': 'Add a note for this decision.',
+          'review.note.guestHint': 'The guest sees this note; say what they need to send.',
+          'review.audit.tab': 'Audit log',
+          'review.audit.title': 'Decisions, newest first',
+          'review.audit.caseTitle': 'Decisions on this case',
+          'review.audit.caseEmpty': 'No decisions yet.',
+          'review.audit.empty': 'No decisions have been recorded.',
+          'review.audit.error': 'The audit log could not be loaded. Please try again.',
+          'review.audit.when': 'When',
+          'review.audit.case': 'CASL Key ID',
+          'review.audit.decision': 'Decision',
+          'review.audit.reason': 'Reason',
+          'review.audit.reviewer': 'Reviewer',
+          'review.audit.note': 'Note',
+          
+          // Uploads
+          'errors.invalidImageType': 'This file type is not supported. Please choose an image.',
+          'errors.imageTooLarge': 'Images must be {size}MB or smaller.',
+          
+          // Account settings
+          'account.settings': 'Account settings',
+          'account.title': 'Account Settings',
+          'account.back': 'Back to dashboard',
+          'account.profile': 'Profile',
+          'account.phone': 'Phone',
+          'account.address': 'Address',
+          'account.notSet': 'Not set',
+          'account.verified': 'Verified',
+          'account.change': 'Change',
+          'account.cancel': 'Cancel',
+          'account.saveAddress': 'Save address',
+          'account.addressSaved': 'Your address has been saved.',
+          'account.emailDescription': 'We will send a code to the new address. Your current email stays in use until it is verified.',
+          'account.newEmail': 'New email',
+          'account.sendEmailCode': 'Send code',
+          'account.emailCodeSent': 'Enter the code we sent to {destination}.',
+          'account.verifyEmail': 'Verify email',
+          'account.emailPending': 'Waiting for verification: {email}',
+          'account.emailChanged': 'Your email address has been changed.',
+          'account.phoneChanged': 'Your phone number has been changed.',
+          'account.password': 'Password',
+          'account.changePassword': 'Change password',
+          'account.currentPassword': 'Current password',
+          'account.samePassword': 'The new password must differ from the current one.',
+          'account.passwordChanged': 'Your password has been changed.',
+          'account.deleteTitle': 'Delete account',
+          'account.deleteDescription': 'Deleting your account removes your profile, verification history and CASL Keys.',
+          'account.deleteAccount': 'Delete account',
+          'account.deleteWarning': 'This cannot be undone.',
+          'account.confirmWithPassword': 'Enter your password to confirm',
+          'account.deletePermanently': 'Permanently delete my account',
+          'account.deleted': 'Your account has been deleted.',
+          'account.loadError': 'Could not load your account details.',
+          'account.genericError': 'Something went wrong. Please try again.',
+          
+          // Password reset
+          'auth.reset.title': 'Reset your password',
+          'auth.reset.requestDescription': "Enter your username and we'll send you a code to reset your password.",
+          'auth.reset.sendCode': 'Send code',
+          'auth.reset.sending': 'Sending...',
+          'auth.reset.codeSent': 'If that account exists, we sent it a reset code.',
+          'auth.reset.codeResent': 'A new code is on its way.',
+          'auth.reset.code': 'Reset code',
+          'auth.reset.newPassword': 'New password',
+          'auth.reset.resetPassword': 'Reset password',
+          'auth.reset.resetting': 'Resetting...',
+          'auth.reset.resendCode': 'Send a new code',
+          'auth.reset.resendIn': 'Send a new code in {seconds}s',
+          'auth.reset.backToLogin': 'Back to log in',
+          'auth.reset.newPasswordTitle': 'Set a new password',
+          'auth.reset.newPasswordDescription': 'You need to set a new password before you can continue.',
+          'auth.reset.setPassword': 'Set new password',
+          'auth.reset.saving': 'Saving...',
+          'auth.reset.requirementsNotMet': 'Password does not meet the requirements',
+          'auth.reset.rateLimited': 'Too many attempts. Please wait a while before trying again.',
+          'auth.reset.rateLimitedFor': 'Too many attempts. Please try again in {minutes} minute(s).',
+          'auth.reset.genericError': 'Could not reset your password. Please try again.',
+          'auth.reset.success': 'Your password has been changed. Log in with your new password.',
+          'auth.passwordRule.length': 'At least 8 characters',
+          'auth.passwordRule.uppercase': '1 uppercase letter (A-Z)',
+          'auth.passwordRule.lowercase': '1 lowercase letter (a-z)',
+          'auth.passwordRule.number': '1 number (0-9)',
+          
+          // Multi-factor authentication
+          'auth.mfa.title': 'Two-step verification',
+          'auth.mfa.smsPrompt': 'Enter the 6-digit code we sent to {destination}.',
+          'auth.mfa.smsPromptNoDestination': 'Enter the 6-digit code we sent to your phone.',
+          'auth.mfa.totpPrompt': 'Enter the 6-digit code from your authenticator app.',
+          'auth.mfa.recoveryPrompt': 'Enter one of the recovery codes you saved when you set up two-step verification. Each code works once.',
+          'auth.mfa.code': 'Verification code',
+          'auth.mfa.recoveryCode': 'Recovery code',
+          'auth.mfa.rememberDevice': "Remember this device (don't ask for a code here again)",
+          'auth.mfa.verify': 'Verify',
+          'auth.mfa.verifying': 'Verifying...',
+          'auth.mfa.useRecoveryCode': 'Use a recovery code',
+          'auth.mfa.useCode': 'Use a verification code',
+          'auth.mfa.cancel': 'Cancel',
+          'auth.mfa.retry': 'Try again',
+          'auth.mfa.setupTitle': 'Set up an authenticator app',
+          'auth.mfa.setupScan': 'Scan this QR code with an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password.',
+          'auth.mfa.setupManual': "Can't scan it? Enter this key instead:",
+          'auth.mfa.qrLabel': 'QR code for your authenticator app',
+          'auth.mfa.setupCode': 'Code from the app',
+          'auth.mfa.enable': 'Turn on two-step verification',
+          'auth.mfa.setupError': 'Could not start authenticator setup',
+          'auth.mfa.reauthPrompt': 'You already have an authenticator app. Enter your password to replace it.',
+          'auth.mfa.reauthContinue': 'Continue',
+          'auth.mfa.recoveryTitle': 'Save your recovery codes',
+          'auth.mfa.recoveryWarning': 'Keep these codes somewhere safe. If you lose access to your authenticator app, each code lets you sign in once. They will not be shown again.',
+          'auth.mfa.copyCodes': 'Copy codes',
+          'auth.mfa.savedCodes': "I've saved these codes",
+          'auth.mfa.enabled': 'Two-step verification is on',
+          'auth.mfa.setup': 'Two-step verification',
           
           // Step titles
           'steps.userIdentification': 'User Identification',
@@ -205,6 +523,33 @@ class I18nService {
           'tooltip.noParties': 'Always discuss any gathering plans with your host in advance.',
           'tooltip.understandFlagging': 'CASL Key aims to create a trusted network of verified guests and hosts. Complying with platform standards keeps your verification active.',
           
+          // Host lookup
+          'hostLookup.title': 'Verify a CASL Key Guest',
+          'hostLookup.instructions': 'Paste the guest\'s CASL Key ID or badge token to see their verification summary.',
+          'hostLookup.inputLabel': 'CASL Key ID or badge token',
+          'hostLookup.lookup': 'Look Up',
+          'hostLookup.checking': 'Checking...',
+          'hostLookup.clear': 'Clear',
+          'hostLookup.emptyInput': 'Enter a CASL Key ID or badge token.',
+          'hostLookup.invalidInput': 'That doesn\'t look like a CASL Key ID (e.g. CK7Q2MX) or a badge token.',
+          'hostLookup.notFound': 'No verification was found for this CASL Key ID.',
+          'hostLookup.lookupError': 'We couldn\'t complete the lookup. Please try again.',
+          'hostLookup.unverifiedTitle': 'Badge could not be verified',
+          'hostLookup.unverified': 'This badge was not issued by CASL Key or has been altered. Do not rely on it.',
+          'hostLookup.revokedTitle': 'Badge revoked',
+          'hostLookup.revoked': 'The verification for {caslKeyId} has been revoked and should not be relied on.',
+          'hostLookup.expiredTitle': 'Badge expired',
+          'hostLookup.expired': 'This verification expired on {date}. Ask the guest to renew it before relying on this summary.',
+          'hostLookup.validUntil': 'Verification valid until {date}.',
+          'hostLookup.scoreRange': 'Trust score range:',
+          'hostLookup.flagsTitle': 'Booking flags',
+          'hostLookup.noFlags': 'No booking flags were raised.',
+          'hostLookup.bookingMatch': 'Booking match:',
+          'hostLookup.bookingMatch.match': 'Matches your reservation.',
+          'hostLookup.bookingMatch.partial': 'Partially matches your reservation.',
+          'hostLookup.bookingMatch.mismatch': 'Does not match your reservation.',
+          'hostLookup.bookingMatch.unverified': 'No reservation record was available to compare.',
+          
           // Language selector
           'language.select': 'Select Language',
           'language.current': 'Current: English'
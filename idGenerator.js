@@ -18,3 +18,12 @@ export function generateCASLKeyId() {
   
   return id;
 }
+
+/**
+ * Check whether a string is a well-formed CASL Key ID
+ * @param {string} id - Candidate ID
+ * @returns {boolean} Whether the ID matches the 'CKxxxxx' format
+ */
+export function isValidCASLKeyId(id) {
+  return /^CK[ABCDEFGHJKLMNPQRSTUVWXYZ2-9]{5}$/.test((id || '').trim().toUpperCase());
+}
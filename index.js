@@ -3,7 +3,10 @@ import { CASLApp } from './CASLApp.js';
 import { Authentication } from './Authentication.js';
 import { UserDashboard } from './UserDashboard.js';
 import { userService } from './userService.js';
+import { authSession } from './authSession.js';
 import { CASLVerification } from './CASLVerification.js';
+import { HostLookup } from './HostLookup.js';
+import { ReviewConsole } from './ReviewConsole.js';
 
 // 🚨 CRITICAL: Make userService globally accessible for dashboard components
 window.userService = userService;
@@ -85,13 +88,10 @@ window.addEventListener('unhandledrejection', (event) => {
   event.preventDefault(); // Prevent default browser error handling
 });
 
-// 🚨 ADDITIONAL: Global auth helper function as backup
+// Global auth helper for page scripts; the token comes from the same session the API transport uses
 window.getAuthHeaders = function() {
-  if (window.userService && window.userService.getAuthHeaders) {
-    return window.userService.getAuthHeaders();
-  }
-  
-  // Fallback: direct token access
-  const token = localStorage.getItem('casl_access_token');
-  return token ? { 'Authorization': `Bearer ${token}` } : {};
-};
\ No newline at end of file
+  return authSession.getAuthHeaders();
+};
+
+// Public badge verification API (exposed as CASL.verifyBadge by the UMD bundle)
+export { verifyBadge } from './badgeService.js';
@@ -0,0 +1,248 @@
+// src/utils/listingLinks.js
+
+/**
+ * Link intelligence for supported booking platforms
+ * Recognizes listing and profile URLs for Airbnb, Vrbo and Booking.com,
+ * including mobile, short-link and localized domains, and extracts
+ * canonical IDs ("airbnb:12345") used for dedupe and booking matching.
+ */
+
+export const LINK_PLATFORMS = {
+  AIRBNB: 'airbnb',
+  VRBO: 'vrbo',
+  BOOKING: 'booking'
+};
+
+export const LINK_TYPES = {
+  LISTING: 'listing',
+  PROFILE: 'profile',
+  // Short links redirect to a listing or profile we cannot resolve offline
+  SHORT: 'short',
+  // Named pages (airbnb.com/h/<name>) show a listing without its numeric ID
+  VANITY: 'vanity'
+};
+
+// Names used by the BookingInfo platform select
+const PLATFORM_LABELS = {
+  [LINK_PLATFORMS.AIRBNB]: 'Airbnb',
+  [LINK_PLATFORMS.VRBO]: 'Vrbo',
+  [LINK_PLATFORMS.BOOKING]: 'Booking.com'
+};
+
+/**
+ * Host and path patterns for each platform
+ * Hosts are matched after stripping "www." and "m." prefixes.
+ */
+const PLATFORM_PATTERNS = [
+  {
+    platform: LINK_PLATFORMS.AIRBNB,
+    // airbnb.com, airbnb.co.uk, airbnb.com.au, fr.airbnb.ca, ...
+    hosts: /^(?:[a-z]{2}\.)?airbnb\.(?:[a-z]{2,3}|com?\.[a-z]{2})$/,
+    shortHosts: /^(?:abnb\.me|airbnb\.app\.link)$/,
+    listing: [
+      /^\/rooms\/(?:plus\/)?(\d+)/,
+      /^\/luxury\/listing\/(\d+)/
+    ],
+    vanity: [
+      /^\/h\/([a-z0-9-]+)/
+    ],
+    profile: [
+      /^\/users\/(?:show|profile)\/(\d+)/,
+      /^\/users\/(\d+)/
+    ],
+    short: [
+      /^\/slink\/([a-z0-9]+)/
+    ]
+  },
+  {
+    platform: LINK_PLATFORMS.VRBO,
+    // vrbo.com plus the localized HomeAway/Vrbo family of domains
+    hosts: /^(?:vrbo\.com|homeaway\.(?:com|co\.uk|com\.au|es|de)|fewo-direkt\.de|abritel\.fr|stayz\.com\.au|bookabach\.co\.nz)$/,
+    shortHosts: /^(?:vrbo\.io|vrbo\.app\.link)$/,
+    listing: [
+      // /1234567, /1234567ha, /en-gb/p1234567, /ferienwohnung-ferienhaus/p1234567
+      /^\/(?:[a-z]{2}-[a-z]{2}\/)?(?:[a-z-]+\/)?p?(\d{5,})(?:ha|vb|a)?(?:\/|$)/
+    ],
+    vanity: [],
+    profile: [
+      /^\/(?:[a-z]{2}-[a-z]{2}\/)?traveler\/profile\/([a-z0-9-]+)/
+    ],
+    short: []
+  },
+  {
+    platform: LINK_PLATFORMS.BOOKING,
+    hosts: /^(?:[a-z]{2}\.)?booking\.com$/,
+    shortHosts: /^(?:book\.ing|booking\.page\.link)$/,
+    listing: [
+      // /hotel/us/sunny-loft.html, /hotel/us/sunny-loft.en-gb.html
+      /^\/hotel\/([a-z]{2}\/[a-z0-9-]+?)(?:\.[a-z]{2}(?:-[a-z]{2})?)?\.html/
+    ],
+    vanity: [],
+    profile: [],
+    short: [
+      /^\/share-([a-z0-9]+)/
+    ]
+  }
+];
+
+/**
+ * Parse a URL, adding https:// when the scheme was left off
+ * @param {string} value - Raw link
+ * @returns {URL|null} Parsed URL or null
+ */
+function toUrl(value) {
+  const link = (value || '').trim();
+  if (!link) return null;
+
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(link) ? link : `https://${link}`);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Match a path against a list of patterns
+ * @param {Array<RegExp>} patterns - Path patterns
+ * @param {string} path - Lowercased path
+ * @returns {string|null} First captured ID or null
+ */
+function matchPath(patterns, path) {
+  for (const pattern of patterns) {
+    const match = path.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Recognize a platform listing or profile link
+ * @param {string} link - URL pasted by the guest
+ * @returns {Object|null} { platform, type, id, canonicalId } or null if not a recognized platform link
+ */
+export function parsePlatformLink(link) {
+  const url = toUrl(link);
+  if (!url) return null;
+
+  const host = url.hostname.toLowerCase().replace(/^(?:www|m)\./, '');
+  const path = url.pathname.toLowerCase();
+
+  for (const pattern of PLATFORM_PATTERNS) {
+    if (pattern.shortHosts.test(host)) {
+      const code = path.replace(/^\/+|\/+$/g, '');
+      return code ? buildResult(pattern.platform, LINK_TYPES.SHORT, code) : null;
+    }
+
+    if (!pattern.hosts.test(host)) continue;
+
+    const listingId = matchPath(pattern.listing, path);
+    if (listingId) return buildResult(pattern.platform, LINK_TYPES.LISTING, listingId);
+
+    const vanityName = matchPath(pattern.vanity, path);
+    if (vanityName) return buildResult(pattern.platform, LINK_TYPES.VANITY, vanityName);
+
+    const profileId = matchPath(pattern.profile, path);
+    if (profileId) return buildResult(pattern.platform, LINK_TYPES.PROFILE, profileId);
+
+    const shortCode = matchPath(pattern.short, path);
+    if (shortCode) return buildResult(pattern.platform, LINK_TYPES.SHORT, shortCode);
+
+    // Platform domain, but not a page we recognize (search results, help pages, ...)
+    return buildResult(pattern.platform, null, null);
+  }
+
+  return null;
+}
+
+/**
+ * Build a parse result
+ * @param {string} platform - Platform key
+ * @param {string|null} type - Link type
+ * @param {string|null} id - Platform ID
+ * @returns {Object} Parse result
+ */
+function buildResult(platform, type, id) {
+  return {
+    platform,
+    type,
+    id,
+    // Short-link codes and page names are not listing/profile IDs, so they are not canonical
+    canonicalId: id && type !== LINK_TYPES.SHORT && type !== LINK_TYPES.VANITY ? `${platform}:${id}` : null
+  };
+}
+
+/**
+ * Get the platform key for a BookingInfo platform name
+ * @param {string} platformName - e.g. 'Airbnb', 'Vrbo', 'Booking.com'
+ * @returns {string|null} Platform key or null for "Other"
+ */
+export function getPlatformKey(platformName) {
+  const entry = Object.entries(PLATFORM_LABELS)
+    .find(([, label]) => label.toLowerCase() === (platformName || '').toLowerCase());
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Check a link pasted into a listing or profile field
+ * @param {string} link - URL pasted by the guest
+ * @param {Object} expected - { type: LINK_TYPES.LISTING|PROFILE, platform?: platform key }
+ * @returns {string} Error message, or '' when the link is acceptable
+ */
+export function checkPlatformLink(link, { type, platform = null }) {
+  const parsed = parsePlatformLink(link);
+  const label = PLATFORM_LABELS[platform] || 'platform';
+  const wanted = type === LINK_TYPES.PROFILE ? 'profile' : 'listing';
+
+  if (!parsed) {
+    // Links for unsupported platforms are accepted as-is
+    return platform ? `Please enter a ${wanted} link from ${label}` : '';
+  }
+
+  if (platform && parsed.platform !== platform) {
+    return `This link is from ${PLATFORM_LABELS[parsed.platform]}. Please enter a ${wanted} link from ${label}`;
+  }
+
+  if (parsed.type === LINK_TYPES.SHORT) {
+    return '';
+  }
+
+  // The same listing's /rooms/ link has the ID booking matching needs
+  if (parsed.type === LINK_TYPES.VANITY) {
+    return type === LINK_TYPES.LISTING
+      ? `Please paste the ${PLATFORM_LABELS[parsed.platform]} link with the listing number (e.g. airbnb.com/rooms/12345678), not the listing's named page`
+      : 'This looks like a listing link. Please paste the link to your profile';
+  }
+
+  if (type === LINK_TYPES.LISTING && parsed.type === LINK_TYPES.PROFILE) {
+    return 'This looks like a profile link. Please paste the link to the listing you booked';
+  }
+
+  if (type === LINK_TYPES.PROFILE && parsed.type === LINK_TYPES.LISTING) {
+    return 'This looks like a listing link. Please paste the link to your profile';
+  }
+
+  if (parsed.type !== type) {
+    return `This ${PLATFORM_LABELS[parsed.platform]} link is not a ${wanted} page`;
+  }
+
+  return '';
+}
+
+/**
+ * Extract normalized listing/profile IDs from the form's link fields
+ * @param {Object} formData - Form data
+ * @returns {Object} { listingId, airbnbProfileId, vrboProfileId } (null when not recognized)
+ */
+export function getNormalizedLinkIds(formData) {
+  const canonical = (link, type) => {
+    const parsed = parsePlatformLink(link);
+    return parsed?.type === type ? parsed.canonicalId : null;
+  };
+
+  return {
+    listingId: canonical(formData?.listingLink, LINK_TYPES.LISTING),
+    airbnbProfileId: canonical(formData?.airbnbProfile, LINK_TYPES.PROFILE),
+    vrboProfileId: canonical(formData?.vrboProfile, LINK_TYPES.PROFILE)
+  };
+}
@@ -0,0 +1,2536 @@
+// mock-server.js
+// Local mock of the CASL Key backend for offline development and testing.
+//
+//   npm run mock                      # http://localhost:4010, "default" scenario
+//   npm run mock -- --scenario=slow --port=4010 --processing-ms=4000
+//   npm run mock -- --token-ttl=90    # short-lived access tokens to exercise refresh
+//
+// Point the app at it with the page's config (window.CASL_CONFIG.api.baseUrl or a
+// casl-config-api_base_url meta tag), or, on a page with debug mode on
+// (<meta name="casl-config-debug_mode" content="true">), from the console:
+//   localStorage.setItem('casl_config', JSON.stringify({ API_BASE_URL: 'http://localhost:4010' }))
+// A scenario can also be chosen per base URL: http://localhost:4010/scenarios/new-password
+//
+// Seeded accounts: demo / Password123! (email demo@example.com), and reviewer / Password123!
+// for the manual-review endpoints. Phone, registration, email change, password reset and MFA
+// codes are always 123456; authenticator apps enrolled against the mock also work. Passkeys go through a real WebAuthn ceremony for relying party "localhost" (--rp-id to
+// change it); attestation statements are not checked. State lives in memory and resets on restart.
+
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Scenarios change how the mock answers. Anything not set behaves like "default".
+ */
+const SCENARIOS = {
+  default: {},
+  // user-check finds an existing, verified guest
+  'existing-user': { existingUser: true },
+  // login answers with the Cognito NEW_PASSWORD_REQUIRED challenge
+  'new-password': { loginChallenge: 'NEW_PASSWORD_REQUIRED' },
+  // login asks for a second factor (remembered devices skip it)
+  'mfa-sms': { mfaChallenge: 'SMS_MFA' },
+  'mfa-totp': { mfaChallenge: 'SOFTWARE_TOKEN_MFA' },
+  // login requires enrolling an authenticator app first
+  'mfa-setup': { mfaChallenge: 'MFA_SETUP' },
+  // only one password reset code per window, so resends hit the rate limit
+  'reset-rate-limited': { resetAttempts: 1 },
+  // screenshot goes to manual review; government ID keeps processing before finishing
+  'manual-review': { screenshotStatus: 'MANUAL_REVIEW', idProcessing: true, backgroundCheck: 'consider' },
+  // every verification method fails
+  rejected: { screenshotStatus: 'REJECTED', idStatus: 'failed', phoneVerified: false, socialStatus: 'failed', backgroundCheck: 'failed' },
+  // demo's verification history holds 45 past verifications, some expired or expiring
+  'long-history': { historySize: 45 },
+  // verification history holds one verification expiring in 12 days (with some identity
+  // checks still reusable) and one that has expired
+  'renewal-due': { renewalHistory: true },
+  // demo@example.com was not eligible 20 days ago and is still in the reapply cooldown
+  cooldown: { notEligibleDaysAgo: 20 },
+  // verification history holds a manual-review result that can be appealed; appeals are
+  // accepted once reviewed
+  'appeal-accepted': { manualReviewHistory: true, appealOutcome: 'accepted' },
+  // as above, but the reviewer asks for more information before deciding
+  'appeal-info-requested': { manualReviewHistory: true, appealOutcome: 'info_requested' },
+  // the manual-review queue holds the demo user's manual-review verification and
+  // three other guests', one of them overdue; decisions show up in the demo user's history
+  'review-queue': { manualReviewHistory: true, reviewQueue: true },
+  // payments are declined
+  'payment-failed': { paymentStatus: 'failed' },
+  // every response is delayed (within the client timeouts)
+  slow: { delay: 4000 },
+  // responses outlast the client timeouts
+  timeout: { delay: 120000 },
+  // every other request fails with 503 (exercises client retries)
+  flaky: { failEvery: 2, failStatus: 503 },
+  // every request fails with 500
+  failing: { failEvery: 1, failStatus: 500 }
+};
+
+const PHONE_CODE = '123456';
+const CONFIRMATION_CODE = '123456';
+const MFA_CODE = '123456';
+const RESET_CODE = '123456';
+const EMAIL_CODE = '123456';
+// Cognito-style limit on reset codes and wrong-code guesses per user
+const RESET_ATTEMPTS = 5;
+const RESET_WINDOW_MS = 15 * 60 * 1000;
+const MFA_SMS_DESTINATION = '+*******1234';
+const REAPPLY_COOLDOWN_DAYS = 90;
+// Appeal attachments, as in ConfigManager's APPEAL_MAX_ATTACHMENTS / MAX_SCREENSHOT_SIZE
+const APPEAL_MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+// Reviewer decisions, as in reviewService's REVIEW_REASON_CODES, and the case status each leads to
+const REVIEW_REASON_CODES = {
+  approve: ['identity_confirmed', 'booking_confirmed', 'flags_explained', 'other'],
+  reject: ['identity_not_confirmed', 'booking_not_confirmed', 'suspected_fraud', 'stay_risk', 'other'],
+  request_info: ['proof_of_address', 'booking_confirmation', 'government_id', 'stay_purpose', 'other']
+};
+const REVIEW_OUTCOMES = { approve: 'approved', reject: 'rejected', request_info: 'info_requested' };
+// Trust level a verification takes once its case is decided, and what becomes of an appeal of it
+const REVIEW_TRUST_LEVELS = { approve: 'verified', reject: 'not_eligible' };
+const REVIEW_APPEAL_STATUSES = { approve: 'accepted', reject: 'denied', request_info: 'info_requested' };
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const BADGE_ISSUER = 'casl-key';
+// Trust-level thresholds of the built-in scoring profiles, as in scoringProfiles.js
+const SCORING_PROFILE_THRESHOLDS = {
+  standard: { verified: 85, review: 70, manual_review: 50 },
+  strict: { verified: 90, review: 78, manual_review: 60 },
+  'party-prone': { verified: 88, review: 75, manual_review: 55 }
+};
+
+const PACKAGES = [
+  {
+    id: 'single',
+    name: 'Single Verification',
+    description: 'One CASL Key verification',
+    price: 9.99,
+    currency: 'USD',
+    verificationCount: 1,
+    features: ['One verification', 'Badge valid for 12 months']
+  },
+  {
+    id: 'traveler',
+    name: 'Frequent Traveler',
+    description: 'Five CASL Key verifications',
+    price: 39.99,
+    currency: 'USD',
+    verificationCount: 5,
+    features: ['Five verifications', 'Badge valid for 12 months', 'Priority review']
+  }
+];
+
+const LANGUAGES = [
+  { code: 'en', name: 'English', direction: 'ltr' },
+  { code: 'es', name: 'Español', direction: 'ltr' },
+  { code: 'fr', name: 'Français', direction: 'ltr' },
+  { code: 'ar', name: 'العربية', direction: 'rtl' }
+];
+
+/**
+ * Parse --name=value command line options
+ * @param {Array<string>} argv - Process arguments
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  return argv.reduce((options, arg) => {
+    const match = arg.match(/^--([a-z-]+)=(.*)$/);
+    if (match) options[match[1]] = match[2];
+    return options;
+  }, {});
+}
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = parseInt(args.port || process.env.MOCK_PORT || '4010', 10);
+const DEFAULT_SCENARIO = args.scenario || process.env.MOCK_SCENARIO || 'default';
+const PROCESSING_MS = parseInt(args['processing-ms'] || '4000', 10);
+const TOKEN_TTL_SECONDS = parseInt(args['token-ttl'] || '3600', 10);
+const WEBAUTHN_RP_ID = args['rp-id'] || 'localhost';
+const WEBAUTHN_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Cookie names match ConfigManager's AUTH_COOKIE_NAME / REFRESH_TOKEN_COOKIE_NAME
+const AUTH_COOKIE = 'casl_auth_token';
+const REFRESH_COOKIE = 'casl_refresh_token';
+
+if (!SCENARIOS[DEFAULT_SCENARIO]) {
+  console.error(`Unknown scenario "${DEFAULT_SCENARIO}". Available: ${Object.keys(SCENARIOS).join(', ')}`);
+  process.exit(1);
+}
+
+// Badge signing key, published at .well-known/jwks.json
+const badgeKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const badgeJwk = {
+  ...badgeKeys.publicKey.export({ format: 'jwk' }),
+  kid: 'mock-badge-key',
+  alg: 'ES256',
+  use: 'sig'
+};
+
+/**
+ * In-memory backend state
+ */
+const db = {
+  users: new Map([
+    ['demo', { username: 'demo', email: 'demo@example.com', password: 'Password123!', confirmed: true }],
+    ['reviewer', { username: 'reviewer', email: 'reviewer@example.com', password: 'Password123!', confirmed: true, role: 'reviewer' }]
+  ]),
+  sessions: new Map(),
+  // username -> timestamps of recent reset codes and wrong guesses
+  passwordResets: new Map(),
+  challenges: new Map(),
+  // base64url challenge -> { type, username, session, expiresAt }
+  webauthnChallenges: new Map(),
+  screenshots: new Map(),
+  governmentIds: new Map(),
+  phoneVerifications: new Map(),
+  backgroundChecks: new Map(),
+  verifications: [],
+  supportRequests: [],
+  appeals: [],
+  // Audit trail of reviewer decisions, oldest first
+  reviewDecisions: [],
+  badges: new Map(),
+  paymentIntents: new Map(),
+  reservations: [
+    {
+      reservationId: 'RES-1001',
+      platform: 'Airbnb',
+      listingLink: 'https://www.airbnb.com/rooms/12345678',
+      checkInDate: '2030-06-01',
+      checkOutDate: '2030-06-05'
+    }
+  ],
+  requestCount: 0
+};
+
+/**
+ * Create a random ID with a prefix
+ * @param {string} prefix - ID prefix
+ * @returns {string} ID
+ */
+function createId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Create a session and return its tokens
+ * @param {Object} user - User record
+ * @returns {Object} { accessToken, refreshToken, user }
+ */
+function createSession(user) {
+  // Unsigned JWT so the app can read exp and refresh ahead of expiry
+  const expiresAt = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS;
+  const accessToken = [
+    base64url(JSON.stringify({ alg: 'none', typ: 'JWT' })),
+    base64url(JSON.stringify({ sub: user.username, exp: expiresAt, jti: crypto.randomBytes(8).toString('hex') })),
+    ''
+  ].join('.');
+  const refreshToken = `mock-refresh-${crypto.randomBytes(12).toString('hex')}`;
+  db.sessions.set(accessToken, { username: user.username, refreshToken, expiresAt });
+
+  return {
+    success: true,
+    accessToken,
+    refreshToken,
+    expiresIn: TOKEN_TTL_SECONDS,
+    user: { username: user.username, email: user.email }
+  };
+}
+
+/**
+ * Answer a successful sign-in with a new session
+ * Clients using the HttpOnly-cookie token storage send X-Token-Delivery: cookie;
+ * their tokens are set as cookies and left out of the body.
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} user - User record
+ * @param {Object} [extra] - More response fields
+ * @returns {Object} Response body, or { status, headers, body } for cookie delivery
+ */
+function sessionResponse(req, user, extra = {}) {
+  const session = createSession(user);
+  if (req.headers['x-token-delivery'] !== 'cookie') return { ...session, ...extra };
+
+  const { accessToken, refreshToken, ...body } = session;
+  return { status: 200, headers: authCookieHeaders(session), body: { ...body, ...extra } };
+}
+
+/**
+ * Read a cookie from the request
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function getCookie(req, name) {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+
+  return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+}
+
+/**
+ * Build the Set-Cookie headers for the HttpOnly token storage
+ * @param {Object|null} tokens - { accessToken, refreshToken }, or null to clear
+ * @returns {Object} Response headers
+ */
+function authCookieHeaders(tokens) {
+  // The widget is embedded on other sites, so its requests to the API are
+  // cross-site; only SameSite=None cookies are sent with them (and need Secure,
+  // which browsers accept on http://localhost)
+  const attributes = 'Path=/; HttpOnly; Secure; SameSite=None';
+  const cookie = (name, value, maxAge) => `${name}=${encodeURIComponent(value)}; Max-Age=${maxAge}; ${attributes}`;
+
+  return {
+    'Set-Cookie': tokens
+      ? [
+        cookie(AUTH_COOKIE, tokens.accessToken, TOKEN_TTL_SECONDS),
+        cookie(REFRESH_COOKIE, tokens.refreshToken, 30 * 24 * 60 * 60)
+      ]
+      : [cookie(AUTH_COOKIE, '', 0), cookie(REFRESH_COOKIE, '', 0)]
+  };
+}
+
+/**
+ * Get the access token from the bearer header or the HttpOnly cookie
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string} Access token ('' when absent)
+ */
+function getAccessToken(req) {
+  return (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || getCookie(req, AUTH_COOKIE) || '';
+}
+
+/**
+ * Exchange a refresh token for a new session
+ * @param {string} refreshToken - Refresh token
+ * @returns {Object|null} New session tokens, or null if the refresh token is unknown
+ */
+function rotateSession(refreshToken) {
+  const entry = [...db.sessions.entries()].find(([, session]) => session.refreshToken === refreshToken);
+  if (!entry) return null;
+
+  db.sessions.delete(entry[0]);
+  return createSession(db.users.get(entry[1].username));
+}
+
+/**
+ * RFC 6238 time-based one-time password
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - 30-second time step
+ * @returns {string} Six-digit code
+ */
+function totp(secret, counter) {
+  const bits = secret.split('').map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+/**
+ * Check a second-factor code: MFA_CODE, or the current TOTP (one step either side)
+ * @param {string} code - Submitted code
+ * @param {string|null} secret - Base32 TOTP secret
+ * @returns {boolean} Whether the code is accepted
+ */
+function verifyMfaCode(code, secret) {
+  if (code === MFA_CODE) return true;
+  if (!secret) return false;
+
+  const step = Math.floor(Date.now() / 30000);
+  return [step - 1, step, step + 1].some(counter => totp(secret, counter) === code);
+}
+
+/**
+ * Second-factor challenge the user must answer at login, if any
+ * @param {Object} user - User record
+ * @param {Object} scenario - Active scenario
+ * @returns {string|null} Challenge name
+ */
+function getMfaChallenge(user, scenario) {
+  if (user.totpSecret) return 'SOFTWARE_TOKEN_MFA';
+  return scenario.mfaChallenge || null;
+}
+
+/**
+ * Check a password against the user pool policy (validation.js PASSWORD_REQUIREMENTS)
+ * @param {string} password - Password
+ * @returns {boolean} Whether the password conforms
+ */
+function isPasswordValid(password) {
+  return typeof password === 'string' &&
+    password.length >= 8 && /[A-Z]/.test(password) && /[a-z]/.test(password) && /\d/.test(password);
+}
+
+/**
+ * Count a password reset attempt, unless the user is over the limit
+ * @param {string} username - Username
+ * @param {Object} scenario - Active scenario
+ * @returns {Object|null} 429 response when rate limited, otherwise null
+ */
+function limitPasswordReset(username, scenario) {
+  const now = Date.now();
+  const attempts = (db.passwordResets.get(username) || []).filter(time => now - time < RESET_WINDOW_MS);
+  const limit = scenario.resetAttempts ?? RESET_ATTEMPTS;
+
+  if (attempts.length >= limit) {
+    const retryAfter = Math.ceil((attempts[0] + RESET_WINDOW_MS - now) / 1000);
+    return {
+      status: 429,
+      headers: { 'Retry-After': String(retryAfter) },
+      body: { code: 'LimitExceededException', message: 'Attempt limit exceeded, please try after some time.', retryAfter }
+    };
+  }
+
+  db.passwordResets.set(username, [...attempts, now]);
+  return null;
+}
+
+/**
+ * Start a sign-in challenge session
+ * @param {Object} user - User record
+ * @param {string} challenge - Challenge the session answers
+ * @returns {string} Session
+ */
+function createChallengeSession(user, challenge) {
+  const session = createId('session');
+  db.challenges.set(session, { username: user.username, challenge });
+  return session;
+}
+
+/**
+ * Find the user a challenge session was started for
+ * @param {string} session - Session from the login response
+ * @param {Array<string>} challenges - Challenges the caller answers
+ * @returns {Object|null} User record, if the session answers one of them
+ */
+function getChallengeUser(session, challenges) {
+  const entry = db.challenges.get(session);
+  if (!entry || !challenges.includes(entry.challenge)) return null;
+  return db.users.get(entry.username) || null;
+}
+
+/**
+ * Find the user for the request's bearer token
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object|null} User record
+ */
+function getSessionUser(req) {
+  const session = db.sessions.get(getAccessToken(req));
+  if (!session || session.expiresAt * 1000 <= Date.now()) return null;
+  return db.users.get(session.username);
+}
+
+/**
+ * Check whether work started at record.startedAt has finished (after PROCESSING_MS)
+ * @param {Object} record - { startedAt }
+ * @returns {boolean} Whether processing has finished
+ */
+function isDone(record) {
+  return Date.now() - record.startedAt >= PROCESSING_MS;
+}
+
+/**
+ * Base64url encode a buffer or string
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} base64url string
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Base32 encode a buffer (RFC 4648, no padding), as used for TOTP secrets
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32(buffer) {
+  const bits = [...buffer].map(byte => byte.toString(2).padStart(8, '0')).join('');
+  return bits.match(/.{1,5}/g).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+/**
+ * Decode one CBOR item (the subset WebAuthn uses: integers, byte and text strings, arrays, maps, simple values)
+ * @param {Buffer} buffer - CBOR data
+ * @param {number} [offset] - Where the item starts
+ * @returns {Object} { value, offset } with offset just past the item
+ */
+function decodeCbor(buffer, offset = 0) {
+  const initial = buffer[offset++];
+  const major = initial >> 5;
+  let length = initial & 0x1f;
+
+  if (length === 24) {
+    length = buffer.readUInt8(offset);
+    offset += 1;
+  } else if (length === 25) {
+    length = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (length === 26) {
+    length = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (length > 26) {
+    throw new Error('Unsupported CBOR item');
+  }
+
+  switch (major) {
+    case 0: return { value: length, offset };
+    case 1: return { value: -1 - length, offset };
+    case 2: return { value: buffer.subarray(offset, offset + length), offset: offset + length };
+    case 3: return { value: buffer.toString('utf8', offset, offset + length), offset: offset + length };
+    case 4:
+    case 5: {
+      const items = [];
+      for (let i = 0; i < length * (major === 5 ? 2 : 1); i++) {
+        const item = decodeCbor(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      if (major === 4) return { value: items, offset };
+
+      const map = new Map();
+      for (let i = 0; i < items.length; i += 2) map.set(items[i], items[i + 1]);
+      return { value: map, offset };
+    }
+    case 7: return { value: { 20: false, 21: true, 22: null }[length], offset };
+    default: throw new Error('Unsupported CBOR item');
+  }
+}
+
+/**
+ * Parse WebAuthn authenticator data
+ * @param {Buffer} authData - Authenticator data
+ * @returns {Object} { rpIdHash, userPresent, userVerified, signCount, credentialId?, publicKey? }
+ */
+function parseAuthenticatorData(authData) {
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: Boolean(flags & 0x01),
+    userVerified: Boolean(flags & 0x04),
+    signCount: authData.readUInt32BE(33)
+  };
+
+  // Attested credential data: AAGUID (16), ID length (2), ID, COSE public key
+  if (flags & 0x40) {
+    const idLength = authData.readUInt16BE(53);
+    parsed.credentialId = authData.subarray(55, 55 + idLength);
+    parsed.publicKey = coseToKey(decodeCbor(authData, 55 + idLength).value);
+  }
+
+  return parsed;
+}
+
+/**
+ * Convert a COSE public key (ES256 or RS256) to a KeyObject
+ * @param {Map} cose - Decoded COSE key
+ * @returns {crypto.KeyObject} Public key
+ */
+function coseToKey(cose) {
+  const jwk = cose.get(1) === 2
+    ? { kty: 'EC', crv: 'P-256', x: base64url(cose.get(-2)), y: base64url(cose.get(-3)) }
+    : { kty: 'RSA', n: base64url(cose.get(-1)), e: base64url(cose.get(-2)) };
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Check clientDataJSON against a pending challenge, consuming the challenge
+ * @param {string} clientDataJSON - base64url clientDataJSON
+ * @param {string} type - Expected ceremony type (webauthn.create or webauthn.get)
+ * @returns {Object|null} The pending challenge, or null when the response does not match one
+ */
+function consumeWebAuthnChallenge(clientDataJSON, type) {
+  let clientData;
+  try {
+    clientData = JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  const pending = db.webauthnChallenges.get(clientData.challenge);
+  db.webauthnChallenges.delete(clientData.challenge);
+
+  const originHost = (() => {
+    try { return new URL(clientData.origin).hostname; } catch (error) { return null; }
+  })();
+  const originMatches = originHost === WEBAUTHN_RP_ID || originHost?.endsWith(`.${WEBAUTHN_RP_ID}`);
+
+  if (!pending || pending.type !== type || pending.expiresAt <= Date.now() ||
+      clientData.type !== type || !originMatches) {
+    return null;
+  }
+
+  return pending;
+}
+
+/**
+ * Issue a WebAuthn challenge
+ * @param {Object} details - { type, username?, session? }
+ * @returns {string} base64url challenge
+ */
+function createWebAuthnChallenge(details) {
+  const challenge = base64url(crypto.randomBytes(32));
+  db.webauthnChallenges.set(challenge, { ...details, expiresAt: Date.now() + WEBAUTHN_TIMEOUT_MS });
+  return challenge;
+}
+
+/**
+ * Public view of a user's account profile
+ * @param {Object} user - User record
+ * @returns {Object} Profile
+ */
+function toProfileJson(user) {
+  return {
+    username: user.username,
+    email: user.email,
+    emailVerified: Boolean(user.confirmed),
+    pendingEmail: user.pendingEmail || null,
+    phoneNumber: user.phoneNumber || null,
+    phoneVerified: Boolean(user.phoneNumber),
+    address: user.address || null
+  };
+}
+
+/**
+ * Public view of a stored passkey
+ * @param {Object} passkey - Stored passkey
+ * @returns {Object} { id, name, createdAt, lastUsedAt }
+ */
+function toPasskeyJson({ id, name, createdAt, lastUsedAt }) {
+  return { id, name, createdAt, lastUsedAt };
+}
+
+/**
+ * Sign badge claims as an ES256 JWS
+ * @param {Object} claims - Badge claims
+ * @returns {string} Token
+ */
+function signBadge(claims) {
+  const header = base64url(JSON.stringify({ alg: 'ES256', typ: 'JWT', kid: badgeJwk.kid }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), {
+    key: badgeKeys.privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return `${header}.${payload}.${base64url(signature)}`;
+}
+
+/**
+ * Sign a badge for a stored verification and remember it for revocation checks
+ * @param {Object} verification - Verification record
+ * @returns {Object} { token, claims }
+ */
+function issueBadge(verification) {
+  const stayDetails = verification.stayDetails || {};
+  const iat = Math.floor(Date.now() / 1000);
+
+  const claims = {
+    iss: BADGE_ISSUER,
+    sub: verification.caslKeyId,
+    jti: createId('badge'),
+    caslKeyId: verification.caslKeyId,
+    trustLevel: verification.trustLevel,
+    scoreRange: buildScoreRanges(verification.scoringProfile)[verification.trustLevel] || null,
+    flags: {
+      localBooking: Boolean(stayDetails.travelingNearHome),
+      highGuestCount: Number(stayDetails.totalGuests) > 5,
+      noSTRHistory: !stayDetails.previousExperience,
+      lastMinuteBooking: verification.lastMinuteBooking ?? isLastMinuteBooking(verification)
+    },
+    bookingMatch: verification.methods?.bookingMatch?.result || 'unverified',
+    bookingMatchReasons: (verification.methods?.bookingMatch?.reasons || []).map(reason => reason.code),
+    iat,
+    exp: Math.floor(new Date(verification.expiresAt).getTime() / 1000)
+  };
+  db.badges.set(claims.jti, { claims, revoked: false });
+
+  return { token: signBadge(claims), claims };
+}
+
+/**
+ * Score range shown to hosts per trust level, as in constants.js's buildScoreRanges
+ * @param {string} [profileId] - Scoring profile the verification was scored under
+ * @returns {Object} Score range label per trust level
+ */
+function buildScoreRanges(profileId) {
+  const thresholds = SCORING_PROFILE_THRESHOLDS[profileId] || SCORING_PROFILE_THRESHOLDS.standard;
+
+  return {
+    verified: `${thresholds.verified}-100`,
+    review: `${thresholds.review}-${thresholds.verified - 1}`,
+    manual_review: `${thresholds.manual_review}-${thresholds.review - 1}`,
+    not_eligible: `Below ${thresholds.manual_review}`
+  };
+}
+
+/**
+ * Whether the stay starts within two days of the verification
+ * Measured from when the verification was made, so badges issued later agree.
+ * @param {Object} verification - Verification record
+ * @returns {boolean} Whether it is a last-minute booking
+ */
+function isLastMinuteBooking(verification) {
+  const checkIn = new Date(verification.booking?.checkInDate).getTime();
+  return checkIn - new Date(verification.verificationDate).getTime() <= 2 * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Current status messages for the status channel, by topic: (id, req) => data
+ */
+const statusTopics = {
+  screenshot: id => {
+    const record = db.screenshots.get(id);
+    return record && screenshotStatus(record);
+  },
+  'government-id': id => {
+    const record = db.governmentIds.get(id);
+    return record && governmentIdStatus(record);
+  },
+  'background-check': id => {
+    const record = db.backgroundChecks.get(id);
+    return record && backgroundCheckStatus(record);
+  },
+  appeal: (id, req) => {
+    const appeal = findAppeal(req, id);
+    return appeal && appealView(appeal);
+  }
+};
+
+/**
+ * Screenshot status, as returned by GET status
+ * @param {Object} record - Screenshot record
+ * @returns {Object} { status, verificationDetails }
+ */
+function screenshotStatus(record) {
+  if (!isDone(record)) return { status: 'PROCESSING' };
+
+  return {
+    status: record.finalStatus,
+    verificationDetails: record.finalStatus === 'VERIFIED'
+      ? { platform: 'airbnb', reviewCount: 12, rating: 4.9, accountAge: '3 years' }
+      : null
+  };
+}
+
+/**
+ * Government ID status, as returned by POST verify-id and GET verify-id/status
+ * @param {Object} record - Government ID record
+ * @returns {Object} { status }
+ */
+function governmentIdStatus(record) {
+  return { status: isDone(record) ? record.finalStatus : 'processing' };
+}
+
+/**
+ * Background check status, as returned by the background-check routes
+ * @param {Object} record - Background check record
+ * @returns {Object} { checkId, status }
+ */
+function backgroundCheckStatus(record) {
+  if (!isDone(record)) return { checkId: record.checkId, status: 'pending' };
+  return { checkId: record.checkId, status: record.finalStatus };
+}
+
+/**
+ * Route table: "METHOD path" -> handler({ req, body, query, params, scenario })
+ * Handlers return { status?, body } or a plain body for 200.
+ */
+const routes = {
+  // --- Configuration --------------------------------------------------------
+
+  'GET casl-config': () => ({
+    auth: {
+      region: 'us-east-2',
+      userPoolId: 'us-east-2_mock',
+      userPoolWebClientId: 'mock-client-id'
+    }
+  }),
+
+  'GET languages': () => ({ languages: LANGUAGES }),
+
+  // Not published by the mock; the app falls back to its bundled rule set
+  'GET scoring-rules': () => ({ status: 404, body: { message: 'No remote scoring rules' } }),
+
+  // --- Authentication -------------------------------------------------------
+
+  'POST register': ({ body }) => {
+    if (!body.username || !body.email || !body.password) {
+      return { status: 400, body: { message: 'Username, email and password are required' } };
+    }
+    if (db.users.has(body.username)) {
+      return { status: 400, body: { message: 'User already exists' } };
+    }
+
+    db.users.set(body.username, { username: body.username, email: body.email, password: body.password, confirmed: false });
+    return { success: true, requiresConfirmation: true };
+  },
+
+  'POST confirm-registration': ({ body }) => {
+    const user = db.users.get(body.username);
+    if (!user) return { status: 404, body: { message: 'User not found' } };
+    if (body.code !== CONFIRMATION_CODE) return { status: 400, body: { message: 'Invalid verification code provided, please try again.' } };
+
+    user.confirmed = true;
+    return { success: true };
+  },
+
+  'POST login': ({ req, body, scenario }) => {
+    const user = db.users.get(body.username);
+    if (!user || user.password !== body.password) {
+      return { status: 401, body: { message: 'Incorrect username or password.' } };
+    }
+    if (!user.confirmed) {
+      return { status: 400, body: { message: 'User is not confirmed.' } };
+    }
+
+    if (scenario.loginChallenge && !user.passwordChanged) {
+      return {
+        challenge: scenario.loginChallenge,
+        session: createChallengeSession(user, scenario.loginChallenge),
+        username: user.username,
+        message: 'You must set a new password'
+      };
+    }
+
+    const mfaChallenge = getMfaChallenge(user, scenario);
+    const rememberedDevice = body.deviceKey && user.devices?.has(body.deviceKey);
+    if (mfaChallenge && !(rememberedDevice && mfaChallenge !== 'MFA_SETUP')) {
+      return {
+        challenge: mfaChallenge,
+        session: createChallengeSession(user, mfaChallenge),
+        username: user.username,
+        ...(mfaChallenge === 'SMS_MFA' ? { destination: MFA_SMS_DESTINATION } : {})
+      };
+    }
+
+    return sessionResponse(req, user);
+  },
+
+  'POST mfa/respond': ({ req, body }) => {
+    const user = getChallengeUser(body.session, ['SMS_MFA', 'SOFTWARE_TOKEN_MFA']);
+    if (!user || user.username !== body.username) {
+      return { status: 400, body: { success: false, error: 'Invalid session for the user, session is expired.' } };
+    }
+
+    // The challenge the login issued decides which code is checked, never the client's body.challenge
+    const { challenge } = db.challenges.get(body.session);
+
+    if (body.recoveryCode) {
+      if (!user.recoveryCodes?.includes(body.recoveryCode)) {
+        return { status: 400, body: { success: false, error: 'Invalid recovery code' } };
+      }
+      user.recoveryCodes = user.recoveryCodes.filter(code => code !== body.recoveryCode);
+    } else if (!verifyMfaCode(body.code, challenge === 'SOFTWARE_TOKEN_MFA' ? user.totpSecret : null)) {
+      return { status: 400, body: { success: false, error: 'Invalid code received for user' } };
+    }
+
+    db.challenges.delete(body.session);
+
+    if (!body.rememberDevice) return sessionResponse(req, user);
+
+    const deviceKey = createId('device');
+    user.devices = user.devices || new Set();
+    user.devices.add(deviceKey);
+
+    return sessionResponse(req, user, { deviceKey });
+  },
+
+  // A session only enrols while answering MFA_SETUP; replacing an existing
+  // authenticator needs the signed-in user's password
+  'POST mfa/totp/setup': ({ req, body }) => {
+    const user = body.session ? getChallengeUser(body.session, ['MFA_SETUP']) : getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+    if (user.totpSecret && (body.session || body.password !== user.password)) {
+      return { status: 400, body: { code: 'reauthentication_required', message: 'Enter your password to replace your authenticator' } };
+    }
+
+    user.pendingTotpSecret = base32(crypto.randomBytes(20));
+
+    return { secretCode: user.pendingTotpSecret, session: body.session };
+  },
+
+  'POST mfa/totp/verify': ({ req, body }) => {
+    const user = body.session ? getChallengeUser(body.session, ['MFA_SETUP']) : getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+    if (!user.pendingTotpSecret) {
+      return { status: 400, body: { message: 'Start authenticator setup first' } };
+    }
+    if (!verifyMfaCode(body.code, user.pendingTotpSecret)) {
+      return { status: 400, body: { message: 'Invalid code received for user' } };
+    }
+
+    user.totpSecret = user.pendingTotpSecret;
+    delete user.pendingTotpSecret;
+    user.recoveryCodes = Array.from({ length: 8 }, () => (
+      crypto.randomBytes(4).toString('hex').replace(/(.{4})/, '$1-')
+    ));
+
+    if (!body.session) {
+      return { success: true, recoveryCodes: user.recoveryCodes };
+    }
+
+    db.challenges.delete(body.session);
+    return sessionResponse(req, user, { recoveryCodes: user.recoveryCodes });
+  },
+
+  'POST set-new-password': ({ req, body }) => {
+    const user = getChallengeUser(body.session, ['NEW_PASSWORD_REQUIRED']);
+    if (!user || user.username !== body.username) {
+      return { status: 400, body: { success: false, error: 'Invalid session for the user, session is expired.' } };
+    }
+    if (!isPasswordValid(body.newPassword)) {
+      return { status: 400, body: { success: false, error: 'Password does not conform to policy' } };
+    }
+
+    user.password = body.newPassword;
+    user.passwordChanged = true;
+    db.challenges.delete(body.session);
+
+    return sessionResponse(req, user);
+  },
+
+  'POST forgot-password': ({ body, scenario }) => {
+    if (!body.username) return { status: 400, body: { message: 'Username is required' } };
+
+    const limited = limitPasswordReset(body.username, scenario);
+    if (limited) return limited;
+
+    // Known and unknown users get the same answer, without saying where the code
+    // went, so the form does not reveal which accounts exist or their emails
+    return { success: true, deliveryMedium: 'EMAIL' };
+  },
+
+  'POST confirm-forgot-password': ({ body, scenario }) => {
+    const user = db.users.get(body.username);
+    if (!user || body.code !== RESET_CODE) {
+      return limitPasswordReset(body.username, scenario) ||
+        { status: 400, body: { code: 'CodeMismatchException', message: 'Invalid verification code provided, please try again.' } };
+    }
+    if (!isPasswordValid(body.newPassword)) {
+      return { status: 400, body: { code: 'InvalidPasswordException', message: 'Password does not conform to policy' } };
+    }
+
+    user.password = body.newPassword;
+    user.passwordChanged = true;
+    db.passwordResets.delete(user.username);
+
+    // Cognito signs the user out everywhere after a reset
+    [...db.sessions.entries()]
+      .filter(([, session]) => session.username === user.username)
+      .forEach(([token]) => db.sessions.delete(token));
+
+    return { success: true };
+  },
+
+  'POST validate-token': ({ req }) => (
+    getSessionUser(req) ? { valid: true } : { status: 401, body: { message: 'Invalid token' } }
+  ),
+
+  'POST refresh-token': ({ body }) => {
+    const session = rotateSession(body.refreshToken);
+    if (!session) return { status: 401, body: { message: 'Invalid refresh token' } };
+
+    const { accessToken, refreshToken, expiresIn } = session;
+    return { accessToken, refreshToken, expiresIn };
+  },
+
+  'POST logout': ({ req }) => {
+    db.sessions.delete(getAccessToken(req));
+    return { status: 200, headers: authCookieHeaders(null), body: { success: true } };
+  },
+
+  // Account settings
+
+  'GET account': ({ req }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+
+    return { profile: toProfileJson(user) };
+  },
+
+  'PUT account': ({ req, body }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+    if (typeof body.address === 'string' && body.address.trim().length > 200) {
+      return { status: 400, body: { message: 'Address must be less than 200 characters' } };
+    }
+
+    if (typeof body.address === 'string') user.address = body.address.trim();
+    return { profile: toProfileJson(user) };
+  },
+
+  'POST account/email': ({ req, body }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email || '')) {
+      return { status: 400, body: { message: 'Please enter a valid email address' } };
+    }
+    if (body.email === user.email) {
+      return { status: 400, body: { message: 'This is already your email address' } };
+    }
+
+    // The current email stays in use until the new one is verified
+    user.pendingEmail = body.email;
+
+    const [name, domain] = body.email.split('@');
+    return { destination: `${name[0]}***@${domain}` };
+  },
+
+  'POST account/email/verify': ({ req, body }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+    if (!user.pendingEmail) return { status: 400, body: { message: 'No email change in progress' } };
+    if (body.code !== EMAIL_CODE) {
+      return { status: 400, body: { code: 'CodeMismatchException', message: 'Invalid verification code provided, please try again.' } };
+    }
+
+    user.email = user.pendingEmail;
+    user.confirmed = true;
+    delete user.pendingEmail;
+
+    return { profile: toProfileJson(user) };
+  },
+
+  'PUT account/phone': ({ req, body }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+
+    const verification = db.phoneVerifications.get(body.verificationId);
+    if (!verification?.verified || verification.phoneNumber !== body.phoneNumber) {
+      return { status: 400, body: { message: 'Verify the phone number first' } };
+    }
+
+    user.phoneNumber = body.phoneNumber;
+    db.phoneVerifications.delete(body.verificationId);
+
+    return { profile: toProfileJson(user) };
+  },
+
+  'POST change-password': ({ req, body }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+    if (body.currentPassword !== user.password) {
+      return { status: 400, body: { code: 'NotAuthorizedException', message: 'Incorrect password' } };
+    }
+    if (!isPasswordValid(body.newPassword)) {
+      return { status: 400, body: { code: 'InvalidPasswordException', message: 'Password does not conform to policy' } };
+    }
+
+    user.password = body.newPassword;
+    user.passwordChanged = true;
+
+    return { success: true };
+  },
+
+  'DELETE account': ({ req, body }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+    if (body.password !== user.password) {
+      return { status: 400, body: { code: 'NotAuthorizedException', message: 'Incorrect password' } };
+    }
+
+    db.users.delete(user.username);
+    [...db.sessions.entries()]
+      .filter(([, session]) => session.username === user.username)
+      .forEach(([token]) => db.sessions.delete(token));
+
+    return { success: true };
+  },
+
+  // Passkeys (WebAuthn)
+
+  'POST passkeys/register/options': ({ req }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+
+    user.webauthnId = user.webauthnId || base64url(crypto.randomBytes(16));
+
+    return {
+      challenge: createWebAuthnChallenge({ type: 'webauthn.create', username: user.username }),
+      rp: { name: 'CASL Key', id: WEBAUTHN_RP_ID },
+      user: { id: user.webauthnId, name: user.username, displayName: user.email || user.username },
+      pubKeyCredParams: [{ type: 'public-key', alg: -7 }, { type: 'public-key', alg: -257 }],
+      timeout: WEBAUTHN_TIMEOUT_MS,
+      excludeCredentials: (user.passkeys || []).map(({ id, transports }) => ({ id, type: 'public-key', transports })),
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'required' },
+      attestation: 'none'
+    };
+  },
+
+  'POST passkeys/register/verify': ({ req, body }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+
+    const { response } = body.credential || {};
+    const pending = response && consumeWebAuthnChallenge(response.clientDataJSON, 'webauthn.create');
+    if (!pending || pending.username !== user.username) {
+      return { status: 400, body: { message: 'Passkey registration expired or does not match. Please try again.' } };
+    }
+
+    let authData;
+    try {
+      authData = parseAuthenticatorData(decodeCbor(Buffer.from(response.attestationObject, 'base64url')).value.get('authData'));
+    } catch (error) {
+      return { status: 400, body: { message: 'Invalid attestation object' } };
+    }
+
+    const expectedRpIdHash = crypto.createHash('sha256').update(WEBAUTHN_RP_ID).digest();
+    if (!authData.rpIdHash.equals(expectedRpIdHash) || !authData.userPresent || !authData.userVerified || !authData.publicKey) {
+      return { status: 400, body: { message: 'Invalid authenticator data' } };
+    }
+
+    const id = base64url(authData.credentialId);
+    if ([...db.users.values()].some(other => other.passkeys?.some(passkey => passkey.id === id))) {
+      return { status: 400, body: { message: 'This passkey is already registered' } };
+    }
+
+    user.passkeys = user.passkeys || [];
+    const passkey = {
+      id,
+      name: body.name || `Passkey ${user.passkeys.length + 1}`,
+      publicKey: authData.publicKey,
+      signCount: authData.signCount,
+      transports: response.transports || [],
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    user.passkeys.push(passkey);
+
+    return { passkey: toPasskeyJson(passkey) };
+  },
+
+  'POST passkeys/authenticate/options': ({ body }) => {
+    const session = createId('session');
+    // Unknown usernames get an empty list rather than an error, like forgot-password
+    const user = body.username ? db.users.get(body.username) : null;
+
+    return {
+      session,
+      challenge: createWebAuthnChallenge({ type: 'webauthn.get', username: body.username, session }),
+      rpId: WEBAUTHN_RP_ID,
+      timeout: WEBAUTHN_TIMEOUT_MS,
+      // Passkeys stand in for password and second factor, so the biometric or PIN is not optional
+      userVerification: 'required',
+      allowCredentials: (user?.passkeys || []).map(({ id, transports }) => ({ id, type: 'public-key', transports }))
+    };
+  },
+
+  'POST passkeys/authenticate/verify': ({ req, body }) => {
+    const failed = { status: 400, body: { success: false, error: 'Passkey sign-in failed' } };
+    const { response, id } = body.credential || {};
+
+    const pending = response && consumeWebAuthnChallenge(response.clientDataJSON, 'webauthn.get');
+    if (!pending || pending.session !== body.session) return failed;
+
+    const user = [...db.users.values()].find(candidate => candidate.passkeys?.some(passkey => passkey.id === id));
+    if (!user || (pending.username && pending.username !== user.username)) return failed;
+    if (response.userHandle && response.userHandle !== user.webauthnId) return failed;
+
+    const passkey = user.passkeys.find(candidate => candidate.id === id);
+    const authData = Buffer.from(response.authenticatorData, 'base64url');
+    const clientDataHash = crypto.createHash('sha256').update(Buffer.from(response.clientDataJSON, 'base64url')).digest();
+    const signed = Buffer.concat([authData, clientDataHash]);
+    if (!crypto.verify('sha256', signed, passkey.publicKey, Buffer.from(response.signature, 'base64url'))) {
+      return failed;
+    }
+
+    const parsed = parseAuthenticatorData(authData);
+    const expectedRpIdHash = crypto.createHash('sha256').update(WEBAUTHN_RP_ID).digest();
+    if (!parsed.rpIdHash.equals(expectedRpIdHash) || !parsed.userPresent || !parsed.userVerified) return failed;
+
+    // A counter that does not move forward suggests a cloned authenticator
+    // (authenticators that do not count always report 0)
+    if ((parsed.signCount || passkey.signCount) && parsed.signCount <= passkey.signCount) return failed;
+
+    passkey.signCount = parsed.signCount;
+    passkey.lastUsedAt = new Date().toISOString();
+
+    // A passkey is possession plus biometrics or PIN, so no second factor is asked for
+    return sessionResponse(req, user);
+  },
+
+  'GET passkeys': ({ req }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+
+    return { passkeys: (user.passkeys || []).map(toPasskeyJson) };
+  },
+
+  'DELETE passkeys/:id': ({ req, params }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Not authenticated' } };
+    if (!user.passkeys?.some(passkey => passkey.id === params.id)) {
+      return { status: 404, body: { message: 'Passkey not found' } };
+    }
+
+    user.passkeys = user.passkeys.filter(passkey => passkey.id !== params.id);
+    return { success: true };
+  },
+
+  // HttpOnly-cookie token storage (the cookies are first set by the sign-in responses)
+
+  'POST auth/refresh': ({ req }) => {
+    const session = rotateSession(getCookie(req, REFRESH_COOKIE));
+    if (!session) {
+      return { status: 401, headers: authCookieHeaders(null), body: { message: 'Invalid refresh token' } };
+    }
+
+    return { status: 200, headers: authCookieHeaders(session), body: { success: true, expiresIn: session.expiresIn } };
+  },
+
+  'POST auth/clear-cookie': () => ({ status: 200, headers: authCookieHeaders(null), body: { success: true } }),
+
+  // --- Verification ---------------------------------------------------------
+
+  'POST user-check': ({ req, body, scenario }) => {
+    const email = normalizeEmail(body.email);
+    const previous = email && allVerifications(scenario).find(verification => normalizeEmail(verificationEmail(verification)) === email);
+
+    if (scenario.existingUser || previous) {
+      return {
+        found: true,
+        reapplyAfter: reapplyAfter({ user: getSessionUser(req), email: body.email, caslKeyId: previous?.caslKeyId }, scenario),
+        userData: {
+          caslKeyId: previous?.caslKeyId || 'CK7Q2MX',
+          isVerified: true,
+          platformData: { platform: 'airbnb', reviewCount: 12 },
+          idVerificationData: null
+        }
+      };
+    }
+
+    return { found: false };
+  },
+
+  'POST upload': ({ body, scenario }) => {
+    if (!body.userId || !body.imageData) {
+      return { status: 400, body: { message: 'userId and imageData are required' } };
+    }
+
+    db.screenshots.set(body.userId, {
+      startedAt: Date.now(),
+      finalStatus: scenario.screenshotStatus || 'VERIFIED'
+    });
+    return { success: true, userId: body.userId, status: 'PROCESSING' };
+  },
+
+  'GET status': ({ query }) => {
+    const record = db.screenshots.get(query.userId);
+    return record ? screenshotStatus(record) : { status: 'NOT_SUBMITTED' };
+  },
+
+  'POST verify-id': ({ body, scenario }) => {
+    if (!body.userId) return { status: 400, body: { message: 'userId is required' } };
+
+    const record = {
+      startedAt: scenario.idProcessing ? Date.now() : 0,
+      finalStatus: scenario.idStatus || 'verified'
+    };
+    db.governmentIds.set(body.userId, record);
+    return governmentIdStatus(record);
+  },
+
+  'GET verify-id/status': ({ query }) => {
+    const record = db.governmentIds.get(query.userId);
+    return record ? governmentIdStatus(record) : { status: 404, body: { message: 'No ID verification for user' } };
+  },
+
+  'POST verify-phone/request': ({ body }) => {
+    if (!body.phoneNumber) return { status: 400, body: { message: 'phoneNumber is required' } };
+
+    const verificationId = createId('phone');
+    db.phoneVerifications.set(verificationId, { phoneNumber: body.phoneNumber, userId: body.userId });
+    return { success: true, verificationId, expiresIn: 120 };
+  },
+
+  'POST verify-phone/verify': ({ body, scenario }) => {
+    if (!db.phoneVerifications.has(body.verificationId)) {
+      return { status: 404, body: { message: 'Verification not found or expired' } };
+    }
+
+    const verified = scenario.phoneVerified !== false && body.code === PHONE_CODE;
+    db.phoneVerifications.get(body.verificationId).verified = verified;
+    return { verified, message: verified ? 'Phone verified' : 'Invalid code' };
+  },
+
+  'POST verify-social': ({ body, scenario }) => ({
+    status: scenario.socialStatus || 'verified',
+    platform: body.platform,
+    profileUrl: body.profileUrl
+  }),
+
+  'POST background-check': ({ scenario }) => {
+    const checkId = createId('bgc');
+    const record = { checkId, startedAt: Date.now(), finalStatus: scenario.backgroundCheck || 'passed' };
+    db.backgroundChecks.set(checkId, record);
+    return backgroundCheckStatus(record);
+  },
+
+  'GET background-check/status': ({ query }) => {
+    const record = db.backgroundChecks.get(query.checkId);
+    return record ? backgroundCheckStatus(record) : { status: 404, body: { message: 'Unknown background check' } };
+  },
+
+  'POST verify': ({ req, body, scenario }) => {
+    if (!body.caslKeyId || !body.verification) {
+      return { status: 400, body: { message: 'caslKeyId and verification are required' } };
+    }
+
+    const cooldownEnd = reapplyAfter({ user: getSessionUser(req), email: body.user?.email, caslKeyId: body.caslKeyId }, scenario);
+    if (cooldownEnd) {
+      return {
+        status: 409,
+        body: { message: 'You may reapply once the waiting period is over', code: 'reapply_cooldown', reapplyAfter: cooldownEnd }
+      };
+    }
+
+    const verification = {
+      verificationId: createId('ver'),
+      caslKeyId: body.caslKeyId,
+      username: getSessionUser(req)?.username || null,
+      email: body.user?.email || null,
+      trustLevel: body.verification.trustLevel,
+      score: body.verification.score,
+      renewalOf: body.verification.renewalOf || null,
+      user: body.user || null,
+      booking: body.booking || null,
+      stayDetails: body.stayDetails || null,
+      identityChecks: body.verification.identityChecks || [],
+      adjustments: body.verification.adjustments || [],
+      // What the verification methods found, for the review team
+      methods: {
+        verificationType: body.verification.verificationType || null,
+        idVerificationStatus: Boolean(body.verification.idVerificationStatus),
+        phoneVerificationStatus: Boolean(body.verification.phoneVerificationStatus),
+        socialVerificationStatus: Boolean(body.verification.socialVerificationStatus),
+        backgroundCheckStatus: body.verification.backgroundCheckStatus || null,
+        bookingMatch: matchBooking(body.booking || {})
+      },
+      ruleSetVersion: body.verification.ruleSetVersion || null,
+      scoringProfile: body.verification.scoringProfile || null,
+      // Dated by the server, never by the client, as is everything derived from it
+      verificationDate: new Date().toISOString()
+    };
+    verification.expiresAt = expiryDate(new Date(verification.verificationDate));
+    verification.lastMinuteBooking = isLastMinuteBooking(verification);
+    db.verifications.unshift(verification);
+
+    // No badge here: POST badges signs one for the signed-in owner
+    return {
+      success: true,
+      verificationId: verification.verificationId,
+      caslKeyId: verification.caslKeyId
+    };
+  },
+
+  'GET verification-history': ({ req, scenario }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Unauthorized' } };
+
+    const verifications = allVerifications(scenario).filter(record => ownsVerification(user, record));
+    return { verifications: verifications.map(toHistoryEntry) };
+  },
+
+  // Other guests' verifications are 404, the same as unknown ones
+  'GET verifications/:verificationId': ({ req, params, scenario }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Unauthorized' } };
+
+    const verification = allVerifications(scenario).find(record => record.verificationId === params.verificationId);
+    if (!verification || !ownsVerification(user, verification)) {
+      return { status: 404, body: { message: 'Verification not found' } };
+    }
+
+    const { email, ...record } = verification;
+    return { verification: record };
+  },
+
+  // Only the verdict goes back; the host's reservation record never leaves the backend
+  'POST reservations/match': ({ body }) => matchBooking(body.booking || {}),
+
+  // --- Support --------------------------------------------------------------
+
+  'POST support/requests': ({ req, body }) => {
+    const user = getSessionUser(req);
+    const email = user?.email || body.email;
+
+    if (!String(body.message || '').trim()) {
+      return { status: 400, body: { message: 'Please describe what you need help with' } };
+    }
+    if (!email) {
+      return { status: 400, body: { message: 'An email address is required to reply to you' } };
+    }
+
+    const request = {
+      requestId: createId('sup'),
+      topic: body.topic || 'general',
+      status: 'open',
+      createdAt: new Date().toISOString()
+    };
+    db.supportRequests.push({ ...request, email, username: user?.username || null, message: body.message, context: body.context || {} });
+
+    return { request };
+  },
+
+  // --- Appeals --------------------------------------------------------------
+
+  // Only the owner of a verification can appeal it; others get 404, as for unknown IDs
+  'POST appeals': ({ req, body, scenario }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Sign in to appeal a result' } };
+
+    const verification = allVerifications(scenario).find(record => record.verificationId === body.verificationId);
+    if (!verification || !ownsVerification(user, verification)) {
+      return { status: 404, body: { message: 'Verification not found' } };
+    }
+    if (!['manual_review', 'not_eligible'].includes(verification.trustLevel)) {
+      return { status: 409, body: { message: 'Only manual-review and not-eligible results can be appealed' } };
+    }
+    if (db.appeals.some(appeal => appeal.verificationId === verification.verificationId && !isAppealClosed(appeal))) {
+      return { status: 409, body: { message: 'This result already has an open appeal' } };
+    }
+
+    const disputes = body.disputes || [];
+    const ruleIds = (verification.adjustments || []).map(adjustment => adjustment.ruleId);
+    if (verification.adjustments && disputes.some(dispute => !ruleIds.includes(dispute.ruleId))) {
+      return { status: 400, body: { message: 'Only score factors of this result can be disputed' } };
+    }
+    if (disputes.length === 0 && !String(body.statement || '').trim()) {
+      return { status: 400, body: { message: 'Dispute a score factor or explain your appeal' } };
+    }
+
+    const attachmentProblem = checkAttachments(body.attachments);
+    if (attachmentProblem) return { status: 400, body: { message: attachmentProblem } };
+
+    const appeal = {
+      appealId: createId('apl'),
+      verificationId: verification.verificationId,
+      caslKeyId: verification.caslKeyId,
+      score: verification.score ?? null,
+      username: user.username,
+      email: user.email,
+      disputes: disputes.map(({ ruleId, reason, points, explanation }) => ({ ruleId, reason, points, explanation })),
+      statement: body.statement || '',
+      attachments: storeAttachments(body.attachments),
+      responses: [],
+      reviewDecisions: [],
+      outcome: scenario.appealOutcome || null,
+      startedAt: Date.now(),
+      createdAt: new Date().toISOString()
+    };
+    db.appeals.unshift(appeal);
+
+    return { appeal: appealView(appeal) };
+  },
+
+  'GET appeals': ({ req }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Unauthorized' } };
+
+    return {
+      appeals: db.appeals
+        .filter(appeal => appeal.username === user.username)
+        .map(appealView)
+    };
+  },
+
+  'GET appeals/:appealId': ({ req, params }) => {
+    const appeal = findAppeal(req, params.appealId);
+    return appeal ? { appeal: appealView(appeal) } : { status: 404, body: { message: 'Appeal not found' } };
+  },
+
+  'POST appeals/:appealId/responses': ({ req, params, body }) => {
+    const appeal = findAppeal(req, params.appealId);
+    if (!appeal) return { status: 404, body: { message: 'Appeal not found' } };
+
+    if (appealView(appeal).status !== 'info_requested') {
+      return { status: 409, body: { message: 'The reviewer has not asked for more information' } };
+    }
+    if (!String(body.message || '').trim()) {
+      return { status: 400, body: { message: 'Please answer the reviewer\'s question' } };
+    }
+
+    const attachmentProblem = checkAttachments(body.attachments);
+    if (attachmentProblem) return { status: 400, body: { message: attachmentProblem } };
+
+    appeal.attachments.push(...storeAttachments(body.attachments));
+    appeal.responses.push({ message: body.message, at: new Date().toISOString() });
+
+    return { appeal: appealView(appeal) };
+  },
+
+  // --- Manual review (reviewer accounts) ---------------------------------------
+
+  'GET review/cases': ({ req, scenario }) => {
+    const denied = requireReviewer(req);
+    if (denied) return denied;
+
+    return {
+      cases: reviewCases(scenario)
+        .map(reviewCaseSummary)
+        .filter(entry => ['pending', 'info_requested'].includes(entry.status))
+        .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt))
+    };
+  },
+
+  'GET review/cases/:verificationId': ({ req, params, scenario }) => {
+    const denied = requireReviewer(req);
+    if (denied) return denied;
+
+    const verification = reviewCases(scenario).find(record => record.verificationId === params.verificationId);
+    return verification ? { case: reviewCaseView(verification) } : { status: 404, body: { message: 'Review case not found' } };
+  },
+
+  'POST review/cases/:verificationId/decisions': ({ req, params, body, scenario }) => {
+    const denied = requireReviewer(req);
+    if (denied) return denied;
+
+    const verification = reviewCases(scenario).find(record => record.verificationId === params.verificationId);
+    if (!verification) return { status: 404, body: { message: 'Review case not found' } };
+
+    const reasonCodes = REVIEW_REASON_CODES[body.decision];
+    if (!reasonCodes) {
+      return { status: 400, body: { message: 'Decision must be approve, reject or request_info' } };
+    }
+    if (!reasonCodes.includes(body.reasonCode)) {
+      return { status: 400, body: { message: 'A reason code for this decision is required' } };
+    }
+
+    const note = String(body.note || '').trim();
+    if ((body.decision === 'request_info' || body.reasonCode === 'other') && !note) {
+      return { status: 400, body: { message: 'This decision needs a note' } };
+    }
+    if (!['pending', 'info_requested'].includes(reviewStatus(verification))) {
+      return { status: 409, body: { message: 'This case has already been decided' } };
+    }
+
+    const decision = {
+      decisionId: createId('dec'),
+      verificationId: verification.verificationId,
+      caslKeyId: verification.caslKeyId,
+      decision: body.decision,
+      reasonCode: body.reasonCode,
+      note: note || null,
+      reviewer: getSessionUser(req).username,
+      status: REVIEW_OUTCOMES[body.decision],
+      at: new Date().toISOString()
+    };
+    db.reviewDecisions.push(decision);
+
+    // An open appeal of the result is decided (or answered) along with the case
+    const appeal = db.appeals.find(record => record.verificationId === verification.verificationId && !isAppealClosed(record));
+    if (appeal) appeal.reviewDecisions.push(decision);
+
+    const decided = withReviewDecision(verification);
+    if (decided.trustLevel !== verification.trustLevel) {
+      // Hosts see the decided trust level; badges signed before it are revoked
+      db.badges.forEach(badge => {
+        if (badge.claims.caslKeyId === verification.caslKeyId) badge.revoked = true;
+      });
+      issueBadge(decided);
+    }
+
+    return { case: reviewCaseView(decided) };
+  },
+
+  'GET review/decisions': ({ req }) => {
+    const denied = requireReviewer(req);
+    if (denied) return denied;
+
+    return { decisions: [...db.reviewDecisions].reverse() };
+  },
+
+  // --- Badges ---------------------------------------------------------------
+
+  'POST badges': ({ req, body, scenario }) => {
+    const user = getSessionUser(req);
+    if (!user) return { status: 401, body: { message: 'Unauthorized' } };
+
+    // Claims come from the stored verification, never from the request
+    const verification = allVerifications(scenario).find(record => record.verificationId === body.verificationId);
+    if (!verification || !ownsVerification(user, verification)) {
+      return { status: 404, body: { message: 'Verification not found' } };
+    }
+
+    return issueBadge(verification);
+  },
+
+  'GET .well-known/jwks.json': () => ({ keys: [badgeJwk] }),
+
+  'GET badges/status': ({ query }) => {
+    const badge = db.badges.get(query.jti);
+    return { revoked: !!badge?.revoked };
+  },
+
+  'GET host-summary': ({ query }) => {
+    const badge = [...db.badges.values()].reverse().find(entry => entry.claims.caslKeyId === query.caslKeyId);
+    if (!badge) return { status: 404, body: { message: 'No host summary for this CASL Key ID' } };
+
+    const { claims } = badge;
+    return {
+      hostSummary: {
+        caslKeyId: claims.caslKeyId,
+        trustLevel: claims.trustLevel,
+        scoreRange: claims.scoreRange,
+        flags: claims.flags || {},
+        bookingMatch: claims.bookingMatch,
+        bookingMatchReasons: claims.bookingMatchReasons || []
+      },
+      expiresAt: new Date(claims.exp * 1000).toISOString(),
+      revoked: badge.revoked
+    };
+  },
+
+  // --- Payments -------------------------------------------------------------
+
+  'GET packages': () => ({ packages: PACKAGES }),
+
+  'GET packages/:id': ({ params }) => {
+    const pkg = PACKAGES.find(entry => entry.id === params.id);
+    return pkg || { status: 404, body: { message: 'Package not found' } };
+  },
+
+  'POST create-payment-intent': ({ body, scenario }) => {
+    const pkg = PACKAGES.find(entry => entry.id === body.packageId);
+    if (!pkg) return { status: 400, body: { message: 'Unknown package' } };
+
+    const intent = {
+      id: createId('pi'),
+      clientSecret: createId('secret'),
+      amount: pkg.price,
+      currency: pkg.currency,
+      packageId: pkg.id,
+      status: scenario.paymentStatus === 'failed' ? 'failed' : 'requires_payment_method'
+    };
+    db.paymentIntents.set(intent.id, intent);
+    return intent;
+  },
+
+  // The mock "payment page" is the return URL itself; the intent completes immediately
+  'POST create-payment-url': ({ body }) => {
+    const intent = db.paymentIntents.get(body.intentId);
+    if (!intent) return { status: 404, body: { message: 'Payment intent not found' } };
+
+    if (intent.status !== 'failed') {
+      intent.status = 'succeeded';
+      intent.transactionId = createId('txn');
+    }
+    return { paymentUrl: body.returnUrl };
+  },
+
+  'POST verify-payment': ({ body }) => {
+    const intent = db.paymentIntents.get(body.intentId);
+    if (!intent) return { status: 404, body: { message: 'Payment intent not found' } };
+    if (intent.status === 'failed') return { status: 402, body: { message: 'Payment was declined' } };
+
+    intent.status = 'succeeded';
+    intent.transactionId = body.transactionId || createId('txn');
+    return { success: true, status: 'succeeded', transactionId: intent.transactionId, expiryDate: expiryDate() };
+  },
+
+  'GET check-payment/:id': ({ params }) => {
+    const intent = db.paymentIntents.get(params.id);
+    if (!intent) return { status: 404, body: { message: 'Payment intent not found' } };
+
+    return intent.status === 'succeeded'
+      ? { status: 'succeeded', transactionId: intent.transactionId, expiryDate: expiryDate() }
+      : { status: intent.status, error: intent.status === 'failed' ? 'Payment was declined' : 'Payment not completed' };
+  }
+};
+
+/**
+ * Compare a guest's booking with the host's reservation record, as
+ * bookingMatch.js's BOOKING_MATCH_REASONS describe
+ * The record comes from the host's reservation ID when the guest has one,
+ * otherwise from the listing.
+ * @param {Object} booking - { reservationId, platform, listingLink, checkInDate, checkOutDate }
+ * @returns {Object} { result, reasons: [{ code, severity }] }
+ */
+function matchBooking(booking) {
+  const normalizeLink = link => (link || '').trim().toLowerCase()
+    .replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/[?#].*$/, '').replace(/\/+$/, '');
+  const toIsoDate = date => (date && !isNaN(new Date(date).getTime()) ? new Date(date).toISOString().slice(0, 10) : null);
+
+  const reservation = db.reservations.find(record => (
+    booking.reservationId
+      ? record.reservationId === booking.reservationId
+      : Boolean(booking.listingLink) && normalizeLink(record.listingLink) === normalizeLink(booking.listingLink)
+  ));
+  if (!reservation) return { result: 'unverified', reasons: [] };
+
+  const reasons = [];
+  if (reservation.listingLink && normalizeLink(booking.listingLink) !== normalizeLink(reservation.listingLink)) {
+    reasons.push({ code: 'different_listing', severity: 'major' });
+  }
+
+  const [guestIn, guestOut] = [toIsoDate(booking.checkInDate), toIsoDate(booking.checkOutDate)];
+  const [hostIn, hostOut] = [toIsoDate(reservation.checkInDate), toIsoDate(reservation.checkOutDate)];
+  if (guestIn && guestOut && hostIn && hostOut && (guestOut <= hostIn || guestIn >= hostOut)) {
+    reasons.push({ code: 'dates_do_not_overlap', severity: 'major' });
+  } else {
+    if (hostIn && guestIn !== hostIn) reasons.push({ code: 'wrong_check_in', severity: 'minor' });
+    if (hostOut && guestOut !== hostOut) reasons.push({ code: 'wrong_check_out', severity: 'minor' });
+  }
+
+  if (reservation.platform && booking.platform && booking.platform.toLowerCase() !== reservation.platform.toLowerCase()) {
+    reasons.push({ code: 'different_platform', severity: 'minor' });
+  }
+
+  let result = 'match';
+  if (reasons.some(reason => reason.severity === 'major')) result = 'mismatch';
+  else if (reasons.length > 0) result = 'partial';
+
+  return { result, reasons };
+}
+
+/**
+ * Expiry date for purchased verifications and completed verifications
+ * @param {Date} [from] - Start of the year of validity
+ * @returns {string} ISO date one year after from
+ */
+function expiryDate(from = new Date()) {
+  const date = new Date(from);
+  date.setFullYear(date.getFullYear() + 1);
+  return date.toISOString();
+}
+
+/**
+ * Every verification the history shows for a scenario, newest first
+ * @param {Object} scenario - Active scenario
+ * @returns {Array} Verification records
+ */
+function allVerifications(scenario) {
+  return storedVerifications(scenario).map(withReviewDecision);
+}
+
+/**
+ * Verification records for a scenario as they were scored, before any review decision
+ * @param {Object} scenario - Active scenario
+ * @returns {Array} Verification records, newest first
+ */
+function storedVerifications(scenario) {
+  return [
+    ...db.verifications,
+    ...(scenario.notEligibleDaysAgo ? [notEligibleVerification(scenario.notEligibleDaysAgo)] : []),
+    ...(scenario.renewalHistory ? renewalHistory() : []),
+    ...(scenario.manualReviewHistory ? [manualReviewVerification()] : []),
+    ...sampleHistory(scenario.historySize || 0)
+  ];
+}
+
+/**
+ * Whether a verification belongs to an account
+ * Verifications made while signed in belong to that account; others to the
+ * account with the (confirmed) email they were made with.
+ * @param {Object} user - User record
+ * @param {Object} verification - Verification record
+ * @returns {boolean} Whether the user owns it
+ */
+function ownsVerification(user, verification) {
+  if (verification.username) return verification.username === user.username;
+
+  const email = normalizeEmail(verificationEmail(verification));
+  return Boolean(user.confirmed && email && email === normalizeEmail(user.email));
+}
+
+/**
+ * Email a verification was made with
+ * @param {Object} verification - Verification record
+ * @returns {string|null} Email
+ */
+function verificationEmail(verification) {
+  return verification.email || verification.user?.email || null;
+}
+
+/**
+ * Normalize an email address for comparison
+ * @param {string} [email] - Email address
+ * @returns {string} Trimmed, lowercased address ('' if none)
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * End of the reapply cooldown after a not-eligible result
+ * The cooldown follows the guest, not what they typed: a not-eligible result
+ * counts if it belongs to the signed-in account, has the same CASL Key ID, or
+ * was made with the same email address (in any case).
+ * @param {Object} guest - { user, email, caslKeyId }
+ * @param {Object} scenario - Active scenario
+ * @returns {string|null} ISO date, or null if the guest can apply
+ */
+function reapplyAfter({ user = null, email = null, caslKeyId = null }, scenario) {
+  const guestEmail = normalizeEmail(email);
+  const isGuests = verification => (
+    (user && ownsVerification(user, verification)) ||
+    (caslKeyId && verification.caslKeyId === caslKeyId) ||
+    (guestEmail && normalizeEmail(verificationEmail(verification)) === guestEmail)
+  );
+
+  const last = allVerifications(scenario)
+    .filter(verification => verification.trustLevel === 'not_eligible' && isGuests(verification))
+    .sort((a, b) => new Date(b.verificationDate) - new Date(a.verificationDate))[0];
+  if (!last) return null;
+
+  const until = new Date(new Date(last.verificationDate).getTime() + REAPPLY_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+  return until > new Date() ? until.toISOString() : null;
+}
+
+/**
+ * Not-eligible verification of demo@example.com for the cooldown scenario
+ * @param {number} days - How many days ago it was made
+ * @returns {Object} Verification record
+ */
+function notEligibleVerification(days) {
+  const verifiedAt = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  return {
+    verificationId: 'ver_not_eligible',
+    caslKeyId: 'CK9NE4R',
+    email: 'demo@example.com',
+    trustLevel: 'not_eligible',
+    score: 38,
+    renewalOf: null,
+    user: { name: 'Demo Guest', email: 'demo@example.com' },
+    booking: { platform: 'Airbnb', listingLink: 'https://www.airbnb.com/rooms/12345678', listingId: '12345678' },
+    stayDetails: null,
+    identityChecks: [],
+    verificationDate: verifiedAt.toISOString(),
+    expiresAt: expiryDate(verifiedAt)
+  };
+}
+
+/**
+ * Manual-review verification of demo@example.com for the appeal scenarios
+ * Two of its deductions are the kind guests dispute.
+ * @returns {Object} Verification record
+ */
+function manualReviewVerification() {
+  const verifiedAt = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+
+  return {
+    verificationId: 'ver_manual_review',
+    caslKeyId: 'CK5MR2T',
+    email: 'demo@example.com',
+    trustLevel: 'manual_review',
+    score: 66,
+    renewalOf: null,
+    user: { name: 'Demo Guest', email: 'demo@example.com' },
+    booking: { platform: 'Airbnb', listingLink: 'https://www.airbnb.com/rooms/12345678', listingId: '12345678' },
+    stayDetails: null,
+    identityChecks: [
+      { type: 'phone', completedAt: verifiedAt.toISOString(), details: { phoneNumber: '+15555551234' } }
+    ],
+    methods: {
+      verificationType: 'phone',
+      idVerificationStatus: false,
+      phoneVerificationStatus: true,
+      socialVerificationStatus: false,
+      backgroundCheckStatus: null,
+      bookingMatch: { result: 'partial', reasons: [{ code: 'wrong_check_in', severity: 'minor' }] }
+    },
+    ruleSetVersion: '2024.3',
+    scoringProfile: 'default',
+    adjustments: [
+      { ruleId: 'local-booking', reason: 'Booking within 20 miles of home', points: -3 },
+      { ruleId: 'booking-partial-match', reason: 'Booking partially matches the host\'s reservation', points: -3 },
+      { ruleId: 'first-time-str', reason: 'First-time STR guest', points: -5 }
+    ],
+    verificationDate: verifiedAt.toISOString(),
+    expiresAt: expiryDate(verifiedAt)
+  };
+}
+
+/**
+ * Appeal as the client sees it, with its status history
+ * Appeals go into review after PROCESSING_MS; the scenario's outcome (if any)
+ * follows after another PROCESSING_MS. Reviewer decisions on the verification's
+ * case decide it too, and an answered request for more information sends it
+ * back into review.
+ * @param {Object} appeal - Appeal record
+ * @returns {Object} Appeal
+ */
+function appealView(appeal) {
+  const at = ms => new Date(appeal.startedAt + ms).toISOString();
+  const elapsed = Date.now() - appeal.startedAt;
+  const history = [{ status: 'submitted', at: appeal.createdAt, note: null }];
+  let decision = null;
+
+  // A reviewer deciding early takes the appeal into review then
+  const firstDecisionAt = appeal.reviewDecisions[0]?.at;
+  if (firstDecisionAt && new Date(firstDecisionAt) < new Date(at(PROCESSING_MS))) {
+    history.push({ status: 'in_review', at: firstDecisionAt, note: null });
+  } else if (elapsed >= PROCESSING_MS) {
+    history.push({ status: 'in_review', at: at(PROCESSING_MS), note: null });
+  }
+
+  if (appeal.outcome && elapsed >= 2 * PROCESSING_MS) {
+    if (appeal.outcome === 'accepted') {
+      const revisedScore = Math.min(100, (appeal.score ?? 0) - appeal.disputes.reduce((total, dispute) => total + (dispute.points || 0), 0));
+      decision = { revisedScore, revisedTrustLevel: trustLevelFor(revisedScore) };
+      history.push({ status: 'accepted', at: at(2 * PROCESSING_MS), note: 'The disputed score factors were removed.' });
+    } else if (appeal.outcome === 'info_requested') {
+      history.push({
+        status: 'info_requested',
+        at: at(2 * PROCESSING_MS),
+        note: 'Please upload a document showing your home address, such as a utility bill.'
+      });
+    } else {
+      history.push({ status: appeal.outcome, at: at(2 * PROCESSING_MS), note: null });
+    }
+  }
+
+  // Reviewer decisions on the verification's case, and the guest's answers to requests for information
+  appeal.reviewDecisions.forEach(entry => {
+    history.push({ status: REVIEW_APPEAL_STATUSES[entry.decision], at: entry.at, note: entry.note });
+    if (entry.decision === 'approve') {
+      decision = { revisedScore: appeal.score, revisedTrustLevel: REVIEW_TRUST_LEVELS.approve };
+    }
+  });
+  appeal.responses.forEach(response => history.push({ status: 'in_review', at: response.at, note: null }));
+  history.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return {
+    appealId: appeal.appealId,
+    verificationId: appeal.verificationId,
+    caslKeyId: appeal.caslKeyId,
+    status: history[history.length - 1].status,
+    disputes: appeal.disputes.map(({ ruleId, reason, points }) => ({ ruleId, reason, points })),
+    attachments: appeal.attachments,
+    history,
+    decision,
+    createdAt: appeal.createdAt
+  };
+}
+
+/**
+ * Whether an appeal has been decided
+ * @param {Object} appeal - Appeal record
+ * @returns {boolean} Whether it is closed
+ */
+function isAppealClosed(appeal) {
+  return ['accepted', 'denied'].includes(appealView(appeal).status);
+}
+
+/**
+ * Find an appeal the request may see
+ * Appeals belong to the user who made them; anyone else is told it does not exist.
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} appealId - Appeal reference
+ * @returns {Object|undefined} Appeal record
+ */
+function findAppeal(req, appealId) {
+  const user = getSessionUser(req);
+  if (!user) return undefined;
+
+  return db.appeals.find(record => record.appealId === appealId && record.username === user.username);
+}
+
+/**
+ * Check appeal attachments like the client's upload validation
+ * @param {Array} [attachments] - { name, type, data }
+ * @returns {string|null} Problem, or null if they are fine
+ */
+function checkAttachments(attachments = []) {
+  if (attachments.length > APPEAL_MAX_ATTACHMENTS) {
+    return `Up to ${APPEAL_MAX_ATTACHMENTS} documents can be attached`;
+  }
+
+  const invalid = attachments.find(attachment =>
+    !/^data:image\/(jpeg|png|webp);base64,/.test(attachment.data || '') ||
+    Math.ceil(attachment.data.length * 3 / 4) > MAX_ATTACHMENT_BYTES
+  );
+  return invalid ? `${invalid.name || 'An attachment'} is not an image of 5MB or less` : null;
+}
+
+/**
+ * Keep what the client sees of attachments (the files themselves are discarded)
+ * @param {Array} [attachments] - { name, type, data }
+ * @returns {Array} { attachmentId, name, type }
+ */
+function storeAttachments(attachments = []) {
+  return attachments.map(({ name, type }) => ({ attachmentId: createId('att'), name: name || 'document', type }));
+}
+
+/**
+ * Trust level for a score under the default profile
+ * @param {number} score - Trust score
+ * @returns {string} Trust level
+ */
+function trustLevelFor(score) {
+  if (score >= 85) return 'verified';
+  if (score >= 70) return 'review';
+  return score >= 50 ? 'manual_review' : 'not_eligible';
+}
+
+/**
+ * Answer for requests a reviewer account must make
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object|null} 401 or 403 response, or null for reviewers
+ */
+function requireReviewer(req) {
+  const user = getSessionUser(req);
+  if (!user) return { status: 401, body: { message: 'Unauthorized' } };
+  return user.role === 'reviewer' ? null : { status: 403, body: { message: 'Reviewer access required' } };
+}
+
+/**
+ * Manual-review verifications the review team sees for a scenario
+ * @param {Object} scenario - Active scenario
+ * @returns {Array} Verification records
+ */
+function reviewCases(scenario) {
+  return [
+    ...storedVerifications(scenario),
+    ...(scenario.reviewQueue ? reviewQueueVerifications() : [])
+  ]
+    .filter(verification => verification.trustLevel === 'manual_review')
+    .map(withReviewDecision);
+}
+
+/**
+ * Latest review decision on a verification
+ * @param {Object} verification - Verification record
+ * @returns {Object|undefined} Decision
+ */
+function latestReviewDecision(verification) {
+  return db.reviewDecisions.filter(entry => entry.verificationId === verification.verificationId).pop();
+}
+
+/**
+ * Where a case is, from its latest decision
+ * @param {Object} verification - Verification record
+ * @returns {string} Review status
+ */
+function reviewStatus(verification) {
+  return latestReviewDecision(verification)?.status || 'pending';
+}
+
+/**
+ * A verification as its review left it
+ * Approving or rejecting the case sets its trust level; an open request for
+ * more information is kept for the guest to see.
+ * @param {Object} verification - Verification record
+ * @returns {Object} Verification record
+ */
+function withReviewDecision(verification) {
+  const decision = latestReviewDecision(verification);
+  if (!decision) return verification;
+
+  if (decision.decision === 'request_info') {
+    return { ...verification, infoRequest: { reasonCode: decision.reasonCode, note: decision.note, at: decision.at } };
+  }
+  return { ...verification, trustLevel: REVIEW_TRUST_LEVELS[decision.decision], reviewedAt: decision.at };
+}
+
+/**
+ * Queue entry for a manual-review verification
+ * @param {Object} verification - Verification record
+ * @returns {Object} Queue entry
+ */
+function reviewCaseSummary(verification) {
+  const appeal = db.appeals.find(record => record.verificationId === verification.verificationId);
+
+  return {
+    verificationId: verification.verificationId,
+    caslKeyId: verification.caslKeyId,
+    status: reviewStatus(verification),
+    trustLevel: verification.trustLevel,
+    score: verification.score ?? null,
+    submittedAt: verification.verificationDate,
+    guestName: verification.user?.name || null,
+    platform: verification.booking?.platform || null,
+    appeal: appeal ? { appealId: appeal.appealId, status: appealView(appeal).status } : null
+  };
+}
+
+/**
+ * Full case for a reviewer: the guest's answers, method results and decisions
+ * @param {Object} verification - Verification record
+ * @returns {Object} Case
+ */
+function reviewCaseView(verification) {
+  return {
+    ...reviewCaseSummary(verification),
+    user: verification.user || null,
+    booking: verification.booking || null,
+    stayDetails: verification.stayDetails || null,
+    methods: verification.methods || {},
+    identityChecks: verification.identityChecks || [],
+    adjustments: verification.adjustments || [],
+    ruleSetVersion: verification.ruleSetVersion || null,
+    scoringProfile: verification.scoringProfile || null,
+    decisions: db.reviewDecisions.filter(entry => entry.verificationId === verification.verificationId)
+  };
+}
+
+/**
+ * Other guests' manual-review verifications for the review-queue scenario
+ * The oldest has waited three days, past the default 48-hour review target.
+ * @returns {Array} Verification records, newest first
+ */
+function reviewQueueVerifications() {
+  const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000);
+  const guest = (name, email) => ({ name, email, phone: '+15555550100', address: '12 Harbor St, Portland, ME 04101' });
+  const booking = (checkInDate, checkOutDate) => ({
+    platform: 'Airbnb',
+    listingLink: 'https://www.airbnb.com/rooms/12345678',
+    listingId: '12345678',
+    checkInDate,
+    checkOutDate
+  });
+  const record = (id, hours, details) => ({
+    verificationId: `ver_review${id}`,
+    caslKeyId: `CKRV${id}Q`,
+    trustLevel: 'manual_review',
+    renewalOf: null,
+    ruleSetVersion: '2024.3',
+    scoringProfile: 'default',
+    verificationDate: hoursAgo(hours).toISOString(),
+    expiresAt: expiryDate(hoursAgo(hours)),
+    ...details
+  });
+
+  return [
+    record(1, 5, {
+      email: 'sam.rivera@example.com',
+      score: 64,
+      user: guest('Sam Rivera', 'sam.rivera@example.com'),
+      booking: booking('2030-07-10', '2030-07-12'),
+      stayDetails: {
+        purpose: 'Special Occasion',
+        totalGuests: 8,
+        childrenUnder12: false,
+        nonOvernightGuests: 6,
+        travelingNearHome: true,
+        zipCode: '04102',
+        previousExperience: false,
+        previousStayLinks: ''
+      },
+      identityChecks: [],
+      methods: {
+        verificationType: 'screenshot',
+        idVerificationStatus: false,
+        phoneVerificationStatus: false,
+        socialVerificationStatus: false,
+        backgroundCheckStatus: null,
+        bookingMatch: { result: 'match', reasons: [] }
+      },
+      adjustments: [
+        { ruleId: 'special-occasion', reason: 'Special occasion/birthday', points: -5 },
+        { ruleId: 'large-group', reason: '6+ guests', points: -3 },
+        { ruleId: 'non-overnight-guests', reason: 'Additional (non-overnight) visitors', points: -2 },
+        { ruleId: 'local-booking', reason: 'Booking within 20 miles of home', points: -3 },
+        { ruleId: 'first-time-str', reason: 'First-time STR guest', points: -5 }
+      ]
+    }),
+    record(2, 30, {
+      email: 'ana.lopez@example.com',
+      score: 58,
+      user: guest('Ana Lopez', 'ana.lopez@example.com'),
+      booking: booking('2030-08-01', '2030-08-04'),
+      stayDetails: {
+        purpose: 'Vacation',
+        totalGuests: 2,
+        childrenUnder12: false,
+        nonOvernightGuests: 0,
+        travelingNearHome: false,
+        zipCode: '94110',
+        previousExperience: true,
+        previousStayLinks: 'https://www.vrbo.com/4410021'
+      },
+      identityChecks: [
+        { type: 'government-id', completedAt: hoursAgo(30).toISOString(), details: { method: 'document' } }
+      ],
+      methods: {
+        verificationType: 'government-id',
+        idVerificationStatus: true,
+        phoneVerificationStatus: false,
+        socialVerificationStatus: false,
+        backgroundCheckStatus: 'consider',
+        bookingMatch: {
+          result: 'mismatch',
+          reasons: [{ code: 'dates_do_not_overlap', severity: 'major' }, { code: 'different_platform', severity: 'minor' }]
+        }
+      },
+      adjustments: [
+        { ruleId: 'booking-mismatch', reason: 'Booking does not match the host\'s reservation', points: -10 },
+        { ruleId: 'previous-stay-links', reason: 'Previous stays provided with links', points: 3 }
+      ]
+    }),
+    record(3, 72, {
+      email: 'lee.chen@example.com',
+      score: 67,
+      user: guest('Lee Chen', 'lee.chen@example.com'),
+      booking: booking('2030-06-20', '2030-06-27'),
+      stayDetails: {
+        purpose: 'Relocation',
+        totalGuests: 3,
+        childrenUnder12: true,
+        nonOvernightGuests: 0,
+        travelingNearHome: true,
+        zipCode: '04103',
+        previousExperience: false,
+        previousStayLinks: ''
+      },
+      identityChecks: [
+        { type: 'phone', completedAt: hoursAgo(72).toISOString(), details: { phoneNumber: '+15555550100' } }
+      ],
+      methods: {
+        verificationType: 'phone',
+        idVerificationStatus: false,
+        phoneVerificationStatus: true,
+        socialVerificationStatus: false,
+        backgroundCheckStatus: null,
+        bookingMatch: null
+      },
+      adjustments: [
+        { ruleId: 'local-booking', reason: 'Booking within 20 miles of home', points: -3 },
+        { ruleId: 'first-time-str', reason: 'First-time STR guest', points: -5 },
+        { ruleId: 'children-under-12', reason: 'Group includes minors under 12', points: 1 }
+      ]
+    })
+  ];
+}
+
+/**
+ * History entry for a verification record (no personal or stay details)
+ * @param {Object} verification - Verification record
+ * @returns {Object} History entry
+ */
+function toHistoryEntry({ verificationId, caslKeyId, verificationDate, expiresAt, trustLevel, score, booking, infoRequest }) {
+  return { verificationId, caslKeyId, verificationDate, expiresAt, trustLevel, score, booking, infoRequest: infoRequest || null };
+}
+
+/**
+ * Verifications for the renewal-due scenario
+ * The newer one expires in 12 days; its government ID and phone checks can
+ * still be reused, its social profile and background checks have lapsed.
+ * @returns {Array} Verification records, newest first
+ */
+function renewalHistory() {
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const verifiedAt = daysAgo(353);
+
+  return [
+    {
+      verificationId: 'ver_renewal_due',
+      caslKeyId: 'CK7Q2MX',
+      trustLevel: 'verified',
+      score: 91,
+      renewalOf: null,
+      user: { name: 'Demo Guest', email: 'demo@example.com', phone: '+15555550123', address: '1 Main St, Springfield' },
+      booking: {
+        platform: 'Airbnb',
+        listingLink: 'https://www.airbnb.com/rooms/12345678',
+        listingId: '12345678',
+        checkInDate: verifiedAt.slice(0, 10)
+      },
+      stayDetails: {
+        purpose: 'vacation',
+        totalGuests: 2,
+        zipCode: '62701',
+        previousExperience: true,
+        previousStayLinks: 'https://www.airbnb.com/rooms/87654321'
+      },
+      identityChecks: [
+        { type: 'government-id', completedAt: verifiedAt, details: { method: 'government-id' } },
+        { type: 'phone', completedAt: verifiedAt, details: { phoneNumber: '+15555550123' } },
+        { type: 'social', completedAt: daysAgo(200), details: { platform: 'linkedin', profileUrl: 'https://www.linkedin.com/in/demo' } },
+        { type: 'background-check', completedAt: verifiedAt, details: { checkId: 'bg_renewal_due' } }
+      ],
+      verificationDate: verifiedAt,
+      expiresAt: expiryDate(new Date(verifiedAt))
+    },
+    {
+      verificationId: 'ver_renewal_expired',
+      caslKeyId: 'CK3LW8P',
+      trustLevel: 'review',
+      score: 74,
+      renewalOf: null,
+      user: { name: 'Demo Guest', email: 'demo@example.com', phone: '+15555550123', address: '1 Main St, Springfield' },
+      booking: { platform: 'Vrbo', listingLink: 'https://www.vrbo.com/1234567', listingId: '1234567' },
+      stayDetails: null,
+      identityChecks: [],
+      verificationDate: daysAgo(400),
+      expiresAt: expiryDate(new Date(daysAgo(400)))
+    }
+  ];
+}
+
+/**
+ * Past verifications of the demo account for the long-history scenario, one every
+ * 11 days going back
+ * @param {number} count - Number of verifications
+ * @returns {Array} History records, newest first
+ */
+function sampleHistory(count) {
+  const platforms = [
+    { platform: 'Airbnb', listing: id => `https://www.airbnb.com/rooms/${id}` },
+    { platform: 'Vrbo', listing: id => `https://www.vrbo.com/${id}` },
+    { platform: 'Booking.com', listing: id => `https://www.booking.com/hotel/us/stay-${id}.html` }
+  ];
+  const trustLevels = [[92, 'verified'], [77, 'review'], [88, 'verified'], [58, 'manual_review'], [41, 'not_eligible']];
+
+  return Array.from({ length: count }, (_, index) => {
+    const verifiedAt = new Date(Date.now() - (index * 11 + 1) * 24 * 60 * 60 * 1000);
+    const { platform, listing } = platforms[index % platforms.length];
+    const [score, trustLevel] = trustLevels[index % trustLevels.length];
+    const listingId = String(10000000 + index * 7919);
+    const checkIn = new Date(verifiedAt.getTime() + 14 * 24 * 60 * 60 * 1000);
+
+    return {
+      verificationId: `ver_sample${index}`,
+      username: 'demo',
+      caslKeyId: `CK${(index * 36863 + 46656).toString(36).toUpperCase().slice(-5)}`,
+      trustLevel,
+      score: score - (index % 4),
+      booking: {
+        platform,
+        listingLink: listing(listingId),
+        listingId,
+        checkInDate: checkIn.toISOString().slice(0, 10)
+      },
+      verificationDate: verifiedAt.toISOString(),
+      expiresAt: expiryDate(verifiedAt)
+    };
+  });
+}
+
+/**
+ * Find the handler for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to the API root, without leading slash
+ * @returns {Object|null} { handler, params }
+ */
+function matchRoute(method, path) {
+  if (routes[`${method} ${path}`]) {
+    return { handler: routes[`${method} ${path}`], params: {} };
+  }
+
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = key.split(' ');
+    if (routeMethod !== method || !routePath.includes(':')) continue;
+
+    const names = [];
+    const pattern = new RegExp(`^${routePath.replace(/:([a-zA-Z]+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    })}$`);
+    const match = path.match(pattern);
+    if (match) {
+      const params = {};
+      names.forEach((name, index) => { params[name] = decodeURIComponent(match[index + 1]); });
+      return { handler, params };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Add CORS headers so the app can call the mock from another origin with credentials
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function setCorsHeaders(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Content-Type, Authorization');
+  res.setHeader('Vary', 'Origin');
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} [headers] - Extra response headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  if (res.writableEnded) return;
+  res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      // Two 5MB images, base64 encoded, plus the rest of the payload
+      if (size > 20 * 1024 * 1024) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve({});
+
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Wait, giving up if the client disconnects
+ * @param {number} ms - Delay in milliseconds
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<boolean>} Whether the client is still connected
+ */
+function delay(ms, req) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve(true), ms);
+    req.on('close', () => {
+      clearTimeout(timer);
+      resolve(false);
+    });
+  });
+}
+
+/**
+ * Server-Sent Events status stream (see statusChannel.js for the protocol)
+ * WebSocket upgrades are not supported; set STATUS_CHANNEL_TRANSPORT to 'sse'.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URLSearchParams} searchParams - Query string
+ */
+function handleStatusStream(req, res, searchParams) {
+  const subscriptions = searchParams.getAll('subscribe').map(key => {
+    const [topic, ...rest] = key.split(':');
+    return { topic, id: rest.join(':'), last: null };
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const publish = () => {
+    subscriptions.forEach(subscription => {
+      const data = statusTopics[subscription.topic]?.(subscription.id, req);
+      const serialized = JSON.stringify(data);
+      if (!data || serialized === subscription.last) return;
+
+      subscription.last = serialized;
+      res.write(`data: ${JSON.stringify({ topic: subscription.topic, id: subscription.id, data })}\n\n`);
+    });
+  };
+
+  publish();
+  const timer = setInterval(publish, 1000);
+  req.on('close', () => clearInterval(timer));
+}
+
+/**
+ * Handle a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  setCorsHeaders(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  let path = url.pathname.replace(/^\/+|\/+$/g, '');
+
+  // /scenarios/<name>/<route> selects a scenario for this request
+  let scenarioName = DEFAULT_SCENARIO;
+  const scenarioMatch = path.match(/^scenarios\/([a-z-]+)(?:\/(.*))?$/);
+  if (scenarioMatch) {
+    scenarioName = scenarioMatch[1];
+    path = scenarioMatch[2] || '';
+  }
+
+  const scenario = SCENARIOS[scenarioName];
+  if (!scenario) {
+    sendJson(res, 404, { message: `Unknown scenario "${scenarioName}"` });
+    return;
+  }
+
+  console.log(`${new Date().toISOString()} [${scenarioName}] ${req.method} /${path}`);
+
+  if (req.method === 'GET' && path === 'status/stream') {
+    handleStatusStream(req, res, url.searchParams);
+    return;
+  }
+
+  const route = matchRoute(req.method, path);
+  if (!route) {
+    sendJson(res, 404, { message: `No mock for ${req.method} /${path}` });
+    return;
+  }
+
+  try {
+    const body = await readBody(req);
+
+    if (scenario.delay && !(await delay(scenario.delay, req))) {
+      return;
+    }
+
+    db.requestCount++;
+    if (scenario.failEvery && db.requestCount % scenario.failEvery === 0) {
+      sendJson(res, scenario.failStatus, { message: `Mock ${scenario.failStatus} (${scenarioName} scenario)` });
+      return;
+    }
+
+    const result = route.handler({
+      req,
+      body,
+      query: Object.fromEntries(url.searchParams),
+      params: route.params,
+      scenario
+    });
+
+    if (result && typeof result.status === 'number' && 'body' in result) {
+      sendJson(res, result.status, result.body, result.headers);
+    } else {
+      sendJson(res, 200, result);
+    }
+  } catch (error) {
+    sendJson(res, error.status || 500, { message: error.message });
+  }
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error('Mock server error:', error);
+    sendJson(res, 500, { message: 'Mock server error' });
+  });
+});
+
+// No WebSocket support: refuse upgrades so the status channel falls back quickly
+server.on('upgrade', (req, socket) => socket.destroy());
+
+server.listen(PORT, () => {
+  console.log(`CASL Key mock API listening on http://localhost:${PORT} (scenario: ${DEFAULT_SCENARIO})`);
+  console.log(`Scenarios: ${Object.keys(SCENARIOS).join(', ')}`);
+});
@@ -0,0 +1,335 @@
+// src/services/offlineQueue.js
+
+const DB_NAME = 'casl_offline_queue';
+const DB_VERSION = 2;
+const STORE_NAME = 'requests';
+const KEY_STORE_NAME = 'keys';
+const ENTRY_KEY_ID = 'entries';
+
+/**
+ * Check whether an error means the request never reached the server
+ * @param {Error} error - Error thrown by fetch or the timeout wrapper
+ * @returns {boolean} Whether the request should be queued for later
+ */
+export function isNetworkFailure(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true;
+  }
+
+  // fetch() rejects with a TypeError when the network is unreachable
+  return error instanceof TypeError || error?.status === 408;
+}
+
+/**
+ * Persistent outbound request queue
+ * Requests made while offline are stored in IndexedDB and replayed in the
+ * order they were queued once connectivity returns. Each entry keeps the
+ * X-Request-ID it was first sent with, so the backend can de-duplicate a
+ * replay of a request that did reach it.
+ *
+ * Queued requests carry personal details and ID images, so their bodies are
+ * stored encrypted (AES-GCM) with a non-extractable key kept alongside them.
+ * Each entry records the user who queued it; entries queued by anyone other
+ * than the current user are dropped unsent.
+ *
+ * Falls back to an in-memory queue where IndexedDB or WebCrypto is
+ * unavailable (private browsing in some browsers, insecure origins); entries
+ * then do not survive a reload.
+ */
+class OfflineQueue {
+  constructor() {
+    this.dbPromise = null;
+    this.keyPromise = null;
+    this.memoryQueue = [];
+    this.listeners = [];
+    this.sender = null;
+    this.getOwner = () => null;
+    this.replaying = null;
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', () => this.replay());
+    }
+  }
+
+  /**
+   * Set the function used to send queued requests
+   * @param {Function} sender - async (entry) => response
+   */
+  setSender(sender) {
+    this.sender = sender;
+  }
+
+  /**
+   * Set the function that names the signed-in user
+   * @param {Function} getOwner - () => username, or null when signed out
+   */
+  setOwnerProvider(getOwner) {
+    this.getOwner = getOwner;
+  }
+
+  /**
+   * Open (or create) the IndexedDB database
+   * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB or WebCrypto is unavailable
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined' || !globalThis.crypto?.subtle) {
+          resolve(null);
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          // Version 1 kept request bodies in plaintext; they are not kept
+          if (request.result.objectStoreNames.contains(STORE_NAME)) {
+            request.result.deleteObjectStore(STORE_NAME);
+          }
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'requestId' });
+          store.createIndex('queuedAt', 'queuedAt');
+          request.result.createObjectStore(KEY_STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Offline queue falling back to memory:', request.error?.message);
+          resolve(null);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run an operation against an object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - (store) => IDBRequest
+   * @param {string} [storeName] - Object store, the request queue by default
+   * @returns {Promise<*>} Request result
+   */
+  async withStore(mode, operation, storeName = STORE_NAME) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get the key request bodies are encrypted with, creating it on first use
+   * The key cannot be exported, so it is only usable by this origin's scripts.
+   * @returns {Promise<CryptoKey>} AES-GCM key
+   */
+  getEncryptionKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+        .then(candidate => this.withStore('readwrite', store => {
+          // Another tab may have stored a key first; keep that one
+          const request = store.get(ENTRY_KEY_ID);
+          request.onsuccess = () => {
+            if (!request.result) store.put(candidate, ENTRY_KEY_ID);
+          };
+          return request;
+        }, KEY_STORE_NAME).then(stored => stored || candidate))
+        .catch(error => {
+          this.keyPromise = null;
+          throw error;
+        });
+    }
+
+    return this.keyPromise;
+  }
+
+  /**
+   * Encrypt a request body for storage
+   * @param {*} data - Request body
+   * @returns {Promise<Object>} { iv, payload }
+   */
+  async encrypt(data) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const payload = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      await this.getEncryptionKey(),
+      new TextEncoder().encode(JSON.stringify(data ?? null))
+    );
+
+    return { iv, payload };
+  }
+
+  /**
+   * Decrypt a stored entry's request body
+   * @param {Object} entry - Stored entry ({ iv, payload })
+   * @returns {Promise<*>} Request body
+   */
+  async decrypt(entry) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: entry.iv },
+      await this.getEncryptionKey(),
+      entry.payload
+    );
+
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Add a request to the queue
+   * @param {Object} request - { requestId, endpoint, method, data, secure, includeCredentials }
+   * @returns {Promise<Object>} The queued entry
+   */
+  async enqueue(request) {
+    const entry = {
+      ...request,
+      owner: this.getOwner(),
+      queuedAt: Date.now(),
+      attempts: 0
+    };
+
+    if (await this.openDatabase()) {
+      const { data, ...fields } = entry;
+      const encrypted = await this.encrypt(data);
+      await this.withStore('readwrite', store => store.put({ ...fields, ...encrypted }));
+    } else {
+      this.memoryQueue.push(entry);
+    }
+
+    this.notify({ type: 'queued', entry });
+    return entry;
+  }
+
+  /**
+   * Get every queued request, oldest first
+   * Stored entries hold their encrypted body ({ iv, payload }) instead of data.
+   * @returns {Promise<Array>} Queued entries
+   */
+  async getAll() {
+    if (!(await this.openDatabase())) {
+      return [...this.memoryQueue];
+    }
+
+    const entries = await this.withStore('readonly', store => store.index('queuedAt').getAll());
+    return entries || [];
+  }
+
+  /**
+   * Remove a request from the queue
+   * @param {string} requestId - Request ID
+   */
+  async remove(requestId) {
+    if (await this.openDatabase()) {
+      await this.withStore('readwrite', store => store.delete(requestId));
+    } else {
+      this.memoryQueue = this.memoryQueue.filter(entry => entry.requestId !== requestId);
+    }
+  }
+
+  /**
+   * Get the number of queued requests
+   * @returns {Promise<number>} Queue length
+   */
+  async count() {
+    return (await this.getAll()).length;
+  }
+
+  /**
+   * Send queued requests in order
+   * Stops at the first network failure so later requests never overtake
+   * earlier ones. Requests the server rejects are dropped and reported, as
+   * are requests another signed-in user queued or that can no longer be
+   * decrypted. Requests queued by a user who has not signed in again are kept.
+   * @returns {Promise<void>}
+   */
+  replay() {
+    if (!this.replaying) {
+      this.replaying = this.replayQueue().finally(() => {
+        this.replaying = null;
+      });
+    }
+
+    return this.replaying;
+  }
+
+  /**
+   * Replay worker (see replay)
+   */
+  async replayQueue() {
+    if (!this.sender) return;
+
+    const entries = await this.getAll();
+    const owner = this.getOwner();
+
+    for (const stored of entries) {
+      if (stored.owner !== owner) {
+        // Never send one user's request with another user's session. While
+        // nobody is signed in (e.g. after a reload with in-memory tokens) it
+        // waits for its owner; a different signed-in user means it is dropped.
+        if (owner) {
+          await this.remove(stored.requestId);
+          this.notify({ type: 'dropped', entry: stored });
+        }
+        continue;
+      }
+
+      let entry = stored;
+      if (!('data' in stored)) {
+        try {
+          entry = { ...stored, data: await this.decrypt(stored) };
+        } catch (error) {
+          console.warn('Dropping queued request that could not be decrypted:', error.message);
+          await this.remove(stored.requestId);
+          this.notify({ type: 'dropped', entry: stored });
+          continue;
+        }
+      }
+
+      try {
+        const result = await this.sender(entry);
+        await this.remove(entry.requestId);
+        this.notify({ type: 'sent', entry, result });
+      } catch (error) {
+        if (isNetworkFailure(error)) {
+          // Still offline; keep this and every later entry for the next attempt
+          if (await this.openDatabase()) {
+            await this.withStore('readwrite', store => store.put({ ...stored, attempts: stored.attempts + 1 }));
+          }
+          return;
+        }
+
+        await this.remove(entry.requestId);
+        this.notify({ type: 'failed', entry, error });
+      }
+    }
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} listener - Called with { type: 'queued'|'sent'|'failed'|'dropped', entry, result?, error? }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Notify listeners of a queue change
+   * @param {Object} event - Queue event
+   */
+  notify(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error in offline queue listener:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const offlineQueue = new OfflineQueue();
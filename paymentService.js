@@ -1,6 +1,5 @@
 // src/services/paymentService.js
-import { API_BASE_URL } from './constants.js';
-import { userService } from './userService.js';
+import { apiService } from './api.js';
 
 /**
  * Payment service for handling Wix payments integration
@@ -70,28 +69,12 @@ class PaymentService {
    */
   async createPaymentIntent(packageData, userId) {
     try {
-      const headers = {
-        'Content-Type': 'application/json',
-        ...userService.getAuthHeaders()
-      };
-      
-      const response = await fetch(`${API_BASE_URL}/create-payment-intent`, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
-          packageId: packageData.id,
-          userId,
-          amount: packageData.price,
-          currency: packageData.currency || 'USD'
-        })
+      return await apiService.request('create-payment-intent', 'POST', {
+        packageId: packageData.id,
+        userId,
+        amount: packageData.price,
+        currency: packageData.currency || 'USD'
       });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to create payment intent');
-      }
-      
-      return await response.json();
     } catch (error) {
       console.error('Error creating payment intent:', error);
       throw error;
@@ -155,26 +138,12 @@ class PaymentService {
    */
   async processFallbackPayment(intent, packageData) {
     // Create a payment URL
-    const response = await fetch(`${API_BASE_URL}/create-payment-url`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...userService.getAuthHeaders()
-      },
-      body: JSON.stringify({
-        intentId: intent.id,
-        packageId: packageData.id,
-        returnUrl: window.location.href
-      })
+    const { paymentUrl } = await apiService.request('create-payment-url', 'POST', {
+      intentId: intent.id,
+      packageId: packageData.id,
+      returnUrl: window.location.href
     });
     
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Failed to create payment URL');
-    }
-    
-    const { paymentUrl } = await response.json();
-    
     // Store the intent ID in session storage for when user returns
     sessionStorage.setItem('casl_payment_intent', intent.id);
     sessionStorage.setItem('casl_package_id', packageData.id);
@@ -193,24 +162,10 @@ class PaymentService {
    * @returns {Promise<Object>} Verification result
    */
   async verifyPayment(intentId, transactionId) {
-    const response = await fetch(`${API_BASE_URL}/verify-payment`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...userService.getAuthHeaders()
-      },
-      body: JSON.stringify({
-        intentId,
-        transactionId
-      })
+    return apiService.request('verify-payment', 'POST', {
+      intentId,
+      transactionId
     });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || 'Payment verification failed');
-    }
-    
-    return await response.json();
   }
   
   /**
@@ -231,35 +186,11 @@ class PaymentService {
       sessionStorage.removeItem('casl_package_id');
       
       // Check payment status
-      const response = await fetch(`${API_BASE_URL}/check-payment/${intentId}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          ...userService.getAuthHeaders()
-        }
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Payment status check failed');
-      }
-      
-      const result = await response.json();
+      const result = await apiService.request(`check-payment/${intentId}`, 'GET');
       
       if (result.status === 'succeeded') {
         // Load package data
-        const packageResponse = await fetch(`${API_BASE_URL}/packages/${packageId}`, {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
-        
-        if (!packageResponse.ok) {
-          throw new Error('Failed to load package data');
-        }
-        
-        const packageData = await packageResponse.json();
+        const packageData = await apiService.request(`packages/${packageId}`, 'GET');
         
         // Dispatch payment success event
         this.dispatchPaymentSuccess({
@@ -0,0 +1,406 @@
+// src/utils/qrCode.js
+// Minimal QR code encoder (byte mode, error correction level M, versions 1-10)
+// for authenticator enrollment links. Follows ISO/IEC 18004; no dependencies.
+
+// Per version (index 1-10): total codewords, EC codewords per block, and
+// [block count, data codewords] groups for level M
+const VERSIONS = [
+  null,
+  { total: 26, ec: 10, groups: [[1, 16]] },
+  { total: 44, ec: 16, groups: [[1, 28]] },
+  { total: 70, ec: 26, groups: [[1, 44]] },
+  { total: 100, ec: 18, groups: [[2, 32]] },
+  { total: 134, ec: 24, groups: [[2, 43]] },
+  { total: 172, ec: 16, groups: [[4, 27]] },
+  { total: 196, ec: 18, groups: [[4, 31]] },
+  { total: 242, ec: 22, groups: [[2, 38], [2, 39]] },
+  { total: 292, ec: 22, groups: [[3, 36], [2, 37]] },
+  { total: 346, ec: 26, groups: [[4, 43], [1, 44]] }
+];
+
+const ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+// Format bits for level M are 00
+const EC_LEVEL_M = 0;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// GF(256) tables for the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Array(512);
+const LOG = new Array(256);
+(() => {
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    value <<= 1;
+    if (value & 0x100) value ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+})();
+
+function multiply(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+/**
+ * Reed-Solomon error correction codewords for one block
+ * @param {Array<number>} data - Data codewords
+ * @param {number} degree - Number of EC codewords
+ * @returns {Array<number>} EC codewords
+ */
+function reedSolomon(data, degree) {
+  // Generator polynomial (x - a^0)(x - a^1)...(x - a^(degree-1)), highest power first
+  let generator = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= multiply(coefficient, EXP[i]);
+    });
+    generator = next;
+  }
+
+  const remainder = new Array(degree).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let i = 0; i < degree; i++) {
+      remainder[i] ^= multiply(generator[i + 1], factor);
+    }
+  });
+
+  return remainder;
+}
+
+/**
+ * Encode text as data codewords for the smallest version that fits
+ * @param {Array<number>} bytes - UTF-8 bytes
+ * @returns {Object} { version, codewords }
+ */
+function encodeData(bytes) {
+  const version = VERSIONS.findIndex((info, v) => {
+    if (!info) return false;
+    const capacity = info.groups.reduce((sum, [count, size]) => sum + count * size, 0) * 8;
+    const countBits = v < 10 ? 8 : 16;
+    return 4 + countBits + bytes.length * 8 <= capacity;
+  });
+
+  if (version < 1) {
+    throw new Error('Text is too long for a QR code');
+  }
+
+  const info = VERSIONS[version];
+  const capacity = info.groups.reduce((sum, [count, size]) => sum + count * size, 0);
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4); // byte mode
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => push(byte, 8));
+
+  // Terminator, then pad to a whole byte
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+
+  return { version, codewords };
+}
+
+/**
+ * Split into blocks, add error correction and interleave
+ * @param {number} version - QR version
+ * @param {Array<number>} codewords - Data codewords
+ * @returns {Array<number>} Final codeword sequence
+ */
+function addErrorCorrection(version, codewords) {
+  const info = VERSIONS[version];
+  const blocks = [];
+  let offset = 0;
+
+  info.groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i++) {
+      const data = codewords.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data, ec: reedSolomon(data, info.ec) });
+    }
+  });
+
+  const result = [];
+  const longest = Math.max(...blocks.map(block => block.data.length));
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) result.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < info.ec; i++) {
+    blocks.forEach(block => result.push(block.ec[i]));
+  }
+
+  return result;
+}
+
+/**
+ * BCH code for format (15,5) and version (18,6) information
+ * @param {number} value - Data bits
+ * @param {number} dataBits - Number of data bits
+ * @param {number} generator - Generator polynomial
+ * @param {number} totalBits - Code length
+ * @returns {number} Data followed by the remainder
+ */
+function bch(value, dataBits, generator, totalBits) {
+  const eccBits = totalBits - dataBits;
+  let remainder = value << eccBits;
+  for (let i = totalBits - 1; i >= eccBits; i--) {
+    if ((remainder >>> i) & 1) remainder ^= generator << (i - eccBits);
+  }
+  return (value << eccBits) | remainder;
+}
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  set(x, y, dark, reserve = true) {
+    this.modules[y][x] = dark;
+    if (reserve) this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          this.set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+
+    // Alignment patterns, except where they would overlap a finder
+    const positions = ALIGNMENT_POSITIONS[this.version];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas (written per mask) and draw version info
+    this.drawFormatBits(0);
+    if (this.version >= 7) {
+      const bits = bch(this.version, 6, 0x1f25, 18);
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        this.set(a, b, dark);
+        this.set(b, a, dark);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const { size } = this;
+    const bits = bch((EC_LEVEL_M << 3) | mask, 5, 0x537, 15) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+    this.set(8, 7, bit(6));
+    this.set(8, 8, bit(7));
+    this.set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i));
+    this.set(8, size - 8, true); // dark module
+  }
+
+  drawCodewords(codewords) {
+    const { size } = this;
+    const total = codewords.length * 8;
+    let i = 0;
+
+    // Two-module columns, right to left, alternating up and down, skipping the vertical timing column
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (this.reserved[y][x]) continue;
+
+          // Remainder bits stay light
+          const dark = i < total && ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          this.set(x, y, dark, false);
+          i++;
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const condition = MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && condition(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalty score used to pick the mask (ISO/IEC 18004 section 7.8.3)
+   * @returns {number} Penalty
+   */
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    let dark = 0;
+
+    const line = (get) => {
+      let lineScore = 0;
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && get(i) === get(i - 1)) {
+          run++;
+        } else {
+          if (run >= 5) lineScore += run - 2;
+          run = 1;
+        }
+      }
+
+      // Finder-like 1:1:3:1:1 pattern with four light modules on either side;
+      // the quiet zone counts as light
+      const light = i => i < 0 || i >= size || !get(i);
+      for (let i = 0; i + 7 <= size; i++) {
+        const matches = [1, 0, 1, 1, 1, 0, 1].every((value, k) => get(i + k) === !!value);
+        if (!matches) continue;
+        const lightBefore = [1, 2, 3, 4].every(k => light(i - k));
+        const lightAfter = [7, 8, 9, 10].every(k => light(i + k));
+        if (lightBefore || lightAfter) lineScore += 40;
+      }
+
+      return lineScore;
+    };
+
+    for (let i = 0; i < size; i++) {
+      score += line(x => modules[i][x]);
+      score += line(y => modules[y][i]);
+    }
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          score += 3;
+        }
+      }
+    }
+
+    modules.forEach(row => row.forEach(module => { if (module) dark++; }));
+    score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+
+    return score;
+  }
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (up to about 200 bytes)
+ * @returns {Array<Array<boolean>>} Module matrix, true for dark modules
+ */
+export function createQrMatrix(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  const { version, codewords } = encodeData(bytes);
+  const finalCodewords = addErrorCorrection(version, codewords);
+
+  let best = null;
+  let bestPenalty = Infinity;
+
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(finalCodewords);
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+
+    const penalty = matrix.penalty();
+    if (penalty < bestPenalty) {
+      best = matrix;
+      bestPenalty = penalty;
+    }
+  }
+
+  return best.modules;
+}
+
+/**
+ * Render text as an SVG QR code
+ * @param {string} text - Text to encode
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.size=200] - Width and height in pixels
+ * @param {number} [options.margin=4] - Quiet zone in modules
+ * @param {string} [options.label] - Accessible label
+ * @returns {string} SVG markup
+ */
+export function renderQrSvg(text, { size = 200, margin = 4, label = '' } = {}) {
+  const modules = createQrMatrix(text);
+  const dimension = modules.length + margin * 2;
+  let path = '';
+
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img"${label ? ` aria-label="${label}"` : ''}><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
@@ -0,0 +1,61 @@
+// src/utils/reapplyPolicy.js
+import { configManager } from './ConfigManager.js';
+import { TRUST_LEVELS } from './constants.js';
+
+/**
+ * The waiting period before a guest whose verification was not eligible can
+ * reapply (REAPPLY_COOLDOWN_DAYS, 90 by default, as the result message promises)
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * When a not-eligible verification allows the guest to reapply
+ * @param {Object} verification - Verification with a verificationDate
+ * @returns {Date|null} Reapply date, or null if the record has no usable date
+ */
+export function getReapplyDate(verification) {
+  const verifiedAt = new Date(verification.verificationDate).getTime();
+  if (Number.isNaN(verifiedAt)) return null;
+
+  return new Date(verifiedAt + configManager.get('REAPPLY_COOLDOWN_DAYS', 90) * DAY_MS);
+}
+
+/**
+ * The cooldown a history puts the guest in, if any
+ * It runs from the newest not-eligible verification.
+ * @param {Array} verifications - History records
+ * @param {Date} [now] - Reference time
+ * @returns {Object|null} { until, verification }, or null if the guest can reapply
+ */
+export function getReapplyCooldown(verifications, now = new Date()) {
+  const latest = verifications
+    .filter(v => v.trustLevel === TRUST_LEVELS.NOT_ELIGIBLE)
+    .reduce((newest, v) => (
+      !newest || new Date(v.verificationDate) > new Date(newest.verificationDate) ? v : newest
+    ), null);
+
+  const until = latest && getReapplyDate(latest);
+  return until && until > now ? { until, verification: latest } : null;
+}
+
+/**
+ * Time left in a cooldown
+ * @param {Date|string} until - End of the cooldown
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { days, hours, minutes, total } (total in ms, 0 once it has ended)
+ */
+export function getCooldownRemaining(until, now = new Date()) {
+  const total = Math.max(0, new Date(until) - now);
+  // Rounded up to the minute, so the countdown never shows 0 while time is left
+  const minutes = Math.ceil(total / MINUTE_MS);
+
+  return {
+    days: Math.floor(minutes / (DAY_MS / MINUTE_MS)),
+    hours: Math.floor((minutes % (DAY_MS / MINUTE_MS)) / (HOUR_MS / MINUTE_MS)),
+    minutes: minutes % (HOUR_MS / MINUTE_MS),
+    total
+  };
+}
@@ -0,0 +1,158 @@
+// src/utils/reverification.js
+import { configManager } from './ConfigManager.js';
+
+/**
+ * Renewing a verification from an earlier record
+ * Identity checks completed for the earlier verification are reused while
+ * they are younger than their validity window; booking details and the
+ * per-stay answers are always asked again.
+ */
+
+export const IDENTITY_CHECKS = {
+  GOVERNMENT_ID: 'government-id',
+  PHONE: 'phone',
+  SOCIAL: 'social',
+  BACKGROUND_CHECK: 'background-check'
+};
+
+// Days a completed check stays reusable; IDENTITY_CHECK_VALIDITY_DAYS overrides single checks
+const DEFAULT_VALIDITY_DAYS = {
+  [IDENTITY_CHECKS.GOVERNMENT_ID]: 730,
+  [IDENTITY_CHECKS.PHONE]: 365,
+  [IDENTITY_CHECKS.SOCIAL]: 180,
+  [IDENTITY_CHECKS.BACKGROUND_CHECK]: 90
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Form fields that describe the guest rather than the stay: [form field, value in the record]
+const PREFILL_FIELDS = [
+  ['name', record => record.user?.name],
+  ['email', record => record.user?.email],
+  ['phone', record => record.user?.phone],
+  ['address', record => record.user?.address],
+  ['platform', record => record.booking?.platform],
+  ['zipCode', record => record.stayDetails?.zipCode],
+  ['usedSTRBefore', record => record.stayDetails?.previousExperience],
+  ['previousStayLinks', record => record.stayDetails?.previousStayLinks]
+];
+
+/**
+ * How long a completed identity check can be reused
+ * @param {string} type - IDENTITY_CHECKS value
+ * @returns {number} Days
+ */
+export function getCheckValidityDays(type) {
+  const overrides = configManager.get('IDENTITY_CHECK_VALIDITY_DAYS', null) || {};
+  return Number(overrides[type] ?? DEFAULT_VALIDITY_DAYS[type] ?? 0);
+}
+
+/**
+ * The identity checks a verification passed, for storing with its record
+ * Reused checks keep their original completion time, so renewing does not
+ * extend how long they count.
+ * @param {Object} identification - Verification state
+ * @param {Date} [now] - Completion time for checks that did not record one
+ * @returns {Array} [{ type, completedAt, details }]
+ */
+export function getCompletedIdentityChecks(identification, now = new Date()) {
+  const checks = [];
+  const add = (type, completedAt, details) => {
+    checks.push({ type, completedAt: completedAt || now.toISOString(), details });
+  };
+
+  const { idVerificationData, phoneVerificationData, socialVerificationData } = identification;
+
+  if (idVerificationData?.verified) {
+    add(IDENTITY_CHECKS.GOVERNMENT_ID, idVerificationData.timestamp, { method: idVerificationData.method });
+  }
+  if (phoneVerificationData?.verified) {
+    add(IDENTITY_CHECKS.PHONE, phoneVerificationData.timestamp, { phoneNumber: phoneVerificationData.phoneNumber });
+  }
+  if (socialVerificationData?.verified) {
+    add(IDENTITY_CHECKS.SOCIAL, socialVerificationData.timestamp, {
+      platform: socialVerificationData.platform,
+      profileUrl: socialVerificationData.profileUrl
+    });
+  }
+  if (identification.backgroundCheckStatus === 'passed') {
+    add(IDENTITY_CHECKS.BACKGROUND_CHECK, identification.backgroundCheckCompletedAt, {
+      checkId: identification.backgroundCheckId
+    });
+  }
+
+  return checks;
+}
+
+/**
+ * Checks from an earlier record that can still be reused
+ * @param {Object} record - Full verification record
+ * @param {Date} [now] - Reference time
+ * @returns {Array} Reusable checks, each with the date it stops being reusable (validUntil)
+ */
+export function getReusableChecks(record, now = new Date()) {
+  return (record.identityChecks || [])
+    .map(check => {
+      const completedAt = new Date(check.completedAt).getTime();
+      return {
+        ...check,
+        validUntil: new Date(completedAt + getCheckValidityDays(check.type) * DAY_MS)
+      };
+    })
+    .filter(check => !Number.isNaN(check.validUntil.getTime()) && check.validUntil > now);
+}
+
+/**
+ * Form data for renewing an earlier verification
+ * @param {Object} record - Full verification record
+ * @returns {Object} Partial formData
+ */
+export function getRenewalFormData(record) {
+  return Object.fromEntries(
+    PREFILL_FIELDS
+      .map(([field, read]) => [field, read(record)])
+      .filter(([, value]) => value !== undefined && value !== null)
+  );
+}
+
+/**
+ * Verification state that carries reusable checks into the renewal
+ * @param {Object} record - Full verification record
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Partial verification state
+ */
+export function getRenewalVerificationState(record, now = new Date()) {
+  const state = {
+    caslKeyId: record.caslKeyId,
+    isExistingUser: true,
+    renewalOf: record.verificationId || null
+  };
+
+  getReusableChecks(record, now).forEach(({ type, completedAt, details = {} }) => {
+    switch (type) {
+      case IDENTITY_CHECKS.GOVERNMENT_ID:
+        state.idVerificationData = { verified: true, method: details.method || type, timestamp: completedAt, reused: true };
+        break;
+      case IDENTITY_CHECKS.PHONE:
+        state.phoneVerificationData = { verified: true, phoneNumber: details.phoneNumber, timestamp: completedAt, reused: true };
+        break;
+      case IDENTITY_CHECKS.SOCIAL:
+        state.socialVerificationData = {
+          verified: true,
+          platform: details.platform,
+          profileUrl: details.profileUrl,
+          timestamp: completedAt,
+          reused: true
+        };
+        break;
+      case IDENTITY_CHECKS.BACKGROUND_CHECK:
+        state.backgroundCheckId = details.checkId || null;
+        state.backgroundCheckStatus = 'passed';
+        state.backgroundCheckCompletedAt = completedAt;
+        state.isVerified = true;
+        break;
+    }
+  });
+
+  return state;
+}
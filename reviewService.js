@@ -0,0 +1,120 @@
+// src/services/reviewService.js
+import { apiService } from './api.js';
+import { errorHandler } from './ErrorHandler.js';
+import { t } from './i18n.js';
+
+/**
+ * What a reviewer can decide on a manual-review case
+ */
+export const REVIEW_DECISIONS = {
+  APPROVE: 'approve',
+  REJECT: 'reject',
+  REQUEST_INFO: 'request_info'
+};
+
+/**
+ * Where a manual-review case is; PENDING and INFO_REQUESTED cases are in the queue
+ */
+export const REVIEW_STATUSES = {
+  PENDING: 'pending',
+  INFO_REQUESTED: 'info_requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Reason codes a decision must give, per decision
+ * "other" needs a note explaining it.
+ */
+export const REVIEW_REASON_CODES = {
+  [REVIEW_DECISIONS.APPROVE]: ['identity_confirmed', 'booking_confirmed', 'flags_explained', 'other'],
+  [REVIEW_DECISIONS.REJECT]: ['identity_not_confirmed', 'booking_not_confirmed', 'suspected_fraud', 'stay_risk', 'other'],
+  [REVIEW_DECISIONS.REQUEST_INFO]: ['proof_of_address', 'booking_confirmation', 'government_id', 'stay_purpose', 'other']
+};
+
+/**
+ * Whether a case still needs a decision
+ * @param {Object} reviewCase - Case or queue entry
+ * @returns {boolean} Whether it is open
+ */
+export function isReviewOpen(reviewCase) {
+  return reviewCase.status === REVIEW_STATUSES.PENDING || reviewCase.status === REVIEW_STATUSES.INFO_REQUESTED;
+}
+
+/**
+ * Whether a decision needs a note
+ * Requests for information are sent to the guest, and "other" says nothing by itself.
+ * @param {string} decision - REVIEW_DECISIONS value
+ * @param {string} reasonCode - Reason code
+ * @returns {boolean} Whether a note is required
+ */
+export function isNoteRequired(decision, reasonCode) {
+  return decision === REVIEW_DECISIONS.REQUEST_INFO || reasonCode === 'other';
+}
+
+/**
+ * Service for reviewing manual-review verifications
+ * Only reviewer accounts may use it; the backend answers 403 to everyone else.
+ * Cases are identified by their verification ID.
+ */
+class ReviewService {
+  /**
+   * Cases waiting for a decision
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Array>} Queue entries, longest waiting first
+   */
+  async listQueue(options = {}) {
+    const result = await apiService.request('review/cases', 'GET', null, false, true, options);
+    return result.cases || [];
+  }
+
+  /**
+   * Get a case with the guest's answers, verification results and decisions
+   * @param {string} verificationId - Verification under review
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Case
+   */
+  async getCase(verificationId, options = {}) {
+    const result = await apiService.request(`review/cases/${encodeURIComponent(verificationId)}`, 'GET', null, false, true, options);
+    return result.case;
+  }
+
+  /**
+   * Record a decision on a case
+   * @param {string} verificationId - Verification under review
+   * @param {Object} decision - { decision, reasonCode, note }
+   * @returns {Promise<Object>} Updated case
+   * @throws {Error} If the reason code does not fit the decision or a required note is missing
+   */
+  async decide(verificationId, { decision, reasonCode, note = '' }) {
+    if (!REVIEW_REASON_CODES[decision]) {
+      throw errorHandler.createValidationError(t('review.decision.required'));
+    }
+    if (!REVIEW_REASON_CODES[decision].includes(reasonCode)) {
+      throw errorHandler.createValidationError(t('review.reason.required'));
+    }
+    if (isNoteRequired(decision, reasonCode) && !note.trim()) {
+      throw errorHandler.createValidationError(t('review.note.required'));
+    }
+
+    const result = await apiService.request(`review/cases/${encodeURIComponent(verificationId)}/decisions`, 'POST', {
+      decision,
+      reasonCode,
+      note: note.trim() || null
+    }, false, true);
+
+    return result.case;
+  }
+
+  /**
+   * Audit trail of decisions across all cases
+   * @returns {Promise<Array>} Decisions, newest first
+   */
+  async listDecisions() {
+    const result = await apiService.request('review/decisions', 'GET', null, false, true);
+    return result.decisions || [];
+  }
+}
+
+// Export a singleton instance
+export const reviewService = new ReviewService();
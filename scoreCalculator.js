@@ -1,97 +1,113 @@
 // src/services/scoreCalculator.js
 import { TRUST_LEVELS, TRUST_LEVEL_DISPLAY } from './constants.js';
+import { scoringRulesService, evaluateCondition } from './scoringRules.js';
+import { scoringProfilesService } from './scoringProfiles.js';
+import { BOOKING_MATCH_RESULTS } from './bookingMatch.js';
 
 /**
  * Calculate a trust score based on the user's form data and verification info
+ * Every deduction and bonus comes from the active (versioned) scoring rule set.
  * @param {Object} formData - Form data with user's answers
  * @param {Object} userIdentification - User identification data
- * @returns {Object} Result with score and deductions/bonuses
+ * @param {Object} [options] - Scoring options
+ * @param {Object} [options.ruleSet] - Rule set to apply (defaults to the active rule set)
+ * @param {Object} [options.profile] - Scoring profile whose rule overrides apply
+ * @param {Object} [options.bookingMatch] - Booking-match result from bookingMatchService
+ * @returns {Object} Result with score, deductions/bonuses, rule set version and profile
  */
-export function calculateScore(formData, userIdentification) {
-  // Start with 100 points
-  let totalScore = 100;
+export function calculateScore(formData, userIdentification, options = {}) {
+  const profile = options.profile || scoringProfilesService.getDefaultProfile();
+  const ruleSet = scoringProfilesService.applyToRuleSet(
+    options.ruleSet || scoringRulesService.getActiveRuleSet(),
+    profile
+  );
+  const facts = buildScoringFacts(formData, userIdentification, options.bookingMatch);
+  const matchedGroups = new Set();
   const scoreAdjustments = [];
   
-  // --- Apply deductions based on stay purpose ---
-  if (formData.stayPurpose === 'Special Occasion') {
-    totalScore -= 5;
-    scoreAdjustments.push({ reason: 'Special occasion/birthday', points: -5 });
-  }
-  
-  // --- Apply deductions based on guest count ---
-  if (formData.totalGuests > 5) {
-    totalScore -= 3;
-    scoreAdjustments.push({ reason: '6+ guests', points: -3 });
-  }
-  
-  // --- Apply deductions for non-overnight guests ---
-  if (formData.nonOvernightGuests) {
-    totalScore -= 2;
-    scoreAdjustments.push({ reason: 'Additional (non-overnight) visitors', points: -2 });
-  }
-  
-  // --- Apply deductions for traveling near home ---
-  if (formData.travelingNearHome) {
-    totalScore -= 3;
-    scoreAdjustments.push({ reason: 'Booking within 20 miles of home', points: -3 });
-  }
-  
-  // --- Apply deductions for first-time STR guests ---
-  if (!formData.usedSTRBefore) {
-    totalScore -= 5;
-    scoreAdjustments.push({ reason: 'First-time STR guest', points: -5 });
-  }
+  // --- Apply every rule whose condition holds ---
+  ruleSet.rules.forEach(rule => {
+    if (rule.enabled === false) return;
+    
+    // Only the first matching rule of an exclusive group applies
+    if (rule.exclusiveGroup && matchedGroups.has(rule.exclusiveGroup)) return;
+    
+    if (evaluateCondition(rule.when, facts)) {
+      if (rule.exclusiveGroup) {
+        matchedGroups.add(rule.exclusiveGroup);
+      }
+      scoreAdjustments.push({ ruleId: rule.id, reason: rule.reason, points: rule.points });
+    }
+  });
   
-  // --- Apply deductions for last-minute bookings ---
-  const daysUntilCheckIn = getDaysUntilCheckIn(formData.checkInDate);
-  if (daysUntilCheckIn !== null && daysUntilCheckIn <= 2) {
-    totalScore -= 3;
-    scoreAdjustments.push({ reason: 'Booking within 48 hours of check-in', points: -3 });
-  }
+  // --- Apply bonus/deduction caps ---
+  applyCaps(scoreAdjustments, ruleSet.caps);
   
-  // --- Apply bonus for children under 12 ---
-  if (formData.childrenUnder12) {
-    totalScore += 1;
-    scoreAdjustments.push({ reason: 'Group includes minors under 12', points: +1 });
-  }
+  const totalScore = scoreAdjustments.reduce(
+    (total, adjustment) => total + adjustment.points,
+    ruleSet.baseScore ?? 100
+  );
   
-  // --- Apply bonus for longer stays ---
-  const stayLength = getStayLength(formData.checkInDate, formData.checkOutDate);
-  if (stayLength > 7) {
-    totalScore += 2;
-    scoreAdjustments.push({ reason: 'Booking for over 7 nights', points: +2 });
-  }
+  // Set final score (min 0, max 100 unless the rule set says otherwise)
+  const finalScore = Math.max(ruleSet.minScore ?? 0, Math.min(ruleSet.maxScore ?? 100, totalScore));
   
-  // --- Apply bonus for verified platform profiles ---
-  if (userIdentification.platformData) {
-    if (userIdentification.platformData.reviewCount > 5) {
-      totalScore += 3;
-      scoreAdjustments.push({ reason: 'Well-reviewed on platform', points: +3 });
-    } else if (userIdentification.platformData.reviewCount > 0) {
-      totalScore += 1;
-      scoreAdjustments.push({ reason: 'Has platform reviews', points: +1 });
+  return { 
+    score: finalScore, 
+    adjustments: scoreAdjustments,
+    ruleSetVersion: ruleSet.version,
+    profileId: profile.id
+  };
+}
+
+/**
+ * Build the facts object scoring rule conditions are evaluated against
+ * @param {Object} formData - Form data with user's answers
+ * @param {Object} userIdentification - User identification data
+ * @param {Object} [bookingMatch] - Booking-match result
+ * @returns {Object} Facts for rule evaluation
+ */
+function buildScoringFacts(formData, userIdentification, bookingMatch) {
+  return {
+    formData: formData || {},
+    identity: userIdentification || {},
+    derived: {
+      daysUntilCheckIn: getDaysUntilCheckIn(formData?.checkInDate),
+      stayLength: getStayLength(formData?.checkInDate, formData?.checkOutDate),
+      bookingMatch: bookingMatch?.result || null
     }
-  }
+  };
+}
+
+/**
+ * Add cap adjustments when combined bonuses or deductions exceed the rule set caps
+ * @param {Array} adjustments - Score adjustments (mutated)
+ * @param {Object} caps - Caps definition ({ bonus, deduction })
+ */
+function applyCaps(adjustments, caps) {
+  if (!caps) return;
   
-  // --- Apply bonus for background check ---
-  if (userIdentification.idVerificationData?.verified) {
-    totalScore += 5;
-    scoreAdjustments.push({ reason: 'Verified background check', points: +5 });
-  }
+  const totalBonus = adjustments
+    .filter(adj => adj.points > 0)
+    .reduce((total, adj) => total + adj.points, 0);
+  const totalDeduction = adjustments
+    .filter(adj => adj.points < 0)
+    .reduce((total, adj) => total - adj.points, 0);
   
-  // --- Apply bonus for previous STR stays with links ---
-  if (formData.usedSTRBefore && formData.previousStayLinks.trim()) {
-    totalScore += 3;
-    scoreAdjustments.push({ reason: 'Previous stays provided with links', points: +3 });
+  if (typeof caps.bonus === 'number' && totalBonus > caps.bonus) {
+    adjustments.push({
+      ruleId: 'cap:bonus',
+      reason: `Bonus points capped at ${caps.bonus}`,
+      points: -(totalBonus - caps.bonus)
+    });
   }
   
-  // Set final score (min 0, max 100)
-  const finalScore = Math.max(0, Math.min(100, totalScore));
-  
-  return { 
-    score: finalScore, 
-    adjustments: scoreAdjustments 
-  };
+  if (typeof caps.deduction === 'number' && totalDeduction > caps.deduction) {
+    adjustments.push({
+      ruleId: 'cap:deduction',
+      reason: `Deductions capped at ${caps.deduction}`,
+      points: totalDeduction - caps.deduction
+    });
+  }
 }
 
 /**
@@ -137,15 +153,28 @@ function getStayLength(checkInDate, checkOutDate) {
 /**
  * Get the trust level based on score
  * @param {number} score - The trust score (0-100)
+ * @param {Object} [profile] - Scoring profile supplying the thresholds
  * @returns {string} Trust level identifier
  */
-export function getTrustLevel(score) {
-  if (score >= 85) return TRUST_LEVELS.VERIFIED;
-  if (score >= 70) return TRUST_LEVELS.REVIEW;
-  if (score >= 50) return TRUST_LEVELS.MANUAL_REVIEW;
+export function getTrustLevel(score, profile = scoringProfilesService.getDefaultProfile()) {
+  const { thresholds } = profile;
+  
+  if (score >= thresholds[TRUST_LEVELS.VERIFIED]) return TRUST_LEVELS.VERIFIED;
+  if (score >= thresholds[TRUST_LEVELS.REVIEW]) return TRUST_LEVELS.REVIEW;
+  if (score >= thresholds[TRUST_LEVELS.MANUAL_REVIEW]) return TRUST_LEVELS.MANUAL_REVIEW;
   return TRUST_LEVELS.NOT_ELIGIBLE;
 }
 
+/**
+ * Get the host-facing score range label for a score
+ * @param {number} score - The trust score (0-100)
+ * @param {Object} [profile] - Scoring profile supplying the thresholds
+ * @returns {string} Score range label (e.g. "85-100")
+ */
+export function getScoreRange(score, profile = scoringProfilesService.getDefaultProfile()) {
+  return scoringProfilesService.getScoreRanges(profile)[getTrustLevel(score, profile)];
+}
+
 /**
  * Get a display message for a trust level
  * @param {string} trustLevel - Trust level identifier
@@ -173,9 +202,10 @@ export function getResultMessage(trustLevel) {
 /**
  * Generate a host-facing neutral JSON summary for the user verification
  * @param {Object} verificationData - Complete verification data
+ * @param {Object} [profile] - Scoring profile the score was evaluated under
  * @returns {Object} Host-facing neutral JSON summary
  */
-export function generateHostSummary(verificationData) {
+export function generateHostSummary(verificationData, profile = scoringProfilesService.getDefaultProfile()) {
   const { 
     caslKeyId, 
     trustLevel, 
@@ -186,25 +216,24 @@ export function generateHostSummary(verificationData) {
     stayDetails 
   } = verificationData;
   
-  // Determine score range based on trust level
-  let scoreRange;
-  if (score >= 85) {
-    scoreRange = "85-100";
-  } else if (score >= 70) {
-    scoreRange = "70-84";
-  } else if (score >= 50) {
-    scoreRange = "50-69";
-  } else {
-    scoreRange = "Below 50";
-  }
+  // Determine score range from the profile's thresholds
+  const scoreRange = getScoreRange(score, profile);
   
   // Determine platform verification status
   const platformVerified = !!verification.verificationType && 
                          ['platform', 'screenshot', 'existing'].includes(verification.verificationType);
   
-  // Determine background check status (neutral language)
-  const backgroundCheckStatus = verification.backgroundCheckCompleted ? 
-                              "completed" : "not_completed";
+  // Determine background check status (neutral language - never pass/fail details)
+  let backgroundCheckStatus = "not_completed";
+  if (verification.backgroundCheckCompleted || verification.backgroundCheckStatus === 'passed') {
+    backgroundCheckStatus = "completed";
+  } else if (verification.backgroundCheckStatus === 'pending') {
+    backgroundCheckStatus = "in_progress";
+  }
+  
+  // Booking match against the host's reservation record (reason codes only)
+  const bookingMatch = verification.bookingMatch?.result || BOOKING_MATCH_RESULTS.UNVERIFIED;
+  const bookingMatchReasons = (verification.bookingMatch?.reasons || []).map(reason => reason.code);
   
   // Generate neutral flags (no personal information)
   const flags = {
@@ -215,45 +244,60 @@ export function generateHostSummary(verificationData) {
   };
   
   // Generate recommendation based on trust level (neutral language)
-  let recommendation = "";
-  let summary = "";
-  
-  switch(trustLevel) {
-    case TRUST_LEVELS.VERIFIED:
-      recommendation = "This guest meets CASL Key trust standards.";
-      summary = "ID verified. Platform account confirmed. No safety concerns flagged.";
-      break;
-    
-    case TRUST_LEVELS.REVIEW:
-      recommendation = "This guest is verified but has traits that may require additional context.";
-      summary = "ID verified. Some booking characteristics suggest reviewing context.";
-      break;
-    
-    case TRUST_LEVELS.MANUAL_REVIEW:
-      recommendation = "This guest is pending manual review. You'll be notified when complete.";
-      summary = "Guest has initiated verification process. Review in progress.";
-      break;
-    
-    case TRUST_LEVELS.NOT_ELIGIBLE:
-      recommendation = "This guest does not currently meet eligibility requirements.";
-      summary = "Not eligible at this time.";
-      break;
-  }
+  const { recommendation, summary } = getHostRecommendation(trustLevel);
   
   // Return host-facing neutral JSON summary (NO personal information)
   return {
     caslKeyId,
     trustLevel,
     scoreRange,
+    scoringProfile: profile.id,
     platformVerified,
     backgroundCheckStatus,
-    bookingMatch: true, // Assume booking matches for now
+    bookingMatch,
+    bookingMatchReasons,
     flags,
     recommendation,
     summary
   };
 }
 
+/**
+ * Get the neutral host-facing recommendation for a trust level
+ * @param {string} trustLevel - Trust level identifier
+ * @returns {Object} { recommendation, summary }
+ */
+export function getHostRecommendation(trustLevel) {
+  switch(trustLevel) {
+    case TRUST_LEVELS.VERIFIED:
+      return {
+        recommendation: "This guest meets CASL Key trust standards.",
+        summary: "ID verified. Platform account confirmed. No safety concerns flagged."
+      };
+    
+    case TRUST_LEVELS.REVIEW:
+      return {
+        recommendation: "This guest is verified but has traits that may require additional context.",
+        summary: "ID verified. Some booking characteristics suggest reviewing context."
+      };
+    
+    case TRUST_LEVELS.MANUAL_REVIEW:
+      return {
+        recommendation: "This guest is pending manual review. You'll be notified when complete.",
+        summary: "Guest has initiated verification process. Review in progress."
+      };
+    
+    case TRUST_LEVELS.NOT_ELIGIBLE:
+      return {
+        recommendation: "This guest does not currently meet eligibility requirements.",
+        summary: "Not eligible at this time."
+      };
+    
+    default:
+      return { recommendation: "", summary: "" };
+  }
+}
+
 /**
  * Check if a booking is last-minute (within 48 hours)
  * @param {string} checkInDate - Check-in date string
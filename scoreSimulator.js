@@ -0,0 +1,97 @@
+// src/services/scoreSimulator.js
+import { calculateScore, getTrustLevel } from './scoreCalculator.js';
+
+// The reservation the guest already holds; no suggestion may change it
+const BOOKING_FIELDS = ['platform', 'listingLink', 'checkInDate', 'checkOutDate'];
+
+/**
+ * Hypothetical changes a guest can make to raise their trust score
+ * Only actions the guest controls (verification methods, identity checks and
+ * what they share about themselves), never their booking. Each scenario
+ * returns the modified formData/userIdentification, or null when it does not
+ * apply to the guest's current situation.
+ */
+export const WHAT_IF_SCENARIOS = [
+  {
+    id: 'add-platform-profile',
+    label: 'Verify a well-reviewed platform profile',
+    description: 'Link an Airbnb or Vrbo profile with more than 5 reviews.',
+    apply: (formData, userIdentification) => {
+      if ((userIdentification.platformData?.reviewCount || 0) > 5) return null;
+      return {
+        formData,
+        userIdentification: {
+          ...userIdentification,
+          platformData: { ...(userIdentification.platformData || {}), reviewCount: 6 }
+        }
+      };
+    }
+  },
+  {
+    id: 'background-check',
+    label: 'Consent to a background check',
+    description: 'A completed background check verifies your identity.',
+    apply: (formData, userIdentification) => {
+      if (userIdentification.backgroundCheckStatus) return null;
+      return {
+        formData: { ...formData, consentToBackgroundCheck: true },
+        userIdentification: { ...userIdentification, backgroundCheckStatus: 'passed' }
+      };
+    }
+  },
+  {
+    id: 'previous-stay-links',
+    label: 'Add links to previous stays',
+    description: 'Share listings from short-term rentals you have stayed at before.',
+    apply: (formData, userIdentification) => {
+      if (!formData.usedSTRBefore || (formData.previousStayLinks || '').trim()) return null;
+      return {
+        formData: { ...formData, previousStayLinks: 'https://example.com/previous-stay' },
+        userIdentification
+      };
+    }
+  }
+];
+
+/**
+ * Rerun the score calculation against each what-if scenario
+ * @param {Object} formData - Current form data
+ * @param {Object} userIdentification - Current user identification data
+ * @param {Object} [options] - Scoring options passed to calculateScore ({ profile, ruleSet })
+ * @returns {Object} Baseline score/trust level and actions ranked by point gain
+ */
+export function simulateScoreImprovements(formData, userIdentification, options = {}) {
+  const baseline = calculateScore(formData, userIdentification, options);
+  const baselineTrustLevel = getTrustLevel(baseline.score, options.profile);
+
+  const actions = WHAT_IF_SCENARIOS
+    .map(scenario => {
+      const hypothetical = scenario.apply(formData, userIdentification || {});
+      if (!hypothetical) return null;
+      if (BOOKING_FIELDS.some(field => hypothetical.formData?.[field] !== formData?.[field])) return null;
+
+      const result = calculateScore(hypothetical.formData, hypothetical.userIdentification, options);
+      const pointGain = result.score - baseline.score;
+      if (pointGain <= 0) return null;
+
+      const trustLevel = getTrustLevel(result.score, options.profile);
+
+      return {
+        id: scenario.id,
+        label: scenario.label,
+        description: scenario.description,
+        pointGain,
+        score: result.score,
+        trustLevel,
+        raisesTrustLevel: trustLevel !== baselineTrustLevel
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.pointGain - a.pointGain);
+
+  return {
+    score: baseline.score,
+    trustLevel: baselineTrustLevel,
+    actions
+  };
+}
@@ -0,0 +1,247 @@
+// src/services/scoringProfiles.js
+import { configManager } from './ConfigManager.js';
+import { TRUST_LEVELS, DEFAULT_TRUST_THRESHOLDS, buildScoreRanges } from './constants.js';
+import { parsePlatformLink, LINK_TYPES } from './listingLinks.js';
+
+export const DEFAULT_PROFILE_ID = 'standard';
+
+/**
+ * Assignment key for a listing
+ * Listing links are keyed by their canonical ID ("airbnb:12345"), so every
+ * spelling of a listing URL (www., query string, trailing slash) finds the
+ * same profile. Keys that are not recognized listing links are kept as-is.
+ * @param {string} listing - Listing URL, canonical ID or other listing key
+ * @returns {string} Assignment key
+ */
+function toListingKey(listing) {
+  const parsed = parsePlatformLink(listing);
+  return parsed?.type === LINK_TYPES.LISTING && parsed.canonicalId ? parsed.canonicalId : String(listing).trim();
+}
+
+/**
+ * Built-in scoring profiles
+ * A profile combines trust-level thresholds with overrides for individual
+ * scoring rules (keyed by rule id). Overrides may change points, reason
+ * or condition, or disable a rule with { enabled: false }.
+ */
+export const DEFAULT_SCORING_PROFILES = {
+  standard: {
+    id: 'standard',
+    label: 'Standard',
+    description: 'Default CASL Key trust standards.',
+    thresholds: { ...DEFAULT_TRUST_THRESHOLDS },
+    ruleOverrides: {}
+  },
+  strict: {
+    id: 'strict',
+    label: 'Strict',
+    description: 'Higher bar for luxury or high-value listings.',
+    thresholds: {
+      [TRUST_LEVELS.VERIFIED]: 90,
+      [TRUST_LEVELS.REVIEW]: 78,
+      [TRUST_LEVELS.MANUAL_REVIEW]: 60
+    },
+    ruleOverrides: {}
+  },
+  'party-prone': {
+    id: 'party-prone',
+    label: 'Event-sensitive',
+    description: 'Weighs party risk factors more heavily for listings prone to unauthorized events.',
+    thresholds: {
+      [TRUST_LEVELS.VERIFIED]: 88,
+      [TRUST_LEVELS.REVIEW]: 75,
+      [TRUST_LEVELS.MANUAL_REVIEW]: 55
+    },
+    ruleOverrides: {
+      'special-occasion': { points: -10 },
+      'large-group': { points: -6 },
+      'non-overnight-guests': { points: -5 },
+      'local-booking': { points: -6 }
+    }
+  }
+};
+
+/**
+ * Service that resolves the scoring profile for a host or listing
+ * Profiles and assignments can be extended through ConfigManager
+ * (SCORING_PROFILES, SCORING_PROFILE_ASSIGNMENTS) or window.CASL_CONFIG.scoring.
+ */
+class ScoringProfilesService {
+  constructor() {
+    this.profiles = { ...DEFAULT_SCORING_PROFILES };
+    this.assignments = { hosts: {}, listings: {} };
+
+    this.loadConfiguredProfiles();
+  }
+
+  /**
+   * Merge profiles and assignments from configuration
+   */
+  loadConfiguredProfiles() {
+    const { profiles, assignments } = configManager.getScoringProfiles();
+
+    if (profiles) {
+      Object.keys(profiles).forEach(id => this.registerProfile({ id, ...profiles[id] }));
+    }
+
+    if (assignments) {
+      this.assignments = {
+        hosts: { ...(assignments.hosts || {}) },
+        listings: Object.fromEntries(
+          Object.entries(assignments.listings || {}).map(([listing, profileId]) => [toListingKey(listing), profileId])
+        )
+      };
+    }
+  }
+
+  /**
+   * Register (or replace) a scoring profile
+   * @param {Object} profile - Profile definition
+   * @returns {boolean} Whether the profile was accepted
+   */
+  registerProfile(profile) {
+    if (!profile?.id) {
+      console.warn('Scoring profile is missing an id:', profile);
+      return false;
+    }
+
+    const thresholds = {
+      ...DEFAULT_TRUST_THRESHOLDS,
+      ...(this.profiles[profile.id]?.thresholds || {}),
+      ...(profile.thresholds || {})
+    };
+
+    if (!this.areThresholdsValid(thresholds)) {
+      console.warn(`Scoring profile "${profile.id}" has invalid thresholds:`, thresholds);
+      return false;
+    }
+
+    this.profiles[profile.id] = {
+      label: profile.id,
+      description: '',
+      ruleOverrides: {},
+      ...this.profiles[profile.id],
+      ...profile,
+      thresholds
+    };
+
+    return true;
+  }
+
+  /**
+   * Thresholds must be descending and within 0-100
+   * @param {Object} thresholds - Minimum score per trust level
+   * @returns {boolean} Whether thresholds are usable
+   */
+  areThresholdsValid(thresholds) {
+    const verified = thresholds[TRUST_LEVELS.VERIFIED];
+    const review = thresholds[TRUST_LEVELS.REVIEW];
+    const manualReview = thresholds[TRUST_LEVELS.MANUAL_REVIEW];
+
+    return [verified, review, manualReview].every(value => typeof value === 'number' && value >= 0 && value <= 100) &&
+      verified > review && review > manualReview;
+  }
+
+  /**
+   * Assign a profile to a host
+   * @param {string} hostId - Host ID
+   * @param {string} profileId - Profile ID
+   */
+  assignToHost(hostId, profileId) {
+    this.assignments.hosts[hostId] = profileId;
+  }
+
+  /**
+   * Assign a profile to a listing
+   * @param {string} listing - Listing URL or canonical listing ID ("airbnb:12345")
+   * @param {string} profileId - Profile ID
+   */
+  assignToListing(listing, profileId) {
+    this.assignments.listings[toListingKey(listing)] = profileId;
+  }
+
+  /**
+   * Get a profile by ID
+   * @param {string} profileId - Profile ID
+   * @returns {Object} Profile (falls back to the default profile)
+   */
+  getProfile(profileId) {
+    return this.profiles[profileId] || this.profiles[DEFAULT_PROFILE_ID];
+  }
+
+  /**
+   * Get the default profile
+   * @returns {Object} Default profile
+   */
+  getDefaultProfile() {
+    return this.profiles[DEFAULT_PROFILE_ID];
+  }
+
+  /**
+   * Resolve the profile for a verification context
+   * An explicit profile wins, then a listing assignment, then a host assignment.
+   * @param {Object} context - Resolution context
+   * @param {string} [context.profileId] - Explicitly requested profile
+   * @param {string} [context.listingId] - Listing URL or canonical listing ID
+   * @param {string} [context.hostId] - Host ID
+   * @returns {Object} Resolved profile
+   */
+  resolveProfile({ profileId, listingId, hostId } = {}) {
+    if (profileId && this.profiles[profileId]) {
+      return this.profiles[profileId];
+    }
+
+    const listingProfile = listingId && this.assignments.listings[toListingKey(listingId)];
+    if (listingProfile && this.profiles[listingProfile]) {
+      return this.profiles[listingProfile];
+    }
+
+    const hostProfile = hostId && this.assignments.hosts[hostId];
+    if (hostProfile && this.profiles[hostProfile]) {
+      return this.profiles[hostProfile];
+    }
+
+    return this.getDefaultProfile();
+  }
+
+  /**
+   * Get the score range labels for a profile
+   * @param {Object} [profile] - Scoring profile
+   * @returns {Object} Score range label per trust level
+   */
+  getScoreRanges(profile = this.getDefaultProfile()) {
+    return buildScoreRanges(profile.thresholds);
+  }
+
+  /**
+   * Apply a profile's rule overrides to a rule set
+   * @param {Object} ruleSet - Base rule set
+   * @param {Object} [profile] - Scoring profile
+   * @returns {Object} Rule set with overrides applied
+   */
+  applyToRuleSet(ruleSet, profile) {
+    const overrides = profile?.ruleOverrides || {};
+
+    if (Object.keys(overrides).length === 0) {
+      return ruleSet;
+    }
+
+    return {
+      ...ruleSet,
+      rules: ruleSet.rules.map(rule =>
+        overrides[rule.id] ? { ...rule, ...overrides[rule.id], id: rule.id } : rule
+      )
+    };
+  }
+
+  /**
+   * List available profiles
+   * @returns {Array<Object>} Profiles
+   */
+  listProfiles() {
+    return Object.values(this.profiles);
+  }
+}
+
+// Export singleton instance
+export const scoringProfilesService = new ScoringProfilesService();
@@ -0,0 +1,389 @@
+// src/services/scoringRules.js
+import { configManager } from './ConfigManager.js';
+import { apiService } from './api.js';
+
+/**
+ * Default trust-score rule set
+ * Mirrors the weights the calculator shipped with before rules became data.
+ * Conditions reference "facts" built by the calculator:
+ *   formData.*, identity.* (user identification) and derived.* (computed values)
+ * derived.bookingMatch is the booking-match result ('match', 'partial',
+ * 'mismatch', 'unverified') or null when the booking has not been checked.
+ */
+export const DEFAULT_SCORING_RULES = {
+  version: '2024.3',
+  baseScore: 100,
+  minScore: 0,
+  maxScore: 100,
+  // Optional ceilings on the combined bonus / deduction points (null = no cap)
+  caps: {
+    bonus: null,
+    deduction: null
+  },
+  rules: [
+    {
+      id: 'special-occasion',
+      reason: 'Special occasion/birthday',
+      points: -5,
+      when: { fact: 'formData.stayPurpose', op: 'eq', value: 'Special Occasion' }
+    },
+    {
+      id: 'large-group',
+      reason: '6+ guests',
+      points: -3,
+      when: { fact: 'formData.totalGuests', op: 'gt', value: 5 }
+    },
+    {
+      id: 'non-overnight-guests',
+      reason: 'Additional (non-overnight) visitors',
+      points: -2,
+      when: { fact: 'formData.nonOvernightGuests', op: 'truthy' }
+    },
+    {
+      id: 'local-booking',
+      reason: 'Booking within 20 miles of home',
+      points: -3,
+      when: { fact: 'formData.travelingNearHome', op: 'truthy' }
+    },
+    {
+      id: 'first-time-str',
+      reason: 'First-time STR guest',
+      points: -5,
+      when: { fact: 'formData.usedSTRBefore', op: 'falsy' }
+    },
+    {
+      id: 'last-minute-booking',
+      reason: 'Booking within 48 hours of check-in',
+      points: -3,
+      when: { fact: 'derived.daysUntilCheckIn', op: 'lte', value: 2 }
+    },
+    {
+      id: 'booking-mismatch',
+      reason: 'Booking does not match the host\'s reservation',
+      points: -10,
+      when: { fact: 'derived.bookingMatch', op: 'eq', value: 'mismatch' }
+    },
+    {
+      id: 'booking-partial-match',
+      reason: 'Booking partially matches the host\'s reservation',
+      points: -3,
+      when: { fact: 'derived.bookingMatch', op: 'eq', value: 'partial' }
+    },
+    {
+      id: 'children-under-12',
+      reason: 'Group includes minors under 12',
+      points: 1,
+      when: { fact: 'formData.childrenUnder12', op: 'truthy' }
+    },
+    {
+      id: 'long-stay',
+      reason: 'Booking for over 7 nights',
+      points: 2,
+      when: { fact: 'derived.stayLength', op: 'gt', value: 7 }
+    },
+    {
+      id: 'platform-well-reviewed',
+      reason: 'Well-reviewed on platform',
+      points: 3,
+      exclusiveGroup: 'platform-reviews',
+      when: { fact: 'identity.platformData.reviewCount', op: 'gt', value: 5 }
+    },
+    {
+      id: 'platform-has-reviews',
+      reason: 'Has platform reviews',
+      points: 1,
+      exclusiveGroup: 'platform-reviews',
+      when: { fact: 'identity.platformData.reviewCount', op: 'gt', value: 0 }
+    },
+    {
+      id: 'background-check-verified',
+      reason: 'Verified background check',
+      points: 5,
+      when: {
+        any: [
+          { fact: 'identity.idVerificationData.verified', op: 'truthy' },
+          { fact: 'identity.backgroundCheckStatus', op: 'eq', value: 'passed' }
+        ]
+      }
+    },
+    {
+      id: 'previous-stay-links',
+      reason: 'Previous stays provided with links',
+      points: 3,
+      when: {
+        all: [
+          { fact: 'formData.usedSTRBefore', op: 'truthy' },
+          { fact: 'formData.previousStayLinks', op: 'notBlank' }
+        ]
+      }
+    }
+  ]
+};
+
+const SUPPORTED_OPERATORS = [
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn',
+  'truthy', 'falsy', 'exists', 'notBlank'
+];
+
+/**
+ * Evaluate a declarative rule condition against a set of facts
+ * Conditions are either a leaf ({ fact, op, value }) or a group
+ * ({ all: [...] } / { any: [...] } / { not: {...} }).
+ * @param {Object} condition - Condition definition
+ * @param {Object} facts - Facts to evaluate against
+ * @returns {boolean} Whether the condition holds
+ */
+export function evaluateCondition(condition, facts) {
+  if (!condition) return true;
+
+  if (Array.isArray(condition.all)) {
+    return condition.all.every(child => evaluateCondition(child, facts));
+  }
+
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(child => evaluateCondition(child, facts));
+  }
+
+  if (condition.not) {
+    return !evaluateCondition(condition.not, facts);
+  }
+
+  const actual = resolveFact(facts, condition.fact);
+  const expected = condition.value;
+
+  switch (condition.op) {
+    case 'eq':
+      return actual === expected;
+    case 'neq':
+      return actual !== expected;
+    case 'gt':
+      return actual !== null && actual !== undefined && Number(actual) > expected;
+    case 'gte':
+      return actual !== null && actual !== undefined && Number(actual) >= expected;
+    case 'lt':
+      return actual !== null && actual !== undefined && Number(actual) < expected;
+    case 'lte':
+      return actual !== null && actual !== undefined && Number(actual) <= expected;
+    case 'in':
+      return Array.isArray(expected) && expected.includes(actual);
+    case 'notIn':
+      return Array.isArray(expected) && !expected.includes(actual);
+    case 'truthy':
+      return !!actual;
+    case 'falsy':
+      return !actual;
+    case 'exists':
+      return actual !== null && actual !== undefined;
+    case 'notBlank':
+      return typeof actual === 'string' && actual.trim().length > 0;
+    default:
+      console.warn(`Unknown scoring rule operator "${condition.op}"`);
+      return false;
+  }
+}
+
+/**
+ * Resolve a dotted fact path (e.g. "identity.platformData.reviewCount")
+ * @param {Object} facts - Facts object
+ * @param {string} path - Dotted path
+ * @returns {*} Resolved value or undefined
+ */
+function resolveFact(facts, path) {
+  if (!path) return undefined;
+
+  return path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    facts
+  );
+}
+
+/**
+ * Validate the shape of a rule set
+ * @param {Object} ruleSet - Rule set to validate
+ * @returns {Array<string>} List of problems (empty if valid)
+ */
+export function validateRuleSet(ruleSet) {
+  const problems = [];
+
+  if (!ruleSet || typeof ruleSet !== 'object') {
+    return ['Rule set must be an object'];
+  }
+
+  if (!ruleSet.version) {
+    problems.push('Rule set is missing a version');
+  }
+
+  if (!Array.isArray(ruleSet.rules)) {
+    problems.push('Rule set must contain a rules array');
+    return problems;
+  }
+
+  const seenIds = new Set();
+
+  ruleSet.rules.forEach((rule, index) => {
+    const label = rule?.id || `#${index}`;
+
+    if (!rule?.id) {
+      problems.push(`Rule ${label} is missing an id`);
+    } else if (seenIds.has(rule.id)) {
+      problems.push(`Rule ${label} is defined more than once`);
+    } else {
+      seenIds.add(rule.id);
+    }
+
+    if (typeof rule?.points !== 'number' || isNaN(rule.points)) {
+      problems.push(`Rule ${label} must have numeric points`);
+    }
+
+    if (!rule?.reason) {
+      problems.push(`Rule ${label} is missing a reason`);
+    }
+
+    collectConditionProblems(rule?.when, label, problems);
+  });
+
+  return problems;
+}
+
+/**
+ * Collect problems from a condition tree
+ * @param {Object} condition - Condition to inspect
+ * @param {string} label - Rule label for messages
+ * @param {Array<string>} problems - Problems accumulator
+ */
+function collectConditionProblems(condition, label, problems) {
+  if (!condition) return;
+
+  if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+    (condition.all || condition.any).forEach(child =>
+      collectConditionProblems(child, label, problems)
+    );
+    return;
+  }
+
+  if (condition.not) {
+    collectConditionProblems(condition.not, label, problems);
+    return;
+  }
+
+  if (!condition.fact) {
+    problems.push(`Rule ${label} has a condition without a fact`);
+  }
+
+  if (!SUPPORTED_OPERATORS.includes(condition.op)) {
+    problems.push(`Rule ${label} uses unsupported operator "${condition.op}"`);
+  }
+}
+
+/**
+ * Service that resolves the active trust-score rule set
+ * Sources, in order of precedence: the /scoring-rules endpoint,
+ * ConfigManager (SCORING_RULES), then the bundled defaults.
+ */
+class ScoringRulesService {
+  constructor() {
+    this.activeRuleSet = DEFAULT_SCORING_RULES;
+    this.source = 'default';
+    this.loadPromise = null;
+
+    // Pick up configured rules synchronously so the first score is correct
+    this.applyConfiguredRules();
+  }
+
+  /**
+   * Load rules from configuration and the API
+   * Safe to call repeatedly; the remote fetch only happens once.
+   * @returns {Promise<Object>} Active rule set
+   */
+  async init() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.loadRemoteRules();
+    }
+
+    await this.loadPromise;
+    return this.activeRuleSet;
+  }
+
+  /**
+   * Apply a rule set provided through ConfigManager, if any
+   */
+  applyConfiguredRules() {
+    const configured = configManager.getScoringRules();
+    if (configured) {
+      this.setRuleSet(configured, 'config');
+    }
+  }
+
+  /**
+   * Fetch the rule set from the /scoring-rules endpoint
+   */
+  async loadRemoteRules() {
+    if (!configManager.get('SCORING_RULES_REMOTE', true)) {
+      return;
+    }
+
+    try {
+      const result = await apiService.getScoringRules();
+      const ruleSet = result?.ruleSet || result;
+
+      if (ruleSet && ruleSet.rules) {
+        this.setRuleSet(ruleSet, 'remote');
+      }
+    } catch (error) {
+      // Keep the configured/default rules if the endpoint is unavailable
+      console.warn('Could not load scoring rules from API, using local rules:', error.message);
+    }
+  }
+
+  /**
+   * Replace the active rule set after validating it
+   * @param {Object} ruleSet - Rule set definition
+   * @param {string} source - Where the rule set came from
+   * @returns {boolean} Whether the rule set was accepted
+   */
+  setRuleSet(ruleSet, source = 'custom') {
+    const problems = validateRuleSet(ruleSet);
+
+    if (problems.length > 0) {
+      console.warn(`Rejected scoring rule set from ${source}:`, problems);
+      return false;
+    }
+
+    this.activeRuleSet = {
+      ...DEFAULT_SCORING_RULES,
+      ...ruleSet,
+      caps: { ...DEFAULT_SCORING_RULES.caps, ...(ruleSet.caps || {}) }
+    };
+    this.source = source;
+
+    return true;
+  }
+
+  /**
+   * Get the active rule set
+   * @returns {Object} Rule set
+   */
+  getActiveRuleSet() {
+    return this.activeRuleSet;
+  }
+
+  /**
+   * Get the version of the active rule set
+   * @returns {string} Rule set version
+   */
+  getVersion() {
+    return this.activeRuleSet.version;
+  }
+
+  /**
+   * Restore the bundled default rules
+   */
+  reset() {
+    this.activeRuleSet = DEFAULT_SCORING_RULES;
+    this.source = 'default';
+    this.loadPromise = null;
+  }
+}
+
+// Export singleton instance
+export const scoringRulesService = new ScoringRulesService();
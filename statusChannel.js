@@ -0,0 +1,472 @@
+// src/services/statusChannel.js
+import { configManager } from './ConfigManager.js';
+import { errorHandler } from './ErrorHandler.js';
+import { apiService } from './api.js';
+import { getBackoffDelay, isCancelled } from './httpClient.js';
+
+/**
+ * Topics published on the status channel, one per long-running verification flow
+ */
+export const STATUS_TOPICS = {
+  SCREENSHOT: 'screenshot',
+  GOVERNMENT_ID: 'government-id',
+  BACKGROUND_CHECK: 'background-check',
+  APPEAL: 'appeal'
+};
+
+export const STATUS_TRANSPORTS = {
+  WEBSOCKET: 'websocket',
+  SSE: 'sse',
+  POLLING: 'polling'
+};
+
+// Jittered backoff between push reconnect attempts
+const RECONNECT_POLICY = { baseDelay: 1000, maxDelay: 30000 };
+
+// Each poll waits this much longer than the previous one
+const POLL_BACKOFF_FACTOR = 1.5;
+
+// Topics that are not given up on after STATUS_MAX_DURATION: background checks
+// (a "consider" result waits for the provider's adjudication) and appeals take
+// days, so they are followed for as long as the page stays open
+const UNBOUNDED_TOPICS = [STATUS_TOPICS.BACKGROUND_CHECK, STATUS_TOPICS.APPEAL];
+
+/**
+ * How long a topic's subscriptions wait for a final status
+ * @param {string} topic - One of STATUS_TOPICS
+ * @returns {number|null} Milliseconds, or null for no limit
+ */
+function getMaxDuration(topic) {
+  return UNBOUNDED_TOPICS.includes(topic) ? null : configManager.get('STATUS_MAX_DURATION', 600000);
+}
+
+/**
+ * Shared status subscription service
+ * Every pending verification (screenshot, government ID, background check)
+ * and appeal subscribes here instead of running its own timers. One push connection
+ * (WebSocket, else Server-Sent Events) carries all subscriptions. While it
+ * is down - connecting, reconnecting, or abandoned after
+ * STATUS_CHANNEL_RECONNECT_ATTEMPTS - each subscription polls its status
+ * endpoint with a growing interval. A subscription ends on a final status,
+ * when unsubscribed, after STATUS_POLL_MAX_FAILURES consecutive poll
+ * failures, or after its topic's maximum duration (STATUS_MAX_DURATION for
+ * the checks that finish within minutes).
+ *
+ * Wire protocol: the server sends JSON messages { topic, id, data }, and
+ * sends the current status when a subscription starts so nothing is missed
+ * across reconnects. WebSocket clients send { type: 'subscribe'|'unsubscribe',
+ * topic, id }; SSE clients list "topic:id" subscriptions in the stream URL.
+ */
+class StatusChannel {
+  constructor() {
+    this.subscriptions = new Map();
+    this.nextSubscriptionId = 1;
+
+    this.transport = null;
+    this.connection = null;
+    this.connected = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pushUnavailable = false;
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      // Give push another chance when the network comes back
+      window.addEventListener('online', () => {
+        this.pushUnavailable = false;
+        this.reconnectAttempts = 0;
+        this.connect();
+      });
+    }
+  }
+
+  /**
+   * Follow the status of a pending verification
+   * @param {Object} subscription - Subscription options
+   * @param {string} subscription.topic - One of STATUS_TOPICS
+   * @param {string} subscription.id - ID of the verification (user ID, check ID, ...)
+   * @param {Function} subscription.poll - (requestOptions) => Promise<status>, used while push is down
+   * @param {Function} subscription.isFinal - (status) => boolean; the subscription ends on a final status
+   * @param {Function} subscription.onUpdate - (status, { final }) => void
+   * @param {Function} [subscription.onError] - (error) => void when the subscription gives up
+   * @param {Function} [subscription.parseMessage] - Converts pushed data into the shape poll() resolves with
+   * @param {number|null} [subscription.maxDuration] - Milliseconds before giving up (null for no limit);
+   *   defaults to the topic's
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe({ topic, id, poll, isFinal, onUpdate, onError = null, parseMessage = null, maxDuration = getMaxDuration(topic) }) {
+    const subscription = {
+      subscriptionId: this.nextSubscriptionId++,
+      key: `${topic}:${id}`,
+      topic,
+      id,
+      poll,
+      isFinal,
+      onUpdate,
+      onError,
+      parseMessage,
+      interval: configManager.get('VERIFICATION_POLL_INTERVAL', 3000),
+      failures: 0,
+      polling: false,
+      pollTimer: null,
+      deadlineTimer: null
+    };
+
+    // Polls run in their own cancellation group so unsubscribing aborts them
+    subscription.group = `status-channel:${subscription.subscriptionId}`;
+
+    if (maxDuration !== null) {
+      subscription.deadlineTimer = setTimeout(() => {
+        this.fail(subscription, errorHandler.createApiError(
+          'Verification is taking longer than expected. Please check back later.',
+          504
+        ));
+      }, maxDuration);
+    }
+
+    this.subscriptions.set(subscription.subscriptionId, subscription);
+
+    if (!this.connection) {
+      this.connect();
+    } else if (this.transport === STATUS_TRANSPORTS.SSE) {
+      this.reopenEventSource();
+    } else if (this.connected) {
+      this.sendSubscription('subscribe', subscription);
+    }
+
+    this.schedulePoll(subscription, subscription.interval);
+
+    return () => this.unsubscribe(subscription);
+  }
+
+  /**
+   * End a subscription
+   * @param {Object} subscription - Subscription
+   */
+  unsubscribe(subscription) {
+    if (!this.subscriptions.delete(subscription.subscriptionId)) return;
+
+    clearTimeout(subscription.pollTimer);
+    clearTimeout(subscription.deadlineTimer);
+    apiService.cancelRequests(subscription.group);
+
+    if (this.subscriptions.size === 0) {
+      this.disconnect();
+    } else if (this.transport === STATUS_TRANSPORTS.SSE && this.connection) {
+      this.reopenEventSource();
+    } else if (this.connected && !this.hasSubscriptionFor(subscription.key)) {
+      this.sendSubscription('unsubscribe', subscription);
+    }
+  }
+
+  /**
+   * Get the transport currently delivering status updates
+   * @returns {string} One of STATUS_TRANSPORTS
+   */
+  getTransport() {
+    return this.connected ? this.transport : STATUS_TRANSPORTS.POLLING;
+  }
+
+  /**
+   * Pick the push transport from STATUS_CHANNEL_TRANSPORT and browser support
+   * @returns {string|null} Push transport, or null to poll only
+   */
+  getPushTransport() {
+    const preferred = configManager.get('STATUS_CHANNEL_TRANSPORT', 'auto');
+    const hasWebSocket = typeof WebSocket !== 'undefined';
+    const hasEventSource = typeof EventSource !== 'undefined';
+
+    if (preferred === STATUS_TRANSPORTS.POLLING) return null;
+    if (preferred === STATUS_TRANSPORTS.WEBSOCKET) return hasWebSocket ? preferred : null;
+    if (preferred === STATUS_TRANSPORTS.SSE) return hasEventSource ? preferred : null;
+
+    if (hasWebSocket) return STATUS_TRANSPORTS.WEBSOCKET;
+    if (hasEventSource) return STATUS_TRANSPORTS.SSE;
+    return null;
+  }
+
+  /**
+   * Open the push connection if there is anything to follow
+   */
+  connect() {
+    if (this.connection || this.reconnectTimer || this.pushUnavailable || this.subscriptions.size === 0) {
+      return;
+    }
+
+    this.transport = this.getPushTransport();
+    if (!this.transport) {
+      this.pushUnavailable = true;
+      return;
+    }
+
+    try {
+      this.connection = this.transport === STATUS_TRANSPORTS.WEBSOCKET
+        ? this.openWebSocket()
+        : this.openEventSource();
+    } catch (error) {
+      console.warn('Could not open status channel:', error.message);
+      this.connection = null;
+      this.handleDrop(null);
+    }
+  }
+
+  /**
+   * Close the push connection
+   */
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+
+    const connection = this.connection;
+    this.connection = null;
+    this.connected = false;
+
+    if (connection) {
+      connection.close();
+    }
+  }
+
+  /**
+   * Open a WebSocket status connection
+   * @returns {WebSocket} Socket
+   */
+  openWebSocket() {
+    const baseUrl = configManager.getApiBaseUrl().replace(/^http/, 'ws');
+    const socket = new WebSocket(`${baseUrl}/status/socket`);
+
+    socket.onopen = () => {
+      if (socket !== this.connection) return;
+
+      this.getSubscriptionsByKey().forEach(subscription => this.sendSubscription('subscribe', subscription));
+      this.handleOpen();
+    };
+    socket.onmessage = event => this.handleMessage(event.data);
+    // An error is always followed by close, so close alone drives reconnects
+    socket.onclose = () => this.handleDrop(socket);
+
+    return socket;
+  }
+
+  /**
+   * Open a Server-Sent Events status stream for the current subscriptions
+   * @returns {EventSource} Event source
+   */
+  openEventSource() {
+    const query = new URLSearchParams();
+    this.getSubscriptionsByKey().forEach(subscription => query.append('subscribe', subscription.key));
+
+    const source = new EventSource(`${configManager.getApiBaseUrl()}/status/stream?${query.toString()}`, {
+      withCredentials: true
+    });
+
+    source.onopen = () => {
+      if (source === this.connection) this.handleOpen();
+    };
+    source.onmessage = event => this.handleMessage(event.data);
+    source.onerror = () => {
+      // Reconnects are ours to schedule, not EventSource's
+      source.close();
+      this.handleDrop(source);
+    };
+
+    return source;
+  }
+
+  /**
+   * Replace the SSE stream after the subscription list changed
+   * EventSource cannot send, so the new list goes in a new stream URL.
+   */
+  reopenEventSource() {
+    const previous = this.connection;
+    this.connection = this.openEventSource();
+    previous.close();
+  }
+
+  /**
+   * Send a subscribe/unsubscribe frame over the WebSocket
+   * @param {string} type - 'subscribe' or 'unsubscribe'
+   * @param {Object} subscription - Subscription
+   */
+  sendSubscription(type, subscription) {
+    if (this.transport !== STATUS_TRANSPORTS.WEBSOCKET) return;
+
+    this.connection.send(JSON.stringify({
+      type,
+      topic: subscription.topic,
+      id: subscription.id
+    }));
+  }
+
+  /**
+   * Push connection is up: it takes over from polling
+   */
+  handleOpen() {
+    this.connected = true;
+    this.reconnectAttempts = 0;
+
+    this.subscriptions.forEach(subscription => {
+      clearTimeout(subscription.pollTimer);
+      subscription.pollTimer = null;
+    });
+  }
+
+  /**
+   * Deliver a pushed status message to its subscriptions
+   * @param {string} raw - Message body
+   */
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      console.warn('Ignoring malformed status message');
+      return;
+    }
+
+    [...this.subscriptions.values()]
+      .filter(subscription => subscription.key === `${message.topic}:${message.id}`)
+      .forEach(subscription => {
+        const data = subscription.parseMessage ? subscription.parseMessage(message.data) : message.data;
+        this.deliver(subscription, data);
+      });
+  }
+
+  /**
+   * Push connection closed or failed: poll and schedule a reconnect
+   * @param {WebSocket|EventSource|null} connection - Connection that dropped
+   */
+  handleDrop(connection) {
+    // Ignore connections we replaced or closed on purpose
+    if (connection && connection !== this.connection) return;
+
+    this.connection = null;
+    this.connected = false;
+
+    if (this.subscriptions.size === 0) return;
+
+    // Poll right away to catch up on anything missed while the connection was failing
+    this.subscriptions.forEach(subscription => this.schedulePoll(subscription, 0));
+
+    const maxAttempts = configManager.get('STATUS_CHANNEL_RECONNECT_ATTEMPTS', 5);
+    if (this.reconnectAttempts >= maxAttempts) {
+      console.warn('Status channel unavailable, falling back to polling');
+      this.pushUnavailable = true;
+      return;
+    }
+
+    const delay = getBackoffDelay(this.reconnectAttempts++, RECONNECT_POLICY);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * Schedule the next poll for a subscription (only while push is down)
+   * @param {Object} subscription - Subscription
+   * @param {number} delay - Delay in milliseconds
+   */
+  schedulePoll(subscription, delay) {
+    if (this.connected || subscription.pollTimer || subscription.polling) return;
+
+    subscription.pollTimer = setTimeout(() => {
+      subscription.pollTimer = null;
+      this.pollOnce(subscription);
+    }, delay);
+  }
+
+  /**
+   * Poll a subscription's status endpoint once
+   * Failed polls back off like successful ones; the subscription only gives
+   * up after STATUS_POLL_MAX_FAILURES consecutive failures.
+   * @param {Object} subscription - Subscription
+   */
+  async pollOnce(subscription) {
+    if (this.connected || !this.subscriptions.has(subscription.subscriptionId)) return;
+
+    subscription.polling = true;
+
+    try {
+      const status = await subscription.poll({ group: subscription.group });
+      subscription.failures = 0;
+      this.deliver(subscription, status);
+    } catch (error) {
+      if (isCancelled(error)) return;
+
+      subscription.failures++;
+      if (subscription.failures >= configManager.get('STATUS_POLL_MAX_FAILURES', 3)) {
+        this.fail(subscription, error);
+        return;
+      }
+    } finally {
+      subscription.polling = false;
+    }
+
+    if (!this.subscriptions.has(subscription.subscriptionId)) return;
+
+    subscription.interval = Math.min(
+      subscription.interval * POLL_BACKOFF_FACTOR,
+      configManager.get('STATUS_POLL_MAX_INTERVAL', 30000)
+    );
+    this.schedulePoll(subscription, subscription.interval);
+  }
+
+  /**
+   * Hand a status to its subscriber, ending the subscription on a final status
+   * @param {Object} subscription - Subscription
+   * @param {Object} status - Status from a poll or push message
+   */
+  deliver(subscription, status) {
+    if (!status || !this.subscriptions.has(subscription.subscriptionId)) return;
+
+    const final = subscription.isFinal(status);
+    if (final) {
+      this.unsubscribe(subscription);
+    }
+
+    try {
+      subscription.onUpdate(status, { final });
+    } catch (error) {
+      console.error('Error in status listener:', error);
+    }
+  }
+
+  /**
+   * Give up on a subscription and report why
+   * @param {Object} subscription - Subscription
+   * @param {Error} error - Reason
+   */
+  fail(subscription, error) {
+    if (!this.subscriptions.has(subscription.subscriptionId)) return;
+
+    this.unsubscribe(subscription);
+
+    if (subscription.onError) {
+      subscription.onError(error);
+    } else {
+      errorHandler.handleError(error);
+    }
+  }
+
+  /**
+   * Check whether any subscription still follows a topic/ID
+   * @param {string} key - "topic:id"
+   * @returns {boolean} Whether the key is still subscribed
+   */
+  hasSubscriptionFor(key) {
+    return [...this.subscriptions.values()].some(subscription => subscription.key === key);
+  }
+
+  /**
+   * Get one subscription per distinct topic/ID
+   * @returns {Array<Object>} Subscriptions
+   */
+  getSubscriptionsByKey() {
+    const byKey = new Map();
+    this.subscriptions.forEach(subscription => byKey.set(subscription.key, subscription));
+    return [...byKey.values()];
+  }
+}
+
+// Export singleton instance
+export const statusChannel = new StatusChannel();
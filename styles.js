@@ -411,6 +411,547 @@ export function getStyles() {
      margin-right: 10px;
    }
    
+   .badge-token {
+     width: 100%;
+     font-family: monospace;
+     font-size: 12px;
+     word-break: break-all;
+     margin: 8px 0;
+   }
+   
+   .score-simulator {
+     margin-top: 15px;
+   }
+   
+   .score-simulator-panel {
+     background-color: #f5f5f5;
+     border: 1px solid #ddd;
+     border-radius: var(--border-radius);
+     padding: 15px;
+     margin-top: 10px;
+   }
+   
+   .score-simulator-panel h3 {
+     margin-top: 0;
+     font-size: 16px;
+     color: #333;
+   }
+   
+   .score-simulator-actions {
+     padding-left: 20px;
+   }
+   
+   .score-simulator-action {
+     display: flex;
+     justify-content: space-between;
+     align-items: flex-start;
+     gap: 10px;
+     margin-bottom: 10px;
+   }
+   
+   .score-simulator-action p {
+     margin: 4px 0 0;
+   }
+   
+   .host-lookup-form textarea {
+     width: 100%;
+     font-family: monospace;
+     font-size: 13px;
+     word-break: break-all;
+   }
+   
+   .host-lookup-actions {
+     display: flex;
+     gap: 10px;
+     margin: 10px 0 20px;
+   }
+   
+   .host-summary {
+     border: 1px solid #ddd;
+     border-radius: var(--border-radius);
+     padding: 15px;
+   }
+   
+   .host-summary-expired {
+     opacity: 0.6;
+   }
+   
+   .host-summary-header {
+     display: flex;
+     flex-wrap: wrap;
+     align-items: center;
+     gap: 10px;
+   }
+   
+   .host-summary h3 {
+     font-size: 16px;
+     margin-bottom: 5px;
+   }
+   
+   .host-summary-flags {
+     padding-left: 20px;
+   }
+   
+   .host-lookup-expiry {
+     font-size: 14px;
+     color: #555;
+   }
+   
+   .password-requirements {
+     font-size: 14px;
+     color: #555;
+     padding-left: 20px;
+   }
+   
+   .password-requirements li.met {
+     color: var(--success-color);
+   }
+   
+   .password-requirements li.met::after {
+     content: " \\2713";
+   }
+   
+   .mfa-qr {
+     display: flex;
+     justify-content: center;
+     margin: 15px 0;
+   }
+   
+   .mfa-secret,
+   .mfa-recovery-codes {
+     font-family: monospace;
+     font-size: 16px;
+     letter-spacing: 1px;
+     word-break: break-all;
+   }
+   
+   .mfa-recovery-codes {
+     display: grid;
+     grid-template-columns: repeat(2, 1fr);
+     gap: 8px;
+     list-style: none;
+     padding: 15px;
+     background-color: #f5f5f5;
+     border: 1px solid #ddd;
+     border-radius: var(--border-radius);
+   }
+   
+   /* Passkeys */
+   .passkey-list {
+     list-style: none;
+     padding: 0;
+     margin: 0 0 15px;
+   }
+   
+   .passkey-item {
+     display: flex;
+     justify-content: space-between;
+     align-items: center;
+     padding: 10px 0;
+     border-bottom: 1px solid #ddd;
+   }
+   
+   .passkey-meta {
+     display: block;
+     font-size: 14px;
+     color: #666;
+   }
+   
+   /* Verification history controls */
+   .history-controls {
+     display: flex;
+     flex-wrap: wrap;
+     align-items: flex-end;
+     gap: 10px 15px;
+     margin-bottom: 15px;
+   }
+   
+   .history-controls .form-group {
+     margin-bottom: 0;
+   }
+   
+   .history-pager {
+     display: flex;
+     justify-content: center;
+     align-items: center;
+     gap: 15px;
+     margin-top: 15px;
+   }
+   
+   .verification-expiry.expiring {
+     color: var(--warning-color);
+   }
+   
+   .verification-expiry.expired {
+     color: var(--error-color);
+   }
+   
+   .info-request {
+     margin-top: 10px;
+     padding: 10px;
+     border-left: 3px solid var(--warning-color);
+   }
+   
+   /* Renewal reminders */
+   .renewal-reminders {
+     margin-bottom: 20px;
+   }
+   
+   .renewal-reminder {
+     display: flex;
+     flex-wrap: wrap;
+     justify-content: space-between;
+     align-items: center;
+     gap: 10px;
+   }
+   
+   .renewal-reminder-actions {
+     display: flex;
+     gap: 10px;
+   }
+   
+   .renewal-notice ul {
+     margin: 5px 0 0;
+     padding-left: 20px;
+   }
+   
+   /* Reapply cooldown */
+   .reapply-cooldown {
+     padding: 20px;
+     margin-bottom: 20px;
+     border: 1px solid #ddd;
+     border-left: 4px solid var(--warning-color);
+     border-radius: 4px;
+   }
+   
+   .cooldown-countdown {
+     display: flex;
+     flex-wrap: wrap;
+     align-items: baseline;
+     gap: 10px;
+   }
+   
+   .cooldown-countdown #cooldown-remaining {
+     font-size: 1.5em;
+     font-weight: bold;
+   }
+   
+   .cooldown-support {
+     margin-top: 15px;
+   }
+   
+   /* Appeals */
+   .verification-appeal {
+     padding: 20px;
+     margin: 20px 0;
+     border: 1px solid #ddd;
+     border-radius: 4px;
+   }
+   
+   .appeal-disputes {
+     border: none;
+     padding: 0;
+     margin: 0 0 20px;
+   }
+   
+   .appeal-dispute {
+     padding: 10px 0;
+     border-bottom: 1px solid #eee;
+   }
+   
+   .appeal-dispute label:first-child {
+     display: flex;
+     align-items: center;
+     gap: 10px;
+   }
+   
+   .appeal-dispute textarea {
+     width: 100%;
+     margin-top: 5px;
+   }
+   
+   .field-hint {
+     color: #666;
+     font-size: 0.85em;
+   }
+   
+   .appeal-attachment-list {
+     margin: 5px 0 0;
+     padding-left: 20px;
+   }
+   
+   .appeal-status-badge {
+     display: inline-block;
+     padding: 4px 12px;
+     border-radius: 12px;
+     font-weight: bold;
+     background-color: var(--neutral-color);
+     color: var(--on-neutral-color);
+   }
+   
+   .appeal-status-badge.info_requested {
+     background-color: var(--warning-color);
+     color: var(--on-warning-color);
+   }
+   
+   .appeal-status-badge.accepted {
+     background-color: var(--success-color);
+     color: var(--on-success-color);
+   }
+   
+   .appeal-status-badge.denied {
+     background-color: var(--error-color);
+     color: var(--on-error-color);
+   }
+   
+   .appeal-timeline {
+     padding-left: 20px;
+   }
+   
+   .appeal-timeline li {
+     margin-bottom: 10px;
+   }
+   
+   .appeal-timeline time {
+     margin-left: 10px;
+     color: #666;
+   }
+   
+   .appeal-note {
+     margin: 5px 0 0;
+     white-space: pre-wrap;
+   }
+   
+   .appeal-list {
+     list-style: none;
+     padding: 0;
+   }
+   
+   .appeal-list li {
+     display: flex;
+     flex-wrap: wrap;
+     align-items: center;
+     gap: 10px;
+     padding: 8px 0;
+     border-bottom: 1px solid #eee;
+   }
+   
+   /* Review console */
+   .review-console-header {
+     display: flex;
+     flex-wrap: wrap;
+     justify-content: space-between;
+     align-items: center;
+     gap: 10px;
+   }
+   
+   .review-console-tabs {
+     display: flex;
+     gap: 10px;
+   }
+   
+   .review-console-tabs button.active {
+     background-color: var(--primary-color);
+     color: var(--on-primary-color);
+   }
+   
+   .review-console-layout {
+     display: grid;
+     grid-template-columns: minmax(220px, 1fr) 3fr;
+     gap: 20px;
+     margin-top: 20px;
+   }
+   
+   .review-queue ul {
+     list-style: none;
+     padding: 0;
+     margin: 0;
+   }
+   
+   .review-queue-item {
+     display: flex;
+     flex-direction: column;
+     gap: 4px;
+     width: 100%;
+     padding: 10px;
+     margin-bottom: 8px;
+     text-align: left;
+     background: none;
+     color: inherit;
+     border: 1px solid #ddd;
+     border-radius: 4px;
+   }
+   
+   .review-queue-item.selected {
+     border-color: var(--primary-color);
+     box-shadow: inset 3px 0 0 var(--primary-color);
+   }
+   
+   .review-queue-item.overdue .review-queue-meta {
+     color: var(--error-color);
+   }
+   
+   .review-queue-title {
+     display: flex;
+     justify-content: space-between;
+     gap: 10px;
+   }
+   
+   .review-queue-meta,
+   .review-empty,
+   .review-reviewer {
+     color: #666;
+     font-size: 0.85em;
+   }
+   
+   .review-status-badge {
+     display: inline-block;
+     padding: 2px 10px;
+     border-radius: 12px;
+     font-size: 0.85em;
+     font-weight: bold;
+     background-color: var(--neutral-color);
+     color: var(--on-neutral-color);
+   }
+   
+   .review-status-badge.info_requested {
+     background-color: var(--warning-color);
+     color: var(--on-warning-color);
+   }
+   
+   .review-status-badge.approved {
+     background-color: var(--success-color);
+     color: var(--on-success-color);
+   }
+   
+   .review-status-badge.rejected {
+     background-color: var(--error-color);
+     color: var(--on-error-color);
+   }
+   
+   .review-comparison {
+     display: grid;
+     grid-template-columns: 1fr 1fr;
+     gap: 20px;
+   }
+   
+   .review-comparison section {
+     padding: 10px 15px;
+     border: 1px solid #ddd;
+     border-radius: 4px;
+   }
+   
+   .review-details {
+     display: grid;
+     grid-template-columns: max-content 1fr;
+     gap: 4px 15px;
+     margin: 0 0 15px;
+   }
+   
+   .review-details dt {
+     font-weight: 600;
+   }
+   
+   .review-details dd {
+     margin: 0;
+     overflow-wrap: anywhere;
+   }
+   
+   .review-passed,
+   .review-booking-match.match {
+     color: var(--success-color);
+   }
+   
+   .review-failed,
+   .review-booking-match.mismatch {
+     color: var(--error-color);
+   }
+   
+   .review-decision {
+     margin-top: 20px;
+     padding: 15px;
+     border: 1px solid #ddd;
+     border-radius: 4px;
+   }
+   
+   .review-decision fieldset {
+     display: flex;
+     flex-wrap: wrap;
+     gap: 15px;
+     border: none;
+     padding: 0;
+   }
+   
+   .review-audit-table {
+     width: 100%;
+     margin-top: 20px;
+     border-collapse: collapse;
+   }
+   
+   .review-audit-table caption {
+     text-align: left;
+     font-weight: 600;
+     margin-bottom: 10px;
+   }
+   
+   .review-audit-table th,
+   .review-audit-table td {
+     padding: 8px;
+     text-align: left;
+     vertical-align: top;
+     border-bottom: 1px solid #eee;
+   }
+   
+   @media (max-width: 768px) {
+     .review-console-layout,
+     .review-comparison {
+       grid-template-columns: 1fr;
+     }
+   }
+   
+   /* Account settings */
+   .settings-section {
+     margin-bottom: 30px;
+   }
+   
+   .settings-row {
+     display: flex;
+     flex-wrap: wrap;
+     align-items: baseline;
+     gap: 10px;
+     padding: 10px 0;
+     border-bottom: 1px solid #ddd;
+   }
+   
+   .settings-label {
+     min-width: 120px;
+     font-weight: 600;
+   }
+   
+   .settings-verified {
+     color: var(--success-color);
+     font-size: 14px;
+   }
+   
+   .settings-pending {
+     display: block;
+     color: #666;
+     font-size: 14px;
+   }
+   
+   .settings-editor {
+     padding: 15px 0;
+   }
+   
+   .danger-zone h2 {
+     color: var(--error-color);
+   }
+   
+   button.btn-danger {
+     background-color: var(--error-color);
+     color: #fff;
+   }
+   
    /* Mobile accessibility styles */
    @media (max-width: 768px) {
      .container {
@@ -0,0 +1,44 @@
+// src/services/supportService.js
+import { apiService } from './api.js';
+import { i18nService } from './i18n.js';
+
+/**
+ * What a support request is about; the review team triages by topic
+ */
+export const SUPPORT_TOPICS = {
+  REAPPLY_COOLDOWN: 'reapply-cooldown'
+};
+
+/**
+ * Service for contacting the CASL Key support and review team
+ */
+class SupportService {
+  /**
+   * Send a request to the support team
+   * Signed-in guests are identified by their session; others must give an email to reply to.
+   * @param {Object} request - { topic, message, email, context }
+   * @param {string} request.topic - SUPPORT_TOPICS value
+   * @param {string} request.message - The guest's own words
+   * @param {string} [request.email] - Reply address for guests without a session
+   * @param {Object} [request.context] - What the review team needs to look into it
+   * @returns {Promise<Object>} Created request ({ requestId, topic, status, createdAt })
+   */
+  async createRequest({ topic, message, email = null, context = {} }) {
+    const result = await apiService.request('support/requests', 'POST', {
+      topic,
+      message,
+      email,
+      context: {
+        ...context,
+        language: i18nService.currentLanguage,
+        page: typeof window !== 'undefined' ? window.location.href : null,
+        userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null
+      }
+    }, false, true);
+
+    return result.request;
+  }
+}
+
+// Export a singleton instance
+export const supportService = new SupportService();
@@ -0,0 +1,322 @@
+// src/services/tokenStorage.js
+
+/**
+ * Where the session's tokens are kept (TOKEN_STORAGE setting)
+ * - memory: tokens never leave the page; a reload or new tab signs in again
+ *   (the default)
+ * - cookie: the backend holds the tokens in HttpOnly cookies that scripts
+ *   cannot read; requests authenticate with credentials instead of a bearer
+ * - localStorage: tokens persist in localStorage, where any script on the
+ *   page can read them (the original behaviour)
+ */
+export const TOKEN_STORAGE_MODES = {
+  MEMORY: 'memory',
+  COOKIE: 'cookie',
+  LOCAL_STORAGE: 'localStorage'
+};
+
+const KEYS = {
+  ACCESS_TOKEN: 'casl_access_token',
+  REFRESH_TOKEN: 'casl_refresh_token',
+  USER: 'casl_user_data',
+  EXPIRES_AT: 'casl_session_expires_at'
+};
+
+// Written by earlier builds (apiSecurity kept the refresh token in sessionStorage)
+const LEGACY_SESSION_KEYS = ['casl_refresh_token', 'casl_token_expiry'];
+
+const EMPTY_SESSION = {
+  accessToken: null,
+  refreshToken: null,
+  user: null,
+  expiresAt: null
+};
+
+/**
+ * Read the expiry from a JWT access token
+ * @param {string} token - Access token
+ * @returns {number|null} Expiry in epoch milliseconds, or null if the token carries none
+ */
+export function getTokenExpiry(token) {
+  try {
+    const payload = token.split('.')[1];
+    if (!payload) return null;
+
+    const claims = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Work out when a freshly issued access token expires
+ * @param {Object} tokens - { accessToken, expiresIn } (expiresIn in seconds)
+ * @returns {number|null} Expiry in epoch milliseconds
+ */
+export function getSessionExpiry({ accessToken, expiresIn }) {
+  const fromToken = accessToken ? getTokenExpiry(accessToken) : null;
+  if (fromToken) return fromToken;
+
+  return typeof expiresIn === 'number' ? Date.now() + expiresIn * 1000 : null;
+}
+
+function readKey(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeKey(key, value) {
+  try {
+    if (value === null || value === undefined) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, value);
+    }
+  } catch (error) {
+    console.warn(`Could not write ${key}:`, error.message);
+  }
+}
+
+function readUser() {
+  try {
+    const userData = readKey(KEYS.USER);
+    return userData ? JSON.parse(userData) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Base class for token storage strategies
+ * Sessions are plain objects: { accessToken, refreshToken, user, expiresAt }.
+ */
+export class TokenStorage {
+  /**
+   * @param {string} name - Strategy name (one of TOKEN_STORAGE_MODES)
+   * @param {Object} options - Strategy options
+   * @param {boolean} options.holdsTokens - Whether scripts can read the tokens
+   * @param {boolean} options.shared - Whether other tabs can read the stored session
+   * @param {Array<string>} options.keys - localStorage keys this strategy writes
+   */
+  constructor(name, { holdsTokens, shared, keys }) {
+    this.name = name;
+    this.holdsTokens = holdsTokens;
+    this.shared = shared;
+    this.keys = keys;
+  }
+
+  /**
+   * Read the stored session
+   * @returns {Object} Session
+   */
+  load() {
+    return { ...EMPTY_SESSION };
+  }
+
+  /**
+   * Store a session
+   * @param {Object} session - Session, with tokens when they were just issued
+   * @returns {Promise<Object>} The session as this strategy keeps it in memory
+   */
+  async save(session) {
+    return session;
+  }
+
+  /**
+   * Forget the stored session
+   * @returns {Promise<void>}
+   */
+  async clear() {}
+
+  /**
+   * Describe the call that rotates the tokens
+   * @param {Object} session - Current session
+   * @returns {Object} { endpoint, data, includeCredentials }
+   */
+  getRefreshRequest(session) {
+    return {
+      endpoint: 'refresh-token',
+      data: { refreshToken: session.refreshToken },
+      includeCredentials: false
+    };
+  }
+
+  /**
+   * Apply a refresh response to the session
+   * @param {Object} session - Current session
+   * @param {Object} result - Refresh response ({ accessToken, refreshToken, expiresIn })
+   * @returns {Object} Rotated session (not yet saved)
+   */
+  applyRefresh(session, result) {
+    return {
+      ...session,
+      accessToken: result.accessToken,
+      // Cognito only rotates the refresh token on some configurations
+      refreshToken: result.refreshToken || session.refreshToken,
+      expiresAt: getSessionExpiry(result)
+    };
+  }
+}
+
+/**
+ * Keep the tokens in page memory only
+ */
+export class MemoryTokenStorage extends TokenStorage {
+  constructor() {
+    super(TOKEN_STORAGE_MODES.MEMORY, { holdsTokens: true, shared: false, keys: [] });
+    this.session = { ...EMPTY_SESSION };
+  }
+
+  load() {
+    return { ...this.session };
+  }
+
+  async save(session) {
+    this.session = { ...session };
+    return session;
+  }
+
+  async clear() {
+    this.session = { ...EMPTY_SESSION };
+  }
+}
+
+/**
+ * Keep the tokens in localStorage
+ */
+export class LocalTokenStorage extends TokenStorage {
+  constructor() {
+    super(TOKEN_STORAGE_MODES.LOCAL_STORAGE, {
+      holdsTokens: true,
+      shared: true,
+      keys: [KEYS.ACCESS_TOKEN, KEYS.REFRESH_TOKEN, KEYS.USER]
+    });
+  }
+
+  load() {
+    const accessToken = readKey(KEYS.ACCESS_TOKEN);
+
+    return {
+      accessToken,
+      refreshToken: readKey(KEYS.REFRESH_TOKEN),
+      user: readUser(),
+      expiresAt: accessToken ? getTokenExpiry(accessToken) : null
+    };
+  }
+
+  async save(session) {
+    writeKey(KEYS.ACCESS_TOKEN, session.accessToken);
+    writeKey(KEYS.REFRESH_TOKEN, session.refreshToken);
+    writeKey(KEYS.USER, session.user ? JSON.stringify(session.user) : null);
+    return session;
+  }
+
+  async clear() {
+    this.keys.forEach(key => writeKey(key, null));
+  }
+}
+
+/**
+ * Leave the tokens to the backend, which keeps them in HttpOnly cookies
+ * Sign-in responses set the cookies themselves (requests say so with
+ * X-Token-Delivery: cookie) and carry no tokens; auth/refresh rotates them
+ * and auth/clear-cookie drops them. Only the user profile and the access
+ * token's expiry are kept client-side, so other tabs know a session exists
+ * and when to refresh it.
+ */
+export class CookieTokenStorage extends TokenStorage {
+  /**
+   * @param {Object} options - Strategy options
+   * @param {Function} options.request - (endpoint, data) => Promise, sent with credentials
+   */
+  constructor({ request }) {
+    super(TOKEN_STORAGE_MODES.COOKIE, {
+      holdsTokens: false,
+      shared: true,
+      keys: [KEYS.USER, KEYS.EXPIRES_AT]
+    });
+    this.request = request;
+  }
+
+  load() {
+    const expiresAt = parseInt(readKey(KEYS.EXPIRES_AT), 10);
+
+    return {
+      ...EMPTY_SESSION,
+      user: readUser(),
+      expiresAt: Number.isFinite(expiresAt) ? expiresAt : null
+    };
+  }
+
+  async save(session) {
+    writeKey(KEYS.USER, session.user ? JSON.stringify(session.user) : null);
+    writeKey(KEYS.EXPIRES_AT, session.expiresAt ? String(session.expiresAt) : null);
+
+    return { ...session, accessToken: null, refreshToken: null };
+  }
+
+  async clear() {
+    this.keys.forEach(key => writeKey(key, null));
+
+    try {
+      await this.request('auth/clear-cookie', null);
+    } catch (error) {
+      console.warn('Could not clear auth cookies:', error.message);
+    }
+  }
+
+  getRefreshRequest() {
+    // The refresh token travels in its own HttpOnly cookie
+    return { endpoint: 'auth/refresh', data: null, includeCredentials: true };
+  }
+
+  applyRefresh(session, result) {
+    return { ...session, expiresAt: getSessionExpiry({ expiresIn: result.expiresIn }) };
+  }
+}
+
+/**
+ * Create a token storage strategy by name
+ * @param {string} name - One of TOKEN_STORAGE_MODES
+ * @param {Object} options - Options for the cookie strategy ({ request })
+ * @returns {TokenStorage} Strategy
+ */
+export function createTokenStorage(name, options) {
+  switch (name) {
+    case TOKEN_STORAGE_MODES.MEMORY:
+      return new MemoryTokenStorage();
+    case TOKEN_STORAGE_MODES.COOKIE:
+      return new CookieTokenStorage(options);
+    case TOKEN_STORAGE_MODES.LOCAL_STORAGE:
+      return new LocalTokenStorage();
+    default:
+      console.warn(`Unknown TOKEN_STORAGE "${name}", using ${TOKEN_STORAGE_MODES.MEMORY}`);
+      return new MemoryTokenStorage();
+  }
+}
+
+/**
+ * Remove session data the active strategy does not own
+ * Wipes tokens left in localStorage by earlier builds (or by a previous
+ * TOKEN_STORAGE setting) and the sessionStorage keys apiSecurity used to
+ * write. The session those keys belonged to is dropped as a whole, so the
+ * user signs in again under the new strategy. Safe to run on every start.
+ * @param {TokenStorage} storage - Active strategy
+ */
+export function migrateLegacyTokens(storage) {
+  const foreignKeys = Object.values(KEYS).filter(key => !storage.keys.includes(key));
+
+  if (foreignKeys.some(key => readKey(key) !== null)) {
+    Object.values(KEYS).forEach(key => writeKey(key, null));
+  }
+
+  try {
+    LEGACY_SESSION_KEYS.forEach(key => sessionStorage.removeItem(key));
+  } catch (error) {
+    // sessionStorage is unavailable (e.g. sandboxed iframe); nothing to wipe
+  }
+}
@@ -1,8 +1,49 @@
-import { apiSecurity } from './apiSecurity.js';
-import { API_BASE_URL } from './constants.js';
+import { apiService } from './api.js';
+import { authSession } from './authSession.js';
+import { toCreationOptions, toRequestOptions, serializeCredential } from './webauthn.js';
+
+/**
+ * Cognito challenges answered with a second factor
+ * MFA_SETUP means the account must enrol an authenticator app before signing in.
+ */
+export const MFA_CHALLENGES = {
+  SMS: 'SMS_MFA',
+  SOFTWARE_TOKEN: 'SOFTWARE_TOKEN_MFA',
+  SETUP: 'MFA_SETUP'
+};
+
+// Remembered-device keys by username; kept apart from the session so they
+// survive logout, whatever the TOKEN_STORAGE setting
+const REMEMBERED_DEVICES_KEY = 'casl_mfa_devices';
+
+function readRememberedDevices() {
+  try {
+    return JSON.parse(localStorage.getItem(REMEMBERED_DEVICES_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeRememberedDevice(username, deviceKey) {
+  const devices = readRememberedDevices();
+  if (deviceKey) {
+    devices[username] = deviceKey;
+  } else {
+    delete devices[username];
+  }
+
+  try {
+    localStorage.setItem(REMEMBERED_DEVICES_KEY, JSON.stringify(devices));
+  } catch (error) {
+    console.warn('Could not store remembered device:', error.message);
+  }
+}
 
 /**
  * User service for managing authentication with Cognito
+ * The session lives in authSession (tokens stored per TOKEN_STORAGE); every
+ * call goes through apiService, which authenticates it and rotates the
+ * tokens on 401.
  */
 class UserService {
   constructor() {
@@ -10,13 +51,21 @@ class UserService {
     this.clientId = null;
     this.region = 'us-east-2';
 
-    this.currentUser = null;
-    this.accessToken = null;
-    this.refreshToken = null;
-
     this._initialized = this.initialize(); // ✅ Store the initialization promise
   }
 
+  get currentUser() {
+    return authSession.user;
+  }
+
+  get accessToken() {
+    return authSession.accessToken;
+  }
+
+  get refreshToken() {
+    return authSession.refreshToken;
+  }
+
   async initialize() {
     try {
       const config = await this.fetchConfiguration();
@@ -43,14 +92,7 @@ class UserService {
 
   async fetchConfiguration() {
     try {
-      const response = await fetch(`${API_BASE_URL}/casl-config`, {
-        method: 'GET',
-        headers: { 'Content-Type': 'application/json' }
-      });
-
-      if (!response.ok) throw new Error(`Failed config fetch: ${response.status}`);
-
-      return await response.json();
+      return await apiService.request('casl-config', 'GET', null, false, false, { auth: false });
     } catch (error) {
       console.error('Error fetching configuration:', error);
       return {
@@ -64,20 +106,10 @@ class UserService {
 
   async loadStoredSession() {
     try {
-      const accessToken = localStorage.getItem('casl_access_token');
-      const refreshToken = localStorage.getItem('casl_refresh_token');
-      const userDataStr = localStorage.getItem('casl_user_data');
-
-      if (accessToken && refreshToken && userDataStr) {
-        const isValid = await this.validateToken(accessToken);
-        if (isValid) {
-          this.accessToken = accessToken;
-          this.refreshToken = refreshToken;
-          this.currentUser = JSON.parse(userDataStr);
-        } else {
-          const refreshed = await this.refreshSession(refreshToken);
-          if (!refreshed) this.clearSession();
-        }
+      if (authSession.hasSession()) {
+        // An expired access token is refreshed by the transport
+        const isValid = await this.validateToken();
+        if (!isValid) this.clearSession();
       }
     } catch (error) {
       console.error('Error loading session:', error);
@@ -85,39 +117,19 @@ class UserService {
     }
   }
 
-  async validateToken(token) {
+  async validateToken() {
     try {
-      const response = await fetch(`${API_BASE_URL}/validate-token`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      return response.ok;
+      await apiService.request('validate-token', 'POST', null, false, false);
+      return true;
     } catch (error) {
       console.error('Token validation error:', error);
       return false;
     }
   }
 
-  async refreshSession(refreshToken) {
+  async refreshSession() {
     try {
-      const response = await fetch(`${API_BASE_URL}/refresh-token`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ refreshToken })
-      });
-
-      if (!response.ok) throw new Error('Refresh failed');
-
-      const result = await response.json();
-      this.accessToken = result.accessToken;
-      this.refreshToken = result.refreshToken;
-
-      localStorage.setItem('casl_access_token', this.accessToken);
-      localStorage.setItem('casl_refresh_token', this.refreshToken);
-
+      await apiService.refreshSession();
       return true;
     } catch (error) {
       console.error('Refresh error:', error);
@@ -127,22 +139,11 @@ class UserService {
 
   async registerUser(userData) {
     try {
-      const response = await fetch(`${API_BASE_URL}/register`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          username: userData.username,
-          email: userData.email,
-          password: userData.password
-        })
-      });
-
-      if (!response.ok) {
-        const err = await response.json();
-        throw new Error(err.message || 'Registration failed');
-      }
-
-      const result = await response.json();
+      const result = await apiService.request('register', 'POST', {
+        username: userData.username,
+        email: userData.email,
+        password: userData.password
+      }, false, false, { auth: false });
 
       return {
         success: true,
@@ -157,17 +158,7 @@ class UserService {
 
   async confirmRegistration(username, code) {
     try {
-      const response = await fetch(`${API_BASE_URL}/confirm-registration`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username, code })
-      });
-
-      if (!response.ok) {
-        const err = await response.json();
-        throw new Error(err.message || 'Confirmation failed');
-      }
-
+      await apiService.request('confirm-registration', 'POST', { username, code }, false, false, { auth: false });
       return true;
     } catch (error) {
       console.error('Confirmation error:', error);
@@ -177,37 +168,17 @@ class UserService {
 
   async loginUser(username, password) {
     try {
-      const response = await fetch(`${API_BASE_URL}/login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username, password })
-      });
-
-      if (!response.ok) {
-        const err = await response.json();
-        throw new Error(err.message || 'Login failed');
-      }
+      const deviceKey = readRememberedDevices()[username];
 
-      const result = await response.json();
+      // A 401 here means wrong credentials, not an expired session
+      const result = await apiService.request('login', 'POST', {
+        username,
+        password,
+        ...(deviceKey ? { deviceKey } : {})
+      }, false, false, { auth: false });
 
       // 🚨 NEW: Handle NEW_PASSWORD_REQUIRED challenge
       if (result.challenge === 'NEW_PASSWORD_REQUIRED') {
-        console.log('🔄 Password reset required, dispatching event...');
-        
-        // Dispatch custom event for password reset handler to catch
-        const event = new CustomEvent('casl-password-reset-required', {
-          detail: {
-            session: result.session,
-            username: result.username || username,
-            message: result.message
-          },
-          bubbles: true,
-          composed: true
-        });
-        
-        // Dispatch on document so it bubbles everywhere
-        document.dispatchEvent(event);
-        
         // Create a special error that the Auth component can handle
         const challengeError = new Error('NEW_PASSWORD_REQUIRED');
         challengeError.isChallenge = true;
@@ -218,25 +189,27 @@ class UserService {
         throw challengeError;
       }
 
+      if (Object.values(MFA_CHALLENGES).includes(result.challenge)) {
+        // The backend no longer trusts a device it challenged anyway
+        if (deviceKey) writeRememberedDevice(username, null);
+
+        const challengeError = new Error(result.challenge);
+        challengeError.isChallenge = true;
+        challengeError.challengeData = {
+          challenge: result.challenge,
+          session: result.session,
+          username: result.username || username,
+          destination: result.destination || null
+        };
+        throw challengeError;
+      }
+
       // Handle successful login
       if (!result.success) {
         throw new Error(result.error || 'Login failed');
       }
 
-      this.accessToken = result.accessToken;
-      this.refreshToken = result.refreshToken;
-      this.currentUser = {
-        username,
-        email: result.user?.email || result.email,
-        id: result.user?.username || result.userId,
-        attributes: result.user || {}
-      };
-
-      localStorage.setItem('casl_access_token', this.accessToken);
-      localStorage.setItem('casl_refresh_token', this.refreshToken);
-      localStorage.setItem('casl_user_data', JSON.stringify(this.currentUser));
-
-      return this.currentUser;
+      return this.completeLogin(result, username);
     } catch (error) {
       console.error('Login error:', error);
       
@@ -251,81 +224,354 @@ class UserService {
 
   async setNewPassword(session, username, newPassword) {
     try {
-      const response = await fetch(`${API_BASE_URL}/set-new-password`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          session,
-          username,
-          newPassword
-        })
-      });
-
-      if (!response.ok) {
-        const err = await response.json();
-        throw new Error(err.error || 'Password update failed');
-      }
-
-      const result = await response.json();
+      const result = await apiService.request('set-new-password', 'POST', {
+        session,
+        username,
+        newPassword
+      }, false, false, { auth: false });
 
       if (!result.success) {
         throw new Error(result.error || 'Password update failed');
       }
 
       // Store the new tokens
-      this.accessToken = result.accessToken;
-      this.refreshToken = result.refreshToken;
-      this.currentUser = {
+      return this.completeLogin(result, username);
+    } catch (error) {
+      console.error('Set new password error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a password reset code to the account's email or phone
+   * @param {string} username - Username
+   * The answer is the same whether or not the account exists.
+   * @returns {Promise<Object>} { deliveryMedium } - how the code is sent, when the backend says
+   */
+  async requestPasswordReset(username) {
+    try {
+      const result = await apiService.request('forgot-password', 'POST', { username }, false, false, { auth: false });
+
+      return { deliveryMedium: result.deliveryMedium || null };
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password with the code from requestPasswordReset
+   * @param {Object} params - { username, code, newPassword }
+   * @returns {Promise<boolean>} True once the password is changed
+   */
+  async confirmPasswordReset({ username, code, newPassword }) {
+    try {
+      await apiService.request('confirm-forgot-password', 'POST', {
         username,
-        email: result.user?.email,
-        id: result.user?.username,
-        attributes: result.user || {}
+        code,
+        newPassword
+      }, false, false, { auth: false });
+      return true;
+    } catch (error) {
+      console.error('Password reset confirmation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Answer an SMS_MFA or SOFTWARE_TOKEN_MFA challenge
+   * @param {Object} params - { session, username, challenge, code, recoveryCode, rememberDevice }
+   *   (a recovery code replaces the one-time code)
+   * @returns {Promise<Object>} The signed-in user
+   */
+  async respondToMfaChallenge({ session, username, challenge, code, recoveryCode, rememberDevice = false }) {
+    try {
+      const result = await apiService.request('mfa/respond', 'POST', {
+        session,
+        username,
+        challenge,
+        ...(recoveryCode ? { recoveryCode } : { code }),
+        rememberDevice
+      }, false, false, { auth: false });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Verification failed');
+      }
+
+      if (result.deviceKey) {
+        writeRememberedDevice(username, result.deviceKey);
+      }
+
+      return this.completeLogin(result, username);
+    } catch (error) {
+      console.error('MFA challenge error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start enrolling an authenticator app
+   * Answers an MFA_SETUP challenge when given its session; otherwise enrols
+   * the signed-in user, who must give their password to replace an existing
+   * authenticator (the backend answers reauthentication_required without it).
+   * @param {Object} [params] - { session, password }
+   * @returns {Promise<Object>} { secretCode, session }
+   */
+  async beginTotpSetup({ session, password } = {}) {
+    try {
+      const result = await apiService.request(
+        'mfa/totp/setup', 'POST', session ? { session } : (password ? { password } : {}), false, false, { auth: !session }
+      );
+
+      return {
+        secretCode: result.secretCode,
+        session: result.session || session || null
       };
+    } catch (error) {
+      console.error('TOTP setup error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish enrolling an authenticator app with its first code
+   * @param {Object} params - { session, username, code } (session and
+   *   username only when answering an MFA_SETUP challenge)
+   * @returns {Promise<Object>} { recoveryCodes, user } - user is set when this signed the user in
+   */
+  async confirmTotpSetup({ session, username, code }) {
+    try {
+      const result = await apiService.request(
+        'mfa/totp/verify', 'POST', session ? { session, code } : { code }, false, false, { auth: !session }
+      );
 
-      localStorage.setItem('casl_access_token', this.accessToken);
-      localStorage.setItem('casl_refresh_token', this.refreshToken);
-      localStorage.setItem('casl_user_data', JSON.stringify(this.currentUser));
+      if (!result.success) {
+        throw new Error('Authenticator code was not accepted');
+      }
 
-      return this.currentUser;
+      const user = result.accessToken ? await this.completeLogin(result, username) : null;
+
+      return { recoveryCodes: result.recoveryCodes, user };
     } catch (error) {
-      console.error('Set new password error:', error);
+      console.error('TOTP verification error:', error);
       throw error;
     }
   }
 
+  /**
+   * Sign in with a passkey
+   * Without a username the browser offers the passkeys it holds for this site.
+   * @param {string} [username] - Username, to limit the choice to that account's passkeys
+   * @returns {Promise<Object>} The signed-in user
+   */
+  async loginWithPasskey(username) {
+    try {
+      const { session, ...options } = await apiService.request(
+        'passkeys/authenticate/options', 'POST', username ? { username } : {}, false, false, { auth: false }
+      );
+
+      const credential = await navigator.credentials.get(toRequestOptions(options));
+
+      const result = await apiService.request('passkeys/authenticate/verify', 'POST', {
+        session,
+        credential: serializeCredential(credential)
+      }, false, false, { auth: false });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Passkey sign-in failed');
+      }
+
+      return this.completeLogin(result, result.user?.username || username);
+    } catch (error) {
+      console.error('Passkey login error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a passkey for the signed-in user
+   * @param {string} [name] - Label for the passkey list (the backend picks one otherwise)
+   * @returns {Promise<Object>} The new passkey ({ id, name, createdAt, lastUsedAt })
+   */
+  async registerPasskey(name) {
+    try {
+      const options = await apiService.request('passkeys/register/options', 'POST', null, false, false);
+
+      const credential = await navigator.credentials.create(toCreationOptions(options));
+
+      const result = await apiService.request('passkeys/register/verify', 'POST', {
+        credential: serializeCredential(credential),
+        ...(name ? { name } : {})
+      }, false, false);
+
+      return result.passkey;
+    } catch (error) {
+      console.error('Passkey registration error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the signed-in user's passkeys
+   * @returns {Promise<Array>} Passkeys ({ id, name, createdAt, lastUsedAt })
+   */
+  async listPasskeys() {
+    const result = await apiService.request('passkeys', 'GET', null, false, false);
+    return result.passkeys;
+  }
+
+  /**
+   * Remove one of the signed-in user's passkeys
+   * The credential stays on the device, but the account no longer accepts it.
+   * @param {string} passkeyId - Passkey ID
+   * @returns {Promise<boolean>} True once removed
+   */
+  async removePasskey(passkeyId) {
+    await apiService.request(`passkeys/${encodeURIComponent(passkeyId)}`, 'DELETE', null, false, false);
+    return true;
+  }
+
+  /**
+   * Get the signed-in user's account profile
+   * @returns {Promise<Object>} Profile ({ username, email, emailVerified, pendingEmail,
+   *   phoneNumber, phoneVerified, address })
+   */
+  async getProfile() {
+    const result = await apiService.request('account', 'GET', null, false, false);
+    return result.profile;
+  }
+
+  /**
+   * Update profile fields that need no verification
+   * @param {Object} changes - { address }
+   * @returns {Promise<Object>} Updated profile
+   */
+  async updateProfile(changes) {
+    const result = await apiService.request('account', 'PUT', changes, false, false);
+    return result.profile;
+  }
+
+  /**
+   * Start an email change; the current email stays in use until the new one is verified
+   * @param {string} email - New email
+   * @returns {Promise<Object>} { destination } the code was sent to
+   */
+  async requestEmailChange(email) {
+    return apiService.request('account/email', 'POST', { email }, false, false);
+  }
+
+  /**
+   * Verify the new email with the code sent to it
+   * @param {string} code - Verification code
+   * @returns {Promise<Object>} Updated profile
+   */
+  async confirmEmailChange(code) {
+    const result = await apiService.request('account/email/verify', 'POST', { code }, false, false);
+
+    // Keep the session's copy of the user in step
+    const user = this.currentUser;
+    if (user) {
+      const { email } = result.profile;
+      await authSession.updateUser({
+        ...user,
+        email,
+        ...(user.attributes ? { attributes: { ...user.attributes, email } } : {})
+      });
+    }
+
+    return result.profile;
+  }
+
+  /**
+   * Save a phone number verified through phoneVerification
+   * @param {string} phoneNumber - Phone number
+   * @param {string} verificationId - Completed phone verification
+   * @returns {Promise<Object>} Updated profile
+   */
+  async updatePhoneNumber(phoneNumber, verificationId) {
+    const result = await apiService.request('account/phone', 'PUT', { phoneNumber, verificationId }, false, false);
+    return result.profile;
+  }
+
+  /**
+   * Change the signed-in user's password
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<boolean>} True once changed
+   */
+  async changePassword(currentPassword, newPassword) {
+    await apiService.request('change-password', 'POST', { currentPassword, newPassword }, false, false);
+    return true;
+  }
+
+  /**
+   * Delete the signed-in user's account
+   * The backend revokes the user's tokens; the caller ends the local session
+   * with clearSession() once it has reacted.
+   * @param {string} password - Current password, as confirmation
+   * @returns {Promise<boolean>} True once deleted
+   */
+  async deleteAccount(password) {
+    await apiService.request('account', 'DELETE', { password }, false, false);
+    return true;
+  }
+
+  /**
+   * Get one of the signed-in user's verifications in full
+   * Unlike the history entry, the record includes the guest details, stay
+   * details and completed identity checks, which renewals start from.
+   * @param {string} verificationId - Verification ID
+   * @returns {Promise<Object>} Verification record
+   */
+  async getVerification(verificationId) {
+    const result = await apiService.request(`verifications/${encodeURIComponent(verificationId)}`, 'GET', null, false, false);
+    return result.verification;
+  }
+
+  /**
+   * Start the session from a successful sign-in response
+   * @param {Object} result - Sign-in response with tokens
+   * @param {string} username - Username the user signed in with
+   * @returns {Promise<Object>} The signed-in user
+   */
+  async completeLogin(result, username) {
+    await authSession.start({
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+      user: {
+        username,
+        email: result.user?.email || result.email,
+        id: result.user?.username || result.userId,
+        attributes: result.user || {}
+      }
+    });
+
+    return this.currentUser;
+  }
+
   async logoutUser() {
     try {
-      if (this.accessToken) {
-        await fetch(`${API_BASE_URL}/logout`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.accessToken}`
-          }
-        });
+      if (authSession.hasSession()) {
+        await apiService.request('logout', 'POST', null, false, false);
       }
-      this.clearSession();
+      await this.clearSession();
       return true;
     } catch (error) {
       console.error('Logout error:', error);
-      this.clearSession();
+      await this.clearSession();
       return true;
     }
   }
 
   clearSession() {
-    this.accessToken = null;
-    this.refreshToken = null;
-    this.currentUser = null;
-
-    localStorage.removeItem('casl_access_token');
-    localStorage.removeItem('casl_refresh_token');
-    localStorage.removeItem('casl_user_data');
+    return authSession.clear();
   }
 
   async getCurrentUser() {
-    if (this.currentUser && this.accessToken) {
-      const isValid = await this.validateToken(this.accessToken);
+    if (authSession.hasSession()) {
+      // validate-token refreshes an expired access token on the way
+      const isValid = await this.validateToken();
       if (isValid) {
         return {
           isAuthenticated: true,
@@ -333,14 +579,6 @@ class UserService {
         };
       }
 
-      const refreshed = await this.refreshSession(this.refreshToken);
-      if (refreshed) {
-        return {
-          isAuthenticated: true,
-          user: this.currentUser
-        };
-      }
-
       this.clearSession();
     }
 
@@ -351,7 +589,7 @@ class UserService {
   }
 
   getAuthHeaders() {
-    return this.accessToken ? { 'Authorization': `Bearer ${this.accessToken}` } : {};
+    return authSession.getAuthHeaders();
   }
 }
 
@@ -1,5 +1,6 @@
 // src/utils/validation.js
 import { VERIFICATION_STATUSES } from './constants.js';
+import { LINK_PLATFORMS, LINK_TYPES, checkPlatformLink, getPlatformKey } from './listingLinks.js';
 
 /**
  * Enhanced validation utilities for CASL Verification System
@@ -116,17 +117,23 @@ export function validateUserIdentification(formData, userIdentification, verific
     errors.verification = "Please provide at least one verification method: platform profile link, screenshot verification, or consent to background check";
   }
   
-  // Validate profile URLs if provided
+  // Validate profile URLs if provided (and reject listing links pasted as profiles)
   if (airbnbProfile && !isValidUrl(airbnbProfile)) {
     errors.verification = "Airbnb profile must be a valid URL";
+  } else if (airbnbProfile) {
+    errors.verification = checkPlatformLink(airbnbProfile, { type: LINK_TYPES.PROFILE, platform: LINK_PLATFORMS.AIRBNB }) || errors.verification;
   }
   
   if (vrboProfile && !isValidUrl(vrboProfile)) {
     errors.verification = "VRBO profile must be a valid URL";
+  } else if (vrboProfile) {
+    errors.verification = checkPlatformLink(vrboProfile, { type: LINK_TYPES.PROFILE, platform: LINK_PLATFORMS.VRBO }) || errors.verification;
   }
   
   if (otherPlatformProfile && !isValidUrl(otherPlatformProfile)) {
     errors.verification = "Platform profile must be a valid URL";
+  } else if (otherPlatformProfile) {
+    errors.verification = checkPlatformLink(otherPlatformProfile, { type: LINK_TYPES.PROFILE }) || errors.verification;
   }
   
   return errors;
@@ -163,6 +170,12 @@ export function validateBookingInfo(formData) {
     errors.listingLink = "Please enter a valid URL beginning with http:// or https://";
   } else if (listingLink.length > 500) {
     errors.listingLink = "URL is too long";
+  } else {
+    // Must be a listing (not a profile) on the selected platform
+    errors.listingLink = checkPlatformLink(listingLink, {
+      type: LINK_TYPES.LISTING,
+      platform: getPlatformKey(platform)
+    });
   }
   
   // Date validation
@@ -432,4 +445,32 @@ export function getValidationSummary(formData, userIdentification, verificationS
     })),
     allErrors: validation.errors
   };
+}
+
+/**
+ * Password rules for guest accounts (the Cognito user pool policy)
+ * Each key names its i18n message, auth.passwordRule.<key>.
+ */
+export const PASSWORD_REQUIREMENTS = {
+  length: password => password.length >= 8,
+  uppercase: password => /[A-Z]/.test(password),
+  lowercase: password => /[a-z]/.test(password),
+  number: password => /\d/.test(password)
+};
+
+/**
+ * Check a new password against PASSWORD_REQUIREMENTS
+ * @param {string} password - Password to check
+ * @returns {Object} { isValid, requirements } - requirements maps each rule to whether it is met
+ */
+export function validatePassword(password = '') {
+  const requirements = {};
+  Object.entries(PASSWORD_REQUIREMENTS).forEach(([rule, test]) => {
+    requirements[rule] = test(password);
+  });
+  
+  return {
+    isValid: Object.values(requirements).every(Boolean),
+    requirements
+  };
 }
\ No newline at end of file
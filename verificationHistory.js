@@ -0,0 +1,223 @@
+// src/utils/verificationHistory.js
+import { configManager } from './ConfigManager.js';
+import { TRUST_LEVELS } from './constants.js';
+
+/**
+ * Sorting, filtering, paging and export for the dashboard's verification history
+ * Works on the records returned by GET verification-history.
+ */
+
+export const HISTORY_SORTS = {
+  NEWEST: 'date-desc',
+  OLDEST: 'date-asc',
+  HIGHEST_SCORE: 'score-desc',
+  LOWEST_SCORE: 'score-asc',
+  TRUST_LEVEL: 'trust'
+};
+
+export const EXPIRY_STATUSES = {
+  ACTIVE: 'active',
+  EXPIRING: 'expiring',
+  EXPIRED: 'expired'
+};
+
+export const HISTORY_PAGE_SIZE = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Strongest first
+const TRUST_LEVEL_ORDER = [
+  TRUST_LEVELS.VERIFIED,
+  TRUST_LEVELS.REVIEW,
+  TRUST_LEVELS.MANUAL_REVIEW,
+  TRUST_LEVELS.NOT_ELIGIBLE
+];
+
+// Exported fields, in CSV column order
+const EXPORT_COLUMNS = [
+  ['caslKeyId', v => v.caslKeyId],
+  ['verificationDate', v => v.verificationDate],
+  ['expiresAt', v => getVerificationExpiry(v)?.toISOString() ?? null],
+  ['trustLevel', v => v.trustLevel],
+  ['score', v => v.score ?? null],
+  ['platform', v => v.booking?.platform ?? null],
+  ['listingLink', v => v.booking?.listingLink ?? null],
+  ['checkInDate', v => v.booking?.checkInDate ?? null],
+  ['checkOutDate', v => v.booking?.checkOutDate ?? null]
+];
+
+/**
+ * When a verification stops being valid
+ * Records without an expiresAt last VERIFICATION_EXPIRY_DAYS, like badges.
+ * @param {Object} verification - History record
+ * @returns {Date|null} Expiry, or null if the record has no usable date
+ */
+export function getVerificationExpiry(verification) {
+  // An unparseable (or out of range) date gives an Invalid Date, whose toISOString() throws
+  const validDate = date => (Number.isNaN(date.getTime()) ? null : date);
+
+  if (verification.expiresAt) return validDate(new Date(verification.expiresAt));
+
+  const verifiedAt = new Date(verification.verificationDate).getTime();
+  if (Number.isNaN(verifiedAt)) return null;
+
+  return validDate(new Date(verifiedAt + configManager.get('VERIFICATION_EXPIRY_DAYS', 365) * DAY_MS));
+}
+
+/**
+ * Classify a verification by its expiry
+ * @param {Object} verification - History record
+ * @param {Date} [now] - Reference time
+ * @returns {string} EXPIRY_STATUSES value
+ */
+export function getExpiryStatus(verification, now = new Date()) {
+  const expiry = getVerificationExpiry(verification);
+  if (!expiry || expiry <= now) return EXPIRY_STATUSES.EXPIRED;
+
+  // Expiring from VERIFICATION_RENEWAL_REMINDER_DAYS before the end, when renewal reminders start
+  const reminderDays = configManager.get('VERIFICATION_RENEWAL_REMINDER_DAYS', 30);
+  return expiry - now <= reminderDays * DAY_MS ? EXPIRY_STATUSES.EXPIRING : EXPIRY_STATUSES.ACTIVE;
+}
+
+/**
+ * Verifications the user should renew
+ * Only the newest verification of each CASL Key ID counts; older ones were
+ * already renewed or replaced.
+ * @param {Array} verifications - History records
+ * @param {Date} [now] - Reference time
+ * @returns {Array} Expiring and expired records, soonest expiry first
+ */
+export function getRenewalCandidates(verifications, now = new Date()) {
+  const latest = new Map();
+  verifications.forEach(v => {
+    const current = latest.get(v.caslKeyId);
+    if (!current || new Date(v.verificationDate) > new Date(current.verificationDate)) {
+      latest.set(v.caslKeyId, v);
+    }
+  });
+
+  return [...latest.values()]
+    .filter(v => getExpiryStatus(v, now) !== EXPIRY_STATUSES.ACTIVE)
+    .sort((a, b) => (getVerificationExpiry(a) || 0) - (getVerificationExpiry(b) || 0));
+}
+
+/**
+ * Platforms that appear in a history, for the platform filter
+ * @param {Array} verifications - History records
+ * @returns {string[]} Platform names, sorted
+ */
+export function getHistoryPlatforms(verifications) {
+  return [...new Set(verifications.map(v => v.booking?.platform).filter(Boolean))].sort();
+}
+
+/**
+ * Filter a history
+ * @param {Array} verifications - History records
+ * @param {Object} filters - { query, platform, trustLevel, expiry }; empty values match everything
+ * @param {Date} [now] - Reference time for the expiry filter
+ * @returns {Array} Matching records
+ */
+export function filterVerifications(verifications, { query = '', platform = '', trustLevel = '', expiry = '' } = {}, now = new Date()) {
+  const needle = query.trim().toLowerCase();
+
+  return verifications.filter(v => {
+    if (platform && v.booking?.platform !== platform) return false;
+    if (trustLevel && v.trustLevel !== trustLevel) return false;
+    if (expiry && getExpiryStatus(v, now) !== expiry) return false;
+
+    // Free text matches the CASL Key ID or the listing
+    if (needle) {
+      const haystack = [v.caslKeyId, v.booking?.listingLink, v.booking?.listingId]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(needle)) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Sort a history without changing the original array
+ * Ties fall back to newest first.
+ * @param {Array} verifications - History records
+ * @param {string} [sort] - HISTORY_SORTS value
+ * @returns {Array} Sorted records
+ */
+export function sortVerifications(verifications, sort = HISTORY_SORTS.NEWEST) {
+  const time = v => new Date(v.verificationDate).getTime() || 0;
+  const trustRank = v => {
+    const rank = TRUST_LEVEL_ORDER.indexOf(v.trustLevel);
+    return rank === -1 ? TRUST_LEVEL_ORDER.length : rank;
+  };
+
+  const compare = {
+    [HISTORY_SORTS.OLDEST]: (a, b) => time(a) - time(b),
+    [HISTORY_SORTS.HIGHEST_SCORE]: (a, b) => (b.score ?? -1) - (a.score ?? -1),
+    [HISTORY_SORTS.LOWEST_SCORE]: (a, b) => (a.score ?? -1) - (b.score ?? -1),
+    [HISTORY_SORTS.TRUST_LEVEL]: (a, b) => trustRank(a) - trustRank(b)
+  }[sort];
+
+  return [...verifications].sort((a, b) => (compare ? compare(a, b) : 0) || time(b) - time(a));
+}
+
+/**
+ * Cut one page out of a list
+ * @param {Array} items - Items
+ * @param {number} page - 1-based page, clamped to the available pages
+ * @param {number} [pageSize] - Items per page
+ * @returns {Object} { items, page, pageCount }
+ */
+export function paginate(items, page, pageSize = HISTORY_PAGE_SIZE) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+
+  return {
+    items: items.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pageCount
+  };
+}
+
+/**
+ * Quote a CSV cell
+ * Text that a spreadsheet would run as a formula is prefixed with '.
+ * @param {*} value - Cell value (null and undefined become empty cells)
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize a history for download
+ * @param {Array} verifications - History records
+ * @param {string} format - 'csv' or 'json'
+ * @param {Date} [exportedAt] - Export time, used in the file name
+ * @returns {Object} { filename, mimeType, content }
+ */
+export function exportVerifications(verifications, format, exportedAt = new Date()) {
+  const filename = `casl-verification-history-${exportedAt.toISOString().slice(0, 10)}.${format}`;
+
+  if (format === 'json') {
+    const records = verifications.map(v => Object.fromEntries(EXPORT_COLUMNS.map(([name, read]) => [name, read(v)])));
+    return { filename, mimeType: 'application/json', content: JSON.stringify(records, null, 2) };
+  }
+
+  const rows = [
+    EXPORT_COLUMNS.map(([name]) => name),
+    ...verifications.map(v => EXPORT_COLUMNS.map(([, read]) => read(v)))
+  ];
+
+  return {
+    filename,
+    mimeType: 'text/csv',
+    content: rows.map(row => row.map(toCsvCell).join(',')).join('\r\n')
+  };
+}
@@ -0,0 +1,102 @@
+// src/utils/webauthn.js
+// Converts WebAuthn options and credentials between the JSON the backend
+// speaks (binary fields as base64url) and the ArrayBuffers the browser API uses.
+
+/**
+ * Check whether the browser can create and use passkeys
+ * @returns {boolean} Whether WebAuthn is available
+ */
+export function isWebAuthnSupported() {
+  return typeof window !== 'undefined' &&
+    typeof window.PublicKeyCredential === 'function' &&
+    typeof navigator !== 'undefined' &&
+    typeof navigator.credentials?.create === 'function';
+}
+
+/**
+ * Encode bytes as base64url without padding
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string} base64url string
+ */
+export function bufferToBase64url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string
+ * @param {string} value - base64url string
+ * @returns {ArrayBuffer} Bytes
+ */
+export function base64urlToBuffer(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + (4 - (base64.length % 4)) % 4, '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0)).buffer;
+}
+
+function toDescriptors(credentials = []) {
+  return credentials.map(credential => ({ ...credential, id: base64urlToBuffer(credential.id) }));
+}
+
+/**
+ * Build navigator.credentials.create() options from the backend's registration options
+ * @param {Object} options - PublicKeyCredentialCreationOptions as JSON
+ * @returns {Object} { publicKey }
+ */
+export function toCreationOptions(options) {
+  return {
+    publicKey: {
+      ...options,
+      challenge: base64urlToBuffer(options.challenge),
+      user: { ...options.user, id: base64urlToBuffer(options.user.id) },
+      excludeCredentials: toDescriptors(options.excludeCredentials)
+    }
+  };
+}
+
+/**
+ * Build navigator.credentials.get() options from the backend's sign-in options
+ * @param {Object} options - PublicKeyCredentialRequestOptions as JSON
+ * @returns {Object} { publicKey }
+ */
+export function toRequestOptions(options) {
+  return {
+    publicKey: {
+      ...options,
+      challenge: base64urlToBuffer(options.challenge),
+      allowCredentials: toDescriptors(options.allowCredentials)
+    }
+  };
+}
+
+/**
+ * Serialize a new or asserted credential for the backend
+ * @param {PublicKeyCredential} credential - Result of create() or get()
+ * @returns {Object} Credential as JSON
+ */
+export function serializeCredential(credential) {
+  const { response } = credential;
+  const serialized = {
+    id: credential.id,
+    rawId: bufferToBase64url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64url(response.clientDataJSON)
+    }
+  };
+
+  if (response.attestationObject) {
+    // Registration
+    serialized.response.attestationObject = bufferToBase64url(response.attestationObject);
+    serialized.response.transports = response.getTransports?.() || [];
+  } else {
+    // Sign-in
+    serialized.response.authenticatorData = bufferToBase64url(response.authenticatorData);
+    serialized.response.signature = bufferToBase64url(response.signature);
+    serialized.response.userHandle = response.userHandle ? bufferToBase64url(response.userHandle) : null;
+  }
+
+  return serialized;
+}